@@ -0,0 +1,60 @@
+import mongoose from "mongoose"
+
+// One reminder to one party of an appointment, queued for a time before it starts. Reminders are
+// keyed by the appointment start they were computed for, so moving an appointment queues new ones
+// while the ones already sent for the same time are never sent again.
+const appointmentReminderSchema = new mongoose.Schema(
+  {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Minutes before the appointment start
+    offsetMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    appointmentStart: {
+      type: Date,
+      required: true,
+    },
+    sendAt: {
+      type: Date,
+      required: true,
+    },
+    // sending: claimed by the scheduler; left as is if the process dies mid-send rather than sent twice
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "skipped", "canceled", "failed"],
+      default: "pending",
+    },
+    channels: [
+      {
+        type: String,
+        enum: ["email", "inApp"],
+      },
+    ],
+    sentAt: Date,
+    // Why a reminder was skipped or canceled
+    reason: String,
+    error: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+appointmentReminderSchema.index(
+  { appointment: 1, recipient: 1, offsetMinutes: 1, appointmentStart: 1 },
+  { unique: true },
+)
+appointmentReminderSchema.index({ status: 1, sendAt: 1 })
+
+export default mongoose.model("AppointmentReminder", appointmentReminderSchema)
@@ -0,0 +1,127 @@
+import mongoose from "mongoose"
+
+// A recurring booking. Occurrences are real Appointment documents generated up to
+// generatedUntil; exceptions record occurrences that were moved, edited, canceled or skipped.
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    rrule: {
+      type: String, // Canonical RFC 5545 RRULE, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=TU
+      required: true,
+    },
+    timezone: {
+      type: String,
+      default: "UTC",
+      validate: {
+        validator: function (value) {
+          try {
+            new Intl.DateTimeFormat("en-US", { timeZone: value })
+            return true
+          } catch {
+            return false
+          }
+        },
+        message: "Invalid IANA time zone",
+      },
+    },
+    startTime: {
+      type: Date, // DTSTART: the first occurrence
+      required: true,
+    },
+    durationMinutes: {
+      type: Number,
+      required: true,
+      min: 15,
+      max: 480,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    serviceType: {
+      type: String,
+      enum: ["consultation", "repair", "installation", "maintenance", "troubleshooting", "emergency"],
+      required: true,
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    location: {
+      address: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      coordinates: {
+        lat: Number,
+        lng: Number,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["active", "ended", "canceled"],
+      default: "active",
+      index: true,
+    },
+    // Occurrences have been generated up to (and including) this instant
+    generatedUntil: Date,
+    // Series this one was split from by a "this and following" change
+    previousSeries: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppointmentSeries",
+    },
+    exceptions: [
+      {
+        occurrenceStart: {
+          type: Date, // Start the rule gave the occurrence (its recurrence id)
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: ["modified", "canceled", "skipped"],
+          required: true,
+        },
+        appointment: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Appointment",
+        },
+        reason: {
+          type: String,
+          maxlength: 500,
+        },
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+appointmentSeriesSchema.index({ status: 1, generatedUntil: 1 })
+
+export default mongoose.model("AppointmentSeries", appointmentSeriesSchema)
@@ -89,6 +89,18 @@ const appointmentSchema = new mongoose.Schema(
       type: String,
       maxlength: 500,
     },
+    // Recurring appointments
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppointmentSeries",
+    },
+    occurrenceStart: {
+      type: Date, // Start the series rule gave this occurrence, kept when the occurrence is moved
+    },
+    isException: {
+      type: Boolean, // Changed on its own ("this occurrence"), so series-wide edits leave it alone
+      default: false,
+    },
   },
   {
     timestamps: true,
@@ -120,5 +132,9 @@ appointmentSchema.index({ technician: 1, startTime: 1 })
 appointmentSchema.index({ client: 1, startTime: 1 })
 appointmentSchema.index({ status: 1, startTime: 1 })
 appointmentSchema.index({ startTime: 1, endTime: 1 })
+appointmentSchema.index(
+  { series: 1, occurrenceStart: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } },
+)
 
 export default mongoose.model("Appointment", appointmentSchema)
@@ -0,0 +1,56 @@
+import mongoose from "mongoose"
+
+// One round of knowledge-base suggestions shown while a customer drafts a ticket
+const articleSuggestionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    draft: {
+      title: { type: String, maxlength: 200 },
+      description: { type: String, maxlength: 2000 },
+      category: String, // support request category
+    },
+    suggestions: [
+      {
+        _id: false,
+        article: { type: mongoose.Schema.Types.ObjectId, ref: "KnowledgeBase", required: true },
+        score: Number,
+      },
+    ],
+    views: [
+      {
+        _id: false,
+        article: { type: mongoose.Schema.Types.ObjectId, ref: "KnowledgeBase", required: true },
+        viewedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // pending until the customer either confirms an article answered them or files the ticket anyway
+    outcome: {
+      type: String,
+      enum: ["pending", "deflected", "ticket-created"],
+      default: "pending",
+    },
+    deflectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "KnowledgeBase",
+      default: null,
+    },
+    supportRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SupportRequest",
+      default: null,
+    },
+    resolvedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+articleSuggestionSchema.index({ createdAt: -1 })
+articleSuggestionSchema.index({ user: 1, createdAt: -1 })
+
+export default mongoose.model("ArticleSuggestion", articleSuggestionSchema)
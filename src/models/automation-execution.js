@@ -0,0 +1,38 @@
+import mongoose from "mongoose"
+
+// Execution log: one entry per rule that matched an event
+const automationExecutionSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AutomationRule",
+      required: true,
+    },
+    ruleName: String, // kept when the rule is deleted
+    event: {
+      type: String,
+      required: true,
+    },
+    supportRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SupportRequest",
+      required: true,
+    },
+    requestId: String,
+    status: {
+      type: String,
+      enum: ["success", "failed"],
+      required: true,
+    },
+    changes: mongoose.Schema.Types.Mixed, // { priority: { from, to }, tags: ..., assignedTechnician: ..., notified, message }
+    error: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+automationExecutionSchema.index({ rule: 1, createdAt: -1 })
+automationExecutionSchema.index({ supportRequest: 1, createdAt: -1 })
+
+export default mongoose.model("AutomationExecution", automationExecutionSchema)
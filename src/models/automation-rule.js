@@ -0,0 +1,101 @@
+import mongoose from "mongoose"
+
+const CATEGORIES = [
+  "technical-support",
+  "billing",
+  "account-issues",
+  "feature-request",
+  "bug-report",
+  "general-inquiry",
+  "legal-consultation",
+  "business-consultation",
+]
+const PRIORITIES = ["low", "medium", "high", "urgent"]
+const STATUSES = ["open", "in-progress", "pending-customer", "resolved", "closed"]
+
+// "When <event> and <conditions> then <actions>", run in ascending order
+const automationRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Rule name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    event: {
+      type: String,
+      required: true,
+      enum: ["request-created", "message-added", "status-changed"],
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Skip the rules after this one when it matches
+    stopProcessing: {
+      type: Boolean,
+      default: false,
+    },
+    // Every condition that is set must match; lists match any of their values
+    conditions: {
+      categories: [{ type: String, enum: CATEGORIES }],
+      priorities: [{ type: String, enum: PRIORITIES }],
+      statuses: [{ type: String, enum: STATUSES }],
+      fromStatuses: [{ type: String, enum: STATUSES }], // status-changed only
+      keywords: [{ type: String, trim: true, lowercase: true }], // title and description, or the new message on message-added
+      accountTypes: [{ type: String, enum: ["individual", "business"] }],
+      senderRoles: [{ type: String, enum: ["customer", "technician", "admin"] }], // message-added only
+      minMinutesInStatus: { type: Number, min: 0 }, // message-added only
+      maxMinutesInStatus: { type: Number, min: 0 }, // message-added only
+    },
+    actions: {
+      priority: {
+        type: String,
+        enum: PRIORITIES,
+      },
+      addTags: [String],
+      assign: {
+        type: String,
+        enum: ["auto", "technician", "unassign"],
+      },
+      technician: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      notify: {
+        recipients: [{ type: String, enum: ["customer", "technician", "technicians", "admins"] }],
+        content: { type: String, maxlength: 500 }, // {{placeholders}} as in macros
+      },
+      message: {
+        content: { type: String, maxlength: 2000 },
+        visibility: { type: String, enum: ["public", "internal"], default: "internal" },
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    lastRunAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+automationRuleSchema.index({ event: 1, isActive: 1, order: 1 })
+
+export default mongoose.model("AutomationRule", automationRuleSchema)
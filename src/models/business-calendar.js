@@ -0,0 +1,104 @@
+import mongoose from "mongoose"
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const businessCalendarSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Calendar name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    timezone: {
+      type: String,
+      required: true,
+      default: "UTC",
+      validate: {
+        validator: function (value) {
+          try {
+            new Intl.DateTimeFormat("en-US", { timeZone: value })
+            return true
+          } catch {
+            return false
+          }
+        },
+        message: "Invalid IANA time zone",
+      },
+    },
+    weeklyHours: [
+      {
+        dayOfWeek: {
+          type: Number, // 0 = Sunday ... 6 = Saturday
+          required: true,
+          min: 0,
+          max: 6,
+        },
+        start: {
+          type: String, // HH:mm, local time
+          required: true,
+          match: [TIME_PATTERN, "Start must be in HH:mm format"],
+        },
+        end: {
+          type: String, // HH:mm, local time
+          required: true,
+          match: [TIME_PATTERN, "End must be in HH:mm format"],
+        },
+      },
+    ],
+    holidays: [
+      {
+        date: {
+          type: String, // YYYY-MM-DD, local date
+          required: true,
+          match: [DATE_PATTERN, "Holiday date must be in YYYY-MM-DD format"],
+        },
+        name: {
+          type: String,
+          trim: true,
+        },
+        recurring: {
+          type: Boolean, // same month/day every year
+          default: false,
+        },
+      },
+    ],
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+businessCalendarSchema.index({ isDefault: 1, isActive: 1 })
+
+// Only one calendar can be the default
+businessCalendarSchema.pre("save", async function (next) {
+  try {
+    if (this.isModified("isDefault") && this.isDefault) {
+      await this.constructor.updateMany({ _id: { $ne: this._id }, isDefault: true }, { $set: { isDefault: false } })
+    }
+    next()
+  } catch (err) {
+    next(err)
+  }
+})
+
+export default mongoose.model("BusinessCalendar", businessCalendarSchema)
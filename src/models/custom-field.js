@@ -0,0 +1,74 @@
+import mongoose from "mongoose"
+
+const customFieldSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: [true, "Category is required"],
+      enum: [
+        "technical-support",
+        "billing",
+        "account-issues",
+        "feature-request",
+        "bug-report",
+        "general-inquiry",
+        "legal-consultation",
+        "business-consultation",
+      ],
+    },
+    // Stored under SupportRequest.customFields.<key>
+    key: {
+      type: String,
+      required: [true, "Field key is required"],
+      trim: true,
+      match: [/^[a-z][a-z0-9_]{0,49}$/, "Key must be lowercase letters, digits or underscores"],
+    },
+    label: {
+      type: String,
+      required: [true, "Field label is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["text", "number", "date", "boolean", "select", "multiselect", "email", "url"],
+    },
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    options: [String], // select and multiselect only
+    validation: {
+      min: Number, // number fields only
+      max: Number,
+      minLength: Number,
+      maxLength: Number,
+      pattern: String, // regular expression for text fields
+    },
+    helpText: {
+      type: String,
+      maxlength: 300,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+customFieldSchema.index({ category: 1, key: 1 }, { unique: true })
+customFieldSchema.index({ category: 1, isActive: 1, order: 1 })
+
+export default mongoose.model("CustomField", customFieldSchema)
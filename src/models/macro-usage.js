@@ -0,0 +1,35 @@
+import mongoose from "mongoose"
+
+const macroUsageSchema = new mongoose.Schema(
+  {
+    macro: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Macro",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    supportRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SupportRequest",
+      required: true,
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    changes: mongoose.Schema.Types.Mixed, // fields the macro changed: { status: { from, to }, ... }
+  },
+  {
+    timestamps: true,
+  },
+)
+
+macroUsageSchema.index({ macro: 1, createdAt: -1 })
+macroUsageSchema.index({ user: 1, createdAt: -1 })
+
+export default mongoose.model("MacroUsage", macroUsageSchema)
@@ -0,0 +1,90 @@
+import mongoose from "mongoose"
+
+const macroSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Macro name is required"],
+      trim: true,
+      maxlength: [100, "Macro name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    scope: {
+      type: String,
+      enum: ["personal", "shared"],
+      default: "personal",
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: [
+        "technical-support",
+        "billing",
+        "account-issues",
+        "feature-request",
+        "bug-report",
+        "general-inquiry",
+        "legal-consultation",
+        "business-consultation",
+        null,
+      ],
+      default: null, // usable on any category
+    },
+    // Message template with {{placeholders}}
+    content: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Macro content cannot exceed 2000 characters"],
+    },
+    visibility: {
+      type: String,
+      enum: ["public", "internal"],
+      default: "public",
+    },
+    actions: {
+      status: {
+        type: String,
+        enum: ["open", "in-progress", "pending-customer", "resolved", "closed"],
+      },
+      priority: {
+        type: String,
+        enum: ["low", "medium", "high", "urgent"],
+      },
+      addTags: [String],
+      removeTags: [String],
+      assignTo: {
+        type: String,
+        enum: ["self", "technician", "unassign"],
+      },
+      technician: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+macroSchema.index({ scope: 1, isActive: 1, name: 1 })
+macroSchema.index({ owner: 1, scope: 1 })
+
+export default mongoose.model("Macro", macroSchema)
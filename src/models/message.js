@@ -10,7 +10,10 @@ const messageSchema = new mongoose.Schema(
     sender: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // Automatic system and status-update messages have no sender
+      required: function () {
+        return !["system", "status-update"].includes(this.messageType)
+      },
     },
     content: {
       type: String,
@@ -23,6 +26,11 @@ const messageSchema = new mongoose.Schema(
       enum: ["text", "file", "system", "status-update"],
       default: "text",
     },
+    visibility: {
+      type: String,
+      enum: ["public", "internal"], // internal notes are only visible to technicians and admins
+      default: "public",
+    },
     attachments: [
       {
         filename: String,
@@ -32,6 +40,12 @@ const messageSchema = new mongoose.Schema(
         url: String,
       },
     ],
+    source: {
+      type: String,
+      enum: ["web", "email"],
+      default: "web",
+    },
+    emailMessageId: String,
     isRead: {
       type: Boolean,
       default: false,
@@ -51,5 +65,13 @@ const messageSchema = new mongoose.Schema(
 // Index for better query performance
 messageSchema.index({ supportRequest: 1, createdAt: -1 })
 messageSchema.index({ sender: 1, createdAt: -1 })
+messageSchema.index({ supportRequest: 1, visibility: 1, createdAt: 1 })
+messageSchema.index({ emailMessageId: 1 }, { sparse: true })
+messageSchema.index({ content: "text" }, { name: "message_text" })
+
+// Filter that hides internal notes from customers
+messageSchema.statics.visibilityFilter = function (role) {
+  return role === "customer" ? { visibility: { $ne: "internal" } } : {}
+}
 
 export default mongoose.model("Message", messageSchema)
@@ -17,6 +17,29 @@ const paymentSchema = new mongoose.Schema(
       ref: "Service",
       required: false,
     },
+    supportRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SupportRequest",
+      required: false,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Invoice lines, e.g. billed worklogs
+    lineItems: [
+      {
+        description: String,
+        quantity: Number, // hours for worklogs
+        unitPrice: Number,
+        amount: Number,
+        worklog: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Worklog",
+        },
+      },
+    ],
     amount: {
       type: Number,
       required: true,
@@ -29,7 +52,7 @@ const paymentSchema = new mongoose.Schema(
     },
     paymentMethod: {
       type: String,
-      enum: ["credit_card", "debit_card", "paypal", "bank_transfer"],
+      enum: ["credit_card", "debit_card", "paypal", "bank_transfer", "invoice"],
       required: true,
     },
     transactionId: {
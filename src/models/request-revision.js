@@ -0,0 +1,45 @@
+import mongoose from "mongoose"
+
+const requestRevisionSchema = new mongoose.Schema(
+  {
+    supportRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SupportRequest",
+      required: true,
+    },
+    revision: {
+      type: Number, // 1 for the first edit; revision 0 is the request as created
+      required: true,
+      min: 1,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null for system changes, e.g. SLA escalation or automations
+    },
+    editorRole: {
+      type: String,
+      enum: ["customer", "technician", "admin", "system"],
+    },
+    changes: [
+      {
+        field: {
+          type: String,
+          required: true,
+          enum: ["title", "description", "category", "priority", "tags", "customFields"],
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+        // Word-level diff for text fields: [{ op: "equal" | "insert" | "delete", text }]
+        diff: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+requestRevisionSchema.index({ supportRequest: 1, revision: 1 }, { unique: true })
+
+export default mongoose.model("RequestRevision", requestRevisionSchema)
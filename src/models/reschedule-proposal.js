@@ -0,0 +1,88 @@
+import mongoose from "mongoose"
+
+// One party's offer to move an appointment to one of several slots; the appointment
+// only moves when the other party accepts a slot.
+const rescheduleProposalSchema = new mongoose.Schema(
+  {
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+      index: true,
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    proposedByRole: {
+      type: String,
+      enum: ["customer", "technician", "admin"],
+      required: true,
+    },
+    // The party expected to answer (the client or the technician of the appointment)
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    slots: [
+      {
+        startTime: {
+          type: Date,
+          required: true,
+        },
+        endTime: {
+          type: Date,
+          required: true,
+        },
+      },
+    ],
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "countered", "withdrawn", "superseded", "expired"],
+      default: "pending",
+      index: true,
+    },
+    // Proposal this one answers with other slots
+    counterOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RescheduleProposal",
+    },
+    acceptedSlot: {
+      startTime: Date,
+      endTime: Date,
+    },
+    // Appointment times before an accepted proposal moved it
+    previousTime: {
+      startTime: Date,
+      endTime: Date,
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    respondedAt: Date,
+    responseMessage: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+rescheduleProposalSchema.index({ status: 1, expiresAt: 1 })
+
+export default mongoose.model("RescheduleProposal", rescheduleProposalSchema)
@@ -0,0 +1,71 @@
+import mongoose from "mongoose"
+
+const satisfactionSurveySchema = new mongoose.Schema(
+  {
+    supportRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SupportRequest",
+      required: true,
+      unique: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    tokenId: {
+      type: String,
+      required: true, // kept for the survey's lifetime so every emailed link stays valid until it expires
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: Date,
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+    },
+    npsScore: {
+      type: Number,
+      min: 0,
+      max: 10,
+    },
+    feedback: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    respondedAt: Date,
+    channel: {
+      type: String,
+      enum: ["email-link", "survey-page", "portal"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+satisfactionSurveySchema.index({ respondedAt: 1, lastSentAt: 1 })
+satisfactionSurveySchema.index({ technician: 1, respondedAt: -1 })
+
+// NPS bucket for a 0-10 score
+satisfactionSurveySchema.virtual("npsCategory").get(function () {
+  if (this.npsScore === undefined || this.npsScore === null) return null
+  if (this.npsScore >= 9) return "promoter"
+  if (this.npsScore >= 7) return "passive"
+  return "detractor"
+})
+
+export default mongoose.model("SatisfactionSurvey", satisfactionSurveySchema)
@@ -0,0 +1,76 @@
+import mongoose from "mongoose"
+
+const savedViewSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "View name is required"],
+      trim: true,
+      maxlength: [100, "View name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    scope: {
+      type: String,
+      enum: ["personal", "shared"], // shared views are visible to all technicians and admins
+      default: "personal",
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Same parameters as GET /support-requests/search, e.g. { status: "open,in-progress", "cf.region": "eu" }
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    sort: {
+      type: String,
+      enum: ["relevance", "newest", "oldest", "updated"],
+      default: "newest",
+    },
+    columns: [String],
+    // Pinning is per user, so shared views can be pinned by anyone who sees them
+    pinnedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    subscribers: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        subscribedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastNotifiedAt: Date,
+        // Requests matching for this subscriber at the last check; new matches are the ones not listed here
+        matchSnapshot: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "SupportRequest",
+          },
+        ],
+        snapshotAt: Date,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+savedViewSchema.index({ owner: 1, name: 1 })
+savedViewSchema.index({ scope: 1 })
+savedViewSchema.index({ "subscribers.user": 1 })
+
+export default mongoose.model("SavedView", savedViewSchema)
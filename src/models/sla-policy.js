@@ -43,6 +43,11 @@ const slaPolicySchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    calendar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BusinessCalendar",
+      default: null, // falls back to the default business calendar
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -1,4 +1,5 @@
 import mongoose from "mongoose"
+import { businessHoursBetween } from "../utils/business-hours.js"
 
 const supportRequestSchema = new mongoose.Schema(
   {
@@ -53,6 +54,24 @@ const supportRequestSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    assignmentDetails: {
+      method: {
+        type: String,
+        enum: ["auto", "manual"],
+      },
+      strategy: {
+        type: String,
+        enum: ["round-robin", "least-loaded", "best-match"],
+      },
+      reason: String,
+      score: Number,
+      candidatesConsidered: Number,
+      assignedAt: Date,
+      assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
     attachments: [
       {
         filename: String,
@@ -80,10 +99,63 @@ const supportRequestSchema = new mongoose.Schema(
         min: 1,
         max: 5,
       },
+      npsScore: {
+        type: Number,
+        min: 0,
+        max: 10,
+      },
       feedback: String,
       submittedAt: Date,
     },
     tags: [String],
+    // Users following the request besides its customer and technician
+    watchers: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // External addresses copied on public updates by email
+    ccEmails: [
+      {
+        email: {
+          type: String,
+          required: true,
+          trim: true,
+          lowercase: true,
+        },
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Category-specific values keyed by CustomField.key
+    customFields: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    source: {
+      type: String,
+      enum: ["web", "email"],
+      default: "web",
+    },
+    emailMessageId: String, // Message-ID of the email that opened the request
     isUrgent: {
       type: Boolean,
       default: false,
@@ -94,6 +166,171 @@ const supportRequestSchema = new mongoose.Schema(
     },
     resolvedAt: Date,
     closedAt: Date,
+    // Edits are stored as RequestRevision documents
+    revisionCount: {
+      type: Number,
+      default: 0,
+    },
+    lastEditedAt: Date,
+    lastEditedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reopenCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReopenedAt: Date,
+    // Bookkeeping for the automatic reminder and auto-close policies
+    lifecycle: {
+      statusChangedAt: Date,
+      remindersSent: {
+        type: Number,
+        default: 0,
+      },
+      lastReminderAt: Date,
+    },
+    statusHistory: [
+      {
+        from: {
+          type: String,
+          enum: ["open", "in-progress", "pending-customer", "resolved", "closed", null],
+          default: null,
+        },
+        to: {
+          type: String,
+          enum: ["open", "in-progress", "pending-customer", "resolved", "closed"],
+          required: true,
+        },
+        action: {
+          type: String,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null, // null for automatic changes
+        },
+        changedByRole: {
+          type: String,
+          enum: ["customer", "technician", "admin", "system"],
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: 500,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    activity: [
+      {
+        event: {
+          type: String,
+          required: true,
+          enum: [
+            "merged-into",
+            "merged-from",
+            "linked",
+            "unlinked",
+            "watcher-added",
+            "watcher-removed",
+            "cc-added",
+            "cc-removed",
+            "edited",
+            "reopened",
+          ],
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        description: {
+          type: String,
+          maxlength: 500,
+        },
+        relatedRequest: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "SupportRequest",
+        },
+        details: mongoose.Schema.Types.Mixed,
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SupportRequest",
+      default: null,
+    },
+    links: [
+      {
+        linkType: {
+          type: String,
+          required: true,
+          enum: ["duplicate-of", "has-duplicate", "related-to", "parent-of", "child-of", "follow-up-of", "has-follow-up"],
+        },
+        request: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "SupportRequest",
+          required: true,
+        },
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    slaPolicy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SLAPolicy",
+      default: null,
+    },
+    sla: {
+      firstResponseDueAt: Date,
+      resolutionDueAt: Date,
+      escalationDueAt: Date,
+      firstRespondedAt: Date,
+      status: {
+        type: String,
+        enum: ["on-track", "at-risk", "breached", "met"],
+        default: "on-track",
+      },
+      responseBreached: {
+        type: Boolean,
+        default: false,
+      },
+      resolutionBreached: {
+        type: Boolean,
+        default: false,
+      },
+      escalationLevel: {
+        type: Number,
+        default: 0,
+      },
+      escalatedAt: Date,
+      // Set when a reopen restarts the resolution clock; the clock otherwise runs from createdAt
+      resolutionStartedAt: Date,
+      businessHoursOnly: {
+        type: Boolean,
+        default: false,
+      },
+      calendar: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "BusinessCalendar",
+        default: null,
+      },
+    },
   },
   {
     timestamps: true,
@@ -107,6 +344,14 @@ supportRequestSchema.virtual("ageInHours").get(function () {
   return Math.floor((Date.now() - this.createdAt) / (1000 * 60 * 60))
 })
 
+// Request age in hours, counting only business hours when a calendar is given
+supportRequestSchema.methods.getAgeInHours = function (calendar = null) {
+  if (!calendar) {
+    return this.ageInHours
+  }
+  return Math.floor(businessHoursBetween(this.createdAt, new Date(), calendar))
+}
+
 // Virtual for response time
 supportRequestSchema.virtual("responseTime").get(function () {
   if (this.status === "open") return null
@@ -114,11 +359,32 @@ supportRequestSchema.virtual("responseTime").get(function () {
   return this.lastActivity ? Math.floor((this.lastActivity - this.createdAt) / (1000 * 60 * 60)) : null
 })
 
+// Whether a user follows this request
+supportRequestSchema.methods.isWatchedBy = function (userId) {
+  return this.watchers.some((watcher) => (watcher.user?._id || watcher.user).toString() === userId.toString())
+}
+
+// Staff see every request; customers see their own and the ones they watch
+supportRequestSchema.methods.isVisibleTo = function (userId, role) {
+  if (role !== "customer") return true
+  const customerId = this.customer?._id || this.customer
+  return customerId.toString() === userId.toString() || this.isWatchedBy(userId)
+}
+
 // Index for better query performance
 supportRequestSchema.index({ customer: 1, status: 1 })
 supportRequestSchema.index({ assignedTechnician: 1, status: 1 })
+supportRequestSchema.index({ category: 1, "assignmentDetails.method": 1, assignedTechnician: 1 })
 supportRequestSchema.index({ category: 1, priority: 1 })
 supportRequestSchema.index({ createdAt: -1 })
+supportRequestSchema.index({ status: 1, "sla.status": 1 })
+supportRequestSchema.index({ "links.request": 1 })
+supportRequestSchema.index({ emailMessageId: 1 }, { sparse: true })
+supportRequestSchema.index({ "watchers.user": 1 })
+supportRequestSchema.index(
+  { title: "text", tags: "text", description: "text" },
+  { name: "support_request_text", weights: { title: 10, tags: 5, description: 2 } },
+)
 
 // Pre-save middleware to update lastActivity
 supportRequestSchema.pre("save", function (next) {
@@ -86,6 +86,12 @@ const userSchema = new mongoose.Schema(
         },
         activationToken: { type: String }, // New field
         activationTokenExpires: { type: Date }, // New field
+        // Secret in the user's iCalendar feed URL; rotating it revokes old subscriptions
+        calendarFeedToken: {
+            type: String,
+            select: false,
+            index: { unique: true, sparse: true },
+        },
         // Professional information for technicians
         specialization: {
             type: [String],
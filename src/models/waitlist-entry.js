@@ -0,0 +1,116 @@
+import mongoose from "mongoose"
+
+// A customer waiting for a slot with a technician (or any technician for a service type) in a date range.
+// Freed slots are offered to entries in the order they joined; an offer holds the slot until it is
+// confirmed through the emailed link or the hold expires and the slot moves on to the next entry.
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Unset: any technician who frees a slot for the service type
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    serviceType: {
+      type: String,
+      enum: ["consultation", "repair", "installation", "maintenance", "troubleshooting", "emergency"],
+      required: true,
+    },
+    // Offered slots must fit between these
+    earliestStart: {
+      type: Date,
+      required: true,
+    },
+    latestEnd: {
+      type: Date,
+      required: true,
+    },
+    durationMinutes: {
+      type: Number,
+      min: 15,
+      max: 480,
+      default: 60,
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    location: {
+      address: String,
+      city: String,
+      state: String,
+      zipCode: String,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "canceled"],
+      default: "waiting",
+    },
+    // The slot currently held for this customer
+    offer: {
+      technician: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      startTime: Date,
+      endTime: Date,
+      // Service type of the freed slot; passed on when the slot moves to the next entry
+      serviceType: String,
+      holdToken: {
+        type: String,
+        select: false,
+      },
+      offeredAt: Date,
+      expiresAt: Date,
+      // Appointment whose cancellation or shortening freed the slot
+      sourceAppointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Appointment",
+      },
+    },
+    // Earlier offers that were not taken; the same slot is not offered twice
+    offerHistory: [
+      {
+        technician: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        startTime: Date,
+        endTime: Date,
+        offeredAt: Date,
+        outcome: {
+          type: String,
+          enum: ["declined", "expired", "released"],
+        },
+        closedAt: Date,
+      },
+    ],
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    bookedAt: Date,
+    canceledAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+waitlistEntrySchema.index({ status: 1, technician: 1, serviceType: 1, createdAt: 1 })
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 })
+waitlistEntrySchema.index({ "offer.holdToken": 1 }, { unique: true, sparse: true })
+
+export default mongoose.model("WaitlistEntry", waitlistEntrySchema)
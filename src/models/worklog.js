@@ -0,0 +1,74 @@
+import mongoose from "mongoose"
+
+const worklogSchema = new mongoose.Schema(
+  {
+    supportRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SupportRequest",
+      required: true,
+    },
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["timer", "manual"],
+      default: "manual",
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null, // null while the timer runs
+    },
+    isRunning: {
+      type: Boolean,
+      default: false,
+    },
+    durationMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    billable: {
+      type: Boolean,
+      default: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Note cannot exceed 1000 characters"],
+    },
+    hourlyRate: {
+      type: Number, // technician rate when the time was logged
+      min: 0,
+      default: 0,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+    billedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+worklogSchema.virtual("amount").get(function () {
+  return Math.round((this.durationMinutes / 60) * this.hourlyRate * 100) / 100
+})
+
+worklogSchema.set("toJSON", { virtuals: true })
+
+worklogSchema.index({ supportRequest: 1, startedAt: -1 })
+worklogSchema.index({ technician: 1, startedAt: -1 })
+// One running timer per technician
+worklogSchema.index({ technician: 1 }, { unique: true, partialFilterExpression: { isRunning: true } })
+
+export default mongoose.model("Worklog", worklogSchema)
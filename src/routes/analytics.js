@@ -1,9 +1,13 @@
 import express from "express"
+import mongoose from "mongoose"
 import SupportRequest from "../models/support-request.js"
 import User from "../models/user.js"
 import Payment from "../models/payment.js"
+import SatisfactionSurvey from "../models/satisfaction-survey.js"
 import { authenticate } from "../middlewares/authenticate.js"
 import { requireAdmin, requireTechnician } from "../middlewares/authorize.js"
+import { businessHoursBetween, resolveCalendar } from "../utils/business-hours.js"
+import { buildDeflectionReport } from "../utils/kb-suggestions.js"
 
 const router = express.Router()
 
@@ -33,6 +37,10 @@ router.get("/dashboard", authenticate, async (req, res) => {
 // Support requests analytics
 router.get("/support-requests", authenticate, requireTechnician, async (req, res) => {
   try {
+    if (req.query.calendarId && !/^[0-9a-fA-F]{24}$/.test(req.query.calendarId)) {
+      return res.status(400).json({ message: "Invalid calendar ID" })
+    }
+
     const timeRange = req.query.timeRange || "30d"
     const startDate = getStartDate(timeRange)
 
@@ -86,12 +94,21 @@ router.get("/support-requests", authenticate, requireTechnician, async (req, res
       },
     ])
 
-    res.json({
+    const response = {
       requestsByDay,
       categoryStats,
       priorityStats,
       avgResolutionTime: avgResolutionTime[0]?.avgResolutionTime || 0,
-    })
+    }
+
+    // Optionally report resolution time on the business clock (?businessHours=true[&calendarId=...])
+    if (req.query.businessHours === "true") {
+      const calendar = await resolveCalendar(req.query.calendarId)
+      response.avgBusinessResolutionTime = calendar ? await getAvgBusinessResolutionTime(startDate, calendar) : null
+      response.businessCalendar = calendar ? { id: calendar._id, name: calendar.name, timezone: calendar.timezone } : null
+    }
+
+    res.json(response)
   } catch (err) {
     console.error("Get support requests analytics error:", err)
     res.status(500).json({ message: "Error fetching support requests analytics" })
@@ -230,6 +247,12 @@ router.get("/performance", authenticate, requireTechnician, async (req, res) =>
           resolvedRequests: {
             $sum: { $cond: [{ $in: ["$status", ["resolved", "closed"]] }, 1, 0] },
           },
+          // Resolved at least once, including requests that were reopened since
+          everResolvedRequests: {
+            $sum: { $cond: [{ $or: [{ $in: ["$status", ["resolved", "closed"]] }, { $gt: ["$reopenCount", 0] }] }, 1, 0] },
+          },
+          reopenedRequests: { $sum: { $cond: [{ $gt: ["$reopenCount", 0] }, 1, 0] } },
+          reopens: { $sum: { $ifNull: ["$reopenCount", 0] } },
           avgRating: { $avg: "$customerSatisfaction.rating" },
         },
       },
@@ -248,15 +271,45 @@ router.get("/performance", authenticate, requireTechnician, async (req, res) =>
           totalRequests: 1,
           resolvedRequests: 1,
           resolutionRate: { $divide: ["$resolvedRequests", "$totalRequests"] },
+          reopenedRequests: 1,
+          reopens: 1,
+          reopenRate: {
+            $cond: [
+              { $gt: ["$everResolvedRequests", 0] },
+              { $divide: ["$reopenedRequests", "$everResolvedRequests"] },
+              0,
+            ],
+          },
           avgRating: 1,
         },
       },
       { $sort: { resolutionRate: -1 } },
     ])
 
+    const [reopenStats] = await SupportRequest.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          everResolvedRequests: {
+            $sum: { $cond: [{ $or: [{ $in: ["$status", ["resolved", "closed"]] }, { $gt: ["$reopenCount", 0] }] }, 1, 0] },
+          },
+          reopenedRequests: { $sum: { $cond: [{ $gt: ["$reopenCount", 0] }, 1, 0] } },
+          reopens: { $sum: { $ifNull: ["$reopenCount", 0] } },
+        },
+      },
+    ])
+
+    const nps = await getNpsStats(filter)
+
     res.json({
       responseTime: responseTimeStats[0] || {},
-      satisfaction: satisfactionStats[0] || {},
+      satisfaction: { ...(satisfactionStats[0] || {}), nps },
+      reopens: {
+        reopenedRequests: reopenStats?.reopenedRequests || 0,
+        reopens: reopenStats?.reopens || 0,
+        reopenRate: reopenStats?.everResolvedRequests ? reopenStats.reopenedRequests / reopenStats.everResolvedRequests : 0,
+      },
       technicianPerformance: req.user.role === "admin" ? technicianPerformance : [],
     })
   } catch (err) {
@@ -265,6 +318,115 @@ router.get("/performance", authenticate, requireTechnician, async (req, res) =>
   }
 })
 
+// Satisfaction survey results: CSAT, NPS and response rate
+router.get("/satisfaction", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const timeRange = req.query.timeRange || "30d"
+    const startDate = getStartDate(timeRange)
+
+    const surveyFilter = { lastSentAt: { $gte: startDate } }
+    const requestFilter = { "customerSatisfaction.submittedAt": { $gte: startDate } }
+    if (req.user.role === "technician") {
+      surveyFilter.technician = new mongoose.Types.ObjectId(req.user.userId)
+      requestFilter.assignedTechnician = new mongoose.Types.ObjectId(req.user.userId)
+    }
+
+    const [surveyStats, ratingDistribution, nps, byTechnician, recentFeedback] = await Promise.all([
+      SatisfactionSurvey.aggregate([
+        { $match: surveyFilter },
+        {
+          $group: {
+            _id: null,
+            sent: { $sum: 1 },
+            answered: { $sum: { $cond: [{ $ifNull: ["$respondedAt", false] }, 1, 0] } },
+            remindersSent: { $sum: { $max: [{ $subtract: ["$sentCount", 1] }, 0] } },
+          },
+        },
+      ]),
+      SupportRequest.aggregate([
+        { $match: { ...requestFilter, "customerSatisfaction.rating": { $exists: true } } },
+        { $group: { _id: "$customerSatisfaction.rating", count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]),
+      getNpsStats(requestFilter),
+      req.user.role === "admin"
+        ? SupportRequest.aggregate([
+            { $match: { ...requestFilter, assignedTechnician: { $ne: null } } },
+            {
+              $group: {
+                _id: "$assignedTechnician",
+                responses: { $sum: 1 },
+                avgRating: { $avg: "$customerSatisfaction.rating" },
+                avgNps: { $avg: "$customerSatisfaction.npsScore" },
+              },
+            },
+            { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "technician" } },
+            { $unwind: "$technician" },
+            {
+              $project: {
+                technicianName: "$technician.username",
+                rating: "$technician.rating",
+                totalReviews: "$technician.totalReviews",
+                responses: 1,
+                avgRating: 1,
+                avgNps: 1,
+              },
+            },
+            { $sort: { avgRating: -1 } },
+          ])
+        : [],
+      SupportRequest.find({ ...requestFilter, "customerSatisfaction.feedback": { $nin: [null, ""] } })
+        .select("requestId title customerSatisfaction assignedTechnician")
+        .populate("assignedTechnician", "username")
+        .sort({ "customerSatisfaction.submittedAt": -1 })
+        .limit(10),
+    ])
+
+    const totals = surveyStats[0] || { sent: 0, answered: 0, remindersSent: 0 }
+    const ratings = ratingDistribution.reduce((sum, bucket) => sum + bucket.count, 0)
+    const satisfied = ratingDistribution.filter((bucket) => bucket._id >= 4).reduce((sum, bucket) => sum + bucket.count, 0)
+
+    res.json({
+      timeRange,
+      surveys: {
+        sent: totals.sent,
+        answered: totals.answered,
+        remindersSent: totals.remindersSent,
+        responseRate: totals.sent ? Math.round((totals.answered / totals.sent) * 1000) / 10 : 0,
+      },
+      csat: {
+        responses: ratings,
+        avgRating: ratings
+          ? Math.round((ratingDistribution.reduce((sum, bucket) => sum + bucket._id * bucket.count, 0) / ratings) * 100) / 100
+          : 0,
+        satisfiedPercent: ratings ? Math.round((satisfied / ratings) * 1000) / 10 : 0,
+        distribution: ratingDistribution.map((bucket) => ({ rating: bucket._id, count: bucket.count })),
+      },
+      nps,
+      byTechnician,
+      recentFeedback,
+    })
+  } catch (err) {
+    console.error("Get satisfaction analytics error:", err)
+    res.status(500).json({ message: "Error fetching satisfaction analytics" })
+  }
+})
+
+// Knowledge-base deflection: tickets avoided because a suggested article answered the question
+router.get("/deflection", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const timeRange = req.query.timeRange || "30d"
+    const startDate = getStartDate(timeRange)
+
+    const report = await buildDeflectionReport({ startDate })
+
+    res.json({ timeRange, ...report })
+  } catch (err) {
+    console.error("Get deflection analytics error:", err)
+    res.status(500).json({ message: "Error fetching deflection analytics" })
+  }
+})
+
 // Helper functions
 function getStartDate(timeRange) {
   const now = new Date()
@@ -282,6 +444,54 @@ function getStartDate(timeRange) {
   }
 }
 
+// Net Promoter Score (% promoters minus % detractors) for matching requests
+async function getNpsStats(filter) {
+  const [result] = await SupportRequest.aggregate([
+    { $match: { ...filter, "customerSatisfaction.npsScore": { $exists: true } } },
+    {
+      $group: {
+        _id: null,
+        responses: { $sum: 1 },
+        promoters: { $sum: { $cond: [{ $gte: ["$customerSatisfaction.npsScore", 9] }, 1, 0] } },
+        detractors: { $sum: { $cond: [{ $lte: ["$customerSatisfaction.npsScore", 6] }, 1, 0] } },
+      },
+    },
+  ])
+
+  if (!result) {
+    return { responses: 0, promoters: 0, passives: 0, detractors: 0, score: null }
+  }
+
+  return {
+    responses: result.responses,
+    promoters: result.promoters,
+    passives: result.responses - result.promoters - result.detractors,
+    detractors: result.detractors,
+    score: Math.round(((result.promoters - result.detractors) / result.responses) * 100),
+  }
+}
+
+// Average resolution time in business hours, streamed with a cursor to keep memory flat
+async function getAvgBusinessResolutionTime(startDate, calendar) {
+  const cursor = SupportRequest.find({
+    createdAt: { $gte: startDate },
+    status: { $in: ["resolved", "closed"] },
+    resolvedAt: { $exists: true },
+  })
+    .select("createdAt resolvedAt")
+    .lean()
+    .cursor()
+
+  let total = 0
+  let count = 0
+  for await (const request of cursor) {
+    total += businessHoursBetween(request.createdAt, request.resolvedAt, calendar)
+    count += 1
+  }
+
+  return count > 0 ? total / count : 0
+}
+
 async function getAdminStats(startDate) {
   const [
     totalUsers,
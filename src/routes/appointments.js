@@ -1,12 +1,37 @@
 import express from "express"
 import Joi from "joi"
 import Appointment from "../models/appointment.js"
+import AppointmentSeries from "../models/appointment-series.js"
+import RescheduleProposal from "../models/reschedule-proposal.js"
 import User from "../models/user.js"
 import { authenticate } from "../middlewares/authenticate.js"
 import { authorize } from "../middlewares/authorize.js"
 import { validateRequest } from "../middlewares/validation.js"
 import { asyncHandler } from "../utils/response.js"
 import { logger } from "../utils/logger.js"
+import {
+  checkTechnicianAvailability,
+  notifyAppointmentCanceled,
+  notifyAppointmentMoved,
+  notifyAppointmentScheduled,
+} from "../utils/appointments.js"
+import {
+  SERIES_SCOPES,
+  cancelSeriesOccurrences,
+  createSeries,
+  markException,
+  updateSeriesOccurrences,
+} from "../utils/appointment-series.js"
+import {
+  acceptProposal,
+  appointmentParty,
+  declineProposal,
+  proposeReschedule,
+  supersedeProposals,
+  withdrawProposal,
+} from "../utils/reschedule-proposals.js"
+import { offerReleasedTime } from "../utils/waitlist.js"
+import { syncAppointmentReminders, syncUpcomingReminders } from "../utils/appointment-reminders.js"
 
 const router = express.Router()
 
@@ -36,6 +61,12 @@ const createAppointmentSchema = Joi.object({
       lng: Joi.number().min(-180).max(180),
     }).optional(),
   }).optional(),
+  // Recurring booking: startTime/endTime describe the first occurrence
+  recurrence: Joi.object({
+    rrule: Joi.string().max(200).required(),
+    timezone: Joi.string().max(64).optional(),
+    skipConflicts: Joi.boolean().default(false),
+  }).optional(),
 })
 
 const updateAppointmentSchema = Joi.object({
@@ -64,6 +95,9 @@ const updateAppointmentSchema = Joi.object({
   completionNotes: Joi.string().max(1000).optional(),
   rating: Joi.number().min(1).max(5).optional(),
   feedback: Joi.string().max(500).optional(),
+  scope: Joi.string()
+    .valid(...SERIES_SCOPES)
+    .default("this"),
 })
   .custom((value, helpers) => {
     // If endTime is provided, ensure it's after startTime
@@ -79,69 +113,38 @@ const updateAppointmentSchema = Joi.object({
 // Cancellation schema
 const cancelAppointmentSchema = Joi.object({
   cancellationReason: Joi.string().max(500).optional().allow(""),
+  scope: Joi.string()
+    .valid(...SERIES_SCOPES)
+    .default("this"),
 })
 
-// Helper function to check technician availability - IMPROVED
-const checkTechnicianAvailability = async (technicianId, startTime, endTime, excludeAppointmentId = null) => {
-  const technician = await User.findOne({
-    _id: technicianId,
-    role: "technician",
-    isActive: true,
-  })
-
-  if (!technician) {
-    throw new Error("Technician not found or inactive")
-  }
-
-  if (technician.availability !== "available") {
-    throw new Error("Technician is not available")
-  }
+// Reschedule proposal schemas
+const proposeRescheduleSchema = Joi.object({
+  slots: Joi.array()
+    .items(
+      Joi.object({
+        startTime: Joi.date().iso().min("now").required(),
+        endTime: Joi.date().iso().greater(Joi.ref("startTime")).required(),
+      }),
+    )
+    .min(1)
+    .max(5)
+    .required(),
+  message: Joi.string().max(500).optional().allow(""),
+})
 
-  console.log("Checking availability for:", {
-    technicianId,
-    startTime: startTime.toISOString(),
-    endTime: endTime.toISOString(),
-    excludeAppointmentId,
-  })
+const respondRescheduleSchema = Joi.object({
+  slotIndex: Joi.number().integer().min(0).max(4).optional(),
+  message: Joi.string().max(500).optional().allow(""),
+})
 
-  // Check for conflicting appointments - more comprehensive logic
-  const conflictQuery = {
-    technician: technicianId,
-    status: { $nin: ["canceled", "completed"] },
-    $or: [
-      {
-        // Case 1: New appointment starts during existing appointment
-        startTime: { $lt: endTime },
-        endTime: { $gt: startTime },
-      },
-    ],
-  }
-
-  if (excludeAppointmentId) {
-    conflictQuery._id = { $ne: excludeAppointmentId }
-  }
-
-  const conflicts = await Appointment.find(conflictQuery)
-
-  console.log(
-    "Found potential conflicts:",
-    conflicts.map((c) => ({
-      id: c._id,
-      start: c.startTime.toISOString(),
-      end: c.endTime.toISOString(),
-      status: c.status,
-    })),
-  )
-
-  if (conflicts.length > 0) {
-    const conflict = conflicts[0]
-    throw new Error(
-      `Technician has a conflicting appointment from ${conflict.startTime.toISOString()} to ${conflict.endTime.toISOString()}. Please choose a different time slot.`,
-    )
-  }
+// Fields that can be changed for several occurrences of a series at once
+const SERIES_UPDATE_FIELDS = ["startTime", "endTime", "notes", "serviceType", "priority", "location", "scope"]
 
-  return technician
-}
+const populateAppointment = [
+  { path: "client", select: "username email phone" },
+  { path: "technician", select: "username email phone specialization" },
+]
 
 // Create appointment
 router.post(
@@ -150,7 +153,8 @@ router.post(
   authorize(["customer", "admin"]),
   validateRequest(createAppointmentSchema),
   asyncHandler(async (req, res) => {
-    const { technicianId, startTime, endTime, notes, serviceType, priority, estimatedDuration, location } = req.body
+    const { technicianId, startTime, endTime, notes, serviceType, priority, estimatedDuration, location, recurrence } =
+      req.body
 
     console.log("Creating appointment:", {
       technicianId,
@@ -160,6 +164,39 @@ router.post(
       userId: req.user.userId,
     })
 
+    if (recurrence) {
+      const result = await createSeries(req.user, req.body)
+      if (!result.ok) {
+        const { ok, statusCode, ...details } = result
+        return res.status(statusCode).json({ success: false, ...details })
+      }
+
+      const appointments = await Appointment.populate(result.appointments, populateAppointment)
+
+      logger.info(`Appointment series created`, {
+        seriesId: result.series._id,
+        clientId: req.user.userId,
+        technicianId,
+        rrule: result.series.rrule,
+        occurrences: appointments.length,
+        skipped: result.skipped.length,
+      })
+
+      await notifyAppointmentScheduled(appointments)
+      await syncUpcomingReminders(appointments)
+
+      return res.status(201).json({
+        success: true,
+        message: "Recurring appointment created successfully",
+        data: {
+          appointment: appointments[0],
+          series: result.series,
+          occurrences: appointments,
+          skipped: result.skipped,
+        },
+      })
+    }
+
     // Verify technician availability
     await checkTechnicianAvailability(technicianId, new Date(startTime), new Date(endTime))
 
@@ -196,6 +233,9 @@ router.post(
       serviceType,
     })
 
+    await notifyAppointmentScheduled([appointment])
+    await syncAppointmentReminders(appointment)
+
     res.status(201).json({
       success: true,
       message: "Appointment created successfully",
@@ -289,6 +329,47 @@ router.get(
   }),
 )
 
+// Get a recurring series with its occurrences and exceptions
+router.get(
+  "/series/:seriesId",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const series = await AppointmentSeries.findById(req.params.seriesId)
+      .populate("client", "username email phone")
+      .populate("technician", "username email phone specialization")
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment series not found",
+      })
+    }
+
+    const hasAccess =
+      req.user.role === "admin" ||
+      series.client._id.toString() === req.user.userId ||
+      series.technician._id.toString() === req.user.userId
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    // Occurrences split off into later series stay reachable through previousSeries
+    const [occurrences, laterSeries] = await Promise.all([
+      Appointment.find({ series: series._id }).select("-client -technician").sort({ occurrenceStart: 1 }),
+      AppointmentSeries.find({ previousSeries: series._id }).select("_id rrule startTime status"),
+    ])
+
+    res.json({
+      success: true,
+      data: { series, occurrences, laterSeries },
+    })
+  }),
+)
+
 // Get single appointment
 router.get(
   "/:appointmentId",
@@ -361,22 +442,82 @@ router.put(
       })
     }
 
-    // If updating time fields, verify availability
-    if (req.body.startTime || req.body.endTime) {
-      const newStartTime = req.body.startTime ? new Date(req.body.startTime) : appointment.startTime
-      const newEndTime = req.body.endTime ? new Date(req.body.endTime) : appointment.endTime
+    // Clients and technicians agree on new times through reschedule proposals
+    if (req.user.role !== "admin" && (req.body.startTime || req.body.endTime)) {
+      return res.status(403).json({
+        success: false,
+        code: "RESCHEDULE_PROPOSAL_REQUIRED",
+        message: "Only admins can move appointments directly; propose new times as a reschedule proposal instead",
+      })
+    }
+
+    const { scope } = req.body
+    if (scope !== "this" && !appointment.series) {
+      return res.status(400).json({
+        success: false,
+        message: "Appointment is not part of a recurring series",
+      })
+    }
+    const series = appointment.series ? await AppointmentSeries.findById(appointment.series) : null
 
-      // Ensure new times are in the future (unless admin)
-      if (req.user.role !== "admin" && newStartTime < new Date()) {
+    // "This and following" / "all" edits of a recurring series
+    if (series && scope !== "this") {
+      const unsupported = Object.keys(req.body).filter((field) => !SERIES_UPDATE_FIELDS.includes(field))
+      if (unsupported.length > 0) {
         return res.status(400).json({
           success: false,
-          message: "Start time must be in the future",
+          message: `Only ${SERIES_UPDATE_FIELDS.filter((field) => field !== "scope").join(", ")} can be changed for several occurrences; got ${unsupported.join(", ")}`,
         })
       }
 
+      const previousStartTime = appointment.startTime
+      const result = await updateSeriesOccurrences(appointment, series, req.user, req.body, scope)
+      if (!result.ok) {
+        const { ok, statusCode, ...details } = result
+        return res.status(statusCode).json({ success: false, ...details })
+      }
+
+      const occurrences = await Appointment.populate(result.appointments, populateAppointment)
+
+      logger.info(`Appointment series updated`, {
+        appointmentId: appointment._id,
+        seriesId: result.series._id,
+        previousSeriesId: result.previousSeries?._id,
+        scope,
+        updatedBy: req.user.userId,
+        changes: Object.keys(req.body),
+        occurrences: occurrences.length,
+      })
+
+      await syncUpcomingReminders(occurrences)
+      if (req.body.startTime || req.body.endTime) {
+        const scheduled = occurrences.filter((occurrence) => occurrence.status === "scheduled")
+        await supersedeProposals(occurrences.map((occurrence) => occurrence._id))
+        await notifyAppointmentMoved(scheduled, previousStartTime)
+      }
+
+      return res.json({
+        success: true,
+        message: "Appointments updated successfully",
+        data: {
+          appointment: occurrences.find((occurrence) => occurrence._id.equals(appointment._id)),
+          series: result.series,
+          occurrences,
+        },
+      })
+    }
+
+    // If updating time fields, verify availability
+    if (req.body.startTime || req.body.endTime) {
+      const newStartTime = req.body.startTime ? new Date(req.body.startTime) : appointment.startTime
+      const newEndTime = req.body.endTime ? new Date(req.body.endTime) : appointment.endTime
+
       await checkTechnicianAvailability(appointment.technician, newStartTime, newEndTime, appointment._id)
     }
 
+    const wasCanceled = appointment.status === "canceled"
+    const previousTime = { startTime: appointment.startTime, endTime: appointment.endTime }
+
     // Update fields
     const allowedUpdates = [
       "startTime",
@@ -407,6 +548,13 @@ router.put(
       appointment.actualDuration = duration
     }
 
+    // Editing one occurrence of a series makes it an exception that series-wide edits leave alone
+    const changesOccurrence = SERIES_UPDATE_FIELDS.some((field) => field !== "scope" && req.body[field] !== undefined)
+    if (series && (changesOccurrence || req.body.status === "canceled")) {
+      markException(series, appointment, req.body.status === "canceled" ? "canceled" : "modified", req.user)
+      await series.save()
+    }
+
     await appointment.save()
     await appointment.populate([
       { path: "client", select: "username email phone" },
@@ -419,6 +567,27 @@ router.put(
       changes: Object.keys(req.body),
     })
 
+    if (!wasCanceled && appointment.status === "canceled") {
+      await notifyAppointmentCanceled([appointment], appointment.cancellationReason)
+    }
+
+    await syncAppointmentReminders(appointment)
+
+    const moved =
+      appointment.startTime.getTime() !== previousTime.startTime.getTime() ||
+      appointment.endTime.getTime() !== previousTime.endTime.getTime()
+    if (moved || appointment.status !== "scheduled") {
+      await supersedeProposals([appointment._id])
+    }
+    if (moved && appointment.status === "scheduled") {
+      await notifyAppointmentMoved([appointment], previousTime.startTime)
+    }
+
+    // Time given up by canceling, shortening or moving the appointment is offered to the waitlist
+    if (!wasCanceled && (appointment.status === "canceled" || req.body.startTime || req.body.endTime)) {
+      await offerReleasedTime(appointment, previousTime)
+    }
+
     res.json({
       success: true,
       message: "Appointment updated successfully",
@@ -476,6 +645,52 @@ router.patch(
       }
     }
 
+    const { scope } = req.body
+    if (scope !== "this" && !appointment.series) {
+      return res.status(400).json({
+        success: false,
+        message: "Appointment is not part of a recurring series",
+      })
+    }
+    const series = appointment.series ? await AppointmentSeries.findById(appointment.series) : null
+
+    if (series && scope !== "this") {
+      const reason = req.body.cancellationReason || "No reason provided"
+      const result = await cancelSeriesOccurrences(appointment, series, req.user, reason, scope)
+
+      const canceled = await Appointment.find({ _id: { $in: result.appointmentIds } })
+        .populate(populateAppointment)
+        .sort({ startTime: 1 })
+      const updatedAppointment = canceled.find((occurrence) => occurrence._id.equals(appointment._id))
+
+      logger.info(`Appointment series canceled`, {
+        appointmentId: appointment._id,
+        seriesId: series._id,
+        scope,
+        canceledBy: req.user.userId,
+        canceled: result.canceled,
+        reason,
+      })
+
+      await supersedeProposals(result.appointmentIds)
+      await notifyAppointmentCanceled(canceled, reason)
+      await syncUpcomingReminders(canceled)
+      for (const occurrence of canceled) {
+        await offerReleasedTime(occurrence)
+      }
+
+      return res.json({
+        success: true,
+        message: `${result.canceled} appointment(s) canceled successfully`,
+        data: { appointment: updatedAppointment, series: result.series, canceled: result.canceled },
+      })
+    }
+
+    if (series) {
+      markException(series, appointment, "canceled", req.user, req.body.cancellationReason)
+      await Promise.all([series.save(), Appointment.updateOne({ _id: appointment._id }, { isException: true })])
+    }
+
     // Update only the status and cancellation reason - no validation issues
     await Appointment.findByIdAndUpdate(
       req.params.appointmentId,
@@ -499,6 +714,11 @@ router.patch(
       reason: req.body.cancellationReason || "No reason provided",
     })
 
+    await supersedeProposals([appointment._id])
+    await notifyAppointmentCanceled([updatedAppointment], req.body.cancellationReason)
+    await syncAppointmentReminders(updatedAppointment)
+    await offerReleasedTime(updatedAppointment)
+
     res.json({
       success: true,
       message: "Appointment canceled successfully",
@@ -507,6 +727,145 @@ router.patch(
   }),
 )
 
+// List reschedule proposals of an appointment, newest first
+router.get(
+  "/:appointmentId/reschedule-proposals",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.appointmentId)
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment not found",
+      })
+    }
+
+    if (!appointmentParty(appointment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const proposals = await RescheduleProposal.find({ appointment: appointment._id })
+      .populate("proposedBy", "username role")
+      .populate("respondedBy", "username role")
+      .sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      data: { proposals },
+    })
+  }),
+)
+
+// Propose new slots; answering the other party's pending proposal this way makes a counter-offer
+router.post(
+  "/:appointmentId/reschedule-proposals",
+  authenticate,
+  validateRequest(proposeRescheduleSchema),
+  asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.appointmentId)
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: "Appointment not found",
+      })
+    }
+
+    if (!appointmentParty(appointment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const result = await proposeReschedule(appointment, req.user, req.body)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json({ success: false, ...details })
+    }
+
+    logger.info(`Appointment reschedule proposed`, {
+      appointmentId: appointment._id,
+      proposalId: result.proposal._id,
+      proposedBy: req.user.userId,
+      counterOf: result.countered?._id,
+      slots: result.proposal.slots.length,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: result.countered ? "Counter-proposal sent" : "Reschedule proposal sent",
+      data: { proposal: result.proposal },
+    })
+  }),
+)
+
+// Shared handler for accepting, declining and withdrawing a reschedule proposal
+const answerProposal = (respond, successMessage) =>
+  asyncHandler(async (req, res) => {
+    const [appointment, proposal] = await Promise.all([
+      Appointment.findById(req.params.appointmentId),
+      RescheduleProposal.findOne({ _id: req.params.proposalId, appointment: req.params.appointmentId }),
+    ])
+
+    if (!appointment || !proposal) {
+      return res.status(404).json({
+        success: false,
+        message: "Reschedule proposal not found",
+      })
+    }
+
+    if (!appointmentParty(appointment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const result = await respond(proposal, appointment, req.user, req.body)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json({ success: false, ...details })
+    }
+
+    logger.info(`Appointment reschedule proposal ${result.proposal.status}`, {
+      appointmentId: appointment._id,
+      proposalId: proposal._id,
+      respondedBy: req.user.userId,
+    })
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: { proposal: result.proposal, appointment },
+    })
+  })
+
+router.post(
+  "/:appointmentId/reschedule-proposals/:proposalId/accept",
+  authenticate,
+  validateRequest(respondRescheduleSchema),
+  answerProposal(acceptProposal, "Proposal accepted and appointment rescheduled"),
+)
+
+router.post(
+  "/:appointmentId/reschedule-proposals/:proposalId/decline",
+  authenticate,
+  validateRequest(respondRescheduleSchema),
+  answerProposal(declineProposal, "Proposal declined"),
+)
+
+router.post(
+  "/:appointmentId/reschedule-proposals/:proposalId/withdraw",
+  authenticate,
+  validateRequest(respondRescheduleSchema),
+  answerProposal(withdrawProposal, "Proposal withdrawn"),
+)
+
 // Keep the old DELETE route for backward compatibility
 router.delete(
   "/:appointmentId",
@@ -555,6 +914,12 @@ router.delete(
       }
     }
 
+    const series = appointment.series ? await AppointmentSeries.findById(appointment.series) : null
+    if (series) {
+      markException(series, appointment, "canceled", req.user, "Canceled by user")
+      await Promise.all([series.save(), Appointment.updateOne({ _id: appointment._id }, { isException: true })])
+    }
+
     // Update only the status - no validation issues
     await Appointment.findByIdAndUpdate(
       req.params.appointmentId,
@@ -578,6 +943,11 @@ router.delete(
       reason: "Canceled by user",
     })
 
+    await supersedeProposals([appointment._id])
+    await notifyAppointmentCanceled([updatedAppointment], "Canceled by user")
+    await syncAppointmentReminders(updatedAppointment)
+    await offerReleasedTime(updatedAppointment)
+
     res.json({
       success: true,
       message: "Appointment canceled successfully",
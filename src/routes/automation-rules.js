@@ -0,0 +1,402 @@
+import express from "express"
+import Joi from "joi"
+import AutomationRule from "../models/automation-rule.js"
+import AutomationExecution from "../models/automation-execution.js"
+import User from "../models/user.js"
+import { authenticate } from "../middlewares/authenticate.js"
+import { requireAdmin } from "../middlewares/authorize.js"
+import { createAuditLog } from "../utils/audit.js"
+import { AUTOMATION_EVENTS, testRule } from "../utils/automation.js"
+import { findUnknownPlaceholders } from "../utils/macros.js"
+
+const router = express.Router()
+
+const categories = [
+  "technical-support",
+  "billing",
+  "account-issues",
+  "feature-request",
+  "bug-report",
+  "general-inquiry",
+  "legal-consultation",
+  "business-consultation",
+]
+const priorities = ["low", "medium", "high", "urgent"]
+const statuses = ["open", "in-progress", "pending-customer", "resolved", "closed"]
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+
+// Validation schemas
+const conditionsSchema = Joi.object({
+  categories: Joi.array().items(Joi.string().valid(...categories)).unique(),
+  priorities: Joi.array().items(Joi.string().valid(...priorities)).unique(),
+  statuses: Joi.array().items(Joi.string().valid(...statuses)).unique(),
+  fromStatuses: Joi.array().items(Joi.string().valid(...statuses)).unique(),
+  keywords: Joi.array().items(Joi.string().trim().min(2).max(50)).max(20),
+  accountTypes: Joi.array().items(Joi.string().valid("individual", "business")).unique(),
+  senderRoles: Joi.array().items(Joi.string().valid("customer", "technician", "admin")).unique(),
+  minMinutesInStatus: Joi.number().integer().min(0),
+  maxMinutesInStatus: Joi.number().integer().min(0),
+})
+
+const actionsSchema = Joi.object({
+  priority: Joi.string().valid(...priorities),
+  addTags: Joi.array().items(Joi.string().trim()).max(10),
+  assign: Joi.string().valid("auto", "technician", "unassign"),
+  technician: objectId.when("assign", { is: "technician", then: Joi.required(), otherwise: Joi.forbidden() }),
+  notify: Joi.object({
+    recipients: Joi.array()
+      .items(Joi.string().valid("customer", "technician", "technicians", "admins"))
+      .min(1)
+      .unique()
+      .required(),
+    content: Joi.string().max(500).required(),
+  }),
+  message: Joi.object({
+    content: Joi.string().max(2000).required(),
+    visibility: Joi.string().valid("public", "internal").default("internal"),
+  }),
+})
+
+const createRuleSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).allow(""),
+  event: Joi.string()
+    .valid(...AUTOMATION_EVENTS)
+    .required(),
+  order: Joi.number().integer(),
+  isActive: Joi.boolean().default(true),
+  stopProcessing: Joi.boolean().default(false),
+  conditions: conditionsSchema.default({}),
+  actions: actionsSchema.required(),
+})
+
+const updateRuleSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  description: Joi.string().max(500).allow(""),
+  event: Joi.string().valid(...AUTOMATION_EVENTS),
+  order: Joi.number().integer(),
+  isActive: Joi.boolean(),
+  stopProcessing: Joi.boolean(),
+  conditions: conditionsSchema,
+  actions: actionsSchema,
+})
+
+const testRuleSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  requestIds: Joi.array().items(Joi.string()).max(200),
+})
+
+const reorderSchema = Joi.object({
+  ruleIds: Joi.array().items(objectId).min(1).unique().required(),
+})
+
+const listExecutionsSchema = Joi.object({
+  ruleId: objectId,
+  requestId: Joi.string(),
+  status: Joi.string().valid("success", "failed"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+})
+
+// A rule has to do something, with conditions that fit its event and only known placeholders
+const validateRuleDefinition = async (rule) => {
+  const actions = rule.actions || {}
+  const conditions = rule.conditions || {}
+  const hasAction =
+    Boolean(actions.priority || actions.assign || actions.notify?.content || actions.message?.content) ||
+    actions.addTags?.length > 0
+  if (!hasAction) {
+    return "A rule needs at least one action"
+  }
+
+  if (conditions.fromStatuses?.length && rule.event !== "status-changed") {
+    return "fromStatuses only applies to status-changed rules"
+  }
+  if (conditions.senderRoles?.length && rule.event !== "message-added") {
+    return "senderRoles only applies to message-added rules"
+  }
+  // Rules only run on events, and on the other events the request has just entered its status
+  const timeInStatus = conditions.minMinutesInStatus != null || conditions.maxMinutesInStatus != null
+  if (timeInStatus && rule.event !== "message-added") {
+    return "minMinutesInStatus and maxMinutesInStatus only apply to message-added rules"
+  }
+  if (
+    conditions.minMinutesInStatus != null &&
+    conditions.maxMinutesInStatus != null &&
+    conditions.minMinutesInStatus > conditions.maxMinutesInStatus
+  ) {
+    return "minMinutesInStatus cannot be greater than maxMinutesInStatus"
+  }
+
+  const unknown = [
+    ...new Set([...findUnknownPlaceholders(actions.notify?.content), ...findUnknownPlaceholders(actions.message?.content)]),
+  ]
+  if (unknown.length > 0) {
+    return `Unknown placeholder(s): ${unknown.join(", ")}`
+  }
+
+  if (actions.assign === "technician") {
+    const technician = await User.exists({ _id: actions.technician, role: "technician", isActive: true })
+    if (!technician) {
+      return "Invalid technician"
+    }
+  }
+
+  return null
+}
+
+// List rules in the order they run
+router.get("/", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.event) {
+      filter.event = req.query.event
+    }
+    if (req.query.includeInactive !== "true") {
+      filter.isActive = true
+    }
+
+    const rules = await AutomationRule.find(filter)
+      .populate("createdBy", "username email")
+      .populate("actions.technician", "username email")
+      .sort({ event: 1, order: 1, createdAt: 1 })
+
+    res.json({ rules, events: AUTOMATION_EVENTS })
+  } catch (err) {
+    console.error("Get automation rules error:", err)
+    res.status(500).json({ message: "Error fetching automation rules" })
+  }
+})
+
+// Execution log
+router.get("/executions", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = listExecutionsSchema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const filter = {}
+    if (value.ruleId) filter.rule = value.ruleId
+    if (value.requestId) filter.requestId = value.requestId
+    if (value.status) filter.status = value.status
+
+    const { page, limit } = value
+    const [executions, total] = await Promise.all([
+      AutomationExecution.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AutomationExecution.countDocuments(filter),
+    ])
+
+    res.json({
+      executions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    })
+  } catch (err) {
+    console.error("Get automation executions error:", err)
+    res.status(500).json({ message: "Error fetching automation executions" })
+  }
+})
+
+// Dry-run an unsaved rule against past requests
+router.post("/test", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { rule: definition, ...options } = req.body || {}
+    const { error, value } = createRuleSchema.validate(definition || {})
+    const { error: optionsError, value: testOptions } = testRuleSchema.validate(options)
+    if (error || optionsError) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: (error || optionsError).details.map((detail) => detail.message),
+      })
+    }
+
+    const definitionError = await validateRuleDefinition(value)
+    if (definitionError) {
+      return res.status(400).json({ message: definitionError })
+    }
+
+    const result = await testRule(new AutomationRule({ ...value, createdBy: req.user.userId }), testOptions)
+
+    res.json({ dryRun: true, ...result })
+  } catch (err) {
+    console.error("Test automation rule error:", err)
+    res.status(500).json({ message: "Error testing automation rule" })
+  }
+})
+
+// Set the run order of rules: the first ID runs first
+router.put("/order", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = reorderSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const found = await AutomationRule.countDocuments({ _id: { $in: value.ruleIds } })
+    if (found !== value.ruleIds.length) {
+      return res.status(404).json({ message: "One or more rules not found" })
+    }
+
+    await AutomationRule.bulkWrite(
+      value.ruleIds.map((ruleId, index) => ({
+        updateOne: { filter: { _id: ruleId }, update: { $set: { order: (index + 1) * 10 } } },
+      })),
+    )
+
+    await createAuditLog(req.user.userId, "update", "system-settings", null, { action: "reorder-automation-rules", ...value }, req)
+
+    const rules = await AutomationRule.find({ _id: { $in: value.ruleIds } }).sort({ event: 1, order: 1 })
+    res.json({ message: "Rules reordered successfully", rules })
+  } catch (err) {
+    console.error("Reorder automation rules error:", err)
+    res.status(500).json({ message: "Error reordering automation rules" })
+  }
+})
+
+// Get single rule with its recent executions
+router.get("/:ruleId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const rule = await AutomationRule.findById(req.params.ruleId)
+      .populate("createdBy", "username email")
+      .populate("actions.technician", "username email")
+    if (!rule) {
+      return res.status(404).json({ message: "Automation rule not found" })
+    }
+
+    const recentExecutions = await AutomationExecution.find({ rule: rule._id }).sort({ createdAt: -1 }).limit(10)
+
+    res.json({ rule, recentExecutions })
+  } catch (err) {
+    console.error("Get automation rule error:", err)
+    res.status(500).json({ message: "Error fetching automation rule" })
+  }
+})
+
+// Create rule; without an order it runs after the existing rules for its event
+router.post("/", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = createRuleSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const definitionError = await validateRuleDefinition(value)
+    if (definitionError) {
+      return res.status(400).json({ message: definitionError })
+    }
+
+    if (value.order === undefined) {
+      const last = await AutomationRule.findOne({ event: value.event }).sort({ order: -1 }).select("order")
+      value.order = (last?.order || 0) + 10
+    }
+
+    const rule = new AutomationRule({ ...value, createdBy: req.user.userId })
+    await rule.save()
+
+    await createAuditLog(req.user.userId, "create", "system-settings", rule._id, { automationRule: value }, req)
+
+    console.log(`Automation rule created: ${rule.name} (${rule.event}) by ${req.user.email}`)
+
+    res.status(201).json({
+      message: "Automation rule created successfully",
+      rule,
+    })
+  } catch (err) {
+    console.error("Create automation rule error:", err)
+    res.status(500).json({ message: "Error creating automation rule" })
+  }
+})
+
+// Update rule
+router.put("/:ruleId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = updateRuleSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const rule = await AutomationRule.findById(req.params.ruleId)
+    if (!rule) {
+      return res.status(404).json({ message: "Automation rule not found" })
+    }
+
+    Object.assign(rule, value)
+
+    const definitionError = await validateRuleDefinition(rule.toObject())
+    if (definitionError) {
+      return res.status(400).json({ message: definitionError })
+    }
+
+    await rule.save()
+
+    await createAuditLog(req.user.userId, "update", "system-settings", rule._id, { automationRule: value }, req)
+
+    res.json({
+      message: "Automation rule updated successfully",
+      rule,
+    })
+  } catch (err) {
+    console.error("Update automation rule error:", err)
+    res.status(500).json({ message: "Error updating automation rule" })
+  }
+})
+
+// Delete rule; its execution log is kept
+router.delete("/:ruleId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const rule = await AutomationRule.findByIdAndDelete(req.params.ruleId)
+    if (!rule) {
+      return res.status(404).json({ message: "Automation rule not found" })
+    }
+
+    await createAuditLog(req.user.userId, "delete", "system-settings", rule._id, { automationRule: rule.name }, req)
+
+    res.json({ message: "Automation rule deleted successfully" })
+  } catch (err) {
+    console.error("Delete automation rule error:", err)
+    res.status(500).json({ message: "Error deleting automation rule" })
+  }
+})
+
+// Dry-run a saved rule against past requests
+router.post("/:ruleId/test", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = testRuleSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const rule = await AutomationRule.findById(req.params.ruleId)
+    if (!rule) {
+      return res.status(404).json({ message: "Automation rule not found" })
+    }
+
+    const result = await testRule(rule, value)
+
+    res.json({ dryRun: true, ruleId: rule._id, ...result })
+  } catch (err) {
+    console.error("Test automation rule error:", err)
+    res.status(500).json({ message: "Error testing automation rule" })
+  }
+})
+
+export default router
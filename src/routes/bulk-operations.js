@@ -6,6 +6,11 @@ import Notification from "../models/notification.js"
 import { authenticate } from "../middlewares/authenticate.js"
 import { requireAdmin, requireTechnician } from "../middlewares/authorize.js"
 import { createAuditLog } from "../utils/audit.js"
+import { applyStatusChange, validateStatusTransition } from "../utils/status-workflow.js"
+import { notifyResolved } from "../utils/request-events.js"
+import { stopTimersOnClose } from "../utils/worklogs.js"
+import { recordRevision, snapshotRevisedFields } from "../utils/revisions.js"
+import { runAutomations } from "../utils/automation.js"
 
 const router = express.Router()
 
@@ -77,15 +82,60 @@ router.patch("/support-requests", authenticate, requireTechnician, async (req, r
       }
     }
 
+    const { status, ...fieldUpdates } = updates
+
+    // Status changes go through the workflow, so validate every transition up front
+    if (status) {
+      const rejected = requests
+        .filter((request) => request.status !== status)
+        .map((request) => ({
+          requestId: request.requestId,
+          ...validateStatusTransition(request.status, status, req.user.role),
+        }))
+        .filter((transition) => !transition.allowed)
+        .map(({ allowed, statusCode, ...details }) => details)
+
+      if (rejected.length > 0) {
+        return res.status(409).json({
+          message: "Some requests cannot move to the requested status",
+          code: "INVALID_STATUS_TRANSITION",
+          rejected,
+        })
+      }
+    }
+
     // Perform bulk update
-    const updateData = { ...updates }
-    if (updates.status === "resolved") {
-      updateData.resolvedAt = new Date()
-    } else if (updates.status === "closed") {
-      updateData.closedAt = new Date()
+    let modifiedCount = 0
+    if (Object.keys(fieldUpdates).length > 0) {
+      const result = await SupportRequest.updateMany({ _id: { $in: requestIds } }, { $set: fieldUpdates })
+      modifiedCount = result.modifiedCount
+
+      for (const request of requests) {
+        const before = snapshotRevisedFields(request)
+        Object.assign(request, fieldUpdates)
+        await recordRevision(request, before, req.user)
+      }
+    }
+
+    if (status) {
+      let statusChanged = 0
+      for (const request of requests.filter((request) => request.status !== status)) {
+        const from = request.status
+        const transition = validateStatusTransition(from, status, req.user.role)
+        Object.assign(request, fieldUpdates)
+        applyStatusChange(request, { to: status, action: transition.action, user: req.user, reason: "Bulk update" })
+        await request.save()
+        await stopTimersOnClose(request)
+        statusChanged += 1
+        if (status === "resolved") {
+          await notifyResolved(request)
+        }
+        await runAutomations("status-changed", request, { from, user: req.user })
+      }
+      modifiedCount = Math.max(modifiedCount, statusChanged)
     }
 
-    const result = await SupportRequest.updateMany({ _id: { $in: requestIds } }, { $set: updateData })
+    const result = { modifiedCount }
 
     await createAuditLog(
       req.user.userId,
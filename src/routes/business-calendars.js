@@ -0,0 +1,292 @@
+import express from "express"
+import Joi from "joi"
+import BusinessCalendar from "../models/business-calendar.js"
+import { authenticate } from "../middlewares/authenticate.js"
+import { requireAdmin, requireTechnician } from "../middlewares/authorize.js"
+import {
+  addBusinessMinutes,
+  businessMinutesBetween,
+  hasWorkingTimeAhead,
+  isWithinBusinessHours,
+} from "../utils/business-hours.js"
+
+const router = express.Router()
+
+// Validation schemas
+const timeString = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$|^24:00$/)
+const dateString = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+
+const weeklyHoursSchema = Joi.array().items(
+  Joi.object({
+    dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+    start: timeString.required(),
+    end: timeString.required(),
+  })
+    // HH:MM strings compare in time order
+    .custom((slot, helpers) => (slot.end > slot.start ? slot : helpers.error("custom.endAfterStart")))
+    .messages({
+      "custom.endAfterStart": "Working hours must end after they start",
+    }),
+)
+
+const holidaySchema = Joi.object({
+  date: dateString.required(),
+  name: Joi.string().max(100),
+  recurring: Joi.boolean().default(false),
+})
+
+const createCalendarSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).allow(""),
+  timezone: Joi.string().default("UTC"),
+  weeklyHours: weeklyHoursSchema.default([]),
+  holidays: Joi.array().items(holidaySchema).default([]),
+  isDefault: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true),
+})
+
+const updateCalendarSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  description: Joi.string().max(500).allow(""),
+  timezone: Joi.string(),
+  weeklyHours: weeklyHoursSchema,
+  holidays: Joi.array().items(holidaySchema),
+  isDefault: Joi.boolean(),
+  isActive: Joi.boolean(),
+})
+
+const calculateSchema = Joi.object({
+  from: Joi.date().iso().required(),
+  // 90 days of minutes; at 40 working hours a week that stays inside the two-year scan window
+  minutes: Joi.number().min(0).max(90 * 24 * 60),
+  to: Joi.date().iso().min(Joi.ref("from")),
+}).or("minutes", "to")
+
+// List calendars
+router.get("/", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true"
+    }
+
+    const calendars = await BusinessCalendar.find(filter).sort({ isDefault: -1, name: 1 })
+
+    res.json({ calendars })
+  } catch (err) {
+    console.error("Get business calendars error:", err)
+    res.status(500).json({ message: "Error fetching business calendars" })
+  }
+})
+
+// Get single calendar
+router.get("/:calendarId", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const calendar = await BusinessCalendar.findById(req.params.calendarId)
+    if (!calendar) {
+      return res.status(404).json({ message: "Business calendar not found" })
+    }
+
+    res.json({ calendar })
+  } catch (err) {
+    console.error("Get business calendar error:", err)
+    res.status(500).json({ message: "Error fetching business calendar" })
+  }
+})
+
+// Create calendar (admin only)
+router.post("/", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = createCalendarSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    if (!hasWorkingTimeAhead(value)) {
+      return res.status(400).json({ message: "Business calendar has no working time in the next year" })
+    }
+
+    const calendar = new BusinessCalendar({
+      ...value,
+      createdBy: req.user.userId,
+    })
+    await calendar.save()
+
+    console.log(`Business calendar created: ${calendar.name} by ${req.user.email}`)
+
+    res.status(201).json({
+      message: "Business calendar created successfully",
+      calendar,
+    })
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        message: "Validation error",
+        details: Object.values(err.errors).map((detail) => detail.message),
+      })
+    }
+    console.error("Create business calendar error:", err)
+    res.status(500).json({ message: "Error creating business calendar" })
+  }
+})
+
+// Update calendar (admin only)
+router.put("/:calendarId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = updateCalendarSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const calendar = await BusinessCalendar.findById(req.params.calendarId)
+    if (!calendar) {
+      return res.status(404).json({ message: "Business calendar not found" })
+    }
+
+    Object.assign(calendar, value)
+    if (!hasWorkingTimeAhead(calendar)) {
+      return res.status(400).json({ message: "Business calendar has no working time in the next year" })
+    }
+    await calendar.save()
+
+    console.log(`Business calendar updated: ${calendar.name} by ${req.user.email}`)
+
+    res.json({
+      message: "Business calendar updated successfully",
+      calendar,
+    })
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        message: "Validation error",
+        details: Object.values(err.errors).map((detail) => detail.message),
+      })
+    }
+    console.error("Update business calendar error:", err)
+    res.status(500).json({ message: "Error updating business calendar" })
+  }
+})
+
+// Delete calendar (admin only)
+router.delete("/:calendarId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const calendar = await BusinessCalendar.findByIdAndDelete(req.params.calendarId)
+    if (!calendar) {
+      return res.status(404).json({ message: "Business calendar not found" })
+    }
+
+    console.log(`Business calendar deleted: ${calendar.name} by ${req.user.email}`)
+
+    res.json({ message: "Business calendar deleted successfully" })
+  } catch (err) {
+    console.error("Delete business calendar error:", err)
+    res.status(500).json({ message: "Error deleting business calendar" })
+  }
+})
+
+// Add holiday (admin only)
+router.post("/:calendarId/holidays", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = holidaySchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const calendar = await BusinessCalendar.findById(req.params.calendarId)
+    if (!calendar) {
+      return res.status(404).json({ message: "Business calendar not found" })
+    }
+
+    if (calendar.holidays.some((holiday) => holiday.date === value.date)) {
+      return res.status(409).json({ message: "Holiday already exists for this date" })
+    }
+
+    calendar.holidays.push(value)
+    calendar.holidays.sort((a, b) => a.date.localeCompare(b.date))
+    if (!hasWorkingTimeAhead(calendar)) {
+      return res.status(400).json({ message: "This holiday would leave the calendar without working time" })
+    }
+    await calendar.save()
+
+    res.status(201).json({
+      message: "Holiday added successfully",
+      calendar,
+    })
+  } catch (err) {
+    console.error("Add holiday error:", err)
+    res.status(500).json({ message: "Error adding holiday" })
+  }
+})
+
+// Remove holiday (admin only)
+router.delete("/:calendarId/holidays/:date", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const calendar = await BusinessCalendar.findById(req.params.calendarId)
+    if (!calendar) {
+      return res.status(404).json({ message: "Business calendar not found" })
+    }
+
+    const before = calendar.holidays.length
+    calendar.holidays = calendar.holidays.filter((holiday) => holiday.date !== req.params.date)
+    if (calendar.holidays.length === before) {
+      return res.status(404).json({ message: "Holiday not found" })
+    }
+
+    await calendar.save()
+
+    res.json({
+      message: "Holiday removed successfully",
+      calendar,
+    })
+  } catch (err) {
+    console.error("Remove holiday error:", err)
+    res.status(500).json({ message: "Error removing holiday" })
+  }
+})
+
+// Preview business-time math against a calendar
+router.post("/:calendarId/calculate", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = calculateSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const calendar = await BusinessCalendar.findById(req.params.calendarId).lean()
+    if (!calendar) {
+      return res.status(404).json({ message: "Business calendar not found" })
+    }
+
+    const result = {
+      from: value.from,
+      fromIsBusinessTime: isWithinBusinessHours(value.from, calendar),
+    }
+    if (value.minutes !== undefined) {
+      result.minutes = value.minutes
+      result.dueAt = addBusinessMinutes(value.from, value.minutes, calendar)
+    }
+    if (value.to) {
+      result.to = value.to
+      result.elapsedBusinessMinutes = Math.round(businessMinutesBetween(value.from, value.to, calendar))
+    }
+
+    res.json({ result })
+  } catch (err) {
+    console.error("Business time calculation error:", err)
+    res.status(500).json({ message: "Error calculating business time" })
+  }
+})
+
+export default router
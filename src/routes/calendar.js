@@ -0,0 +1,57 @@
+import express from "express"
+import { authenticate } from "../middlewares/authenticate.js"
+import { buildCalendarFeed, getCalendarFeed, revokeCalendarFeed } from "../utils/calendar-feed.js"
+
+const router = express.Router()
+
+// Current user's feed URLs (the token is created on first use)
+router.get("/feed", authenticate, async (req, res) => {
+  try {
+    const feed = await getCalendarFeed(req.user.userId)
+    res.json(feed)
+  } catch (err) {
+    console.error("Get calendar feed error:", err)
+    res.status(500).json({ message: "Error fetching calendar feed" })
+  }
+})
+
+// Replace the feed token; subscriptions using the old URL stop updating
+router.post("/feed/rotate", authenticate, async (req, res) => {
+  try {
+    const feed = await getCalendarFeed(req.user.userId, { rotate: true })
+    res.json({ message: "Calendar feed URL rotated", ...feed })
+  } catch (err) {
+    console.error("Rotate calendar feed error:", err)
+    res.status(500).json({ message: "Error rotating calendar feed" })
+  }
+})
+
+router.delete("/feed", authenticate, async (req, res) => {
+  try {
+    await revokeCalendarFeed(req.user.userId)
+    res.json({ message: "Calendar feed disabled" })
+  } catch (err) {
+    console.error("Revoke calendar feed error:", err)
+    res.status(500).json({ message: "Error disabling calendar feed" })
+  }
+})
+
+// Public iCalendar feed; calendar apps poll it, so the token in the URL is the only credential
+router.get("/feeds/:token.ics", async (req, res) => {
+  try {
+    const calendar = await buildCalendarFeed(req.params.token)
+    if (!calendar) {
+      return res.status(404).json({ message: "Calendar feed not found" })
+    }
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8")
+    res.setHeader("Content-Disposition", 'inline; filename="dern-support.ics"')
+    res.setHeader("Cache-Control", "private, max-age=300")
+    res.send(calendar)
+  } catch (err) {
+    console.error("Calendar feed error:", err)
+    res.status(500).json({ message: "Error building calendar feed" })
+  }
+})
+
+export default router
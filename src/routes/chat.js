@@ -5,6 +5,8 @@ import Message from "../models/message.js"
 import SupportRequest from "../models/support-request.js"
 import { authenticate } from "../middlewares/authenticate.js"
 import { createAuditLog } from "../utils/audit.js"
+import { resumeOnCustomerReply } from "../utils/status-workflow.js"
+import { runAutomations } from "../utils/automation.js"
 
 const router = express.Router()
 
@@ -119,13 +121,15 @@ router.get("/:chatId/messages", authenticate, async (req, res) => {
     const limit = Number.parseInt(req.query.limit) || 50
     const skip = (page - 1) * limit
 
-    const messages = await Message.find({ supportRequest: chat.supportRequest })
+    const filter = { supportRequest: chat.supportRequest, ...Message.visibilityFilter(req.user.role) }
+
+    const messages = await Message.find(filter)
       .populate("sender", "username email role")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
 
-    const total = await Message.countDocuments({ supportRequest: chat.supportRequest })
+    const total = await Message.countDocuments(filter)
 
     res.json({
       messages: messages.reverse(),
@@ -174,9 +178,15 @@ router.post("/:chatId/messages", authenticate, async (req, res) => {
     await chat.save()
 
     // Update support request activity
-    await SupportRequest.findByIdAndUpdate(chat.supportRequest, {
-      lastActivity: new Date(),
-    })
+    const request = await SupportRequest.findById(chat.supportRequest)
+    if (request) {
+      request.lastActivity = new Date()
+      const resumed = resumeOnCustomerReply(request, req.user)
+      await request.save()
+      if (resumed) {
+        await runAutomations("status-changed", request, { from: resumed.from, user: req.user })
+      }
+    }
 
     await createAuditLog(req.user.userId, "create", "message", message._id, { chatId: chat._id }, req)
 
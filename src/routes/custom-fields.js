@@ -0,0 +1,236 @@
+import express from "express"
+import Joi from "joi"
+import CustomField from "../models/custom-field.js"
+import { authenticate } from "../middlewares/authenticate.js"
+import { requireAdmin } from "../middlewares/authorize.js"
+import { createAuditLog } from "../utils/audit.js"
+import { MAX_PATTERN_INPUT_LENGTH, hasNestedQuantifier } from "../utils/custom-fields.js"
+
+const router = express.Router()
+
+const categories = [
+  "technical-support",
+  "billing",
+  "account-issues",
+  "feature-request",
+  "bug-report",
+  "general-inquiry",
+  "legal-consultation",
+  "business-consultation",
+]
+
+const fieldTypes = ["text", "number", "date", "boolean", "select", "multiselect", "email", "url"]
+
+// Validation schemas
+const validationRulesSchema = Joi.object({
+  min: Joi.number(),
+  max: Joi.number(),
+  minLength: Joi.number().integer().min(0),
+  maxLength: Joi.number().integer().min(1).max(5000),
+  pattern: Joi.string().max(200),
+})
+
+const optionsSchema = Joi.array().items(Joi.string().trim().max(100)).unique().min(1).max(100)
+
+const createFieldSchema = Joi.object({
+  category: Joi.string()
+    .valid(...categories)
+    .required(),
+  key: Joi.string()
+    .pattern(/^[a-z][a-z0-9_]{0,49}$/)
+    .required(),
+  label: Joi.string().min(1).max(100).required(),
+  type: Joi.string()
+    .valid(...fieldTypes)
+    .required(),
+  required: Joi.boolean().default(false),
+  options: optionsSchema.when("type", { is: Joi.valid("select", "multiselect"), then: Joi.required(), otherwise: Joi.forbidden() }),
+  validation: validationRulesSchema.default({}),
+  helpText: Joi.string().max(300).allow(""),
+  order: Joi.number().integer().default(0),
+  isActive: Joi.boolean().default(true),
+})
+
+// Category, key and type are fixed once values may have been stored
+const updateFieldSchema = Joi.object({
+  label: Joi.string().min(1).max(100),
+  required: Joi.boolean(),
+  options: optionsSchema,
+  validation: validationRulesSchema,
+  helpText: Joi.string().max(300).allow(""),
+  order: Joi.number().integer(),
+  isActive: Joi.boolean(),
+})
+
+const checkRules = (field) => {
+  const rules = field.validation || {}
+  if (rules.pattern) {
+    try {
+      new RegExp(rules.pattern)
+    } catch {
+      return "Validation pattern is not a valid regular expression"
+    }
+    if (field.type !== "text") {
+      return "A validation pattern is only supported for text fields"
+    }
+    if (hasNestedQuantifier(rules.pattern)) {
+      return "Validation pattern cannot repeat a group that contains a repeat, e.g. (a+)+"
+    }
+    if ((rules.maxLength ?? MAX_PATTERN_INPUT_LENGTH) > MAX_PATTERN_INPUT_LENGTH) {
+      return `maxLength cannot exceed ${MAX_PATTERN_INPUT_LENGTH} for fields with a validation pattern`
+    }
+  }
+  if ((rules.min !== undefined || rules.max !== undefined) && field.type !== "number") {
+    return "min and max are only supported for number fields"
+  }
+  if ((rules.minLength !== undefined || rules.maxLength !== undefined) && field.type !== "text") {
+    return "minLength and maxLength are only supported for text fields"
+  }
+  if (field.options?.length > 0 && !["select", "multiselect"].includes(field.type)) {
+    return "Options are only supported for select and multiselect fields"
+  }
+  return null
+}
+
+// List field definitions; anyone signed in needs them to render request forms
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.category) {
+      filter.category = req.query.category
+    }
+    if (req.user.role !== "admin" || req.query.includeInactive !== "true") {
+      filter.isActive = true
+    }
+
+    const fields = await CustomField.find(filter).sort({ category: 1, order: 1, label: 1 })
+
+    res.json({ fields })
+  } catch (err) {
+    console.error("Get custom fields error:", err)
+    res.status(500).json({ message: "Error fetching custom fields" })
+  }
+})
+
+// Get single field definition
+router.get("/:fieldId", authenticate, async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.fieldId)
+    if (!field) {
+      return res.status(404).json({ message: "Custom field not found" })
+    }
+
+    res.json({ field })
+  } catch (err) {
+    console.error("Get custom field error:", err)
+    res.status(500).json({ message: "Error fetching custom field" })
+  }
+})
+
+// Create field definition (admin only)
+router.post("/", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = createFieldSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const rulesError = checkRules(value)
+    if (rulesError) {
+      return res.status(400).json({ message: rulesError })
+    }
+
+    const existing = await CustomField.findOne({ category: value.category, key: value.key })
+    if (existing) {
+      return res.status(409).json({
+        message: `Custom field '${value.key}' already exists for ${value.category}`,
+        fieldId: existing._id,
+      })
+    }
+
+    const field = new CustomField({ ...value, createdBy: req.user.userId })
+    await field.save()
+
+    await createAuditLog(req.user.userId, "create", "system-settings", field._id, { customField: value }, req)
+
+    console.log(`Custom field created: ${field.category}.${field.key} by ${req.user.email}`)
+
+    res.status(201).json({
+      message: "Custom field created successfully",
+      field,
+    })
+  } catch (err) {
+    console.error("Create custom field error:", err)
+    res.status(500).json({ message: "Error creating custom field" })
+  }
+})
+
+// Update field definition (admin only)
+router.put("/:fieldId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = updateFieldSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const field = await CustomField.findById(req.params.fieldId)
+    if (!field) {
+      return res.status(404).json({ message: "Custom field not found" })
+    }
+
+    Object.assign(field, value)
+
+    const rulesError = checkRules(field.toObject())
+    if (rulesError) {
+      return res.status(400).json({ message: rulesError })
+    }
+
+    await field.save()
+
+    await createAuditLog(req.user.userId, "update", "system-settings", field._id, { customField: value }, req)
+
+    console.log(`Custom field updated: ${field.category}.${field.key} by ${req.user.email}`)
+
+    res.json({
+      message: "Custom field updated successfully",
+      field,
+    })
+  } catch (err) {
+    console.error("Update custom field error:", err)
+    res.status(500).json({ message: "Error updating custom field" })
+  }
+})
+
+// Delete field definition (admin only); stored values stay on existing requests
+router.delete("/:fieldId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const field = await CustomField.findByIdAndDelete(req.params.fieldId)
+    if (!field) {
+      return res.status(404).json({ message: "Custom field not found" })
+    }
+
+    await createAuditLog(
+      req.user.userId,
+      "delete",
+      "system-settings",
+      field._id,
+      { customField: `${field.category}.${field.key}` },
+      req,
+    )
+
+    console.log(`Custom field deleted: ${field.category}.${field.key} by ${req.user.email}`)
+
+    res.json({ message: "Custom field deleted successfully" })
+  } catch (err) {
+    console.error("Delete custom field error:", err)
+    res.status(500).json({ message: "Error deleting custom field" })
+  }
+})
+
+export default router
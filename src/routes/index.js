@@ -20,6 +20,16 @@ import inventoryRoutes from "./inventory.js"
 import jobScheduleRoutes from "./job-schedule.js"
 import notificationSettingsRoutes from "./notification-settings.js"
 import adminRoutes from "./admin.js"
+import slaPolicyRoutes from "./sla-policies.js"
+import businessCalendarRoutes from "./business-calendars.js"
+import macroRoutes from "./macros.js"
+import surveyRoutes from "./surveys.js"
+import customFieldRoutes from "./custom-fields.js"
+import savedViewRoutes from "./saved-views.js"
+import worklogRoutes from "./worklogs.js"
+import automationRuleRoutes from "./automation-rules.js"
+import calendarRoutes from "./calendar.js"
+import waitlistRoutes from "./waitlist.js"
 
 router.use("/auth", authRoutes)
 router.use("/support-requests", supportRequestRoutes)
@@ -40,5 +50,15 @@ router.use("/inventory", inventoryRoutes)
 router.use("/jobs", jobScheduleRoutes)
 router.use("/notification-settings", notificationSettingsRoutes)
 router.use("/admin", adminRoutes)
+router.use("/sla-policies", slaPolicyRoutes)
+router.use("/business-calendars", businessCalendarRoutes)
+router.use("/macros", macroRoutes)
+router.use("/surveys", surveyRoutes)
+router.use("/custom-fields", customFieldRoutes)
+router.use("/saved-views", savedViewRoutes)
+router.use("/worklogs", worklogRoutes)
+router.use("/automation-rules", automationRuleRoutes)
+router.use("/calendar", calendarRoutes)
+router.use("/waitlist", waitlistRoutes)
 
 export default router
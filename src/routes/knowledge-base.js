@@ -5,6 +5,8 @@ import UserInteraction from "../models/user-interaction.js";
 import { authenticate } from "../middlewares/authenticate.js";
 import { requireAdmin, requireTechnician } from "../middlewares/authorize.js";
 import { createAuditLog } from "../utils/audit.js";
+import ArticleSuggestion from "../models/article-suggestion.js";
+import { recordArticleView, recordDeflection, recordSuggestions, suggestArticles } from "../utils/kb-suggestions.js";
 
 const router = express.Router();
 
@@ -24,6 +26,29 @@ const updateArticleSchema = Joi.object({
   isPublished: Joi.boolean(),
 });
 
+const suggestionSchema = Joi.object({
+  title: Joi.string().max(200).allow(""),
+  description: Joi.string().max(2000).allow(""),
+  category: Joi.string().valid(
+    "technical-support",
+    "billing",
+    "account-issues",
+    "feature-request",
+    "bug-report",
+    "general-inquiry",
+    "legal-consultation",
+    "business-consultation"
+  ),
+  limit: Joi.number().integer().min(1).max(10),
+  suggestionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+}).or("title", "description");
+
+const suggestionArticleSchema = Joi.object({
+  articleId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+});
+
+const isSuggestionId = (value) => /^[0-9a-fA-F]{24}$/.test(value);
+
 const interactionSchema = Joi.object({
   liked: Joi.boolean().optional(),
   disliked: Joi.boolean().optional(),
@@ -140,6 +165,93 @@ router.get("/admin", authenticate, requireTechnician, async (req, res) => {
   }
 });
 
+// Suggest published articles for a ticket draft; pass suggestionId back to refresh the same suggestions
+router.post("/suggestions", authenticate, async (req, res) => {
+  try {
+    const { error, value } = suggestionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      });
+    }
+
+    const articles = await suggestArticles(value);
+    const session = await recordSuggestions(req.user, value, articles, value.suggestionId);
+
+    res.json({ suggestionId: session._id, articles });
+  } catch (err) {
+    console.error("Suggest articles error:", err);
+    res.status(500).json({ message: "Error suggesting articles" });
+  }
+});
+
+// Record that a suggested article was opened
+router.post("/suggestions/:suggestionId/views", authenticate, async (req, res) => {
+  try {
+    const { error, value } = suggestionArticleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      });
+    }
+
+    if (!isSuggestionId(req.params.suggestionId)) {
+      return res.status(400).json({ message: "Invalid suggestion ID" });
+    }
+
+    const session = await ArticleSuggestion.findOne({ _id: req.params.suggestionId, user: req.user.userId });
+    if (!session) {
+      return res.status(404).json({ message: "Suggestions not found" });
+    }
+
+    const result = await recordArticleView(session, value.articleId);
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result;
+      return res.status(statusCode).json(details);
+    }
+
+    res.json({ message: "Article view recorded" });
+  } catch (err) {
+    console.error("Record suggestion view error:", err);
+    res.status(500).json({ message: "Error recording article view" });
+  }
+});
+
+// The article answered the question; the ticket is not needed
+router.post("/suggestions/:suggestionId/deflect", authenticate, async (req, res) => {
+  try {
+    const { error, value } = suggestionArticleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      });
+    }
+
+    if (!isSuggestionId(req.params.suggestionId)) {
+      return res.status(400).json({ message: "Invalid suggestion ID" });
+    }
+
+    const session = await ArticleSuggestion.findOne({ _id: req.params.suggestionId, user: req.user.userId });
+    if (!session) {
+      return res.status(404).json({ message: "Suggestions not found" });
+    }
+
+    const result = await recordDeflection(session, value.articleId);
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result;
+      return res.status(statusCode).json(details);
+    }
+
+    res.json({ message: "Glad the article helped" });
+  } catch (err) {
+    console.error("Record deflection error:", err);
+    res.status(500).json({ message: "Error recording deflection" });
+  }
+});
+
 // Get single article
 router.get("/:articleId", async (req, res) => {
   try {
@@ -0,0 +1,419 @@
+import express from "express"
+import Joi from "joi"
+import Macro from "../models/macro.js"
+import MacroUsage from "../models/macro-usage.js"
+import SupportRequest from "../models/support-request.js"
+import User from "../models/user.js"
+import { authenticate } from "../middlewares/authenticate.js"
+import { requireTechnician } from "../middlewares/authorize.js"
+import { createAuditLog } from "../utils/audit.js"
+import { runAutomations } from "../utils/automation.js"
+import {
+  MACRO_PLACEHOLDERS,
+  applyMacro,
+  canEditMacro,
+  canViewMacro,
+  findUnknownPlaceholders,
+} from "../utils/macros.js"
+
+const router = express.Router()
+
+const categories = [
+  "technical-support",
+  "billing",
+  "account-issues",
+  "feature-request",
+  "bug-report",
+  "general-inquiry",
+  "legal-consultation",
+  "business-consultation",
+]
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+
+// Validation schemas
+const actionsSchema = Joi.object({
+  status: Joi.string().valid("open", "in-progress", "pending-customer", "resolved", "closed"),
+  priority: Joi.string().valid("low", "medium", "high", "urgent"),
+  addTags: Joi.array().items(Joi.string().trim()).max(10),
+  removeTags: Joi.array().items(Joi.string().trim()).max(10),
+  assignTo: Joi.string().valid("self", "technician", "unassign"),
+  technician: objectId.when("assignTo", { is: "technician", then: Joi.required(), otherwise: Joi.forbidden() }),
+})
+
+const createMacroSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).allow(""),
+  scope: Joi.string().valid("personal", "shared").default("personal"),
+  category: Joi.string()
+    .valid(...categories)
+    .allow(null),
+  content: Joi.string().max(2000).allow(""),
+  visibility: Joi.string().valid("public", "internal").default("public"),
+  actions: actionsSchema.default({}),
+  isActive: Joi.boolean().default(true),
+})
+
+const updateMacroSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  description: Joi.string().max(500).allow(""),
+  scope: Joi.string().valid("personal", "shared"),
+  category: Joi.string()
+    .valid(...categories)
+    .allow(null),
+  content: Joi.string().max(2000).allow(""),
+  visibility: Joi.string().valid("public", "internal"),
+  actions: actionsSchema,
+  isActive: Joi.boolean(),
+})
+
+const applyMacroSchema = Joi.object({
+  requestId: Joi.string().required(),
+  dryRun: Joi.boolean().default(false),
+})
+
+// A macro has to do something and may only use known placeholders
+const validateMacroDefinition = async (macro) => {
+  const actions = macro.actions || {}
+  const hasAction =
+    Boolean(actions.status || actions.priority || actions.assignTo) ||
+    actions.addTags?.length > 0 ||
+    actions.removeTags?.length > 0
+  if (!macro.content && !hasAction) {
+    return "A macro needs message content or at least one action"
+  }
+
+  const unknown = findUnknownPlaceholders(macro.content)
+  if (unknown.length > 0) {
+    return `Unknown placeholder(s): ${unknown.join(", ")}`
+  }
+
+  if (actions.assignTo === "technician") {
+    const technician = await User.exists({ _id: actions.technician, role: "technician", isActive: true })
+    if (!technician) {
+      return "Invalid technician"
+    }
+  }
+
+  return null
+}
+
+const visibleMacrosFilter = (user) => ({ $or: [{ scope: "shared" }, { owner: user.userId }] })
+
+// List macros available to the current user
+router.get("/", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const filter = { ...visibleMacrosFilter(req.user) }
+
+    if (req.query.scope === "personal") {
+      filter.$or = [{ scope: "personal", owner: req.user.userId }]
+    } else if (req.query.scope === "shared") {
+      filter.$or = [{ scope: "shared" }]
+    }
+    if (req.query.category) {
+      filter.category = { $in: [req.query.category, null] }
+    }
+    if (req.query.includeInactive !== "true") {
+      filter.isActive = true
+    }
+    if (req.query.search) {
+      filter.name = { $regex: req.query.search, $options: "i" }
+    }
+
+    const macros = await Macro.find(filter)
+      .populate("owner", "username email")
+      .populate("actions.technician", "username email")
+      .sort({ usageCount: -1, name: 1 })
+
+    res.json({ macros })
+  } catch (err) {
+    console.error("Get macros error:", err)
+    res.status(500).json({ message: "Error fetching macros" })
+  }
+})
+
+// Placeholders usable in macro content
+router.get("/placeholders", authenticate, requireTechnician, (req, res) => {
+  res.json({
+    placeholders: Object.entries(MACRO_PLACEHOLDERS).map(([name, description]) => ({
+      placeholder: `{{${name}}}`,
+      description,
+    })),
+  })
+})
+
+// Usage stats across the macros the current user can see
+router.get("/stats", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const days = Number.parseInt(req.query.days) || 30
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+
+    const macroIds = await Macro.find(visibleMacrosFilter(req.user)).distinct("_id")
+    const match = { macro: { $in: macroIds }, createdAt: { $gte: since } }
+
+    const [topMacros, byUser] = await Promise.all([
+      MacroUsage.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$macro",
+            uses: { $sum: 1 },
+            users: { $addToSet: "$user" },
+            requests: { $addToSet: "$supportRequest" },
+            lastUsedAt: { $max: "$createdAt" },
+          },
+        },
+        { $sort: { uses: -1 } },
+        { $limit: 20 },
+        { $lookup: { from: "macros", localField: "_id", foreignField: "_id", as: "macro" } },
+        { $unwind: "$macro" },
+        {
+          $project: {
+            _id: 0,
+            macroId: "$_id",
+            name: "$macro.name",
+            scope: "$macro.scope",
+            uses: 1,
+            uniqueUsers: { $size: "$users" },
+            uniqueRequests: { $size: "$requests" },
+            lastUsedAt: 1,
+          },
+        },
+      ]),
+      MacroUsage.aggregate([
+        { $match: match },
+        { $group: { _id: "$user", uses: { $sum: 1 } } },
+        { $sort: { uses: -1 } },
+        { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+        { $unwind: "$user" },
+        { $project: { _id: 0, userId: "$_id", username: "$user.username", uses: 1 } },
+      ]),
+    ])
+
+    res.json({ period: { days, since }, topMacros, byUser })
+  } catch (err) {
+    console.error("Get macro stats error:", err)
+    res.status(500).json({ message: "Error fetching macro stats" })
+  }
+})
+
+// Get single macro
+router.get("/:macroId", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const macro = await Macro.findById(req.params.macroId)
+      .populate("owner", "username email")
+      .populate("actions.technician", "username email")
+    if (!macro || !canViewMacro(macro, req.user)) {
+      return res.status(404).json({ message: "Macro not found" })
+    }
+
+    res.json({ macro })
+  } catch (err) {
+    console.error("Get macro error:", err)
+    res.status(500).json({ message: "Error fetching macro" })
+  }
+})
+
+// Create macro
+router.post("/", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = createMacroSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const definitionError = await validateMacroDefinition(value)
+    if (definitionError) {
+      return res.status(400).json({ message: definitionError })
+    }
+
+    const macro = new Macro({ ...value, owner: req.user.userId })
+    await macro.save()
+
+    console.log(`Macro created: ${macro.name} (${macro.scope}) by ${req.user.email}`)
+
+    res.status(201).json({
+      message: "Macro created successfully",
+      macro,
+    })
+  } catch (err) {
+    console.error("Create macro error:", err)
+    res.status(500).json({ message: "Error creating macro" })
+  }
+})
+
+// Update macro (owner, or admin for shared macros)
+router.put("/:macroId", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = updateMacroSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const macro = await Macro.findById(req.params.macroId)
+    if (!macro || !canViewMacro(macro, req.user)) {
+      return res.status(404).json({ message: "Macro not found" })
+    }
+    if (!canEditMacro(macro, req.user)) {
+      return res.status(403).json({ message: "Only the owner or an admin can change this macro" })
+    }
+
+    Object.assign(macro, value)
+
+    const definitionError = await validateMacroDefinition(macro.toObject())
+    if (definitionError) {
+      return res.status(400).json({ message: definitionError })
+    }
+
+    await macro.save()
+
+    console.log(`Macro updated: ${macro.name} by ${req.user.email}`)
+
+    res.json({
+      message: "Macro updated successfully",
+      macro,
+    })
+  } catch (err) {
+    console.error("Update macro error:", err)
+    res.status(500).json({ message: "Error updating macro" })
+  }
+})
+
+// Delete macro (owner, or admin for shared macros)
+router.delete("/:macroId", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const macro = await Macro.findById(req.params.macroId)
+    if (!macro || !canViewMacro(macro, req.user)) {
+      return res.status(404).json({ message: "Macro not found" })
+    }
+    if (!canEditMacro(macro, req.user)) {
+      return res.status(403).json({ message: "Only the owner or an admin can delete this macro" })
+    }
+
+    await Promise.all([macro.deleteOne(), MacroUsage.deleteMany({ macro: macro._id })])
+
+    console.log(`Macro deleted: ${macro.name} by ${req.user.email}`)
+
+    res.json({ message: "Macro deleted successfully" })
+  } catch (err) {
+    console.error("Delete macro error:", err)
+    res.status(500).json({ message: "Error deleting macro" })
+  }
+})
+
+// Usage stats for one macro
+router.get("/:macroId/stats", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const macro = await Macro.findById(req.params.macroId)
+    if (!macro || !canViewMacro(macro, req.user)) {
+      return res.status(404).json({ message: "Macro not found" })
+    }
+
+    const days = Number.parseInt(req.query.days) || 30
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+    const match = { macro: macro._id, createdAt: { $gte: since } }
+
+    const [byUser, byDay, recent] = await Promise.all([
+      MacroUsage.aggregate([
+        { $match: match },
+        { $group: { _id: "$user", uses: { $sum: 1 }, lastUsedAt: { $max: "$createdAt" } } },
+        { $sort: { uses: -1 } },
+        { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+        { $unwind: "$user" },
+        { $project: { _id: 0, userId: "$_id", username: "$user.username", uses: 1, lastUsedAt: 1 } },
+      ]),
+      MacroUsage.aggregate([
+        { $match: match },
+        { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, uses: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]),
+      MacroUsage.find({ macro: macro._id })
+        .populate("user", "username email")
+        .populate("supportRequest", "requestId title status")
+        .sort({ createdAt: -1 })
+        .limit(10),
+    ])
+
+    res.json({
+      macroId: macro._id,
+      name: macro.name,
+      usageCount: macro.usageCount,
+      lastUsedAt: macro.lastUsedAt,
+      period: { days, since, uses: byDay.reduce((total, day) => total + day.uses, 0) },
+      byUser,
+      byDay,
+      recent,
+    })
+  } catch (err) {
+    console.error("Get macro usage error:", err)
+    res.status(500).json({ message: "Error fetching macro stats" })
+  }
+})
+
+// Apply a macro to a support request (dryRun previews the message and changes)
+router.post("/:macroId/apply", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = applyMacroSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const macro = await Macro.findById(req.params.macroId)
+    if (!macro || !canViewMacro(macro, req.user)) {
+      return res.status(404).json({ message: "Macro not found" })
+    }
+    if (!macro.isActive) {
+      return res.status(409).json({ message: "Macro is inactive", code: "MACRO_INACTIVE" })
+    }
+
+    const request = await SupportRequest.findOne({ requestId: value.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const result = await applyMacro(macro, request, req.user, { dryRun: value.dryRun })
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    if (result.dryRun) {
+      return res.json({ dryRun: true, changes: result.changes, content: result.content })
+    }
+    if (result.changes.status) {
+      await runAutomations("status-changed", request, { from: result.changes.status.from, user: req.user })
+    }
+
+    await createAuditLog(
+      req.user.userId,
+      "update",
+      "support-request",
+      request._id,
+      { action: "macro", macroId: macro._id, macroName: macro.name, changes: result.changes },
+      req,
+    )
+
+    console.log(`Macro '${macro.name}' applied to ${request.requestId} by ${req.user.email}`)
+
+    res.json({
+      message: "Macro applied successfully",
+      changes: result.changes,
+      data: result.message,
+      request,
+    })
+  } catch (err) {
+    console.error("Apply macro error:", err)
+    res.status(500).json({ message: "Error applying macro" })
+  }
+})
+
+export default router
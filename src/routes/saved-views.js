@@ -0,0 +1,361 @@
+import express from "express"
+import Joi from "joi"
+import SavedView from "../models/saved-view.js"
+import { authenticate } from "../middlewares/authenticate.js"
+import { DATE_BUCKETS, SEARCH_SORTS, buildSearchFilter, searchSupportRequests } from "../utils/request-search.js"
+import {
+  DEFAULT_VIEW_COLUMNS,
+  VIEW_COLUMNS,
+  buildViewSearch,
+  canEditSavedView,
+  canViewSavedView,
+  countViewMatches,
+  findUnknownColumns,
+  subscribeToView,
+} from "../utils/saved-views.js"
+
+const router = express.Router()
+
+// Validation schemas; filters take the same parameters as GET /support-requests/search
+const filtersSchema = Joi.object({
+  query: Joi.string().trim().min(1).max(200),
+  status: Joi.string(),
+  priority: Joi.string(),
+  category: Joi.string(),
+  technician: Joi.string(),
+  customer: Joi.string(),
+  tags: Joi.string(),
+  slaStatus: Joi.string(),
+  created: Joi.string().valid(...DATE_BUCKETS.map((bucket) => bucket.key)),
+  createdFrom: Joi.date().iso().raw(),
+  createdTo: Joi.date().iso().raw(),
+}).pattern(/^cf\./, Joi.string())
+
+const createViewSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  description: Joi.string().max(500).allow(""),
+  scope: Joi.string().valid("personal", "shared").default("personal"),
+  filters: filtersSchema.default({}),
+  sort: Joi.string()
+    .valid(...SEARCH_SORTS)
+    .default("newest"),
+  columns: Joi.array().items(Joi.string()).unique().max(20),
+  pinned: Joi.boolean().default(false),
+})
+
+const updateViewSchema = Joi.object({
+  name: Joi.string().min(2).max(100),
+  description: Joi.string().max(500).allow(""),
+  scope: Joi.string().valid("personal", "shared"),
+  filters: filtersSchema,
+  sort: Joi.string().valid(...SEARCH_SORTS),
+  columns: Joi.array().items(Joi.string()).unique().max(20),
+})
+
+const resultsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+})
+
+const isStaff = (user) => ["technician", "admin"].includes(user.role)
+
+// Shared views are for staff, and filters must be valid before they are stored
+const validateViewDefinition = async (view, user) => {
+  if (view.scope === "shared" && !isStaff(user)) {
+    return "Only technicians and admins can share views"
+  }
+
+  const unknownColumns = findUnknownColumns(view.columns)
+  if (unknownColumns.length > 0) {
+    return `Unknown columns: ${unknownColumns.join(", ")}`
+  }
+
+  const { query, ...params } = view.filters || {}
+  const { error } = await buildSearchFilter(params, user)
+  return error || null
+}
+
+const presentView = (view, user, count) => ({
+  _id: view._id,
+  name: view.name,
+  description: view.description,
+  scope: view.scope,
+  owner: view.owner,
+  filters: view.filters,
+  sort: view.sort,
+  columns: view.columns?.length > 0 ? view.columns : DEFAULT_VIEW_COLUMNS,
+  pinned: view.pinnedBy.some((userId) => userId.toString() === user.userId),
+  subscribed: view.subscribers.some((subscriber) => subscriber.user.toString() === user.userId),
+  subscriberCount: view.subscribers.length,
+  canEdit: canEditSavedView(view, user),
+  count,
+  createdAt: view.createdAt,
+  updatedAt: view.updatedAt,
+})
+
+const findVisibleView = async (viewId, user) => {
+  const view = await SavedView.findById(viewId).populate("owner", "username email")
+  return view && canViewSavedView(view, user) ? view : null
+}
+
+// List own and shared views, pinned first, with live counts
+router.get("/", authenticate, async (req, res) => {
+  try {
+    const filter = isStaff(req.user)
+      ? { $or: [{ owner: req.user.userId }, { scope: "shared" }] }
+      : { owner: req.user.userId }
+
+    if (req.query.scope === "personal") {
+      filter.$or = [{ owner: req.user.userId, scope: "personal" }]
+    } else if (req.query.scope === "shared") {
+      filter.$or = [{ scope: "shared" }]
+    }
+    if (req.query.pinned === "true") {
+      filter.pinnedBy = req.user.userId
+    }
+
+    const views = await SavedView.find(filter).populate("owner", "username email").sort({ name: 1 })
+    const counts =
+      req.query.counts === "false" ? [] : await Promise.all(views.map((view) => countViewMatches(view, req.user)))
+
+    const presented = views
+      .map((view, index) => presentView(view, req.user, counts[index] ?? null))
+      .sort((a, b) => Number(b.pinned) - Number(a.pinned))
+
+    res.json({ views: presented, availableColumns: VIEW_COLUMNS })
+  } catch (err) {
+    console.error("Get saved views error:", err)
+    res.status(500).json({ message: "Error fetching saved views" })
+  }
+})
+
+// Get single view with its live count
+router.get("/:viewId", authenticate, async (req, res) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.user)
+    if (!view) {
+      return res.status(404).json({ message: "Saved view not found" })
+    }
+
+    res.json({ view: presentView(view, req.user, await countViewMatches(view, req.user)) })
+  } catch (err) {
+    console.error("Get saved view error:", err)
+    res.status(500).json({ message: "Error fetching saved view" })
+  }
+})
+
+// Run a view
+router.get("/:viewId/results", authenticate, async (req, res) => {
+  try {
+    const { error, value } = resultsSchema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const view = await findVisibleView(req.params.viewId, req.user)
+    if (!view) {
+      return res.status(404).json({ message: "Saved view not found" })
+    }
+
+    const { search, error: searchError } = await buildViewSearch(view, req.user)
+    if (searchError) {
+      return res.status(422).json({ message: `Saved view filters are no longer valid: ${searchError}` })
+    }
+
+    const { page, limit } = value
+    const { requests, facets, total } = await searchSupportRequests({ ...search, sort: view.sort, page, limit })
+
+    res.json({
+      view: presentView(view, req.user, total),
+      requests,
+      facets,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    })
+  } catch (err) {
+    console.error("Run saved view error:", err)
+    res.status(500).json({ message: "Error running saved view" })
+  }
+})
+
+// Create view
+router.post("/", authenticate, async (req, res) => {
+  try {
+    const { error, value } = createViewSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const definitionError = await validateViewDefinition(value, req.user)
+    if (definitionError) {
+      return res.status(400).json({ message: definitionError })
+    }
+
+    const { pinned, ...definition } = value
+    const view = new SavedView({
+      ...definition,
+      owner: req.user.userId,
+      pinnedBy: pinned ? [req.user.userId] : [],
+    })
+    await view.save()
+    await view.populate("owner", "username email")
+
+    res.status(201).json({
+      message: "Saved view created successfully",
+      view: presentView(view, req.user, await countViewMatches(view, req.user)),
+    })
+  } catch (err) {
+    console.error("Create saved view error:", err)
+    res.status(500).json({ message: "Error creating saved view" })
+  }
+})
+
+// Update view
+router.put("/:viewId", authenticate, async (req, res) => {
+  try {
+    const { error, value } = updateViewSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const view = await findVisibleView(req.params.viewId, req.user)
+    if (!view) {
+      return res.status(404).json({ message: "Saved view not found" })
+    }
+    if (!canEditSavedView(view, req.user)) {
+      return res.status(403).json({ message: "Only the owner or an admin can edit this view" })
+    }
+
+    const definitionError = await validateViewDefinition({ ...view.toObject(), ...value }, req.user)
+    if (definitionError) {
+      return res.status(400).json({ message: definitionError })
+    }
+
+    Object.assign(view, value)
+    if (value.filters) {
+      view.markModified("filters")
+      // Take a fresh snapshot on the next check instead of announcing every ticket the new filters match
+      view.subscribers.forEach((subscriber) => {
+        subscriber.snapshotAt = null
+      })
+    }
+    if (value.scope === "personal") {
+      view.subscribers = view.subscribers.filter((subscriber) => subscriber.user.toString() === view.owner._id.toString())
+      view.pinnedBy = view.pinnedBy.filter((userId) => userId.toString() === view.owner._id.toString())
+    }
+    await view.save()
+
+    res.json({
+      message: "Saved view updated successfully",
+      view: presentView(view, req.user, await countViewMatches(view, req.user)),
+    })
+  } catch (err) {
+    console.error("Update saved view error:", err)
+    res.status(500).json({ message: "Error updating saved view" })
+  }
+})
+
+// Delete view
+router.delete("/:viewId", authenticate, async (req, res) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.user)
+    if (!view) {
+      return res.status(404).json({ message: "Saved view not found" })
+    }
+    if (!canEditSavedView(view, req.user)) {
+      return res.status(403).json({ message: "Only the owner or an admin can delete this view" })
+    }
+
+    await view.deleteOne()
+
+    res.json({ message: "Saved view deleted successfully" })
+  } catch (err) {
+    console.error("Delete saved view error:", err)
+    res.status(500).json({ message: "Error deleting saved view" })
+  }
+})
+
+// Pin or unpin a view for yourself
+router.post("/:viewId/pin", authenticate, async (req, res) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.user)
+    if (!view) {
+      return res.status(404).json({ message: "Saved view not found" })
+    }
+
+    view.pinnedBy.addToSet(req.user.userId)
+    await view.save()
+
+    res.json({ message: "Saved view pinned", view: presentView(view, req.user, null) })
+  } catch (err) {
+    console.error("Pin saved view error:", err)
+    res.status(500).json({ message: "Error pinning saved view" })
+  }
+})
+
+router.delete("/:viewId/pin", authenticate, async (req, res) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.user)
+    if (!view) {
+      return res.status(404).json({ message: "Saved view not found" })
+    }
+
+    view.pinnedBy.pull(req.user.userId)
+    await view.save()
+
+    res.json({ message: "Saved view unpinned", view: presentView(view, req.user, null) })
+  } catch (err) {
+    console.error("Unpin saved view error:", err)
+    res.status(500).json({ message: "Error unpinning saved view" })
+  }
+})
+
+// Get notified when a new ticket starts matching a view
+router.post("/:viewId/subscribe", authenticate, async (req, res) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.user)
+    if (!view) {
+      return res.status(404).json({ message: "Saved view not found" })
+    }
+
+    const result = await subscribeToView(view, req.user)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    await view.save()
+
+    res.status(201).json({ message: "Subscribed to saved view", view: presentView(view, req.user, null) })
+  } catch (err) {
+    console.error("Subscribe saved view error:", err)
+    res.status(500).json({ message: "Error subscribing to saved view" })
+  }
+})
+
+router.delete("/:viewId/subscribe", authenticate, async (req, res) => {
+  try {
+    const view = await findVisibleView(req.params.viewId, req.user)
+    if (!view) {
+      return res.status(404).json({ message: "Saved view not found" })
+    }
+
+    view.subscribers = view.subscribers.filter((subscriber) => subscriber.user.toString() !== req.user.userId)
+    await view.save()
+
+    res.json({ message: "Unsubscribed from saved view", view: presentView(view, req.user, null) })
+  } catch (err) {
+    console.error("Unsubscribe saved view error:", err)
+    res.status(500).json({ message: "Error unsubscribing from saved view" })
+  }
+})
+
+export default router
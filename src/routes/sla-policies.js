@@ -0,0 +1,211 @@
+import express from "express"
+import Joi from "joi"
+import SLAPolicy from "../models/sla-policy.js"
+import SupportRequest from "../models/support-request.js"
+import { authenticate } from "../middlewares/authenticate.js"
+import { requireAdmin, requireTechnician } from "../middlewares/authorize.js"
+import { checkSLACompliance } from "../utils/sla.js"
+
+const router = express.Router()
+
+const categories = [
+  "technical-support",
+  "billing",
+  "account-issues",
+  "feature-request",
+  "bug-report",
+  "general-inquiry",
+  "legal-consultation",
+  "business-consultation",
+]
+
+// Validation schemas
+const createPolicySchema = Joi.object({
+  name: Joi.string().min(3).max(100).required(),
+  description: Joi.string().max(500).allow(""),
+  priority: Joi.string().valid("low", "medium", "high", "urgent").required(),
+  category: Joi.string()
+    .valid(...categories)
+    .required(),
+  responseTime: Joi.number().integer().min(1).required(),
+  resolutionTime: Joi.number().integer().min(1).required(),
+  escalationTime: Joi.number().integer().min(1).required(),
+  businessHoursOnly: Joi.boolean().default(false),
+  calendar: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null),
+  isActive: Joi.boolean().default(true),
+})
+
+const updatePolicySchema = Joi.object({
+  name: Joi.string().min(3).max(100),
+  description: Joi.string().max(500).allow(""),
+  priority: Joi.string().valid("low", "medium", "high", "urgent"),
+  category: Joi.string().valid(...categories),
+  responseTime: Joi.number().integer().min(1),
+  resolutionTime: Joi.number().integer().min(1),
+  escalationTime: Joi.number().integer().min(1),
+  businessHoursOnly: Joi.boolean(),
+  calendar: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null),
+  isActive: Joi.boolean(),
+})
+
+// List SLA policies
+router.get("/", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const filter = {}
+    if (req.query.category) {
+      filter.category = req.query.category
+    }
+    if (req.query.priority) {
+      filter.priority = req.query.priority
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true"
+    }
+
+    const policies = await SLAPolicy.find(filter)
+      .populate("calendar", "name timezone")
+      .sort({ category: 1, priority: 1 })
+
+    res.json({ policies })
+  } catch (err) {
+    console.error("Get SLA policies error:", err)
+    res.status(500).json({ message: "Error fetching SLA policies" })
+  }
+})
+
+// SLA compliance overview of active requests
+router.get("/compliance", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const match = { status: { $in: ["open", "in-progress", "pending-customer"] } }
+    if (req.user.role === "technician") {
+      match.assignedTechnician = req.user.userId
+    }
+
+    const [byStatus, atRiskOrBreached] = await Promise.all([
+      SupportRequest.aggregate([{ $match: match }, { $group: { _id: "$sla.status", count: { $sum: 1 } } }]),
+      SupportRequest.find({ ...match, "sla.status": { $in: ["at-risk", "breached"] } })
+        .populate("customer", "username email accountType companyName")
+        .populate("assignedTechnician", "username email specialization")
+        .sort({ "sla.resolutionDueAt": 1 })
+        .limit(50),
+    ])
+
+    res.json({ byStatus, requests: atRiskOrBreached })
+  } catch (err) {
+    console.error("Get SLA compliance error:", err)
+    res.status(500).json({ message: "Error fetching SLA compliance" })
+  }
+})
+
+// Run the SLA checker on demand (admin only)
+router.post("/check", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const summary = await checkSLACompliance()
+    res.json({ message: "SLA check completed", summary })
+  } catch (err) {
+    console.error("Run SLA check error:", err)
+    res.status(500).json({ message: "Error running SLA check" })
+  }
+})
+
+// Get single SLA policy
+router.get("/:policyId", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const policy = await SLAPolicy.findById(req.params.policyId).populate("calendar", "name timezone")
+    if (!policy) {
+      return res.status(404).json({ message: "SLA policy not found" })
+    }
+
+    res.json({ policy })
+  } catch (err) {
+    console.error("Get SLA policy error:", err)
+    res.status(500).json({ message: "Error fetching SLA policy" })
+  }
+})
+
+// Create SLA policy (admin only)
+router.post("/", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = createPolicySchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    if (value.isActive) {
+      const existing = await SLAPolicy.findOne({ category: value.category, priority: value.priority, isActive: true })
+      if (existing) {
+        return res.status(409).json({
+          message: "An active SLA policy already exists for this category and priority",
+          policyId: existing._id,
+        })
+      }
+    }
+
+    const policy = new SLAPolicy(value)
+    await policy.save()
+
+    console.log(`SLA policy created: ${policy.name} by ${req.user.email}`)
+
+    res.status(201).json({
+      message: "SLA policy created successfully",
+      policy,
+    })
+  } catch (err) {
+    console.error("Create SLA policy error:", err)
+    res.status(500).json({ message: "Error creating SLA policy" })
+  }
+})
+
+// Update SLA policy (admin only)
+router.put("/:policyId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = updatePolicySchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const policy = await SLAPolicy.findByIdAndUpdate(req.params.policyId, value, { new: true, runValidators: true })
+    if (!policy) {
+      return res.status(404).json({ message: "SLA policy not found" })
+    }
+
+    console.log(`SLA policy updated: ${policy.name} by ${req.user.email}`)
+
+    res.json({
+      message: "SLA policy updated successfully",
+      policy,
+    })
+  } catch (err) {
+    console.error("Update SLA policy error:", err)
+    res.status(500).json({ message: "Error updating SLA policy" })
+  }
+})
+
+// Delete SLA policy (admin only)
+router.delete("/:policyId", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const policy = await SLAPolicy.findByIdAndDelete(req.params.policyId)
+    if (!policy) {
+      return res.status(404).json({ message: "SLA policy not found" })
+    }
+
+    console.log(`SLA policy deleted: ${policy.name} by ${req.user.email}`)
+
+    res.json({ message: "SLA policy deleted successfully" })
+  } catch (err) {
+    console.error("Delete SLA policy error:", err)
+    res.status(500).json({ message: "Error deleting SLA policy" })
+  }
+})
+
+export default router
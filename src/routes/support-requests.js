@@ -7,6 +7,41 @@ import User from "../models/user.js"
 import { authenticate } from "../middlewares/authenticate.js"
 import { requireCustomer, requireTechnician } from "../middlewares/authorize.js"
 import { createAuditLog } from "../utils/audit.js"
+import { applySLAPolicy, recordFirstResponse } from "../utils/sla.js"
+import { ASSIGNMENT_STRATEGIES, autoAssignRequest, selectTechnician } from "../utils/auto-assignment.js"
+import { LINK_TYPES, findRequestPair, linkRequests, mergeRequests, unlinkRequests } from "../utils/request-links.js"
+import {
+  broadcastMessage,
+  notifyAssignment,
+  notifyReopened,
+  notifyResolved,
+  notifyRevision,
+} from "../utils/request-events.js"
+import { reopenRequest } from "../utils/request-reopen.js"
+import { runAutomations } from "../utils/automation.js"
+import { reconstructVersion, recordRevision, snapshotRevisedFields } from "../utils/revisions.js"
+import RequestRevision from "../models/request-revision.js"
+import { getOrCreateSurvey, recordSurveyResponse } from "../utils/satisfaction.js"
+import { stopTimersOnClose } from "../utils/worklogs.js"
+import { addCcEmail, addWatcher, removeCcEmail, removeWatcher } from "../utils/watchers.js"
+import { DATE_BUCKETS, SEARCH_SORTS, buildSearchFilter, searchSupportRequests } from "../utils/request-search.js"
+import {
+  buildCustomFieldFilter,
+  buildCustomFieldSearch,
+  describeCustomFields,
+  getFieldDefinitions,
+  validateCustomFields,
+} from "../utils/custom-fields.js"
+import { linkSuggestionToRequest } from "../utils/kb-suggestions.js"
+import { LIST_EXPORT_COLUMNS, customFieldColumns, streamCsv, streamXlsx, writeRequestPdf } from "../utils/request-export.js"
+import {
+  applyStatusChange,
+  buildStatusHistoryEntry,
+  getAvailableTransitions,
+  moveToInProgressOnAssign,
+  resumeOnCustomerReply,
+  validateStatusTransition,
+} from "../utils/status-workflow.js"
 
 const router = express.Router()
 
@@ -28,6 +63,8 @@ const createRequestSchema = Joi.object({
     .required(),
   priority: Joi.string().valid("low", "medium", "high", "urgent").default("medium"),
   tags: Joi.array().items(Joi.string()).max(5),
+  customFields: Joi.object().default({}), // checked against the category's CustomField definitions
+  suggestionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/), // knowledge-base suggestions shown for this draft
 })
 
 const updateRequestSchema = Joi.object({
@@ -45,7 +82,9 @@ const updateRequestSchema = Joi.object({
   ),
   priority: Joi.string().valid("low", "medium", "high", "urgent"),
   status: Joi.string().valid("open", "in-progress", "pending-customer", "resolved", "closed"),
+  statusReason: Joi.string().max(500),
   tags: Joi.array().items(Joi.string()).max(5),
+  customFields: Joi.object(), // merged over the stored values; null clears a field
 })
 
 const assignTechnicianSchema = Joi.object({
@@ -56,17 +95,130 @@ const assignTechnicianSchema = Joi.object({
 const addMessageSchema = Joi.object({
   content: Joi.string().min(1).max(2000).required(),
   messageType: Joi.string().valid("text", "file", "system", "status-update").default("text"),
+  visibility: Joi.string().valid("public", "internal").default("public"),
 })
 
 const ratingSchema = Joi.object({
   rating: Joi.number().min(1).max(5).required(),
+  npsScore: Joi.number().integer().min(0).max(10),
   feedback: Joi.string().max(500),
 })
 
+// List filters take comma-separated values, e.g. status=open,in-progress
 const searchRequestSchema = Joi.object({
-  query: Joi.string().min(1).required(),
+  query: Joi.string().trim().min(1).max(200),
+  status: Joi.string(),
+  priority: Joi.string(),
+  category: Joi.string(),
+  technician: Joi.string(), // user ids, "me" or "unassigned"
+  customer: Joi.string(),
+  tags: Joi.string(),
+  slaStatus: Joi.string(),
+  created: Joi.string().valid(...DATE_BUCKETS.map((bucket) => bucket.key)),
+  createdFrom: Joi.date().iso(),
+  createdTo: Joi.date().iso(),
+  sort: Joi.string().valid(...SEARCH_SORTS),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+}).pattern(/^cf\./, Joi.string())
+
+const autoAssignSchema = Joi.object({
+  strategy: Joi.string().valid(...ASSIGNMENT_STRATEGIES),
+  dryRun: Joi.boolean().default(false),
 })
 
+const mergeRequestSchema = Joi.object({
+  targetRequestId: Joi.string().required(),
+  reason: Joi.string().max(500),
+})
+
+const linkRequestSchema = Joi.object({
+  targetRequestId: Joi.string().required(),
+  linkType: Joi.string()
+    .valid(...LINK_TYPES)
+    .required(),
+})
+
+const addWatcherSchema = Joi.object({
+  userId: Joi.string().hex().length(24),
+  email: Joi.string().email(),
+}).xor("userId", "email")
+
+const ccEmailSchema = Joi.object({
+  email: Joi.string().email().required(),
+})
+
+const statusChangeSchema = Joi.object({
+  status: Joi.string().valid("open", "in-progress", "pending-customer", "resolved", "closed").required(),
+  action: Joi.string(),
+  reason: Joi.string().max(500),
+  notes: Joi.string().max(500), // legacy alias for reason
+})
+
+const reopenSchema = Joi.object({
+  reason: Joi.string().trim().min(10).max(500).required(),
+})
+
+// Respond with a rejected status transition
+const sendTransitionError = (res, transition) => {
+  const { allowed, statusCode, ...details } = transition
+  return res.status(statusCode).json(details)
+}
+
+// Run the reopen workflow and respond; closed requests past the reopen window get a follow-up instead
+const respondWithReopen = async (req, res, request, reason) => {
+  const result = await reopenRequest(request, req.user, reason)
+  if (!result.ok) {
+    const { ok, statusCode, ...details } = result
+    return res.status(statusCode).json(details)
+  }
+
+  if (!result.reopened) {
+    const followUp = result.request
+    const assignment = await autoAssignRequest(followUp)
+    if (assignment?.technician) {
+      await notifyAssignment(followUp, assignment.technician)
+    }
+    await followUp.populate("customer", "username email accountType companyName")
+
+    await createAuditLog(
+      req.user.userId,
+      "create",
+      "support-request",
+      followUp._id,
+      { action: "follow-up", followUpOf: request.requestId, reason },
+      req,
+    )
+
+    return res.status(201).json({
+      message: `${request.requestId} can no longer be reopened; a follow-up request was created`,
+      code: "FOLLOW_UP_CREATED",
+      request: followUp,
+      followUpOf: request.requestId,
+      reopenDeadline: result.reopenDeadline,
+    })
+  }
+
+  await request.populate("customer", "username email")
+  await request.populate("assignedTechnician", "username email")
+  await notifyReopened(request, req.user, reason)
+  await runAutomations("status-changed", request, { from: request.statusHistory.at(-1).from, user: req.user })
+
+  await createAuditLog(
+    req.user.userId,
+    "update",
+    "support-request",
+    request._id,
+    { action: "reopen", reason, reopenCount: request.reopenCount },
+    req,
+  )
+
+  res.json({
+    message: "Support request reopened",
+    request,
+  })
+}
+
 router.post("/", authenticate, requireCustomer, async (req, res) => {
   try {
     const { error, value } = createRequestSchema.validate(req.body, { abortEarly: false })
@@ -79,15 +231,36 @@ router.post("/", authenticate, requireCustomer, async (req, res) => {
       })
     }
 
+    const { suggestionId, ...fields } = value
+    const customFields = await validateCustomFields(fields.category, fields.customFields)
+    if (!customFields.ok) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: customFields.errors,
+      })
+    }
+
     const requestId = `REQ-${nanoid(8).toUpperCase()}`
     const supportRequest = new SupportRequest({
-      ...value,
+      ...fields,
+      customFields: customFields.values,
       requestId,
       customer: req.user.userId,
-      isUrgent: value.priority === "urgent",
+      isUrgent: fields.priority === "urgent",
+      statusHistory: [buildStatusHistoryEntry({ from: null, to: "open", action: "create", user: req.user })],
     })
 
+    await applySLAPolicy(supportRequest)
     await supportRequest.save()
+
+    await runAutomations("request-created", supportRequest, { user: req.user })
+    const assignment = await autoAssignRequest(supportRequest)
+    if (assignment?.technician) {
+      await notifyAssignment(supportRequest, assignment.technician)
+    }
+    if (suggestionId) {
+      await linkSuggestionToRequest(suggestionId, req.user, supportRequest)
+    }
     await supportRequest.populate("customer", "username email accountType companyName")
 
     console.log(`New support request created: ${requestId} by ${req.user.email}`)
@@ -105,39 +278,59 @@ router.post("/", authenticate, requireCustomer, async (req, res) => {
   }
 })
 
+// Filter for the request list and its exports: { filter } or { error }
+const buildListFilter = async (req) => {
+  const filter = {}
+  if (req.query.watching === "true") {
+    filter["watchers.user"] = req.user.userId
+  } else if (req.user.role === "customer") {
+    filter.customer = req.user.userId
+  } else if (req.user.role === "technician") {
+    if (req.query.assigned === "true") {
+      filter.assignedTechnician = req.user.userId
+    } else if (req.query.unassigned === "true") {
+      filter.assignedTechnician = null
+    }
+  }
+
+  if (req.query.status) {
+    filter.status = req.query.status
+  }
+  if (req.query.category) {
+    filter.category = req.query.category
+  }
+  if (req.query.priority) {
+    filter.priority = req.query.priority
+  }
+
+  // Custom field filters: cf.<key>=value, cf.<key>.min, cf.<key>.max
+  const customFieldFilter = await buildCustomFieldFilter(req.query, req.query.category)
+  if (customFieldFilter.error) {
+    return { error: customFieldFilter.error }
+  }
+  Object.assign(filter, customFieldFilter.filter)
+
+  if (req.query.search) {
+    filter.$or = [
+      { title: { $regex: req.query.search, $options: "i" } },
+      { description: { $regex: req.query.search, $options: "i" } },
+      { requestId: { $regex: req.query.search, $options: "i" } },
+      ...(await buildCustomFieldSearch(req.query.search, req.query.category)),
+    ]
+  }
+
+  return { filter }
+}
+
 router.get("/", authenticate, async (req, res) => {
   try {
     const page = Number.parseInt(req.query.page) || 1
     const limit = Number.parseInt(req.query.limit) || 10
     const skip = (page - 1) * limit
 
-    const filter = {}
-    if (req.user.role === "customer") {
-      filter.customer = req.user.userId
-    } else if (req.user.role === "technician") {
-      if (req.query.assigned === "true") {
-        filter.assignedTechnician = req.user.userId
-      } else if (req.query.unassigned === "true") {
-        filter.assignedTechnician = null
-      }
-    }
-
-    if (req.query.status) {
-      filter.status = req.query.status
-    }
-    if (req.query.category) {
-      filter.category = req.query.category
-    }
-    if (req.query.priority) {
-      filter.priority = req.query.priority
-    }
-
-    if (req.query.search) {
-      filter.$or = [
-        { title: { $regex: req.query.search, $options: "i" } },
-        { description: { $regex: req.query.search, $options: "i" } },
-        { requestId: { $regex: req.query.search, $options: "i" } },
-      ]
+    const { filter, error } = await buildListFilter(req)
+    if (error) {
+      return res.status(400).json({ message: error })
     }
 
     const requests = await SupportRequest.find(filter)
@@ -159,7 +352,54 @@ router.get("/", authenticate, async (req, res) => {
   }
 })
 
-// Search support requests
+// Stream the filtered request list as CSV or XLSX; takes the same filters as GET /
+router.get("/export", authenticate, async (req, res) => {
+  try {
+    const format = req.query.format || "csv"
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({ message: "Format must be csv or xlsx" })
+    }
+
+    const { filter, error } = await buildListFilter(req)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const columns = [
+      ...LIST_EXPORT_COLUMNS,
+      ...(req.query.category ? customFieldColumns(await getFieldDefinitions(req.query.category)) : []),
+    ]
+
+    const cursor = SupportRequest.find(filter)
+      .select("-activity -statusHistory -attachments -links -watchers -ccEmails")
+      .populate("customer", "username email companyName")
+      .populate("assignedTechnician", "username")
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor()
+
+    const filename = `support-requests-${new Date().toISOString().slice(0, 10)}.${format}`
+    res.setHeader(
+      "Content-Type",
+      format === "csv" ? "text/csv; charset=utf-8" : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    )
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+
+    const count = format === "csv" ? await streamCsv(cursor, columns, res) : await streamXlsx(cursor, columns, res)
+
+    await createAuditLog(req.user.userId, "export", "support-request", null, { format, count, filter: req.query }, req)
+  } catch (err) {
+    console.error("Export support requests error:", err)
+    // Headers are gone once streaming started; all we can do is cut the response short
+    if (res.headersSent) {
+      res.destroy(err)
+    } else {
+      res.status(500).json({ message: "Error exporting support requests" })
+    }
+  }
+})
+
+// Relevance-ranked search with facets and combinable filters
 router.get("/search", authenticate, async (req, res) => {
   try {
     const { error, value } = searchRequestSchema.validate(req.query)
@@ -170,35 +410,24 @@ router.get("/search", authenticate, async (req, res) => {
       })
     }
 
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
-
-    const filter = {
-      $or: [
-        { title: { $regex: value.query, $options: "i" } },
-        { description: { $regex: value.query, $options: "i" } },
-        { requestId: { $regex: value.query, $options: "i" } },
-      ],
+    const { filter, error: filterError } = await buildSearchFilter(req.query, req.user)
+    if (filterError) {
+      return res.status(400).json({ message: filterError })
     }
 
-    if (req.user.role === "customer") {
-      filter.customer = req.user.userId
-    } else if (req.user.role === "technician") {
-      filter.assignedTechnician = req.user.userId
-    }
-
-    const requests = await SupportRequest.find(filter)
-      .populate("customer", "username email accountType companyName")
-      .populate("assignedTechnician", "username email specialization")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-
-    const total = await SupportRequest.countDocuments(filter)
+    const { page, limit } = value
+    const { requests, facets, total } = await searchSupportRequests({
+      query: value.query,
+      filter,
+      user: req.user,
+      sort: value.sort || (value.query ? "relevance" : "newest"),
+      page,
+      limit,
+    })
 
     res.json({
       requests,
+      facets,
       pagination: { page, limit, total, pages: Math.ceil(total / limit) },
     })
   } catch (err) {
@@ -217,7 +446,7 @@ router.get("/:requestId", authenticate, async (req, res) => {
       return res.status(404).json({ message: "Support request not found" })
     }
 
-    if (req.user.role === "customer" && request.customer._id.toString() !== req.user.userId) {
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
       return res.status(403).json({ message: "Access denied" })
     }
 
@@ -257,7 +486,7 @@ router.put("/:requestId", authenticate, async (req, res) => {
 
     let updateValue = value
     if (req.user.role === "customer") {
-      const allowedFields = ["title", "description", "priority", "tags"]
+      const allowedFields = ["title", "description", "priority", "tags", "customFields"]
       const updateData = {}
       allowedFields.forEach((field) => {
         if (value[field] !== undefined) {
@@ -267,20 +496,57 @@ router.put("/:requestId", authenticate, async (req, res) => {
       updateValue = updateData
     }
 
-    if (updateValue.status) {
-      if (updateValue.status === "resolved") {
-        updateValue.resolvedAt = new Date()
-      } else if (updateValue.status === "closed") {
-        updateValue.closedAt = new Date()
+    const before = snapshotRevisedFields(request)
+    const { status: newStatus, statusReason, customFields: customFieldUpdates, ...fieldUpdates } = updateValue
+
+    // Re-check custom fields when they change or the category (and so the field set) changes
+    if (customFieldUpdates || (fieldUpdates.category && fieldUpdates.category !== request.category)) {
+      const customFields = await validateCustomFields(
+        fieldUpdates.category || request.category,
+        customFieldUpdates,
+        request.customFields,
+      )
+      if (!customFields.ok) {
+        return res.status(400).json({
+          message: "Validation error",
+          details: customFields.errors,
+        })
       }
+      request.customFields = customFields.values
+      request.markModified("customFields")
     }
 
-    const updatedRequest = await SupportRequest.findOneAndUpdate({ requestId: req.params.requestId }, updateValue, {
-      new: true,
-      runValidators: true,
-    })
-      .populate("customer", "username email accountType companyName")
-      .populate("assignedTechnician", "username email specialization")
+    const previousStatus = request.status
+    const resolving = newStatus === "resolved" && request.status !== "resolved"
+    if (newStatus && newStatus !== request.status) {
+      const transition = validateStatusTransition(request.status, newStatus, req.user.role)
+      if (!transition.allowed) {
+        return sendTransitionError(res, transition)
+      }
+      applyStatusChange(request, { to: newStatus, action: transition.action, user: req.user, reason: statusReason })
+    }
+
+    Object.assign(request, fieldUpdates)
+    await request.save()
+    await stopTimersOnClose(request)
+
+    const revision = await recordRevision(request, before, req.user)
+    if (revision) {
+      request.revisionCount = revision.revision
+      await notifyRevision(request, revision, req.user)
+    }
+
+    if (resolving) {
+      await notifyResolved(request)
+    }
+    if (request.status !== previousStatus) {
+      await runAutomations("status-changed", request, { from: previousStatus, user: req.user })
+    }
+
+    const updatedRequest = await request.populate([
+      { path: "customer", select: "username email accountType companyName" },
+      { path: "assignedTechnician", select: "username email specialization" },
+    ])
 
     console.log(`Support request updated: ${req.params.requestId} by ${req.user.email}`)
 
@@ -314,10 +580,18 @@ router.post("/:requestId/assign", authenticate, requireTechnician, async (req, r
       return res.status(400).json({ message: "Invalid technician" })
     }
 
+    const transition = moveToInProgressOnAssign(request, req.user)
+    if (!transition.allowed) {
+      return sendTransitionError(res, transition)
+    }
+
     request.assignedTechnician = value.technicianId
-    request.status = "in-progress"
+    request.assignmentDetails = { method: "manual", assignedAt: new Date(), assignedBy: req.user.userId }
     request.estimatedResolutionTime = value.estimatedResolutionTime
     await request.save()
+    if (transition.action) {
+      await runAutomations("status-changed", request, { from: request.statusHistory.at(-1).from, user: req.user })
+    }
 
     await request.populate("assignedTechnician", "username email specialization")
 
@@ -333,6 +607,558 @@ router.post("/:requestId/assign", authenticate, requireTechnician, async (req, r
   }
 })
 
+// Explain how a support request was assigned
+router.get("/:requestId/assignment", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+      .select("requestId category assignedTechnician assignmentDetails")
+      .populate("assignedTechnician", "username email specialization rating")
+      .populate("assignmentDetails.assignedBy", "username email")
+
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    res.json({
+      requestId: request.requestId,
+      assignedTechnician: request.assignedTechnician,
+      assignmentDetails: request.assignmentDetails,
+    })
+  } catch (err) {
+    console.error("Get assignment error:", err)
+    res.status(500).json({ message: "Error fetching assignment details" })
+  }
+})
+
+// Run the routing engine for a request (dryRun previews the pick without assigning)
+router.post("/:requestId/auto-assign", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = autoAssignSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const selection = await selectTechnician(request, { strategy: value.strategy })
+    if (value.dryRun || !selection.technician) {
+      return res.status(selection.technician ? 200 : 422).json({
+        message: selection.technician ? "Routing preview" : "No technician available",
+        selection,
+      })
+    }
+
+    const transition = moveToInProgressOnAssign(request, req.user)
+    if (!transition.allowed) {
+      return sendTransitionError(res, transition)
+    }
+
+    request.assignedTechnician = selection.technician._id
+    request.assignmentDetails = {
+      method: "auto",
+      strategy: selection.strategy,
+      reason: selection.reason,
+      score: selection.score,
+      candidatesConsidered: selection.candidates.length,
+      assignedAt: new Date(),
+      assignedBy: req.user.userId,
+    }
+    await request.save()
+    if (transition.action) {
+      await runAutomations("status-changed", request, { from: request.statusHistory.at(-1).from, user: req.user })
+    }
+    await request.populate("assignedTechnician", "username email specialization")
+
+    await notifyAssignment(request, selection.technician)
+
+    res.json({
+      message: "Technician assigned successfully",
+      request,
+      selection,
+    })
+  } catch (err) {
+    console.error("Auto-assign error:", err)
+    res.status(500).json({ message: "Error auto-assigning technician" })
+  }
+})
+
+// Merge this request into another one
+router.post("/:requestId/merge", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = mergeRequestSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const { request: source, other: target } = await findRequestPair(req.params.requestId, value.targetRequestId)
+    if (!source || !target) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const sourceStatus = source.status
+    const result = await mergeRequests(source, target, req.user, value.reason)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+    if (source.status !== sourceStatus) {
+      await runAutomations("status-changed", source, { from: sourceStatus, user: req.user })
+    }
+
+    await createAuditLog(
+      req.user.userId,
+      "update",
+      "support-request",
+      source._id,
+      { action: "merge", targetRequestId: target.requestId, ...result.details },
+      req,
+    )
+
+    const { emitToSupportRequest } = await import("../utils/websocket.js")
+    const mergePayload = { sourceRequestId: source.requestId, targetRequestId: target.requestId }
+    emitToSupportRequest(source.requestId, "request-merged", mergePayload)
+    emitToSupportRequest(target.requestId, "request-merged", mergePayload)
+
+    try {
+      const { createNotification } = await import("../utils/notifications.js")
+      // Automations may have populated the source customer
+      const customerIds = [...new Set([source.customer._id ?? source.customer, target.customer].map(String))]
+      await Promise.all(
+        customerIds.map((customerId) =>
+          createNotification(
+            customerId,
+            "support_request",
+            `Your support request ${source.requestId} was merged into ${target.requestId}`,
+          ),
+        ),
+      )
+    } catch (notifyErr) {
+      console.error("Merge notification error:", notifyErr)
+    }
+
+    console.log(`Support request ${source.requestId} merged into ${target.requestId} by ${req.user.email}`)
+
+    res.json({
+      message: "Support requests merged successfully",
+      source,
+      target,
+      moved: result.details,
+    })
+  } catch (err) {
+    console.error("Merge support requests error:", err)
+    res.status(500).json({ message: "Error merging support requests" })
+  }
+})
+
+// List linked requests
+router.get("/:requestId/links", authenticate, async (req, res) => {
+  try {
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+      .select("requestId customer watchers links mergedInto")
+      .populate("links.request", "requestId title status priority")
+      .populate("mergedInto", "requestId title status")
+
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    res.json({ requestId: request.requestId, mergedInto: request.mergedInto, links: request.links })
+  } catch (err) {
+    console.error("Get links error:", err)
+    res.status(500).json({ message: "Error fetching linked requests" })
+  }
+})
+
+// Link two requests
+router.post("/:requestId/links", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = linkRequestSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const { request, other } = await findRequestPair(req.params.requestId, value.targetRequestId)
+    if (!request || !other) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const result = linkRequests(request, other, value.linkType, req.user)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    await Promise.all([request.save(), other.save()])
+
+    res.status(201).json({
+      message: "Support requests linked successfully",
+      links: request.links,
+    })
+  } catch (err) {
+    console.error("Link requests error:", err)
+    res.status(500).json({ message: "Error linking support requests" })
+  }
+})
+
+// Remove a link between two requests
+router.delete("/:requestId/links/:targetRequestId", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { request, other } = await findRequestPair(req.params.requestId, req.params.targetRequestId)
+    if (!request || !other) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const result = unlinkRequests(request, other, req.user)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    await Promise.all([request.save(), other.save()])
+
+    res.json({
+      message: "Link removed successfully",
+      links: request.links,
+    })
+  } catch (err) {
+    console.error("Unlink requests error:", err)
+    res.status(500).json({ message: "Error removing link" })
+  }
+})
+
+// List watchers and CC addresses
+router.get("/:requestId/watchers", authenticate, async (req, res) => {
+  try {
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+      .select("requestId customer watchers ccEmails")
+      .populate("watchers.user", "username email role companyName")
+      .populate("watchers.addedBy", "username")
+
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    res.json({
+      requestId: request.requestId,
+      watchers: request.watchers,
+      ccEmails: request.ccEmails,
+      watching: request.isWatchedBy(req.user.userId),
+    })
+  } catch (err) {
+    console.error("Get watchers error:", err)
+    res.status(500).json({ message: "Error fetching watchers" })
+  }
+})
+
+// Subscribe yourself to a request
+router.post("/:requestId/watch", authenticate, async (req, res) => {
+  try {
+    const [request, user] = await Promise.all([
+      SupportRequest.findOne({ requestId: req.params.requestId }).populate("customer", "email"),
+      User.findById(req.user.userId),
+    ])
+
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const result = addWatcher(request, user, req.user)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    await request.save()
+
+    res.status(201).json({
+      message: `You are now watching ${request.requestId}`,
+      watchers: request.watchers,
+    })
+  } catch (err) {
+    console.error("Watch request error:", err)
+    res.status(500).json({ message: "Error watching support request" })
+  }
+})
+
+// Unsubscribe yourself from a request
+router.delete("/:requestId/watch", authenticate, async (req, res) => {
+  try {
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const result = removeWatcher(request, req.user.userId, req.user)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    await request.save()
+
+    res.json({ message: `You stopped watching ${request.requestId}` })
+  } catch (err) {
+    console.error("Unwatch request error:", err)
+    res.status(500).json({ message: "Error unwatching support request" })
+  }
+})
+
+// Add another user as a watcher (staff, or the requester for colleagues)
+router.post("/:requestId/watchers", authenticate, async (req, res) => {
+  try {
+    const { error, value } = addWatcherSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId }).populate("customer", "email")
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const watcher = await User.findOne(value.userId ? { _id: value.userId } : { email: value.email.toLowerCase() })
+    if (!watcher) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const result = addWatcher(request, watcher, req.user)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    await request.save()
+
+    const { createNotification } = await import("../utils/notifications.js")
+    await createNotification(
+      watcher._id,
+      "support_request",
+      `${req.user.username} added you as a watcher on support request ${request.requestId}`,
+    ).catch((err) => console.error("Watcher notification error:", err))
+
+    res.status(201).json({
+      message: `${watcher.username} is now watching ${request.requestId}`,
+      watchers: request.watchers,
+    })
+  } catch (err) {
+    console.error("Add watcher error:", err)
+    res.status(500).json({ message: "Error adding watcher" })
+  }
+})
+
+// Remove a watcher
+router.delete("/:requestId/watchers/:userId", authenticate, async (req, res) => {
+  try {
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const result = removeWatcher(request, req.params.userId, req.user)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    await request.save()
+
+    res.json({ message: "Watcher removed successfully", watchers: request.watchers })
+  } catch (err) {
+    console.error("Remove watcher error:", err)
+    res.status(500).json({ message: "Error removing watcher" })
+  }
+})
+
+// Copy an external email address on public updates
+router.post("/:requestId/cc", authenticate, async (req, res) => {
+  try {
+    const { error, value } = ccEmailSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId }).populate("customer", "email")
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const result = addCcEmail(request, value.email, req.user)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    await request.save()
+
+    res.status(201).json({ message: "CC address added successfully", ccEmails: request.ccEmails })
+  } catch (err) {
+    console.error("Add CC error:", err)
+    res.status(500).json({ message: "Error adding CC address" })
+  }
+})
+
+// Stop copying an external email address
+router.delete("/:requestId/cc/:email", authenticate, async (req, res) => {
+  try {
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const result = removeCcEmail(request, req.params.email, req.user)
+    if (!result.ok) {
+      const { ok, statusCode, ...details } = result
+      return res.status(statusCode).json(details)
+    }
+
+    await request.save()
+
+    res.json({ message: "CC address removed successfully", ccEmails: request.ccEmails })
+  } catch (err) {
+    console.error("Remove CC error:", err)
+    res.status(500).json({ message: "Error removing CC address" })
+  }
+})
+
+// Edit history of title, description and other fields
+router.get("/:requestId/revisions", authenticate, async (req, res) => {
+  try {
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId }).select(
+      "requestId customer watchers revisionCount",
+    )
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const revisions = await RequestRevision.find({ supportRequest: request._id })
+      .populate("editor", "username email role")
+      .sort({ revision: -1 })
+
+    res.json({ requestId: request.requestId, currentRevision: request.revisionCount, revisions })
+  } catch (err) {
+    console.error("Get revisions error:", err)
+    res.status(500).json({ message: "Error fetching revisions" })
+  }
+})
+
+// A request as it was after a given revision; revision 0 is the original
+router.get("/:requestId/revisions/:revision", authenticate, async (req, res) => {
+  try {
+    const revisionNumber = Number.parseInt(req.params.revision)
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 0) {
+      return res.status(400).json({ message: "Revision must be a non-negative integer" })
+    }
+
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    if (revisionNumber > request.revisionCount) {
+      return res.status(404).json({ message: `Revision ${revisionNumber} not found` })
+    }
+
+    const [version, revision] = await Promise.all([
+      reconstructVersion(request, revisionNumber),
+      revisionNumber > 0
+        ? RequestRevision.findOne({ supportRequest: request._id, revision: revisionNumber }).populate(
+          "editor",
+          "username email role",
+        )
+        : null,
+    ])
+
+    res.json({
+      requestId: request.requestId,
+      revision: revisionNumber,
+      currentRevision: request.revisionCount,
+      version,
+      editedAt: revision?.createdAt || request.createdAt,
+      editor: revision?.editor || null,
+      changes: revision?.changes || [],
+    })
+  } catch (err) {
+    console.error("Get revision error:", err)
+    res.status(500).json({ message: "Error fetching revision" })
+  }
+})
+
+// Status timeline of a support request
+router.get("/:requestId/timeline", authenticate, async (req, res) => {
+  try {
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+      .select("requestId status customer assignedTechnician watchers statusHistory activity createdAt")
+      .populate("statusHistory.changedBy", "username email role")
+      .populate("activity.actor", "username email role")
+      .populate("activity.relatedRequest", "requestId title status")
+
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const timeline = [
+      ...request.statusHistory.map((entry) => ({ type: "status-change", at: entry.changedAt, ...entry.toObject() })),
+      ...request.activity.map((entry) => ({ type: entry.event, at: entry.createdAt, ...entry.toObject() })),
+    ].sort((a, b) => a.at - b.at)
+
+    res.json({
+      requestId: request.requestId,
+      status: request.status,
+      timeline,
+      availableTransitions: getAvailableTransitions(request.status, req.user.role),
+    })
+  } catch (err) {
+    console.error("Get timeline error:", err)
+    res.status(500).json({ message: "Error fetching timeline" })
+  }
+})
+
 router.get("/:requestId/messages", authenticate, async (req, res) => {
   try {
     const request = await SupportRequest.findOne({ requestId: req.params.requestId })
@@ -340,13 +1166,16 @@ router.get("/:requestId/messages", authenticate, async (req, res) => {
       return res.status(404).json({ message: "Support request not found" })
     }
 
-    if (req.user.role === "customer" && request.customer.toString() !== req.user.userId) {
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
       return res.status(403).json({ message: "Access denied" })
     }
 
-    const messages = await Message.find({ supportRequest: request._id })
-      .populate("sender", "username email role")
-      .sort({ createdAt: 1 })
+    const filter = { supportRequest: request._id, ...Message.visibilityFilter(req.user.role) }
+    if (req.query.visibility && req.user.role !== "customer") {
+      filter.visibility = req.query.visibility
+    }
+
+    const messages = await Message.find(filter).populate("sender", "username email role").sort({ createdAt: 1 })
 
     res.json({ messages })
   } catch (err) {
@@ -370,23 +1199,42 @@ router.post("/:requestId/messages", authenticate, async (req, res) => {
       return res.status(404).json({ message: "Support request not found" })
     }
 
-    if (req.user.role === "customer" && request.customer.toString() !== req.user.userId) {
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
       return res.status(403).json({ message: "Access denied" })
     }
 
+    if (req.user.role === "customer" && value.visibility === "internal") {
+      return res.status(403).json({
+        message: "Customers cannot post internal notes",
+        code: "INTERNAL_NOTE_FORBIDDEN",
+      })
+    }
+
     const message = new Message({
       supportRequest: request._id,
       sender: req.user.userId,
       content: value.content,
       messageType: value.messageType,
+      visibility: value.visibility,
     })
 
     await message.save()
     await message.populate("sender", "username email role")
 
     request.lastActivity = new Date()
+    // Internal notes are not a response to the customer
+    if (message.visibility === "public") {
+      recordFirstResponse(request, req.user.role, message.createdAt)
+    }
+    const resumed = resumeOnCustomerReply(request, req.user)
     await request.save()
 
+    await broadcastMessage(request, message)
+    await runAutomations("message-added", request, { message, user: req.user })
+    if (resumed) {
+      await runAutomations("status-changed", request, { from: resumed.from, user: req.user })
+    }
+
     res.status(201).json({
       message: "Message added successfully",
       data: message,
@@ -420,24 +1268,14 @@ router.post("/:requestId/rating", authenticate, requireCustomer, async (req, res
       return res.status(400).json({ message: "Can only rate resolved or closed requests" })
     }
 
+    // Shares the survey record so a portal rating also stops survey reminders
+    const survey = await getOrCreateSurvey(request)
+    await recordSurveyResponse(survey, value, "portal")
     request.customerSatisfaction = {
-      rating: value.rating,
-      feedback: value.feedback,
-      submittedAt: new Date(),
-    }
-
-    await request.save()
-
-    if (request.assignedTechnician) {
-      const technician = await User.findById(request.assignedTechnician)
-      if (technician) {
-        const newTotalReviews = technician.totalReviews + 1
-        const newRating = (technician.rating * technician.totalReviews + value.rating) / newTotalReviews
-
-        technician.rating = Math.round(newRating * 10) / 10
-        technician.totalReviews = newTotalReviews
-        await technician.save()
-      }
+      rating: survey.rating,
+      npsScore: survey.npsScore,
+      feedback: survey.feedback,
+      submittedAt: survey.respondedAt,
     }
 
     res.json({
@@ -541,10 +1379,18 @@ router.post("/:requestId/assign-technician", authenticate, requireTechnician, as
       return res.status(404).json({ message: "Technician not found" })
     }
 
+    const transition = moveToInProgressOnAssign(request, req.user)
+    if (!transition.allowed) {
+      return sendTransitionError(res, transition)
+    }
+
     request.assignedTechnician = technicianId
-    request.status = "in-progress"
+    request.assignmentDetails = { method: "manual", assignedAt: new Date(), assignedBy: req.user.userId }
     request.estimatedResolutionTime = estimatedResolutionTime || 24
     await request.save()
+    if (transition.action) {
+      await runAutomations("status-changed", request, { from: request.statusHistory.at(-1).from, user: req.user })
+    }
 
     await request.populate("customer", "username email")
     await request.populate("assignedTechnician", "username email specialization")
@@ -580,12 +1426,17 @@ router.post("/:requestId/assign-technician", authenticate, requireTechnician, as
 // Update support request status
 router.patch("/:requestId/status", authenticate, async (req, res) => {
   try {
-    const { status, notes } = req.body
-
-    if (!["open", "in-progress", "pending-customer", "resolved", "closed"].includes(status)) {
-      return res.status(400).json({ message: "Invalid status" })
+    const { error, value } = statusChangeSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
     }
 
+    const { status, action } = value
+    const reason = value.reason || value.notes
+
     const request = await SupportRequest.findOne({ requestId: req.params.requestId })
     if (!request) {
       return res.status(404).json({ message: "Support request not found" })
@@ -596,37 +1447,44 @@ router.patch("/:requestId/status", authenticate, async (req, res) => {
       return res.status(403).json({ message: "Access denied" })
     }
 
-    const oldStatus = request.status
-    request.status = status
+    // Notes are still kept on the request as before; they also serve as the history reason
+    if (value.notes) {
+      request.notes = value.notes
+    }
 
-    if (status === "resolved") {
-      request.resolvedAt = new Date()
-    } else if (status === "closed") {
-      request.closedAt = new Date()
+    // Going back to open from resolved or closed is a reopen: reason, window and counters apply
+    if (status === "open" && ["resolved", "closed"].includes(request.status)) {
+      if (!reason) {
+        return res.status(400).json({ code: "REASON_REQUIRED", message: "A reason is required to reopen a support request" })
+      }
+      return respondWithReopen(req, res, request, reason)
     }
 
-    if (notes) {
-      request.notes = notes
+    const transition = validateStatusTransition(request.status, status, req.user.role, action)
+    if (!transition.allowed) {
+      return sendTransitionError(res, transition)
     }
 
+    const oldStatus = request.status
+    applyStatusChange(request, { to: status, action: transition.action, user: req.user, reason })
+
     await request.save()
+    await stopTimersOnClose(request)
     await request.populate("customer", "username email")
     await request.populate("assignedTechnician", "username email")
 
-    // Send notifications if status changed
-    if (oldStatus !== status) {
-      const { notificationHandlers } = await import("../utils/notifications.js")
-      if (status === "resolved") {
-        await notificationHandlers.supportRequestResolved(request, request.customer, request.assignedTechnician)
-      }
+    // Send notifications
+    if (status === "resolved") {
+      await notifyResolved(request)
     }
+    await runAutomations("status-changed", request, { from: oldStatus, user: req.user })
 
     await createAuditLog(
       req.user.userId,
       "update",
       "support-request",
       request._id,
-      { action: "status-change", oldStatus, newStatus: status },
+      { action: "status-change", oldStatus, newStatus: status, transition: transition.action, reason },
       req,
     )
 
@@ -640,11 +1498,44 @@ router.patch("/:requestId/status", authenticate, async (req, res) => {
   }
 })
 
-// Export support request details
+// Reopen a resolved or closed request with a reason
+router.post("/:requestId/reopen", authenticate, async (req, res) => {
+  try {
+    const { error, value } = reopenSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const request = await SupportRequest.findOne({ requestId: req.params.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    // Check permissions
+    if (req.user.role === "customer" && request.customer.toString() !== req.user.userId) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    await respondWithReopen(req, res, request, value.reason)
+  } catch (err) {
+    console.error("Reopen request error:", err)
+    res.status(500).json({ message: "Error reopening support request" })
+  }
+})
+
+// Export support request details as JSON, or as a PDF (?format=pdf) for sending to clients
 router.get("/:requestId/export", authenticate, async (req, res) => {
   try {
+    const format = req.query.format || "json"
+    if (!["json", "pdf"].includes(format)) {
+      return res.status(400).json({ message: "Format must be json or pdf" })
+    }
+
     const request = await SupportRequest.findOne({ requestId: req.params.requestId })
-      .populate("customer", "username email phone address")
+      .populate("customer", "username email phone address companyName")
       .populate("assignedTechnician", "username email specialization")
 
     if (!request) {
@@ -652,15 +1543,32 @@ router.get("/:requestId/export", authenticate, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role === "customer" && request.customer._id.toString() !== req.user.userId) {
+    if (!request.isVisibleTo(req.user.userId, req.user.role)) {
       return res.status(403).json({ message: "Access denied" })
     }
 
-    // Get messages
-    const messages = await Message.find({ supportRequest: request._id })
+    // Get messages (internal notes are never exported to customers, and left out of PDFs unless asked for)
+    const visibilityRole = format === "pdf" && req.query.includeInternal !== "true" ? "customer" : req.user.role
+    const messages = await Message.find({ supportRequest: request._id, ...Message.visibilityFilter(visibilityRole) })
       .populate("sender", "username email role")
       .sort({ createdAt: 1 })
 
+    if (format === "pdf") {
+      const customFields = await describeCustomFields(request)
+      await createAuditLog(
+        req.user.userId,
+        "export",
+        "support-request",
+        request._id,
+        { format, requestId: request.requestId, includeInternal: visibilityRole !== "customer" },
+        req,
+      )
+
+      res.setHeader("Content-Type", "application/pdf")
+      res.setHeader("Content-Disposition", `attachment; filename="${request.requestId}.pdf"`)
+      return writeRequestPdf(res, { request, customFields, messages, exportedBy: req.user.username })
+    }
+
     const exportData = {
       requestDetails: {
         requestId: request.requestId,
@@ -673,6 +1581,7 @@ router.get("/:requestId/export", authenticate, async (req, res) => {
         resolvedAt: request.resolvedAt,
         closedAt: request.closedAt,
       },
+      customFields: await describeCustomFields(request),
       customer: {
         name: request.customer.username,
         email: request.customer.email,
@@ -687,9 +1596,10 @@ router.get("/:requestId/export", authenticate, async (req, res) => {
         }
         : null,
       messages: messages.map((msg) => ({
-        sender: msg.sender.username,
-        role: msg.sender.role,
+        sender: msg.sender?.username || "System",
+        role: msg.sender?.role || "system",
         content: msg.content,
+        visibility: msg.visibility,
         timestamp: msg.createdAt,
       })),
       satisfaction: request.customerSatisfaction,
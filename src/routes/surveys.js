@@ -0,0 +1,117 @@
+import express from "express"
+import Joi from "joi"
+import SupportRequest from "../models/support-request.js"
+import { recordSurveyResponse, verifySurveyToken } from "../utils/satisfaction.js"
+
+// Survey links are signed, so none of these routes require a login
+const router = express.Router()
+
+// Validation schemas
+const oneClickSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  nps: Joi.number().integer().min(0).max(10),
+}).or("rating", "nps")
+
+const surveyResponseSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  npsScore: Joi.number().integer().min(0).max(10),
+  feedback: Joi.string().max(2000).allow(""),
+}).or("rating", "npsScore", "feedback")
+
+const sendSurveyError = (res, result) => {
+  const { ok, statusCode, ...details } = result
+  return res.status(statusCode).json(details)
+}
+
+const presentSurvey = async (survey) => {
+  const request = await SupportRequest.findById(survey.supportRequest)
+    .select("requestId title category resolvedAt assignedTechnician")
+    .populate("assignedTechnician", "username")
+
+  return {
+    requestId: request?.requestId,
+    title: request?.title,
+    category: request?.category,
+    resolvedAt: request?.resolvedAt,
+    technicianName: request?.assignedTechnician?.username,
+    answered: Boolean(survey.respondedAt),
+    rating: survey.rating,
+    npsScore: survey.npsScore,
+    feedback: survey.feedback,
+    expiresAt: survey.expiresAt,
+  }
+}
+
+// Survey details for the survey page
+router.get("/:token", async (req, res) => {
+  try {
+    const result = await verifySurveyToken(req.params.token)
+    if (!result.ok) {
+      return sendSurveyError(res, result)
+    }
+
+    res.json({ survey: await presentSurvey(result.survey) })
+  } catch (err) {
+    console.error("Get survey error:", err)
+    res.status(500).json({ message: "Error fetching survey" })
+  }
+})
+
+// Answer picked in the survey email, confirmed on the survey page. Emailed links only open the page with the
+// answer preselected: mail scanners prefetch links, so a GET must never record one
+router.post("/:token/respond", async (req, res) => {
+  try {
+    const { error, value } = oneClickSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const result = await verifySurveyToken(req.params.token)
+    if (!result.ok) {
+      return sendSurveyError(res, result)
+    }
+
+    await recordSurveyResponse(result.survey, { rating: value.rating, npsScore: value.nps }, "email-link")
+
+    res.json({
+      message: "Thank you for your feedback",
+      survey: await presentSurvey(result.survey),
+    })
+  } catch (err) {
+    console.error("Survey one-click response error:", err)
+    res.status(500).json({ message: "Error recording survey response" })
+  }
+})
+
+// Full answer from the survey page; may complete or correct a one-click answer
+router.post("/:token", async (req, res) => {
+  try {
+    const { error, value } = surveyResponseSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const result = await verifySurveyToken(req.params.token)
+    if (!result.ok) {
+      return sendSurveyError(res, result)
+    }
+
+    await recordSurveyResponse(result.survey, value, "survey-page")
+
+    res.json({
+      message: "Thank you for your feedback",
+      survey: await presentSurvey(result.survey),
+    })
+  } catch (err) {
+    console.error("Survey response error:", err)
+    res.status(500).json({ message: "Error recording survey response" })
+  }
+})
+
+export default router
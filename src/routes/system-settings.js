@@ -327,6 +327,27 @@ function getDefaultSettings() {
       description: "Automatically assign technicians to new requests",
       isEditable: true,
     },
+    {
+      key: "auto_assignment_default_strategy",
+      value: "best-match",
+      category: "general",
+      description: "Auto-assignment strategy: round-robin, least-loaded or best-match",
+      isEditable: true,
+    },
+    {
+      key: "auto_assignment_max_open_tickets",
+      value: 10,
+      category: "general",
+      description: "Technicians at or above this many open tickets are skipped by auto-assignment",
+      isEditable: true,
+    },
+    {
+      key: "auto_assignment_categories",
+      value: {},
+      category: "general",
+      description: "Per-category auto-assignment: { [category]: { enabled, strategy, specializations, maxOpenTickets } }",
+      isEditable: true,
+    },
     {
       key: "default_sla_response_time",
       value: 240, // 4 hours
@@ -341,6 +362,181 @@ function getDefaultSettings() {
       description: "Default SLA resolution time in minutes",
       isEditable: true,
     },
+    {
+      key: "default_sla_escalation_time",
+      value: 480, // 8 hours
+      category: "sla",
+      description: "Default SLA escalation time in minutes",
+      isEditable: true,
+    },
+    {
+      key: "sla_at_risk_threshold",
+      value: 0.8,
+      category: "sla",
+      description: "Fraction of an SLA window after which a request is flagged as at risk",
+      isEditable: true,
+    },
+    {
+      key: "sla_business_hours_only",
+      value: false,
+      category: "sla",
+      description: "Count default SLA targets in business hours of the default business calendar",
+      isEditable: true,
+    },
+    {
+      key: "inbound_email_default_category",
+      value: "general-inquiry",
+      category: "email",
+      description: "Category for support requests opened by email",
+      isEditable: true,
+    },
+    {
+      key: "inbound_email_default_priority",
+      value: "medium",
+      category: "email",
+      description: "Priority for support requests opened by email",
+      isEditable: true,
+    },
+    {
+      key: "inbound_email_max_attachment_size",
+      value: 10485760, // 10MB
+      category: "email",
+      description: "Largest email attachment in bytes stored on a request",
+      isEditable: true,
+    },
+    {
+      key: "worklog_default_hourly_rate",
+      value: 75,
+      category: "payment",
+      description: "Hourly rate for billable worklogs when the technician has none",
+      isEditable: true,
+    },
+    {
+      key: "worklog_billing_increment_minutes",
+      value: 15,
+      category: "payment",
+      description: "Billable worklog time is rounded up to this many minutes (0 bills exact minutes)",
+      isEditable: true,
+    },
+    {
+      key: "lifecycle_automation_enabled",
+      value: true,
+      category: "general",
+      description: "Send pending-customer reminders and close idle requests automatically",
+      isEditable: true,
+    },
+    {
+      key: "pending_customer_reminder_days",
+      value: 3,
+      category: "general",
+      description: "Days a request waits on the customer before a reminder is sent (0 disables reminders)",
+      isEditable: true,
+    },
+    {
+      key: "pending_customer_max_reminders",
+      value: 2,
+      category: "general",
+      description: "Maximum reminders sent while a request waits on the customer",
+      isEditable: true,
+    },
+    {
+      key: "pending_customer_auto_close_days",
+      value: 7,
+      category: "general",
+      description: "Days without a customer reply before a pending-customer request is closed (0 disables)",
+      isEditable: true,
+    },
+    {
+      key: "resolved_auto_close_days",
+      value: 5,
+      category: "general",
+      description: "Grace period in days before a resolved request is closed (0 disables)",
+      isEditable: true,
+    },
+    {
+      key: "reopen_window_days",
+      value: 14,
+      category: "general",
+      description: "Days after closure a request can be reopened; later reopens create a linked follow-up request",
+      isEditable: true,
+    },
+    {
+      key: "appointment_recurrence_horizon_days",
+      value: 180,
+      category: "general",
+      description: "How far ahead occurrences of recurring appointments are booked",
+      isEditable: true,
+    },
+    {
+      key: "appointment_reschedule_proposal_ttl_hours",
+      value: 48,
+      category: "general",
+      description: "Hours a reschedule proposal waits for an answer before it expires",
+      isEditable: true,
+    },
+    {
+      key: "appointment_reminder_offsets_minutes",
+      value: [1440, 60],
+      category: "general",
+      description: "Minutes before an appointment that reminders are sent to the client and the technician",
+      isEditable: true,
+    },
+    {
+      key: "appointment_waitlist_hold_minutes",
+      value: 30,
+      category: "general",
+      description: "Minutes a freed slot is held for a waitlisted customer before it goes to the next one",
+      isEditable: true,
+    },
+    {
+      key: "appointment_waitlist_max_entries",
+      value: 5,
+      category: "general",
+      description: "Active waitlist entries a customer may have at once",
+      isEditable: true,
+    },
+    {
+      key: "kb_suggestion_limit",
+      value: 5,
+      category: "general",
+      description: "Knowledge-base articles suggested while a customer drafts a ticket",
+      isEditable: true,
+    },
+    {
+      key: "kb_deflection_window_hours",
+      value: 24,
+      category: "general",
+      description: "Hours after reading a suggested article without filing the ticket before it counts as deflected",
+      isEditable: true,
+    },
+    {
+      key: "csat_survey_enabled",
+      value: true,
+      category: "notification",
+      description: "Email a satisfaction survey when a support request is resolved",
+      isEditable: true,
+    },
+    {
+      key: "csat_survey_link_ttl_days",
+      value: 14,
+      category: "notification",
+      description: "Days a survey link stays valid",
+      isEditable: true,
+    },
+    {
+      key: "csat_survey_reminder_hours",
+      value: 72,
+      category: "notification",
+      description: "Hours before an unanswered survey is sent again",
+      isEditable: true,
+    },
+    {
+      key: "csat_survey_max_sends",
+      value: 2,
+      category: "notification",
+      description: "Maximum number of times a survey is sent, reminders included",
+      isEditable: true,
+    },
   ]
 }
 
@@ -6,6 +6,7 @@ import { authenticate } from "../middlewares/authenticate.js"
 import { requireTechnician } from "../middlewares/authorize.js"
 import mongoose from "mongoose"
 import Appointment from "../models/appointment.js"
+import WaitlistEntry from "../models/waitlist-entry.js"
 
 const router = express.Router()
 
@@ -285,9 +286,21 @@ router.get("/:technicianId/availability", authenticate, async (req, res) => {
             })),
         )
 
+        // Slots held for waitlisted customers are not free either
+        const holds = await WaitlistEntry.find({
+            status: "offered",
+            "offer.technician": new mongoose.Types.ObjectId(req.params.technicianId),
+            "offer.expiresAt": { $gt: new Date() },
+            "offer.startTime": { $lte: endOfDay },
+            "offer.endTime": { $gte: startOfDay },
+        })
+            .select("offer")
+            .lean()
+
         // Extract booked time ranges and convert to hour slots
         const bookedSlots = new Set()
-        appointments.forEach((appt) => {
+        const bookedRanges = [...appointments, ...holds.map((hold) => hold.offer)]
+        bookedRanges.forEach((appt) => {
             const startTime = new Date(appt.startTime)
             const endTime = new Date(appt.endTime)
 
@@ -322,6 +335,8 @@ router.get("/:technicianId/availability", authenticate, async (req, res) => {
                 date: typeof date === "string" ? date : date.toISOString().split("T")[0],
                 bookedSlots: Array.from(bookedSlots),
                 availableSlots: availableSlots,
+                // Fully booked days can be waited for through POST /waitlist
+                canJoinWaitlist: availableSlots.length === 0,
             },
         })
     } catch (err) {
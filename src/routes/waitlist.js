@@ -0,0 +1,241 @@
+import express from "express"
+import Joi from "joi"
+import WaitlistEntry from "../models/waitlist-entry.js"
+import { authenticate } from "../middlewares/authenticate.js"
+import { authorize } from "../middlewares/authorize.js"
+import { validateRequest } from "../middlewares/validation.js"
+import { asyncHandler } from "../utils/response.js"
+import { logger } from "../utils/logger.js"
+import { confirmHold, declineHold, findHold, joinWaitlist, leaveWaitlist } from "../utils/waitlist.js"
+
+const router = express.Router()
+
+// Validation schemas
+const joinWaitlistSchema = Joi.object({
+  // Without a technician, slots freed by any technician for the service type are offered
+  technicianId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      "string.pattern.base": "Invalid technician ID format",
+    }),
+  serviceType: Joi.string()
+    .valid("consultation", "repair", "installation", "maintenance", "troubleshooting", "emergency")
+    .required(),
+  earliestStart: Joi.date().iso().required(),
+  latestEnd: Joi.date().iso().min("now").greater(Joi.ref("earliestStart")).required(),
+  durationMinutes: Joi.number().integer().min(15).max(480).default(60),
+  priority: Joi.string().valid("low", "medium", "high", "urgent").default("medium"),
+  notes: Joi.string().max(1000).optional().allow(""),
+  location: Joi.object({
+    address: Joi.string().required(),
+    city: Joi.string().required(),
+    state: Joi.string().required(),
+    zipCode: Joi.string().required(),
+  }).optional(),
+})
+
+const sendFailure = (res, result) => {
+  const { ok, statusCode, ...details } = result
+  return res.status(statusCode).json({ success: false, ...details })
+}
+
+// What a hold link shows; the link is the only credential, so no customer details
+const presentHold = (entry) => ({
+  serviceType: entry.serviceType,
+  technician: entry.offer.technician?.username,
+  startTime: entry.offer.startTime,
+  endTime: entry.offer.endTime,
+  expiresAt: entry.offer.expiresAt,
+})
+
+// Join the waitlist for a technician or a service type
+router.post(
+  "/",
+  authenticate,
+  authorize(["customer", "admin"]),
+  validateRequest(joinWaitlistSchema),
+  asyncHandler(async (req, res) => {
+    const result = await joinWaitlist(req.user, req.body)
+    if (!result.ok) {
+      return sendFailure(res, result)
+    }
+
+    await result.entry.populate("technician", "username specialization")
+
+    logger.info(`Waitlist entry created`, {
+      entryId: result.entry._id,
+      customerId: req.user.userId,
+      technicianId: req.body.technicianId,
+      serviceType: req.body.serviceType,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Added to the waitlist. We will email you when a slot opens up",
+      data: { entry: result.entry },
+    })
+  }),
+)
+
+// Customers see their entries, technicians the entries waiting for them, admins everything
+router.get(
+  "/",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(50, Math.max(1, Number.parseInt(req.query.limit) || 10))
+    const skip = (page - 1) * limit
+
+    const filter = {}
+
+    if (req.user.role === "customer") {
+      filter.customer = req.user.userId
+    } else if (req.user.role === "technician") {
+      filter.technician = req.user.userId
+    } else if (req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status
+    }
+
+    if (req.query.serviceType) {
+      filter.serviceType = req.query.serviceType
+    }
+
+    if (req.query.technicianId && req.user.role === "admin") {
+      filter.technician = req.query.technicianId
+    }
+
+    const [entries, total] = await Promise.all([
+      WaitlistEntry.find(filter)
+        .populate("customer", "username email")
+        .populate("technician", "username specialization")
+        .populate("offer.technician", "username")
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      WaitlistEntry.countDocuments(filter),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1,
+        },
+      },
+    })
+  }),
+)
+
+// Leave the waitlist; a slot currently held for the entry moves on to the next customer
+router.delete(
+  "/:entryId",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const entry = await WaitlistEntry.findById(req.params.entryId)
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Waitlist entry not found",
+      })
+    }
+
+    if (req.user.role !== "admin" && entry.customer.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      })
+    }
+
+    const result = await leaveWaitlist(entry)
+    if (!result.ok) {
+      return sendFailure(res, result)
+    }
+
+    logger.info(`Waitlist entry canceled`, {
+      entryId: entry._id,
+      canceledBy: req.user.userId,
+    })
+
+    res.json({
+      success: true,
+      message: "Removed from the waitlist",
+      data: { entry: result.entry },
+    })
+  }),
+)
+
+// Hold links are emailed to the customer; like survey links, the token in the URL is the only credential
+router.get(
+  "/holds/:token",
+  asyncHandler(async (req, res) => {
+    const result = await findHold(req.params.token)
+    if (!result.ok) {
+      return sendFailure(res, result)
+    }
+
+    res.json({
+      success: true,
+      data: { hold: presentHold(result.entry) },
+    })
+  }),
+)
+
+// Booking is a POST from the hold page: mail scanners prefetch emailed links, so no GET may book
+router.post(
+  "/holds/:token/confirm",
+  asyncHandler(async (req, res) => {
+    const result = await confirmHold(req.params.token)
+    if (!result.ok) {
+      return sendFailure(res, result)
+    }
+
+    logger.info(`Waitlist slot booked`, {
+      entryId: result.entry._id,
+      appointmentId: result.appointment._id,
+      customerId: result.entry.customer,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Appointment booked successfully",
+      data: { appointment: result.appointment },
+    })
+  }),
+)
+
+// Let the held slot go to the next customer and keep waiting
+router.post(
+  "/holds/:token/decline",
+  asyncHandler(async (req, res) => {
+    const result = await declineHold(req.params.token)
+    if (!result.ok) {
+      return sendFailure(res, result)
+    }
+
+    logger.info(`Waitlist slot declined`, {
+      entryId: result.entry._id,
+    })
+
+    res.json({
+      success: true,
+      message: "Slot released. You are still on the waitlist",
+    })
+  }),
+)
+
+export default router
@@ -0,0 +1,389 @@
+import express from "express"
+import Joi from "joi"
+import Worklog from "../models/worklog.js"
+import SupportRequest from "../models/support-request.js"
+import { authenticate } from "../middlewares/authenticate.js"
+import { requireTechnician } from "../middlewares/authorize.js"
+import { createAuditLog } from "../utils/audit.js"
+import {
+  MAX_WORKLOG_MINUTES,
+  billWorklogs,
+  buildTimesheet,
+  canEditWorklog,
+  logManualTime,
+  refreshActualResolutionTime,
+  startTimer,
+  stopTimer,
+} from "../utils/worklogs.js"
+
+const router = express.Router()
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+
+// Validation schemas
+const startTimerSchema = Joi.object({
+  requestId: Joi.string().required(),
+  billable: Joi.boolean().default(true),
+  note: Joi.string().max(1000).allow(""),
+})
+
+const stopTimerSchema = Joi.object({
+  note: Joi.string().max(1000).allow(""),
+})
+
+const manualWorklogSchema = Joi.object({
+  requestId: Joi.string().required(),
+  durationMinutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_WORKLOG_MINUTES)
+    .required(),
+  startedAt: Joi.date().iso().max("now"),
+  billable: Joi.boolean().default(true),
+  note: Joi.string().max(1000).allow(""),
+})
+
+const updateWorklogSchema = Joi.object({
+  durationMinutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(MAX_WORKLOG_MINUTES),
+  startedAt: Joi.date().iso().max("now"),
+  billable: Joi.boolean(),
+  note: Joi.string().max(1000).allow(""),
+})
+
+const listWorklogsSchema = Joi.object({
+  requestId: Joi.string(),
+  technicianId: objectId,
+  billable: Joi.boolean(),
+  billed: Joi.boolean(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+})
+
+const timesheetSchema = Joi.object({
+  technicianId: Joi.alternatives().try(objectId, Joi.string().valid("all")),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+})
+
+const billSchema = Joi.object({
+  requestId: Joi.string().required(),
+  worklogIds: Joi.array().items(objectId).max(200),
+  paymentMethod: Joi.string().valid("invoice", "credit_card", "debit_card", "paypal", "bank_transfer").default("invoice"),
+})
+
+const sendResult = (res, result) => {
+  const { ok, statusCode, ...details } = result
+  return res.status(statusCode).json(details)
+}
+
+// List worklogs
+router.get("/", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = listWorklogsSchema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const filter = {}
+    if (value.requestId) {
+      const request = await SupportRequest.findOne({ requestId: value.requestId }).select("_id")
+      if (!request) {
+        return res.status(404).json({ message: "Support request not found" })
+      }
+      filter.supportRequest = request._id
+    }
+    if (value.technicianId) {
+      filter.technician = value.technicianId
+    }
+    if (value.billable !== undefined) {
+      filter.billable = value.billable
+    }
+    if (value.billed !== undefined) {
+      filter.payment = value.billed ? { $ne: null } : null
+    }
+    if (value.from || value.to) {
+      filter.startedAt = {}
+      if (value.from) filter.startedAt.$gte = value.from
+      if (value.to) filter.startedAt.$lte = value.to
+    }
+
+    const { page, limit } = value
+    const [worklogs, total] = await Promise.all([
+      Worklog.find(filter)
+        .populate("technician", "username email")
+        .populate("supportRequest", "requestId title")
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Worklog.countDocuments(filter),
+    ])
+
+    res.json({
+      worklogs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    })
+  } catch (err) {
+    console.error("Get worklogs error:", err)
+    res.status(500).json({ message: "Error fetching worklogs" })
+  }
+})
+
+// Current user's running timer
+router.get("/timer", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const worklog = await Worklog.findOne({ technician: req.user.userId, isRunning: true }).populate(
+      "supportRequest",
+      "requestId title",
+    )
+
+    res.json({
+      worklog,
+      elapsedMinutes: worklog ? Math.round((Date.now() - worklog.startedAt) / (60 * 1000)) : 0,
+    })
+  } catch (err) {
+    console.error("Get timer error:", err)
+    res.status(500).json({ message: "Error fetching timer" })
+  }
+})
+
+// Start a timer on a request
+router.post("/timer/start", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = startTimerSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const request = await SupportRequest.findOne({ requestId: value.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const result = await startTimer(request, req.user, value)
+    if (!result.ok) {
+      return sendResult(res, result)
+    }
+
+    res.status(201).json({ message: "Timer started", worklog: result.worklog })
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ code: "TIMER_RUNNING", message: "A timer is already running" })
+    }
+    console.error("Start timer error:", err)
+    res.status(500).json({ message: "Error starting timer" })
+  }
+})
+
+// Stop the running timer
+router.post("/timer/stop", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = stopTimerSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const worklog = await Worklog.findOne({ technician: req.user.userId, isRunning: true })
+    if (!worklog) {
+      return res.status(404).json({ message: "No timer is running" })
+    }
+
+    const result = await stopTimer(worklog, value)
+    await result.worklog.populate("supportRequest", "requestId title actualResolutionTime")
+
+    res.json({
+      message: result.capped
+        ? `Timer stopped. It ran for more than ${MAX_WORKLOG_MINUTES / 60} hours and was capped; please check the entry`
+        : "Timer stopped",
+      capped: result.capped,
+      worklog: result.worklog,
+    })
+  } catch (err) {
+    console.error("Stop timer error:", err)
+    res.status(500).json({ message: "Error stopping timer" })
+  }
+})
+
+// Log time manually
+router.post("/", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = manualWorklogSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const request = await SupportRequest.findOne({ requestId: value.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    const { worklog } = await logManualTime(request, req.user, value)
+    await worklog.populate("supportRequest", "requestId title actualResolutionTime")
+
+    res.status(201).json({ message: "Time logged successfully", worklog })
+  } catch (err) {
+    console.error("Log time error:", err)
+    res.status(500).json({ message: "Error logging time" })
+  }
+})
+
+// Per-technician timesheet; technicians see their own, admins anyone's or everyone's
+router.get("/timesheet", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = timesheetSchema.validate(req.query)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    if (value.technicianId && value.technicianId !== req.user.userId && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Only admins can view other technicians' timesheets" })
+    }
+
+    // Defaults to the current week, Monday to Monday
+    const now = new Date()
+    const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7))
+    const from = value.from || monday
+    const to = value.to || new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000)
+    const technicianId = value.technicianId === "all" ? null : value.technicianId || req.user.userId
+
+    const timesheet = await buildTimesheet({ technicianId, from, to })
+
+    res.json({ technicianId, timesheet })
+  } catch (err) {
+    console.error("Get timesheet error:", err)
+    res.status(500).json({ message: "Error fetching timesheet" })
+  }
+})
+
+// Convert billable worklogs of a request into a payment for the customer; admins or the assigned technician
+router.post("/bill", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = billSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const request = await SupportRequest.findOne({ requestId: value.requestId })
+    if (!request) {
+      return res.status(404).json({ message: "Support request not found" })
+    }
+
+    if (req.user.role !== "admin" && request.assignedTechnician?.toString() !== req.user.userId) {
+      return res.status(403).json({ message: "Only admins or the assigned technician can bill this support request" })
+    }
+
+    const result = await billWorklogs(request, req.user, value)
+    if (!result.ok) {
+      return sendResult(res, result)
+    }
+
+    await createAuditLog(
+      req.user.userId,
+      "create",
+      "payment",
+      result.payment._id,
+      {
+        action: "bill-worklogs",
+        requestId: request.requestId,
+        amount: result.payment.amount,
+        worklogs: result.worklogs.map((worklog) => worklog._id),
+      },
+      req,
+    )
+
+    res.status(201).json({
+      message: "Worklogs billed successfully",
+      payment: result.payment,
+    })
+  } catch (err) {
+    console.error("Bill worklogs error:", err)
+    res.status(500).json({ message: "Error billing worklogs" })
+  }
+})
+
+// Update a worklog; billed and running worklogs are fixed
+router.put("/:worklogId", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const { error, value } = updateWorklogSchema.validate(req.body)
+    if (error) {
+      return res.status(400).json({
+        message: "Validation error",
+        details: error.details.map((detail) => detail.message),
+      })
+    }
+
+    const worklog = await Worklog.findById(req.params.worklogId)
+    if (!worklog) {
+      return res.status(404).json({ message: "Worklog not found" })
+    }
+    if (!canEditWorklog(worklog, req.user)) {
+      return res.status(403).json({ message: "Only the technician who logged the time or an admin can edit it" })
+    }
+    if (worklog.payment) {
+      return res.status(409).json({ code: "WORKLOG_BILLED", message: "Billed worklogs cannot be changed" })
+    }
+    if (worklog.isRunning && (value.durationMinutes || value.startedAt)) {
+      return res.status(409).json({ code: "TIMER_RUNNING", message: "Stop the timer before changing its time" })
+    }
+
+    Object.assign(worklog, value)
+    if (!worklog.isRunning && (value.durationMinutes || value.startedAt)) {
+      worklog.endedAt = new Date(worklog.startedAt.getTime() + worklog.durationMinutes * 60 * 1000)
+    }
+    await worklog.save()
+    await refreshActualResolutionTime(worklog.supportRequest)
+
+    res.json({ message: "Worklog updated successfully", worklog })
+  } catch (err) {
+    console.error("Update worklog error:", err)
+    res.status(500).json({ message: "Error updating worklog" })
+  }
+})
+
+// Delete a worklog
+router.delete("/:worklogId", authenticate, requireTechnician, async (req, res) => {
+  try {
+    const worklog = await Worklog.findById(req.params.worklogId)
+    if (!worklog) {
+      return res.status(404).json({ message: "Worklog not found" })
+    }
+    if (!canEditWorklog(worklog, req.user)) {
+      return res.status(403).json({ message: "Only the technician who logged the time or an admin can delete it" })
+    }
+    if (worklog.payment) {
+      return res.status(409).json({ code: "WORKLOG_BILLED", message: "Billed worklogs cannot be deleted" })
+    }
+
+    await worklog.deleteOne()
+    await refreshActualResolutionTime(worklog.supportRequest)
+
+    res.json({ message: "Worklog deleted successfully" })
+  } catch (err) {
+    console.error("Delete worklog error:", err)
+    res.status(500).json({ message: "Error deleting worklog" })
+  }
+})
+
+export default router
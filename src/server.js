@@ -11,6 +11,15 @@ import routes from "./routes/index.js"
 import swaggerUi from "swagger-ui-express"
 import swaggerJSDoc from "swagger-jsdoc"
 import { initializeWebSocket } from "./utils/websocket.js"
+import { startSLAMonitor } from "./utils/sla.js"
+import { startInboundEmailGateway } from "./utils/inbound-email.js"
+import { startSurveyScheduler } from "./utils/satisfaction.js"
+import { startViewSubscriptionMonitor } from "./utils/saved-views.js"
+import { startLifecycleScheduler } from "./utils/request-lifecycle.js"
+import { startRecurringAppointmentScheduler } from "./utils/appointment-series.js"
+import { startRescheduleProposalExpiry } from "./utils/reschedule-proposals.js"
+import { startWaitlistMonitor } from "./utils/waitlist.js"
+import { startAppointmentReminderScheduler } from "./utils/appointment-reminders.js"
 
 import fs from "fs"
 const swaggerDocument = JSON.parse(fs.readFileSync(new URL("./swagger-output.json", import.meta.url)))
@@ -51,7 +60,18 @@ for (const envVar of requiredEnvVars) {
 // MongoDB connection
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB connected"))
+  .then(() => {
+    console.log("MongoDB connected")
+    startSLAMonitor()
+    startInboundEmailGateway()
+    startSurveyScheduler()
+    startViewSubscriptionMonitor()
+    startLifecycleScheduler()
+    startRecurringAppointmentScheduler()
+    startRescheduleProposalExpiry()
+    startWaitlistMonitor()
+    startAppointmentReminderScheduler()
+  })
   .catch((err) => {
     console.error("MongoDB connection error:", err)
     process.exit(1)
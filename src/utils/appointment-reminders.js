@@ -0,0 +1,253 @@
+import Appointment from "../models/appointment.js"
+import AppointmentReminder from "../models/appointment-reminder.js"
+import NotificationSettings from "../models/notification-settings.js"
+import { getSettingValue } from "./settings.js"
+
+const DEFAULT_REMINDER_OFFSETS = [24 * 60, 60]
+
+const MINUTE = 60 * 1000
+const SEND_BATCH_SIZE = 100
+// The queue is topped up from upcoming appointments this often, as a safety net for bookings
+// that were not queued when they were made (e.g. occurrences generated for recurring series)
+const ENQUEUE_INTERVAL = 60 * MINUTE
+
+const idOf = (ref) => (ref?._id || ref).toString()
+
+// Configured offsets in minutes, largest first
+const reminderOffsets = async () => {
+  const value = await getSettingValue("appointment_reminder_offsets_minutes", DEFAULT_REMINDER_OFFSETS)
+  const offsets = (Array.isArray(value) ? value : [])
+    .map(Number)
+    .filter((offset) => Number.isInteger(offset) && offset > 0)
+  return [...new Set(offsets.length > 0 ? offsets : DEFAULT_REMINDER_OFFSETS)].sort((a, b) => b - a)
+}
+
+// e.g. "24 hours", "1 hour", "30 minutes"
+const formatLeadTime = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / MINUTE))
+  if (minutes >= 2 * 24 * 60) return `${Math.round(minutes / (24 * 60))} days`
+  if (minutes >= 90) return `${Math.round(minutes / 60)} hours`
+  if (minutes >= 60) return "1 hour"
+  return minutes === 1 ? "1 minute" : `${minutes} minutes`
+}
+
+// Queue the reminders of an appointment for its current time, and cancel the ones that no longer apply.
+// Call it whenever an appointment is booked, moved or canceled.
+export const syncAppointmentReminders = async (appointment, { offsets: configuredOffsets, now = new Date() } = {}) => {
+  try {
+    if (appointment.status !== "scheduled") {
+      await AppointmentReminder.updateMany(
+        { appointment: appointment._id, status: "pending" },
+        { status: "canceled", reason: `Appointment ${appointment.status}` },
+      )
+      return
+    }
+
+    const offsets = configuredOffsets || (await reminderOffsets())
+    const appointmentStart = new Date(appointment.startTime)
+
+    await AppointmentReminder.updateMany(
+      {
+        appointment: appointment._id,
+        status: "pending",
+        $or: [{ appointmentStart: { $ne: appointmentStart } }, { offsetMinutes: { $nin: offsets } }],
+      },
+      { status: "canceled", reason: "Appointment moved or reminder offsets changed" },
+    )
+
+    for (const recipient of [appointment.client, appointment.technician].map(idOf)) {
+      for (const offsetMinutes of offsets) {
+        const sendAt = new Date(appointmentStart.getTime() - offsetMinutes * MINUTE)
+        if (sendAt <= now) continue
+
+        const key = { appointment: appointment._id, recipient, offsetMinutes, appointmentStart }
+        try {
+          await AppointmentReminder.updateOne(key, { $setOnInsert: { sendAt, status: "pending" } }, { upsert: true })
+        } catch (err) {
+          // Another sync queued the same reminder first
+          if (err.code !== 11000) throw err
+        }
+      }
+    }
+
+    // Moving an appointment back to a time it had before brings its canceled reminders back
+    await AppointmentReminder.updateMany(
+      {
+        appointment: appointment._id,
+        appointmentStart,
+        offsetMinutes: { $in: offsets },
+        status: "canceled",
+        sendAt: { $gt: now },
+      },
+      { status: "pending", $unset: { reason: 1 } },
+    )
+  } catch (err) {
+    console.error("Appointment reminder sync error:", err)
+  }
+}
+
+// End of the window in which appointments get their reminders queued
+const queueHorizon = (offsets, now) => new Date(now.getTime() + offsets[0] * MINUTE + 2 * ENQUEUE_INTERVAL)
+
+// Sync several appointments at once (e.g. the occurrences of a series); the ones starting beyond
+// the queue window are left to the periodic top-up
+export const syncUpcomingReminders = async (appointments, now = new Date()) => {
+  const offsets = await reminderOffsets()
+  const horizon = queueHorizon(offsets, now)
+  for (const appointment of appointments) {
+    if (new Date(appointment.startTime) <= horizon) {
+      await syncAppointmentReminders(appointment, { offsets, now })
+    }
+  }
+}
+
+// Queue reminders for appointments starting soon enough for their earliest reminder to be due
+export const enqueueUpcomingReminders = async (now = new Date()) => {
+  const offsets = await reminderOffsets()
+  const appointments = await Appointment.find({
+    status: "scheduled",
+    startTime: { $gt: now, $lte: queueHorizon(offsets, now) },
+  }).select("client technician startTime status")
+
+  for (const appointment of appointments) {
+    await syncAppointmentReminders(appointment, { offsets, now })
+  }
+
+  return appointments.length
+}
+
+// Channels a user accepts appointment reminders on; users without saved settings get the defaults
+const reminderChannels = async (userId) => {
+  const settings =
+    (await NotificationSettings.findOne({ user: userId }).lean()) || new NotificationSettings({ user: userId })
+
+  return [
+    settings.emailNotifications?.enabled && settings.emailNotifications?.appointments && "email",
+    settings.inAppNotifications?.enabled && "inApp",
+  ].filter(Boolean)
+}
+
+// Send one claimed reminder; returns the fields to store on it
+const deliverReminder = async (reminder, now) => {
+  const appointment = await Appointment.findById(reminder.appointment)
+    .populate("client", "username email")
+    .populate("technician", "username email")
+
+  if (
+    !appointment ||
+    appointment.status !== "scheduled" ||
+    appointment.startTime.getTime() !== reminder.appointmentStart.getTime()
+  ) {
+    return { status: "canceled", reason: "Appointment was canceled or moved" }
+  }
+  if (appointment.startTime <= now) {
+    return { status: "skipped", reason: "Appointment already started" }
+  }
+
+  const recipientId = idOf(reminder.recipient)
+  const recipient = [appointment.client, appointment.technician].find((user) => user && idOf(user) === recipientId)
+  if (!recipient) {
+    return { status: "canceled", reason: "Recipient is no longer part of the appointment" }
+  }
+
+  // After downtime several reminders can be due at once; only the closest one goes out
+  const closer = await AppointmentReminder.exists({
+    appointment: appointment._id,
+    recipient: recipientId,
+    appointmentStart: reminder.appointmentStart,
+    offsetMinutes: { $lt: reminder.offsetMinutes },
+    status: { $in: ["pending", "sending", "sent"] },
+    sendAt: { $lte: now },
+  })
+  if (closer) {
+    return { status: "skipped", reason: "A later reminder is already due" }
+  }
+
+  const channels = await reminderChannels(recipient._id)
+  if (channels.length === 0) {
+    return { status: "skipped", reason: "Appointment notifications are turned off" }
+  }
+
+  try {
+    const { notificationHandlers } = await import("./notifications.js")
+    const otherParty = recipient === appointment.client ? appointment.technician : appointment.client
+    await notificationHandlers.appointmentReminder(appointment, recipient, otherParty, {
+      leadTime: formatLeadTime(appointment.startTime - now),
+      channels,
+    })
+    return { status: "sent", sentAt: new Date(), channels }
+  } catch (err) {
+    console.error("Appointment reminder error:", err)
+    return { status: "failed", error: err.message, channels }
+  }
+}
+
+// Send the reminders that are due
+export const sendDueReminders = async (now = new Date()) => {
+  const due = await AppointmentReminder.find({ status: "pending", sendAt: { $lte: now } })
+    .sort({ sendAt: 1 })
+    .limit(SEND_BATCH_SIZE)
+
+  const summary = { sent: 0, skipped: 0, canceled: 0, failed: 0 }
+  for (const { _id } of due) {
+    // Claim before sending so a restart or a second instance never sends a reminder twice
+    const reminder = await AppointmentReminder.findOneAndUpdate(
+      { _id, status: "pending" },
+      { status: "sending" },
+      { new: true },
+    )
+    if (!reminder) continue
+
+    const outcome = await deliverReminder(reminder, now)
+    Object.assign(reminder, outcome)
+    await reminder.save()
+    summary[outcome.status]++
+  }
+
+  return summary
+}
+
+let reminderTimer = null
+let reminderRunning = false
+let lastEnqueueAt = null
+
+export const startAppointmentReminderScheduler = (
+  intervalMs = Number.parseInt(process.env.APPOINTMENT_REMINDER_INTERVAL_MS) || 60 * 1000,
+) => {
+  if (reminderTimer) {
+    return reminderTimer
+  }
+
+  reminderTimer = setInterval(async () => {
+    if (reminderRunning) return
+    reminderRunning = true
+    try {
+      const now = new Date()
+      // The first run tops up the queue, so appointments booked while the server was down are covered
+      if (!lastEnqueueAt || now - lastEnqueueAt >= ENQUEUE_INTERVAL) {
+        await enqueueUpcomingReminders(now)
+        lastEnqueueAt = now
+      }
+
+      const summary = await sendDueReminders(now)
+      if (Object.values(summary).some(Boolean)) {
+        console.log("Appointment reminders:", summary)
+      }
+    } catch (err) {
+      console.error("Appointment reminder run error:", err)
+    } finally {
+      reminderRunning = false
+    }
+  }, intervalMs)
+  reminderTimer.unref?.()
+
+  console.log(`Appointment reminder scheduler started (every ${Math.round(intervalMs / 1000)}s)`)
+  return reminderTimer
+}
+
+export const stopAppointmentReminderScheduler = () => {
+  if (reminderTimer) {
+    clearInterval(reminderTimer)
+    reminderTimer = null
+  }
+}
@@ -0,0 +1,421 @@
+import Appointment from "../models/appointment.js"
+import AppointmentSeries from "../models/appointment-series.js"
+import { checkTechnicianAvailability } from "./appointments.js"
+import { getZonedParts, zonedTimeToUtc } from "./business-hours.js"
+import { expandRRule, formatRRule, parseRRule, startsOnRule } from "./rrule.js"
+import { getSettingValues } from "./settings.js"
+
+const RECURRENCE_SETTING_DEFAULTS = {
+  appointment_recurrence_horizon_days: 180,
+  timezone: "UTC",
+}
+
+export const SERIES_SCOPES = ["this", "following", "all"]
+
+// Template fields copied from a series onto each occurrence, and editable series-wide
+const TEMPLATE_FIELDS = ["notes", "serviceType", "priority", "location"]
+
+const MINUTE = 60 * 1000
+
+const failure = (statusCode, code, message, extra = {}) => ({ ok: false, statusCode, code, message, ...extra })
+
+const horizonFrom = (settings, now = new Date()) =>
+  new Date(now.getTime() + settings.appointment_recurrence_horizon_days * 24 * 60 * MINUTE)
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+const minutesOfDay = (date, timezone) => {
+  const parts = getZonedParts(date, timezone)
+  return parts.hour * 60 + parts.minute
+}
+
+const sameLocalDay = (a, b, timezone) => {
+  const first = getZonedParts(a, timezone)
+  const second = getZonedParts(b, timezone)
+  return first.year === second.year && first.month === second.month && first.day === second.day
+}
+
+// The same local day at another wall-clock time
+const retime = (date, minutes, timezone) => {
+  const parts = getZonedParts(date, timezone)
+  return zonedTimeToUtc(parts.year, parts.month, parts.day, minutes, timezone)
+}
+
+const buildOccurrence = (series, occurrenceStart) =>
+  new Appointment({
+    client: series.client,
+    technician: series.technician,
+    startTime: occurrenceStart,
+    endTime: new Date(occurrenceStart.getTime() + series.durationMinutes * MINUTE),
+    notes: series.notes,
+    serviceType: series.serviceType,
+    priority: series.priority,
+    estimatedDuration: series.durationMinutes,
+    location: series.location,
+    series: series._id,
+    occurrenceStart,
+  })
+
+// Occurrence dates of the series in (after, to], split into bookable ones and conflicts
+const planOccurrences = async (series, rule, { after = null, to }) => {
+  const { occurrences, complete } = expandRRule(rule, series.startTime, {
+    timezone: series.timezone,
+    from: after ? new Date(after.getTime() + 1) : series.startTime,
+    to,
+  })
+
+  const excluded = new Set(series.exceptions.map((exception) => exception.occurrenceStart.getTime()))
+  if (series._id && occurrences.length > 0) {
+    const existing = await Appointment.find({
+      series: series._id,
+      occurrenceStart: { $gte: occurrences[0], $lte: occurrences.at(-1) },
+    }).select("occurrenceStart")
+    existing.forEach((appointment) => excluded.add(appointment.occurrenceStart.getTime()))
+  }
+
+  const appointments = []
+  const conflicts = []
+  for (const occurrenceStart of occurrences) {
+    if (excluded.has(occurrenceStart.getTime())) continue
+
+    const endTime = new Date(occurrenceStart.getTime() + series.durationMinutes * MINUTE)
+    try {
+      await checkTechnicianAvailability(series.technician, occurrenceStart, endTime)
+      appointments.push(buildOccurrence(series, occurrenceStart))
+    } catch (err) {
+      conflicts.push({ occurrenceStart, endTime, reason: err.message })
+    }
+  }
+
+  return { appointments, conflicts, complete, lastOccurrence: occurrences.at(-1) || null }
+}
+
+const skippedExceptions = (conflicts) =>
+  conflicts.map((conflict) => ({ occurrenceStart: conflict.occurrenceStart, type: "skipped", reason: conflict.reason }))
+
+// Create a recurring series and its occurrences up to the generation horizon
+export const createSeries = async (user, { technicianId, startTime, endTime, recurrence, ...template }) => {
+  const { rule, error } = parseRRule(recurrence.rrule)
+  if (error) {
+    return failure(400, "INVALID_RRULE", error)
+  }
+
+  const settings = await getSettingValues(RECURRENCE_SETTING_DEFAULTS)
+  const timezone = recurrence.timezone || settings.timezone
+  if (!isValidTimezone(timezone)) {
+    return failure(400, "INVALID_TIMEZONE", `Unknown time zone '${timezone}'`)
+  }
+  const start = new Date(startTime)
+  const durationMinutes = Math.round((new Date(endTime) - start) / MINUTE)
+
+  if (!startsOnRule(rule, start, timezone)) {
+    return failure(400, "START_NOT_ON_RULE", "The start time must itself be an occurrence of the recurrence rule")
+  }
+  if (durationMinutes < 15 || durationMinutes > 480) {
+    return failure(400, "INVALID_DURATION", "Recurring appointments must last between 15 minutes and 8 hours")
+  }
+
+  const series = new AppointmentSeries({
+    client: user.userId,
+    technician: technicianId,
+    rrule: formatRRule(rule),
+    timezone,
+    startTime: start,
+    durationMinutes,
+    notes: template.notes,
+    serviceType: template.serviceType,
+    priority: template.priority || "medium",
+    location: template.location,
+    createdBy: user.userId,
+  })
+
+  const horizon = horizonFrom(settings)
+  const plan = await planOccurrences(series, rule, { to: horizon })
+
+  if (plan.conflicts.length > 0 && !recurrence.skipConflicts) {
+    return failure(
+      409,
+      "OCCURRENCE_CONFLICTS",
+      `${plan.conflicts.length} occurrence(s) conflict with the technician's schedule; pick another slot or skip them`,
+      { conflicts: plan.conflicts },
+    )
+  }
+  if (plan.appointments.length === 0) {
+    return failure(409, "NO_BOOKABLE_OCCURRENCES", "None of the occurrences can be booked", {
+      conflicts: plan.conflicts,
+    })
+  }
+
+  series.exceptions = skippedExceptions(plan.conflicts)
+  series.generatedUntil = plan.complete ? plan.lastOccurrence : horizon
+  series.status = plan.complete ? "ended" : "active"
+  await series.save()
+  const appointments = await Appointment.insertMany(plan.appointments)
+
+  return { ok: true, series, appointments, skipped: plan.conflicts }
+}
+
+// Generate the occurrences of an active series up to the horizon; conflicts are recorded as skipped
+export const extendSeries = async (series, horizon) => {
+  const { rule, error } = parseRRule(series.rrule)
+  if (error || !series.generatedUntil || series.generatedUntil >= horizon) {
+    return { created: 0, skipped: 0 }
+  }
+
+  const plan = await planOccurrences(series, rule, { after: series.generatedUntil, to: horizon })
+  if (plan.appointments.length > 0) {
+    await Appointment.insertMany(plan.appointments)
+  }
+
+  series.exceptions.push(...skippedExceptions(plan.conflicts))
+  series.generatedUntil = plan.complete ? plan.lastOccurrence || series.generatedUntil : horizon
+  if (plan.complete) series.status = "ended"
+  await series.save()
+
+  return { created: plan.appointments.length, skipped: plan.conflicts.length }
+}
+
+export const runSeriesGeneration = async (now = new Date()) => {
+  const settings = await getSettingValues(RECURRENCE_SETTING_DEFAULTS)
+  const horizon = horizonFrom(settings, now)
+  const summary = { series: 0, created: 0, skipped: 0 }
+
+  const due = await AppointmentSeries.find({ status: "active", generatedUntil: { $lt: horizon } })
+  for (const series of due) {
+    try {
+      const result = await extendSeries(series, horizon)
+      summary.series++
+      summary.created += result.created
+      summary.skipped += result.skipped
+    } catch (err) {
+      console.error(`Appointment series ${series._id} generation error:`, err)
+    }
+  }
+
+  return summary
+}
+
+// Record a per-occurrence exception, replacing an earlier one for the same occurrence
+export const markException = (series, appointment, type, user, reason) => {
+  const key = appointment.occurrenceStart.getTime()
+  series.exceptions = series.exceptions.filter((exception) => exception.occurrenceStart.getTime() !== key)
+  series.exceptions.push({
+    occurrenceStart: appointment.occurrenceStart,
+    type,
+    appointment: appointment._id,
+    reason,
+    createdBy: user.userId,
+  })
+  appointment.isException = true
+}
+
+// Occurrences a "following" or "all" change applies to
+const findScopedOccurrences = (series, appointment, scope, { notBefore = new Date() } = {}) => {
+  const filter = { series: series._id, status: "scheduled" }
+  if (scope === "following") {
+    filter.occurrenceStart = { $gte: appointment.occurrenceStart }
+  } else {
+    filter.startTime = { $gte: notBefore }
+  }
+  return Appointment.find(filter).sort({ occurrenceStart: 1 })
+}
+
+// Number of occurrences the rule produces before an instant (for splitting COUNT-bound rules)
+const countBefore = (rule, series, cut) =>
+  expandRRule({ ...rule, count: undefined }, series.startTime, {
+    timezone: series.timezone,
+    to: new Date(cut.getTime() - 1),
+  }).occurrences.length
+
+// End a series just before an occurrence; the rule of the remainder (or null if nothing remains)
+const truncateSeries = (series, rule, cut) => {
+  const remainder = { ...rule }
+  if (rule.count) {
+    remainder.count = rule.count - countBefore(rule, series, cut)
+  }
+
+  series.rrule = formatRRule({ ...rule, count: undefined, until: new Date(cut.getTime() - 1000) })
+  series.status = "ended"
+  return remainder.count === 0 ? null : remainder
+}
+
+/**
+ * Apply an edit to "this and following" or "all" occurrences of a series.
+ * Only the time of day and duration can change series-wide; moving to another day is
+ * done per occurrence. Occurrences edited on their own (exceptions) keep their time.
+ */
+export const updateSeriesOccurrences = async (appointment, series, user, changes, scope) => {
+  const { rule, error } = parseRRule(series.rrule)
+  if (error) {
+    return failure(409, "INVALID_RRULE", `The series rule can no longer be used: ${error}`)
+  }
+
+  const timezone = series.timezone
+  const timeChanged = Boolean(changes.startTime || changes.endTime)
+  const newStart = changes.startTime ? new Date(changes.startTime) : appointment.startTime
+  const newEnd = changes.endTime ? new Date(changes.endTime) : appointment.endTime
+  const durationMinutes = Math.round((newEnd - newStart) / MINUTE)
+
+  if (timeChanged) {
+    if (!sameLocalDay(newStart, appointment.occurrenceStart, timezone)) {
+      return failure(
+        400,
+        "SERIES_DAY_CHANGE",
+        "Series-wide changes can only move the time of day; move single occurrences or cancel and book a new series",
+      )
+    }
+    if (durationMinutes < 15 || durationMinutes > 480) {
+      return failure(400, "INVALID_DURATION", "Recurring appointments must last between 15 minutes and 8 hours")
+    }
+  }
+
+  const originalStart = appointment.occurrenceStart
+  const targets = await findScopedOccurrences(series, appointment, scope)
+  if (!targets.some((target) => target._id.equals(appointment._id))) {
+    targets.unshift(appointment)
+  }
+  const newMinutes = minutesOfDay(newStart, timezone)
+  const follows = (target) => !target.isException || target._id.equals(appointment._id)
+
+  // Move the occurrences and check the technician's schedule before saving anything
+  const conflicts = []
+  for (const target of targets) {
+    if (timeChanged) {
+      target.occurrenceStart = retime(target.occurrenceStart, newMinutes, timezone)
+      if (follows(target)) {
+        target.startTime = target.occurrenceStart
+        target.endTime = new Date(target.startTime.getTime() + durationMinutes * MINUTE)
+        target.estimatedDuration = durationMinutes
+        try {
+          await checkTechnicianAvailability(
+            series.technician,
+            target.startTime,
+            target.endTime,
+            targets.map((other) => other._id),
+          )
+        } catch (err) {
+          conflicts.push({ appointmentId: target._id, occurrenceStart: target.startTime, reason: err.message })
+        }
+      }
+    }
+    if (follows(target)) {
+      TEMPLATE_FIELDS.forEach((field) => {
+        if (changes[field] !== undefined) target[field] = changes[field]
+      })
+    }
+  }
+
+  if (conflicts.length > 0) {
+    return failure(409, "OCCURRENCE_CONFLICTS", `${conflicts.length} occurrence(s) would conflict with the technician's schedule`, {
+      conflicts,
+    })
+  }
+
+  // "this and following" from the first occurrence is the whole series
+  const split = scope === "following" && originalStart > series.startTime
+  let target = series
+  if (split) {
+    const { _id, createdAt, updatedAt, __v, exceptions, ...fields } = series.toObject({ depopulate: true })
+    const remainder = truncateSeries(series, rule, originalStart)
+    target = new AppointmentSeries({
+      ...fields,
+      rrule: formatRRule(remainder),
+      status: "active",
+      startTime: originalStart,
+      previousSeries: series._id,
+      exceptions: exceptions.filter((exception) => exception.occurrenceStart >= originalStart),
+      createdBy: user.userId,
+    })
+    series.exceptions = series.exceptions.filter((exception) => exception.occurrenceStart < originalStart)
+    targets.forEach((occurrence) => (occurrence.series = target._id))
+  }
+
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) target[field] = changes[field]
+  })
+  if (timeChanged) {
+    target.startTime = retime(target.startTime, newMinutes, timezone)
+    target.durationMinutes = durationMinutes
+    target.exceptions.forEach((exception) => {
+      exception.occurrenceStart = retime(exception.occurrenceStart, newMinutes, timezone)
+    })
+  }
+
+  if (split) await series.save()
+  await target.save()
+  // Occurrences only move within their own day, so the (series, occurrenceStart) keys stay unique
+  await Promise.all(targets.map((occurrence) => occurrence.save()))
+
+  return { ok: true, series: target, previousSeries: split ? series : null, appointments: targets }
+}
+
+// Cancel "this and following" or "all" remaining occurrences and end the series accordingly
+export const cancelSeriesOccurrences = async (appointment, series, user, reason, scope) => {
+  // Customers and technicians still need to give 24 hours notice for each occurrence
+  const notBefore = new Date(Date.now() + (user.role === "admin" ? 0 : 24 * 60 * MINUTE))
+  const targets = await findScopedOccurrences(series, appointment, scope, { notBefore })
+  const ids = targets.map((occurrence) => occurrence._id)
+  if (appointment.status !== "canceled" && !ids.some((id) => id.equals(appointment._id))) {
+    ids.push(appointment._id)
+  }
+
+  await Appointment.updateMany(
+    { _id: { $in: ids } },
+    { status: "canceled", cancellationReason: reason, canceledAt: new Date(), canceledBy: user.userId },
+    { runValidators: false },
+  )
+
+  if (scope === "following" && appointment.occurrenceStart > series.startTime) {
+    const { rule, error } = parseRRule(series.rrule)
+    if (!error) truncateSeries(series, rule, appointment.occurrenceStart)
+  } else {
+    series.status = "canceled"
+  }
+  await series.save()
+
+  return { ok: true, series, canceled: ids.length, appointmentIds: ids }
+}
+
+let seriesTimer = null
+let seriesRunning = false
+
+export const startRecurringAppointmentScheduler = (
+  intervalMs = Number.parseInt(process.env.RECURRING_APPOINTMENTS_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+) => {
+  if (seriesTimer) {
+    return seriesTimer
+  }
+
+  seriesTimer = setInterval(async () => {
+    if (seriesRunning) return
+    seriesRunning = true
+    try {
+      const summary = await runSeriesGeneration()
+      if (summary.created || summary.skipped) {
+        console.log("Recurring appointments:", summary)
+      }
+    } catch (err) {
+      console.error("Recurring appointments run error:", err)
+    } finally {
+      seriesRunning = false
+    }
+  }, intervalMs)
+  seriesTimer.unref?.()
+
+  console.log(`Recurring appointment scheduler started (every ${Math.round(intervalMs / 1000)}s)`)
+  return seriesTimer
+}
+
+export const stopRecurringAppointmentScheduler = () => {
+  if (seriesTimer) {
+    clearInterval(seriesTimer)
+    seriesTimer = null
+  }
+}
@@ -0,0 +1,130 @@
+import Appointment from "../models/appointment.js"
+import User from "../models/user.js"
+import WaitlistEntry from "../models/waitlist-entry.js"
+import { calendarOrganizer } from "./calendar-feed.js"
+
+// Helper function to check technician availability - IMPROVED
+// excludeAppointmentId may be a single id or a list (e.g. the occurrences of a series being moved together)
+export const checkTechnicianAvailability = async (technicianId, startTime, endTime, excludeAppointmentId = null) => {
+  const technician = await User.findOne({
+    _id: technicianId,
+    role: "technician",
+    isActive: true,
+  })
+
+  if (!technician) {
+    throw new Error("Technician not found or inactive")
+  }
+
+  if (technician.availability !== "available") {
+    throw new Error("Technician is not available")
+  }
+
+  console.log("Checking availability for:", {
+    technicianId,
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    excludeAppointmentId,
+  })
+
+  // Check for conflicting appointments - more comprehensive logic
+  const conflictQuery = {
+    technician: technicianId,
+    status: { $nin: ["canceled", "completed"] },
+    $or: [
+      {
+        // Case 1: New appointment starts during existing appointment
+        startTime: { $lt: endTime },
+        endTime: { $gt: startTime },
+      },
+    ],
+  }
+
+  if (Array.isArray(excludeAppointmentId)) {
+    conflictQuery._id = { $nin: excludeAppointmentId }
+  } else if (excludeAppointmentId) {
+    conflictQuery._id = { $ne: excludeAppointmentId }
+  }
+
+  const conflicts = await Appointment.find(conflictQuery)
+
+  console.log(
+    "Found potential conflicts:",
+    conflicts.map((c) => ({
+      id: c._id,
+      start: c.startTime.toISOString(),
+      end: c.endTime.toISOString(),
+      status: c.status,
+    })),
+  )
+
+  if (conflicts.length > 0) {
+    const conflict = conflicts[0]
+    throw new Error(
+      `Technician has a conflicting appointment from ${conflict.startTime.toISOString()} to ${conflict.endTime.toISOString()}. Please choose a different time slot.`,
+    )
+  }
+
+  // Slots offered to waitlisted customers stay reserved until the hold expires
+  const hold = await WaitlistEntry.findOne({
+    status: "offered",
+    "offer.technician": technicianId,
+    "offer.expiresAt": { $gt: new Date() },
+    "offer.startTime": { $lt: endTime },
+    "offer.endTime": { $gt: startTime },
+  }).select("offer")
+
+  if (hold) {
+    throw new Error(
+      `Technician has a slot held for a waitlisted customer from ${hold.offer.startTime.toISOString()} to ${hold.offer.endTime.toISOString()}. Please choose a different time slot.`,
+    )
+  }
+
+  return technician
+}
+
+// Email the client an invite for newly booked appointment(s) with populated client and technician
+export const notifyAppointmentScheduled = async (appointments) => {
+  try {
+    const [appointment] = appointments
+    const { notificationHandlers } = await import("./notifications.js")
+    await notificationHandlers.appointmentScheduled(appointment, appointment.client, appointment.technician, {
+      occurrences: appointments,
+      organizer: await calendarOrganizer(),
+    })
+  } catch (err) {
+    console.error("Appointment scheduled notification error:", err)
+  }
+}
+
+// Email both parties an updated invite for moved appointment(s) with populated client and technician
+export const notifyAppointmentMoved = async (appointments, previousStartTime) => {
+  if (appointments.length === 0) return
+
+  try {
+    const [appointment] = appointments
+    const { notificationHandlers } = await import("./notifications.js")
+    await notificationHandlers.appointmentMoved(appointments, appointment.client, appointment.technician, {
+      previousStartTime,
+      organizer: await calendarOrganizer(),
+    })
+  } catch (err) {
+    console.error("Appointment moved notification error:", err)
+  }
+}
+
+// Email both parties a cancellation for appointment(s) with populated client and technician
+export const notifyAppointmentCanceled = async (appointments, reason) => {
+  if (appointments.length === 0) return
+
+  try {
+    const [appointment] = appointments
+    const { notificationHandlers } = await import("./notifications.js")
+    await notificationHandlers.appointmentCanceled(appointments, appointment.client, appointment.technician, {
+      reason,
+      organizer: await calendarOrganizer(),
+    })
+  } catch (err) {
+    console.error("Appointment canceled notification error:", err)
+  }
+}
@@ -0,0 +1,208 @@
+import SupportRequest from "../models/support-request.js"
+import User from "../models/user.js"
+import { getSettingValues } from "./settings.js"
+import { applyStatusChange } from "./status-workflow.js"
+
+export const ASSIGNMENT_STRATEGIES = ["round-robin", "least-loaded", "best-match"]
+
+const OPEN_STATUSES = ["open", "in-progress", "pending-customer"]
+
+const ROUTING_SETTING_DEFAULTS = {
+  auto_assign_technicians: false,
+  auto_assignment_default_strategy: "best-match",
+  auto_assignment_max_open_tickets: 10,
+  // { [category]: { enabled, strategy, specializations: [] } }
+  auto_assignment_categories: {},
+}
+
+// Load the routing configuration for one category
+export const getRoutingConfig = async (category) => {
+  const settings = await getSettingValues(ROUTING_SETTING_DEFAULTS)
+  const categoryConfig = settings.auto_assignment_categories?.[category] || {}
+  const strategy = ASSIGNMENT_STRATEGIES.includes(categoryConfig.strategy)
+    ? categoryConfig.strategy
+    : settings.auto_assignment_default_strategy
+
+  return {
+    enabled: Boolean(settings.auto_assign_technicians) && Boolean(categoryConfig.enabled),
+    strategy: ASSIGNMENT_STRATEGIES.includes(strategy) ? strategy : "best-match",
+    specializations: (categoryConfig.specializations || []).map((value) => value.toLowerCase()),
+    maxOpenTickets: Number(categoryConfig.maxOpenTickets || settings.auto_assignment_max_open_tickets),
+  }
+}
+
+// How well a technician's specializations cover a category (0..1)
+const specializationMatch = (technician, category, specializations) => {
+  const skills = (technician.specialization || []).map((value) => value.toLowerCase())
+  if (skills.includes(category)) return 1
+  if (skills.some((skill) => specializations.includes(skill))) return 0.8
+  return 0
+}
+
+// Available technicians with their current load
+const loadCandidates = async (category, config, excludeIds = []) => {
+  const technicians = await User.find({
+    role: "technician",
+    isActive: true,
+    availability: "available",
+    _id: { $nin: excludeIds },
+  })
+    .select("username email specialization rating totalReviews availability")
+    .lean()
+
+  const matching = technicians
+    .map((technician) => ({ technician, match: specializationMatch(technician, category, config.specializations) }))
+    .filter((candidate) => candidate.match > 0)
+
+  if (matching.length === 0) {
+    return []
+  }
+
+  const loads = await SupportRequest.aggregate([
+    {
+      $match: {
+        assignedTechnician: { $in: matching.map((candidate) => candidate.technician._id) },
+        status: { $in: OPEN_STATUSES },
+      },
+    },
+    { $group: { _id: "$assignedTechnician", count: { $sum: 1 } } },
+  ])
+  const loadById = new Map(loads.map((load) => [load._id.toString(), load.count]))
+
+  return matching
+    .map((candidate) => ({ ...candidate, load: loadById.get(candidate.technician._id.toString()) || 0 }))
+    .filter((candidate) => candidate.load < config.maxOpenTickets)
+}
+
+const byLoadThenRating = (a, b) => a.load - b.load || (b.technician.rating || 0) - (a.technician.rating || 0)
+
+const strategies = {
+  // Fewest open tickets wins; rating breaks ties
+  "least-loaded": async (candidates) => {
+    const [chosen] = [...candidates].sort(byLoadThenRating)
+    return {
+      chosen,
+      reason: `Fewest open tickets (${chosen.load}) among ${candidates.length} matching technician(s)`,
+    }
+  },
+
+  // Technician whose last auto-assignment in this category is oldest goes next
+  "round-robin": async (candidates, category) => {
+    const lastAssignments = await SupportRequest.aggregate([
+      {
+        $match: {
+          category,
+          "assignmentDetails.method": "auto",
+          assignedTechnician: { $in: candidates.map((candidate) => candidate.technician._id) },
+        },
+      },
+      { $group: { _id: "$assignedTechnician", lastAssignedAt: { $max: "$assignmentDetails.assignedAt" } } },
+    ])
+    const lastById = new Map(lastAssignments.map((entry) => [entry._id.toString(), entry.lastAssignedAt]))
+
+    const [chosen] = [...candidates].sort((a, b) => {
+      const lastA = lastById.get(a.technician._id.toString())?.getTime() || 0
+      const lastB = lastById.get(b.technician._id.toString())?.getTime() || 0
+      return lastA - lastB || byLoadThenRating(a, b)
+    })
+
+    const last = lastById.get(chosen.technician._id.toString())
+    return {
+      chosen,
+      reason: last
+        ? `Next in rotation (last auto-assigned ${last.toISOString()}) among ${candidates.length} matching technician(s)`
+        : `Next in rotation (not yet auto-assigned in this category) among ${candidates.length} matching technician(s)`,
+    }
+  },
+
+  // Weighted score of skill match, spare capacity and rating
+  "best-match": async (candidates, category, config) => {
+    const scored = candidates.map((candidate) => {
+      const capacity = 1 - candidate.load / config.maxOpenTickets
+      const rating = (candidate.technician.rating || 0) / 5
+      const score = 0.5 * candidate.match + 0.3 * capacity + 0.2 * rating
+      return { ...candidate, score: Math.round(score * 1000) / 1000 }
+    })
+
+    const [chosen] = scored.sort((a, b) => b.score - a.score || byLoadThenRating(a, b))
+    return {
+      chosen,
+      reason: `Best score ${chosen.score} (skill match ${chosen.match}, ${chosen.load} open ticket(s), rating ${
+        chosen.technician.rating || 0
+      }) among ${candidates.length} matching technician(s)`,
+    }
+  },
+}
+
+// Pick a technician for a request without changing it
+export const selectTechnician = async (request, { strategy: strategyOverride, excludeIds = [] } = {}) => {
+  const config = await getRoutingConfig(request.category)
+  const strategy = strategyOverride || config.strategy
+  const candidates = await loadCandidates(request.category, config, excludeIds)
+
+  if (candidates.length === 0) {
+    return {
+      technician: null,
+      strategy,
+      reason: `No available technician matches category '${request.category}' below ${config.maxOpenTickets} open tickets`,
+      candidates: [],
+    }
+  }
+
+  const { chosen, reason } = await strategies[strategy](candidates, request.category, config)
+
+  return {
+    technician: chosen.technician,
+    strategy,
+    reason,
+    score: chosen.score,
+    candidates: candidates.map((candidate) => ({
+      technicianId: candidate.technician._id,
+      username: candidate.technician.username,
+      match: candidate.match,
+      load: candidate.load,
+      rating: candidate.technician.rating || 0,
+    })),
+  }
+}
+
+// Auto-assign a freshly created request when routing is enabled for its category
+export const autoAssignRequest = async (request) => {
+  try {
+    const config = await getRoutingConfig(request.category)
+    if (!config.enabled || request.assignedTechnician) {
+      return null
+    }
+
+    const selection = await selectTechnician(request)
+    if (!selection.technician) {
+      console.log(`Auto-assignment skipped for ${request.requestId}: ${selection.reason}`)
+      return selection
+    }
+
+    request.assignedTechnician = selection.technician._id
+    request.assignmentDetails = {
+      method: "auto",
+      strategy: selection.strategy,
+      reason: selection.reason,
+      score: selection.score,
+      candidatesConsidered: selection.candidates.length,
+      assignedAt: new Date(),
+    }
+    const starting = request.status === "open"
+    if (starting) {
+      applyStatusChange(request, { to: "in-progress", action: "start", user: null, reason: selection.reason })
+    }
+    await request.save()
+    if (starting) {
+      const { runAutomations } = await import("./automation.js")
+      await runAutomations("status-changed", request, { from: "open", user: null })
+    }
+
+    console.log(`Auto-assigned ${request.requestId} to ${selection.technician.username} (${selection.strategy})`)
+    return selection
+  } catch (err) {
+    console.error("Auto-assignment error:", err)
+    return null
+  }
+}
@@ -0,0 +1,280 @@
+import AutomationRule from "../models/automation-rule.js"
+import AutomationExecution from "../models/automation-execution.js"
+import Message from "../models/message.js"
+import SupportRequest from "../models/support-request.js"
+import User from "../models/user.js"
+import { applySLAPolicy } from "./sla.js"
+import { getSettingValue } from "./settings.js"
+import { selectTechnician } from "./auto-assignment.js"
+import { applyStatusChange, statusSince } from "./status-workflow.js"
+import { buildMacroContext, renderMacroTemplate } from "./macros.js"
+import { broadcastMessage, notifyAssignment } from "./request-events.js"
+import { recordRevision, snapshotRevisedFields } from "./revisions.js"
+
+export const AUTOMATION_EVENTS = ["request-created", "message-added", "status-changed"]
+
+const MAX_TEST_REQUESTS = 200
+
+const matchesAny = (values, actual) => !values?.length || values.includes(actual)
+
+/**
+ * Names of the conditions a request fails for an event; empty when the rule matches.
+ * context: { user } who caused the event, { message } for message-added, { from } for status-changed,
+ * and the customer's { accountType } when the request's customer is not populated with it.
+ */
+export const evaluateConditions = (conditions = {}, request, context = {}, now = new Date()) => {
+  const failed = []
+
+  if (!matchesAny(conditions.categories, request.category)) failed.push("categories")
+  if (!matchesAny(conditions.priorities, request.priority)) failed.push("priorities")
+  if (!matchesAny(conditions.statuses, request.status)) failed.push("statuses")
+  if (!matchesAny(conditions.fromStatuses, context.from)) failed.push("fromStatuses")
+  if (!matchesAny(conditions.senderRoles, context.user?.role)) failed.push("senderRoles")
+  if (!matchesAny(conditions.accountTypes, context.accountType ?? request.customer?.accountType)) failed.push("accountTypes")
+
+  if (conditions.keywords?.length) {
+    const text = (context.message ? context.message.content : `${request.title} ${request.description}`).toLowerCase()
+    if (!conditions.keywords.some((keyword) => text.includes(keyword.toLowerCase()))) failed.push("keywords")
+  }
+
+  if (conditions.minMinutesInStatus != null || conditions.maxMinutesInStatus != null) {
+    const minutes = (now - statusSince(request)) / (60 * 1000)
+    if (conditions.minMinutesInStatus != null && minutes < conditions.minMinutesInStatus) failed.push("minMinutesInStatus")
+    if (conditions.maxMinutesInStatus != null && minutes > conditions.maxMinutesInStatus) failed.push("maxMinutesInStatus")
+  }
+
+  return failed
+}
+
+const resolveRecipients = async (recipients, request, technicianId) => {
+  const ids = []
+  if (recipients.includes("customer")) ids.push(request.customer?._id || request.customer)
+  if (recipients.includes("technician") && technicianId) ids.push(technicianId)
+
+  const roles = [
+    ...(recipients.includes("technicians") ? ["technician"] : []),
+    ...(recipients.includes("admins") ? ["admin"] : []),
+  ]
+  if (roles.length > 0) {
+    ids.push(...(await User.find({ role: { $in: roles }, isActive: true }).distinct("_id")))
+  }
+
+  return [...new Map(ids.filter(Boolean).map((id) => [id.toString(), id])).values()]
+}
+
+// Work out what a rule's actions would change on a request, without changing it
+const planActions = async (rule, request) => {
+  const actions = rule.actions || {}
+  const changes = {}
+
+  if (actions.priority && actions.priority !== request.priority) {
+    changes.priority = { from: request.priority, to: actions.priority }
+  }
+
+  const tags = [...new Set([...(request.tags || []), ...(actions.addTags || [])])]
+  if (tags.length !== (request.tags || []).length) {
+    changes.tags = { from: [...(request.tags || [])], to: tags }
+  }
+
+  const currentTechnicianId = request.assignedTechnician?._id || request.assignedTechnician || null
+  let assignee
+  if (actions.assign === "auto" && !currentTechnicianId) {
+    const selection = await selectTechnician(request)
+    if (selection.technician) {
+      assignee = selection.technician
+      changes.assignedTechnician = { from: null, to: assignee._id, reason: selection.reason }
+    }
+  } else if (actions.assign === "technician") {
+    assignee = await User.findOne({ _id: actions.technician, role: "technician", isActive: true }).select(
+      "username email specialization",
+    )
+    if (!assignee) {
+      throw new Error("The rule's technician is no longer an active technician")
+    }
+    if (String(currentTechnicianId) !== assignee._id.toString()) {
+      changes.assignedTechnician = { from: currentTechnicianId, to: assignee._id }
+    }
+  } else if (actions.assign === "unassign" && currentTechnicianId) {
+    assignee = null
+    changes.assignedTechnician = { from: currentTechnicianId, to: null }
+  }
+
+  const technician = changes.assignedTechnician ? assignee : request.assignedTechnician
+  // {{agent.*}} placeholders in rule templates speak for the support team
+  const agent = { username: "Dern Support", email: await getSettingValue("support_email", "support@dern-support.com") }
+  const context = buildMacroContext(request, agent, technician, changes)
+
+  let notification = null
+  if (actions.notify?.recipients?.length && actions.notify.content) {
+    const recipientIds = await resolveRecipients(actions.notify.recipients, request, technician?._id || technician)
+    notification = { recipientIds, content: renderMacroTemplate(actions.notify.content, context) }
+    changes.notified = { recipients: actions.notify.recipients, count: recipientIds.length }
+  }
+
+  let message = null
+  if (actions.message?.content) {
+    message = { content: renderMacroTemplate(actions.message.content, context), visibility: actions.message.visibility }
+    changes.message = message
+  }
+
+  return { changes, assignee, notification, message }
+}
+
+const applyPlan = async (rule, request, event, { changes, assignee, notification, message }) => {
+  const reason = `Automation: ${rule.name}`
+  const before = snapshotRevisedFields(request)
+
+  if (changes.priority) {
+    request.priority = changes.priority.to
+    request.isUrgent = changes.priority.to === "urgent"
+    // Nobody has worked a brand new request yet, so its SLA can follow the new priority
+    if (event === "request-created") {
+      await applySLAPolicy(request)
+    }
+  }
+  if (changes.tags) {
+    request.tags = changes.tags.to
+  }
+  if (changes.assignedTechnician) {
+    request.assignedTechnician = assignee?._id || null
+    request.assignmentDetails = assignee
+      ? { method: "auto", reason: changes.assignedTechnician.reason || reason, assignedAt: new Date() }
+      : undefined
+    if (assignee && request.status === "open") {
+      applyStatusChange(request, { to: "in-progress", action: "start", user: null, reason })
+    } else if (!assignee && request.status === "in-progress") {
+      applyStatusChange(request, { to: "open", action: "unassign", user: null, reason })
+    }
+  }
+  await request.save()
+  await recordRevision(request, before, null)
+
+  if (message) {
+    const posted = await Message.create({
+      supportRequest: request._id,
+      sender: null,
+      content: message.content,
+      messageType: "system",
+      visibility: message.visibility,
+    })
+    await broadcastMessage(request, posted)
+  }
+  if (changes.assignedTechnician && assignee) {
+    await notifyAssignment(request, assignee)
+  }
+  if (notification) {
+    const { createNotification } = await import("./notifications.js")
+    await Promise.allSettled(
+      notification.recipientIds.map((recipientId) =>
+        createNotification(recipientId, "support_request", notification.content),
+      ),
+    )
+  }
+}
+
+/**
+ * Run the active rules for an event on a saved request, in order. Never throws: a failing
+ * rule is logged and the next one runs, so automation cannot break the action that caused it.
+ */
+export const runAutomations = async (event, request, context = {}) => {
+  const executions = []
+
+  try {
+    const rules = await AutomationRule.find({ event, isActive: true }).sort({ order: 1, createdAt: 1 })
+    if (rules.length === 0) {
+      return executions
+    }
+
+    await request.populate([
+      { path: "customer", select: "username email" },
+      { path: "assignedTechnician", select: "username email" },
+    ])
+    const customer = await User.findById(request.customer?._id || request.customer).select("accountType").lean()
+    const eventContext = { ...context, accountType: customer?.accountType }
+
+    for (const rule of rules) {
+      if (evaluateConditions(rule.conditions, request, eventContext).length > 0) {
+        continue
+      }
+
+      const execution = {
+        rule: rule._id,
+        ruleName: rule.name,
+        event,
+        supportRequest: request._id,
+        requestId: request.requestId,
+      }
+      try {
+        const plan = await planActions(rule, request)
+        await applyPlan(rule, request, event, plan)
+        Object.assign(execution, { status: "success", changes: plan.changes })
+      } catch (err) {
+        console.error(`Automation rule '${rule.name}' failed on ${request.requestId}:`, err)
+        Object.assign(execution, { status: "failed", error: err.message })
+      }
+
+      executions.push(execution)
+      await Promise.all([
+        AutomationExecution.create(execution),
+        AutomationRule.updateOne({ _id: rule._id }, { $inc: { runCount: 1 }, $set: { lastRunAt: new Date() } }),
+      ])
+
+      if (rule.stopProcessing) {
+        break
+      }
+    }
+  } catch (err) {
+    console.error(`Automation error on ${request.requestId} (${event}):`, err)
+  }
+
+  return executions
+}
+
+// Event context for a past request, approximated from its history
+const buildTestContext = async (event, request) => {
+  if (event === "message-added") {
+    const message = await Message.findOne({ supportRequest: request._id, sender: { $ne: null } })
+      .populate("sender", "role")
+      .sort({ createdAt: -1 })
+    return message ? { message, user: message.sender } : null
+  }
+  if (event === "status-changed") {
+    const entry = request.statusHistory.at(-1)
+    return entry?.from ? { from: entry.from, user: { role: entry.changedByRole } } : null
+  }
+  return { user: { role: "customer" } }
+}
+
+// Dry-run a rule against recent requests: which would match now, and what it would change
+export const testRule = async (rule, { limit = 50, requestIds } = {}) => {
+  const conditions = rule.conditions || {}
+  const filter = {}
+  if (requestIds?.length) filter.requestId = { $in: requestIds }
+  if (conditions.categories?.length) filter.category = { $in: conditions.categories }
+  if (conditions.priorities?.length) filter.priority = { $in: conditions.priorities }
+  if (conditions.statuses?.length) filter.status = { $in: conditions.statuses }
+
+  const requests = await SupportRequest.find(filter)
+    .select("-activity -attachments")
+    .populate("customer", "username email accountType")
+    .populate("assignedTechnician", "username email")
+    .sort({ createdAt: -1 })
+    .limit(Math.min(limit, MAX_TEST_REQUESTS))
+
+  const results = []
+  for (const request of requests) {
+    const context = await buildTestContext(rule.event, request)
+    if (!context || evaluateConditions(conditions, request, context).length > 0) {
+      continue
+    }
+
+    try {
+      const { changes } = await planActions(rule, request)
+      results.push({ requestId: request.requestId, title: request.title, status: request.status, changes })
+    } catch (err) {
+      results.push({ requestId: request.requestId, title: request.title, status: request.status, error: err.message })
+    }
+  }
+
+  return { evaluated: requests.length, matched: results.length, results }
+}
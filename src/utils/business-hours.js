@@ -0,0 +1,228 @@
+import BusinessCalendar from "../models/business-calendar.js"
+
+// Business-hours time math. Calendars are plain objects (or documents) with
+// timezone, weeklyHours [{ dayOfWeek, start, end }] and holidays [{ date, recurring }].
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+// Upper bound on days scanned, so a calendar without working hours cannot loop forever
+const MAX_SCAN_DAYS = 366 * 2
+
+const formatterCache = new Map()
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    )
+  }
+  return formatterCache.get(timezone)
+}
+
+// Wall-clock parts of an instant in the given time zone
+export const getZonedParts = (date, timezone = "UTC") => {
+  const parts = {}
+  getFormatter(timezone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== "literal") parts[type] = Number.parseInt(value)
+    })
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  }
+}
+
+// Offset of a time zone from UTC at a given instant, in milliseconds
+const getOffset = (timestamp, timezone) => {
+  const p = getZonedParts(new Date(timestamp), timezone)
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)
+  return asUtc - Math.floor(timestamp / 1000) * 1000
+}
+
+// Convert a local wall-clock time in a time zone to a UTC Date
+export const zonedTimeToUtc = (year, month, day, minutesOfDay, timezone = "UTC") => {
+  const guess = Date.UTC(year, month - 1, day) + minutesOfDay * MINUTE
+  let result = guess - getOffset(guess, timezone)
+  // Re-check once so DST transitions around the guess are honoured
+  const correction = getOffset(result, timezone)
+  result = guess - correction
+  return new Date(result)
+}
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(":").map((value) => Number.parseInt(value))
+  return hours * 60 + minutes
+}
+
+const pad = (value) => String(value).padStart(2, "0")
+
+const isHoliday = (calendar, year, month, day) => {
+  const dateKey = `${year}-${pad(month)}-${pad(day)}`
+  const monthDayKey = `${pad(month)}-${pad(day)}`
+
+  return (calendar.holidays || []).some((holiday) =>
+    holiday.recurring ? holiday.date.slice(5) === monthDayKey : holiday.date === dateKey,
+  )
+}
+
+// Working intervals (UTC Date pairs) for one local calendar date
+export const getWorkingIntervals = (calendar, year, month, day) => {
+  if (isHoliday(calendar, year, month, day)) {
+    return []
+  }
+
+  const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+  const timezone = calendar.timezone || "UTC"
+
+  return (calendar.weeklyHours || [])
+    .filter((slot) => slot.dayOfWeek === dayOfWeek)
+    .map((slot) => [toMinutes(slot.start), toMinutes(slot.end)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, end]) => [
+      zonedTimeToUtc(year, month, day, start, timezone),
+      zonedTimeToUtc(year, month, day, end, timezone),
+    ])
+}
+
+// Iterate local dates starting from the date containing `from`
+function* localDays(from, timezone) {
+  const start = getZonedParts(from, timezone)
+  const base = Date.UTC(start.year, start.month - 1, start.day)
+
+  for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+    const date = new Date(base + i * DAY)
+    yield [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()]
+  }
+}
+
+const hasWorkingHours = (calendar) => Array.isArray(calendar?.weeklyHours) && calendar.weeklyHours.length > 0
+
+// Whether a calendar has any working time in the year after `from`
+export const hasWorkingTimeAhead = (calendar, from = new Date()) => {
+  if (!hasWorkingHours(calendar)) {
+    return true
+  }
+
+  let scanned = 0
+  for (const [year, month, day] of localDays(new Date(from), calendar.timezone || "UTC")) {
+    if (getWorkingIntervals(calendar, year, month, day).length > 0) {
+      return true
+    }
+    if (++scanned >= 366) break
+  }
+  return false
+}
+
+// Add N business minutes to a timestamp
+export const addBusinessMinutes = (from, minutes, calendar) => {
+  const start = new Date(from)
+  if (!hasWorkingHours(calendar)) {
+    return new Date(start.getTime() + minutes * MINUTE)
+  }
+
+  let remaining = minutes * MINUTE
+  let cursor = start
+
+  for (const [year, month, day] of localDays(start, calendar.timezone || "UTC")) {
+    for (const [intervalStart, intervalEnd] of getWorkingIntervals(calendar, year, month, day)) {
+      if (intervalEnd <= cursor) continue
+
+      const effectiveStart = intervalStart > cursor ? intervalStart : cursor
+      const available = intervalEnd - effectiveStart
+
+      if (remaining <= available) {
+        return new Date(effectiveStart.getTime() + remaining)
+      }
+
+      remaining -= available
+      cursor = intervalEnd
+    }
+  }
+
+  // Nothing left to count in (e.g. holidays everywhere): fall back to wall-clock time rather than fail
+  console.error(`Business calendar ${calendar.name || calendar._id} has no working time; using wall-clock minutes`)
+  return new Date(start.getTime() + minutes * MINUTE)
+}
+
+// Business minutes elapsed between two timestamps
+export const businessMinutesBetween = (from, to, calendar) => {
+  const start = new Date(from)
+  const end = new Date(to)
+  if (end <= start) {
+    return 0
+  }
+  if (!hasWorkingHours(calendar)) {
+    return (end - start) / MINUTE
+  }
+
+  let total = 0
+  for (const [year, month, day] of localDays(start, calendar.timezone || "UTC")) {
+    const intervals = getWorkingIntervals(calendar, year, month, day)
+    for (const [intervalStart, intervalEnd] of intervals) {
+      const overlapStart = Math.max(intervalStart.getTime(), start.getTime())
+      const overlapEnd = Math.min(intervalEnd.getTime(), end.getTime())
+      if (overlapEnd > overlapStart) {
+        total += overlapEnd - overlapStart
+      }
+    }
+
+    if (zonedTimeToUtc(year, month, day, 24 * 60, calendar.timezone || "UTC") >= end) {
+      break
+    }
+  }
+
+  return total / MINUTE
+}
+
+// Business hours elapsed between two timestamps
+export const businessHoursBetween = (from, to, calendar) => businessMinutesBetween(from, to, calendar) / 60
+
+// Whether an instant falls inside working hours
+export const isWithinBusinessHours = (date, calendar) => {
+  if (!hasWorkingHours(calendar)) {
+    return true
+  }
+
+  const instant = new Date(date)
+  const { year, month, day } = getZonedParts(instant, calendar.timezone || "UTC")
+  return getWorkingIntervals(calendar, year, month, day).some(([start, end]) => instant >= start && instant < end)
+}
+
+// Load the default active calendar
+export const getDefaultCalendar = async () => {
+  try {
+    return await BusinessCalendar.findOne({ isDefault: true, isActive: true }).lean()
+  } catch (err) {
+    console.error("Error loading default business calendar:", err)
+    return null
+  }
+}
+
+// Load a calendar by id, falling back to the default calendar
+export const resolveCalendar = async (calendarId = null) => {
+  if (calendarId) {
+    const calendar = await BusinessCalendar.findOne({ _id: calendarId, isActive: true }).lean()
+    if (calendar) {
+      return calendar
+    }
+  }
+  return getDefaultCalendar()
+}
@@ -0,0 +1,71 @@
+import crypto from "crypto"
+import Appointment from "../models/appointment.js"
+import JobSchedule from "../models/job-schedule.js"
+import User from "../models/user.js"
+import { appointmentEvent, buildCalendar, jobEvent } from "./icalendar.js"
+import { getSettingValue } from "./settings.js"
+
+// Feeds list bookings from this many days ago onwards
+const FEED_PAST_DAYS = 90
+const FEED_LIMIT = 1000
+
+export const calendarOrganizer = async () => ({
+  name: "Dern Support",
+  email: await getSettingValue("support_email", "support@dern-support.com"),
+})
+
+const feedUrls = (token) => {
+  const url = `${process.env.CLIENT_URL}/api/v1/calendar/feeds/${token}.ics`
+  return { feedUrl: url, webcalUrl: url.replace(/^https?:/, "webcal:") }
+}
+
+// Feed URLs of a user, issuing a token on first use (or a fresh one when rotating)
+export const getCalendarFeed = async (userId, { rotate = false } = {}) => {
+  const user = await User.findById(userId).select("+calendarFeedToken")
+  if (!user.calendarFeedToken || rotate) {
+    user.calendarFeedToken = crypto.randomBytes(24).toString("hex")
+    await user.save()
+  }
+  return feedUrls(user.calendarFeedToken)
+}
+
+export const revokeCalendarFeed = (userId) => User.updateOne({ _id: userId }, { $unset: { calendarFeedToken: 1 } })
+
+// The iCalendar feed for a token, or null when no active user owns it
+export const buildCalendarFeed = async (token) => {
+  const user = await User.findOne({ calendarFeedToken: token, isActive: true }).select("username")
+  if (!user) {
+    return null
+  }
+
+  const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000)
+  const [appointments, jobs, organizer] = await Promise.all([
+    Appointment.find({
+      $or: [{ client: user._id }, { technician: user._id }],
+      status: { $ne: "canceled" },
+      startTime: { $gte: since },
+    })
+      .populate("client", "username email")
+      .populate("technician", "username email")
+      .sort({ startTime: 1 })
+      .limit(FEED_LIMIT),
+    JobSchedule.find({
+      $or: [{ customer: user._id }, { assignedTechnician: user._id }],
+      status: { $ne: "cancelled" },
+      scheduledDate: { $gte: since },
+    })
+      .populate("customer", "username email")
+      .populate("assignedTechnician", "username email")
+      .sort({ scheduledDate: 1 })
+      .limit(FEED_LIMIT),
+    calendarOrganizer(),
+  ])
+
+  return buildCalendar({
+    name: `Dern Support - ${user.username}`,
+    events: [
+      ...appointments.map((appointment) => appointmentEvent(appointment, { organizer })),
+      ...jobs.map((job) => jobEvent(job, { organizer })),
+    ],
+  })
+}
@@ -0,0 +1,246 @@
+import CustomField from "../models/custom-field.js"
+
+const EMAIL_PATTERN = /^\w+([.+-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,})+$/
+const DEFAULT_MAX_TEXT_LENGTH = 1000
+// Longest value tested against an admin-defined pattern, which runs on the event loop
+export const MAX_PATTERN_INPUT_LENGTH = 1000
+const TEXT_TYPES = ["text", "email", "url", "select", "multiselect"]
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Length of the quantifier at `index` that can repeat without bound or many times (+, *, {n,} or {n,m}), else 0
+const repeatingQuantifierLength = (pattern, index) => {
+  if (pattern[index] === "+" || pattern[index] === "*") return 1
+  return pattern.slice(index).match(/^\{\d*,\d*\}/)?.[0].length || 0
+}
+
+// Whether a pattern repeats a group that itself contains a repeating quantifier, e.g. (a+)+ or (\w*\s?)*;
+// such patterns can backtrack exponentially on input that almost matches
+export const hasNestedQuantifier = (pattern) => {
+  const groups = [{ quantified: false }]
+  let inClass = false
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index]
+    if (char === "\\") {
+      index++
+    } else if (inClass) {
+      inClass = char !== "]"
+    } else if (char === "[") {
+      inClass = true
+    } else if (char === "(") {
+      groups.push({ quantified: false })
+    } else if (char === ")" && groups.length > 1) {
+      const group = groups.pop()
+      const quantifierLength = repeatingQuantifierLength(pattern, index + 1)
+      if (group.quantified && quantifierLength > 0) return true
+      groups.at(-1).quantified ||= group.quantified || quantifierLength > 0
+    } else {
+      groups.at(-1).quantified ||= repeatingQuantifierLength(pattern, index) > 0
+    }
+  }
+
+  return false
+}
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0)
+
+export const getFieldDefinitions = (category) =>
+  CustomField.find({ category, isActive: true }).sort({ order: 1, label: 1 }).lean()
+
+// Convert a submitted value to the field's type: { value } or { error }
+const coerceValue = (definition, raw) => {
+  const rules = definition.validation || {}
+
+  switch (definition.type) {
+    case "text": {
+      const value = String(raw).trim()
+      const maxLength = rules.maxLength ?? DEFAULT_MAX_TEXT_LENGTH
+      if (rules.minLength != null && value.length < rules.minLength) {
+        return { error: `must be at least ${rules.minLength} characters` }
+      }
+      if (value.length > maxLength) {
+        return { error: `cannot exceed ${maxLength} characters` }
+      }
+      if (rules.pattern) {
+        if (value.length > MAX_PATTERN_INPUT_LENGTH) {
+          return { error: `cannot exceed ${MAX_PATTERN_INPUT_LENGTH} characters` }
+        }
+        if (!new RegExp(rules.pattern).test(value)) {
+          return { error: "has an invalid format" }
+        }
+      }
+      return { value }
+    }
+    case "number": {
+      const value = typeof raw === "number" ? raw : Number(raw)
+      if (raw === true || raw === false || !Number.isFinite(value)) {
+        return { error: "must be a number" }
+      }
+      if (rules.min != null && value < rules.min) {
+        return { error: `must be at least ${rules.min}` }
+      }
+      if (rules.max != null && value > rules.max) {
+        return { error: `cannot exceed ${rules.max}` }
+      }
+      return { value }
+    }
+    case "date": {
+      const value = new Date(raw)
+      return Number.isNaN(value.getTime()) ? { error: "must be a valid date" } : { value }
+    }
+    case "boolean": {
+      if (raw === true || raw === "true") return { value: true }
+      if (raw === false || raw === "false") return { value: false }
+      return { error: "must be true or false" }
+    }
+    case "select": {
+      const value = String(raw)
+      return definition.options.includes(value)
+        ? { value }
+        : { error: `must be one of: ${definition.options.join(", ")}` }
+    }
+    case "multiselect": {
+      const values = [...new Set((Array.isArray(raw) ? raw : String(raw).split(",")).map((item) => String(item).trim()))]
+      const invalid = values.filter((item) => !definition.options.includes(item))
+      return invalid.length > 0
+        ? { error: `has invalid option(s) ${invalid.join(", ")}; allowed: ${definition.options.join(", ")}` }
+        : { value: values }
+    }
+    case "email": {
+      const value = String(raw).trim().toLowerCase()
+      return EMAIL_PATTERN.test(value) ? { value } : { error: "must be a valid email address" }
+    }
+    case "url": {
+      try {
+        const url = new URL(String(raw).trim())
+        return ["http:", "https:"].includes(url.protocol) ? { value: url.toString() } : { error: "must be an http(s) URL" }
+      } catch {
+        return { error: "must be a valid URL" }
+      }
+    }
+    default:
+      return { error: `has unsupported type ${definition.type}` }
+  }
+}
+
+// Validate submitted custom field values for a category, merged over any existing values
+export const validateCustomFields = async (category, values = {}, existing = {}) => {
+  const definitions = await getFieldDefinitions(category)
+  const byKey = new Map(definitions.map((definition) => [definition.key, definition]))
+  const errors = Object.keys(values)
+    .filter((key) => !byKey.has(key))
+    .map((key) => `Unknown custom field '${key}' for category ${category}`)
+
+  // Values of retired fields are kept as they were
+  const result = Object.fromEntries(Object.entries(existing).filter(([key]) => !byKey.has(key)))
+
+  for (const definition of definitions) {
+    const raw = definition.key in values ? values[definition.key] : existing[definition.key]
+    if (isEmpty(raw)) {
+      if (definition.required) {
+        errors.push(`${definition.label} is required`)
+      }
+      continue
+    }
+
+    const { value, error } = coerceValue(definition, raw)
+    if (error) {
+      errors.push(`${definition.label} ${error}`)
+    } else {
+      result[definition.key] = value
+    }
+  }
+
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, values: result }
+}
+
+// Query filter from `cf.<key>=value` and `cf.<key>.min` / `cf.<key>.max` parameters
+export const buildCustomFieldFilter = async (query, category) => {
+  const params = Object.entries(query).filter(([name]) => name.startsWith("cf."))
+  if (params.length === 0) {
+    return { filter: {} }
+  }
+
+  const definitions = await CustomField.find(category ? { category } : {}).lean()
+  const filter = {}
+
+  for (const [name, rawValue] of params) {
+    const [, key, operator] = name.split(".")
+    const definition = definitions.find((candidate) => candidate.key === key)
+    if (!definition) {
+      return { error: `Unknown custom field '${key}'` }
+    }
+
+    const raw = String(Array.isArray(rawValue) ? rawValue[0] : rawValue)
+    const path = `customFields.${key}`
+
+    if (operator) {
+      if (!["min", "max"].includes(operator) || !["number", "date"].includes(definition.type)) {
+        return { error: `Unsupported filter '${name}'` }
+      }
+      const { value, error } = coerceValue({ ...definition, validation: {} }, raw)
+      if (error) {
+        return { error: `${definition.label} ${error}` }
+      }
+      filter[path] = { ...filter[path], [operator === "min" ? "$gte" : "$lte"]: value }
+      continue
+    }
+
+    if (["select", "multiselect"].includes(definition.type)) {
+      filter[path] = { $in: raw.split(",").map((item) => item.trim()) }
+    } else if (TEXT_TYPES.includes(definition.type)) {
+      filter[path] = { $regex: escapeRegex(raw), $options: "i" }
+    } else if (definition.type === "date") {
+      const { value, error } = coerceValue(definition, raw)
+      if (error) {
+        return { error: `${definition.label} ${error}` }
+      }
+      // A bare date matches the whole day
+      filter[path] = { $gte: value, $lt: new Date(value.getTime() + 24 * 60 * 60 * 1000) }
+    } else {
+      const { value, error } = coerceValue({ ...definition, validation: {} }, raw)
+      if (error) {
+        return { error: `${definition.label} ${error}` }
+      }
+      filter[path] = value
+    }
+  }
+
+  return { filter }
+}
+
+// Conditions that let free-text search match text-like custom fields
+export const buildCustomFieldSearch = async (search, category) => {
+  const keys = await CustomField.find({
+    ...(category ? { category } : {}),
+    isActive: true,
+    type: { $in: TEXT_TYPES },
+  }).distinct("key")
+
+  return keys.map((key) => ({ [`customFields.${key}`]: { $regex: escapeRegex(search), $options: "i" } }))
+}
+
+// Labelled custom field values for exports
+export const describeCustomFields = async (request) => {
+  const values = request.customFields || {}
+  const definitions = await CustomField.find({ category: request.category }).sort({ order: 1, label: 1 }).lean()
+  const described = definitions
+    .filter((definition) => !isEmpty(values[definition.key]))
+    .map((definition) => ({
+      key: definition.key,
+      label: definition.label,
+      type: definition.type,
+      value: values[definition.key],
+    }))
+
+  const knownKeys = new Set(definitions.map((definition) => definition.key))
+  for (const [key, value] of Object.entries(values)) {
+    if (!knownKeys.has(key)) {
+      described.push({ key, label: key, type: null, value })
+    }
+  }
+
+  return described
+}
@@ -1,69 +1,273 @@
-import mongoose from "mongoose"
+// HTML email templates used by the notification helpers
 
-// Database utilities and helpers
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
 
-export const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGO_URI)
+// Shown above quoted text so the inbound email gateway can cut replies cleanly
+export const REPLY_MARKER = "## Reply above this line ##"
 
-    console.log(`MongoDB Connected: ${conn.connection.host}`)
-    return conn
-  } catch (error) {
-    console.error("Database connection error:", error)
-    process.exit(1)
-  }
-}
+const button = (url, label) => `
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="${url}" style="background-color: #1e40af; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">${label}</a>
+  </div>`
 
-export const disconnectDB = async () => {
-  try {
-    await mongoose.disconnect()
-    console.log("MongoDB Disconnected")
-  } catch (error) {
-    console.error("Database disconnection error:", error)
-  }
-}
+const layout = (title, body, { replyMarker = false } = {}) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    ${replyMarker ? `<p style="color: #9ca3af; font-size: 12px;">${REPLY_MARKER}</p>` : ""}
+    <h2 style="color: #1e40af;">${title}</h2>
+    ${body}
+    <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+    <p style="color: #6b7280; font-size: 14px;">
+      Best regards,<br>
+      The Dern Support Team
+    </p>
+  </div>`
 
-// Transaction helper
-export const withTransaction = async (operations) => {
-  const session = await mongoose.startSession()
-
-  try {
-    session.startTransaction()
-    const result = await operations(session)
-    await session.commitTransaction()
-    return result
-  } catch (error) {
-    await session.abortTransaction()
-    throw error
-  } finally {
-    session.endSession()
-  }
-}
+const templates = {
+  supportRequestCreated: (data) => ({
+    subject: `[${data.requestId}] Support request received: ${data.title}`,
+    html: layout(
+      "We received your request",
+      `<p>Hello ${escapeHtml(data.customerName)},</p>
+      <p>Your support request <strong>${data.requestId}</strong> has been created.</p>
+      <ul>
+        <li><strong>Title:</strong> ${escapeHtml(data.title)}</li>
+        <li><strong>Category:</strong> ${data.category}</li>
+        <li><strong>Priority:</strong> ${data.priority}</li>
+        <li><strong>Status:</strong> ${data.status}</li>
+      </ul>
+      <p>You can reply to this email to add more details.</p>`,
+      { replyMarker: true },
+    ),
+  }),
+
+  supportRequestAssigned: (data) => ({
+    subject: `[${data.requestId}] A technician has been assigned`,
+    html: layout(
+      "Your request has been assigned",
+      `<p>Hello ${escapeHtml(data.customerName)},</p>
+      <p><strong>${escapeHtml(data.technicianName)}</strong> (${escapeHtml(data.specialization)}) is now working on
+      request <strong>${data.requestId}</strong>.</p>
+      <p>Estimated resolution time: ${data.estimatedResolutionTime} hour(s).</p>`,
+      { replyMarker: true },
+    ),
+  }),
+
+  supportRequestResolved: (data) => ({
+    subject: `[${data.requestId}] Your support request has been resolved`,
+    html: layout(
+      "Your request has been resolved",
+      `<p>Hello ${escapeHtml(data.customerName)},</p>
+      <p>${escapeHtml(data.technicianName)} resolved request <strong>${data.requestId}</strong>
+      in about ${data.resolutionTime} hour(s).</p>
+      <p>If the problem is not fixed, reply to this email and we will take another look.</p>`,
+      { replyMarker: true },
+    ),
+  }),
+
+  newMessage: (data) => ({
+    subject: `[${data.requestId}] New message from ${data.senderName}`,
+    html: layout(
+      "You have a new message",
+      `<p>Hello ${escapeHtml(data.recipientName)},</p>
+      <p>${escapeHtml(data.senderName)} wrote on request <strong>${data.requestId}</strong>:</p>
+      <blockquote style="border-left: 4px solid #e5e7eb; margin: 0; padding-left: 12px; color: #374151;">
+        ${escapeHtml(data.messageContent)}
+      </blockquote>
+      ${button(data.chatUrl, "Open Conversation")}
+      <p>You can also reply to this email.</p>`,
+      { replyMarker: true },
+    ),
+  }),
+
+  supportRequestUpdated: (data) => ({
+    subject: `[${data.requestId}] ${data.title}: ${data.update}`,
+    html: layout(
+      "A request you follow was updated",
+      `<p>Hello ${escapeHtml(data.recipientName)},</p>
+      <p>Request <strong>${escapeHtml(data.title)}</strong> (${data.requestId}): ${escapeHtml(data.update)}.</p>
+      ${data.requestUrl ? button(data.requestUrl, "View Request") : ""}
+      <p style="color: #6b7280; font-size: 12px;">You receive this because you follow this request.</p>`,
+    ),
+  }),
+
+  pendingCustomerReminder: (data) => ({
+    subject: `[${data.requestId}] We are waiting for your reply`,
+    html: layout(
+      "We need a little more information",
+      `<p>Hello ${escapeHtml(data.customerName)},</p>
+      <p>Your request <strong>${escapeHtml(data.title)}</strong> (${data.requestId}) has been waiting for your reply
+      for ${data.daysPending} day(s).</p>
+      ${data.autoCloseDate ? `<p>If we do not hear from you, it will be closed automatically on ${data.autoCloseDate}.</p>` : ""}
+      ${button(data.requestUrl, "View Request")}
+      <p>You can also reply to this email.</p>`,
+      { replyMarker: true },
+    ),
+  }),
+
+  supportRequestAutoClosed: (data) => ({
+    subject: `[${data.requestId}] Your request has been closed`,
+    html: layout(
+      "Your request has been closed",
+      `<p>Hello ${escapeHtml(data.customerName)},</p>
+      <p>Your request <strong>${escapeHtml(data.title)}</strong> (${data.requestId}) was closed automatically:
+      ${escapeHtml(data.reason)}.</p>
+      <p>If you still need help, you can reopen it or create a new request.</p>
+      ${button(data.requestUrl, "View Request")}`,
+    ),
+  }),
 
-// Aggregation helpers
-export const buildMatchStage = (filters) => {
-  const match = {}
-
-  Object.entries(filters).forEach(([key, value]) => {
-    if (value !== undefined && value !== null && value !== "") {
-      if (Array.isArray(value)) {
-        match[key] = { $in: value }
-      } else if (typeof value === "object" && value.start && value.end) {
-        match[key] = { $gte: value.start, $lte: value.end }
-      } else {
-        match[key] = value
+  satisfactionSurvey: (data) => ({
+    subject: `[${data.requestId}] How did we do?`,
+    html: layout(
+      "How did we do?",
+      `<p>Hello ${escapeHtml(data.customerName)},</p>
+      <p>Your request <strong>${escapeHtml(data.title)}</strong> (${data.requestId}) was handled by
+      ${escapeHtml(data.technicianName)}. How satisfied are you with the support you received?</p>
+      <div style="text-align: center; margin: 24px 0;">
+        ${data.ratingLinks
+          .map(
+            (link) =>
+              `<a href="${link.url}" style="background-color: #1e40af; color: white; padding: 10px 14px; margin: 0 4px; text-decoration: none; border-radius: 6px; display: inline-block;">${link.rating} &#9733;</a>`,
+          )
+          .join("")}
+      </div>
+      <p>How likely are you to recommend Dern Support to a friend or colleague? (0 = not at all, 10 = extremely likely)</p>
+      <div style="text-align: center; margin: 24px 0;">
+        ${data.npsLinks
+          .map(
+            (link) =>
+              `<a href="${link.url}" style="border: 1px solid #1e40af; color: #1e40af; padding: 6px 9px; margin: 0 2px; text-decoration: none; border-radius: 4px; display: inline-block;">${link.score}</a>`,
+          )
+          .join("")}
+      </div>
+      ${button(data.surveyUrl, "Tell Us More")}
+      <p style="color: #6b7280; font-size: 12px;">These links work without signing in and expire on ${data.expiresAt}.</p>`,
+    ),
+  }),
+
+  appointmentScheduled: (data) => ({
+    subject: `Appointment scheduled with ${data.technicianName}`,
+    html: layout(
+      "Your appointment is scheduled",
+      `<p>Hello ${escapeHtml(data.clientName)},</p>
+      <ul>
+        <li><strong>When:</strong> ${data.appointmentDate}</li>
+        <li><strong>Technician:</strong> ${escapeHtml(data.technicianName)}</li>
+        <li><strong>Duration:</strong> ${data.duration}</li>
+      </ul>
+      ${data.notes ? `<p><strong>Notes:</strong> ${escapeHtml(data.notes)}</p>` : ""}
+      ${
+        data.occurrenceDates
+          ? `<p><strong>Booked dates:</strong></p>
+      <ul>${data.occurrenceDates.map((date) => `<li>${date}</li>`).join("")}</ul>`
+          : ""
       }
-    }
-  })
+      <p>The attached invitation adds the appointment to your calendar.</p>`,
+    ),
+  }),
 
-  return match
-}
+  appointmentCanceled: (data) => ({
+    subject: data.appointmentDates
+      ? `${data.appointmentDates.length} appointments with ${data.otherPartyName} canceled`
+      : `Appointment with ${data.otherPartyName} canceled`,
+    html: layout(
+      "Appointment canceled",
+      `<p>Hello ${escapeHtml(data.recipientName)},</p>
+      ${
+        data.appointmentDates
+          ? `<p>These appointments with <strong>${escapeHtml(data.otherPartyName)}</strong> have been canceled:</p>
+      <ul>${data.appointmentDates.map((date) => `<li>${date}</li>`).join("")}</ul>`
+          : `<p>Your appointment with <strong>${escapeHtml(data.otherPartyName)}</strong> on ${data.appointmentDate} has been canceled.</p>`
+      }
+      ${data.reason ? `<p><strong>Reason:</strong> ${escapeHtml(data.reason)}</p>` : ""}
+      <p>The attached cancellation removes it from your calendar.</p>`,
+    ),
+  }),
+
+  appointmentMoved: (data) => ({
+    subject: data.headline,
+    html: layout(
+      "Appointment moved",
+      `<p>Hello ${escapeHtml(data.recipientName)},</p>
+      <p>${escapeHtml(data.headline)}.</p>
+      <p>The attached invitation updates it in your calendar.</p>
+      ${button(data.appointmentUrl, "View appointment")}`,
+    ),
+  }),
+
+  appointmentReschedule: (data) => ({
+    subject: data.headline,
+    html: layout(
+      "Appointment reschedule",
+      `<p>Hello ${escapeHtml(data.recipientName)},</p>
+      <p>${escapeHtml(data.headline)}.</p>
+      ${
+        data.slots
+          ? `<p><strong>Proposed times:</strong></p>
+      <ul>${data.slots.map((slot) => `<li>${slot}</li>`).join("")}</ul>
+      <p>Accept one of them or suggest other times.</p>`
+          : ""
+      }
+      ${data.message ? `<p><strong>Message:</strong> ${escapeHtml(data.message)}</p>` : ""}
+      ${button(data.appointmentUrl, "View appointment")}`,
+    ),
+  }),
+
+  appointmentReminder: (data) => ({
+    subject: `Reminder: appointment with ${data.otherPartyName} in ${data.leadTime}`,
+    html: layout(
+      "Appointment reminder",
+      `<p>Hello ${escapeHtml(data.recipientName)},</p>
+      <p>Your ${data.serviceType} appointment with <strong>${escapeHtml(data.otherPartyName)}</strong> starts in ${data.leadTime}.</p>
+      <ul>
+        <li><strong>Date:</strong> ${data.appointmentDate}</li>
+        <li><strong>Duration:</strong> ${data.duration}</li>
+        ${data.location ? `<li><strong>Location:</strong> ${escapeHtml(data.location)}</li>` : ""}
+      </ul>
+      ${data.notes ? `<p><strong>Notes:</strong> ${escapeHtml(data.notes)}</p>` : ""}
+      ${button(data.appointmentUrl, "View appointment")}`,
+    ),
+  }),
+
+  waitlistUpdate: (data) => ({
+    subject: data.event === "offered" ? `A slot opened up on ${data.appointmentDate}` : data.headline,
+    html: layout(
+      data.event === "offered" ? "A slot opened up" : "Waitlist offer expired",
+      `<p>Hello ${escapeHtml(data.customerName)},</p>
+      <p>${escapeHtml(data.headline)}.</p>
+      ${
+        data.event === "offered"
+          ? `<ul>
+        <li><strong>Date:</strong> ${data.appointmentDate}</li>
+        <li><strong>Technician:</strong> ${escapeHtml(data.technicianName)}</li>
+        <li><strong>Duration:</strong> ${data.duration}</li>
+      </ul>
+      <p>Confirm before <strong>${data.holdExpiresAt}</strong> to book it; after that it goes to the next customer on the waitlist.</p>
+      ${button(data.holdUrl, "Review and confirm")}
+      <p>Not a good time? You can let this slot go from the same page and stay on the waitlist.</p>`
+          : `<p>You are still on the waitlist and will hear from us when another slot opens up.</p>
+      ${button(data.waitlistUrl, "View waitlist")}`
+      }`,
+    ),
+  }),
 
-export const buildSortStage = (sortBy = "createdAt", sortOrder = "desc") => {
-  return { [sortBy]: sortOrder === "desc" ? -1 : 1 }
+  test: (data) => ({
+    subject: "Dern Support test email",
+    html: layout(
+      "Test email",
+      `<p>Hello ${escapeHtml(data.userName)},</p>
+      <p>This is a test email from Dern Support. Your email notifications are working.</p>`,
+    ),
+  }),
 }
 
-export const buildPaginationStages = (page = 1, limit = 10) => {
-  const skip = (page - 1) * limit
-  return [{ $skip: skip }, { $limit: limit }]
+// Build { subject, html } for a template, or null when it does not exist
+export const getEmailTemplate = (templateType, data = {}) => {
+  const template = templates[templateType]
+  return template ? template(data) : null
 }
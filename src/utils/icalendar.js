@@ -0,0 +1,146 @@
+// RFC 5545 iCalendar output for appointments and scheduled jobs (feeds and email invites).
+// UIDs are derived from document ids so calendar apps update an event instead of duplicating it.
+
+const PRODUCT_ID = "-//Dern Support//Appointments//EN"
+
+const uidDomain = () => process.env.INBOUND_EMAIL_DOMAIN || "dern-support.com"
+
+export const appointmentUid = (appointment) => `appointment-${appointment._id}@${uidDomain()}`
+export const jobUid = (job) => `job-${job._id}@${uidDomain()}`
+
+const escapeText = (value = "") =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n")
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")
+
+// Fold content lines longer than 75 octets (continuation lines start with a space)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, "utf8")
+  if (bytes.length <= 75) return line
+
+  const parts = []
+  let start = 0
+  let limit = 75
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length)
+    // Do not split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--
+    parts.push(bytes.subarray(start, end).toString("utf8"))
+    start = end
+    limit = 74
+  }
+  return parts.join("\r\n ")
+}
+
+// SEQUENCE must grow whenever an event changes; seconds since creation do
+const sequenceOf = (doc) =>
+  doc.updatedAt && doc.createdAt ? Math.max(0, Math.floor((doc.updatedAt - doc.createdAt) / 1000)) : 0
+
+const formatLocation = (location) =>
+  location?.address ? [location.address, location.city, location.state, location.zipCode].filter(Boolean).join(", ") : null
+
+const person = (property, user, extra = "") =>
+  user?.email ? `${property};CN=${escapeText(user.username || user.email)}${extra}:mailto:${user.email}` : null
+
+// VEVENT lines for one event
+const buildEvent = (event) =>
+  [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.url && `URL:${event.url}`,
+    event.lastModified && `LAST-MODIFIED:${formatDateTime(event.lastModified)}`,
+    event.organizer && `ORGANIZER;CN=${escapeText(event.organizer.name)}:mailto:${event.organizer.email}`,
+    ...(event.attendees || []).map((attendee) => person("ATTENDEE", attendee, ";ROLE=REQ-PARTICIPANT")),
+    "END:VEVENT",
+  ].filter(Boolean)
+
+// A whole VCALENDAR document; method is REQUEST / CANCEL for invites and omitted for feeds
+export const buildCalendar = ({ events, method, name }) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    method && `METHOD:${method}`,
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEvent),
+    "END:VCALENDAR",
+  ]
+    .filter(Boolean)
+    .map(foldLine)
+    .join("\r\n") + "\r\n"
+
+// Event for an appointment; client and technician are populated users (or absent)
+export const appointmentEvent = (appointment, { organizer } = {}) => {
+  const technician = appointment.technician?.username ? appointment.technician : null
+  const client = appointment.client?.username ? appointment.client : null
+
+  return {
+    uid: appointmentUid(appointment),
+    start: appointment.startTime,
+    end: appointment.endTime,
+    sequence: sequenceOf(appointment),
+    status: appointment.status === "canceled" ? "CANCELLED" : "CONFIRMED",
+    summary: `${appointment.serviceType[0].toUpperCase()}${appointment.serviceType.slice(1)} appointment${
+      technician ? ` with ${technician.username}` : ""
+    }`,
+    description: [
+      client && `Client: ${client.username}`,
+      technician && `Technician: ${technician.username}`,
+      `Priority: ${appointment.priority}`,
+      appointment.notes,
+      appointment.cancellationReason && appointment.status === "canceled" && `Canceled: ${appointment.cancellationReason}`,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: formatLocation(appointment.location),
+    url: process.env.CLIENT_URL && `${process.env.CLIENT_URL}/appointments/${appointment._id}`,
+    lastModified: appointment.updatedAt,
+    organizer,
+    attendees: [client, technician].filter(Boolean),
+  }
+}
+
+// Event for a scheduled job; it lasts estimatedDuration unless it already has actual times
+export const jobEvent = (job, { organizer } = {}) => {
+  const start = job.actualStartTime || job.scheduledDate
+  const end = job.actualEndTime || new Date(new Date(start).getTime() + job.estimatedDuration * 60 * 1000)
+
+  return {
+    uid: jobUid(job),
+    start,
+    end,
+    sequence: sequenceOf(job),
+    status: job.status === "cancelled" ? "CANCELLED" : job.status === "postponed" ? "TENTATIVE" : "CONFIRMED",
+    summary: `${job.jobId}: ${job.title}`,
+    description: [
+      `Job type: ${job.jobType}`,
+      `Priority: ${job.priority}`,
+      job.customer?.username && `Customer: ${job.customer.username}`,
+      job.assignedTechnician?.username && `Technician: ${job.assignedTechnician.username}`,
+      job.description,
+      job.notes,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    location: formatLocation(job.location),
+    lastModified: job.updatedAt,
+    organizer,
+    attendees: [job.customer, job.assignedTechnician].filter((user) => user?.email),
+  }
+}
+
+// Email attachment for an invite or cancellation
+export const icsAttachment = (calendar, method) => ({
+  filename: method === "CANCEL" ? "cancel.ics" : "invite.ics",
+  content: calendar,
+  contentType: `text/calendar; charset=utf-8; method=${method}`,
+})
@@ -0,0 +1,430 @@
+import fs from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { nanoid } from "nanoid"
+import { simpleParser } from "mailparser"
+import { SMTPServer } from "smtp-server"
+import SupportRequest from "../models/support-request.js"
+import Message from "../models/message.js"
+import User from "../models/user.js"
+import FileUpload from "../models/file-upload.js"
+import { getSettingValues } from "./settings.js"
+import { applySLAPolicy, recordFirstResponse } from "./sla.js"
+import { autoAssignRequest } from "./auto-assignment.js"
+import { buildStatusHistoryEntry, resumeOnCustomerReply } from "./status-workflow.js"
+import { broadcastMessage, notifyAssignment } from "./request-events.js"
+import { runAutomations } from "./automation.js"
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const uploadsDir = path.join(__dirname, "../../uploads")
+
+export const REQUEST_ID_PATTERN = /REQ-[A-Z0-9_-]{8}/
+export const REQUEST_ID_HEADER = "x-dern-request-id"
+
+const INBOUND_SETTING_DEFAULTS = {
+  inbound_email_default_category: "general-inquiry",
+  inbound_email_default_priority: "medium",
+  inbound_email_max_attachment_size: 10 * 1024 * 1024,
+}
+
+// Same types the upload endpoint accepts
+const ALLOWED_ATTACHMENT_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "text/plain",
+  "text/csv",
+]
+
+const rejected = (code, message) => ({ status: "rejected", code, message })
+
+// Lines that start the quoted part of a reply
+const isQuoteHeader = (line, nextLines) => {
+  if (/^\s*>/.test(line)) return true
+  if (/^\s*-{2,}\s*(Original|Forwarded) Message\s*-{2,}/i.test(line)) return true
+  if (/^\s*_{10,}\s*$/.test(line)) return true
+  if (/^\s*#+\s*Reply above this line\s*#+/i.test(line)) return true
+  // "On <date>, <name> wrote:" which some clients wrap over two lines
+  if (/^\s*On\s.+wrote:\s*$/.test(line)) return true
+  if (/^\s*On\s.+/.test(line) && /^.*wrote:\s*$/.test(nextLines[0] || "")) return true
+  // Outlook-style header block
+  if (/^\s*From:\s.+/.test(line) && nextLines.slice(0, 3).some((next) => /^\s*(Sent|Date):\s/.test(next))) return true
+  return false
+}
+
+// Drop quoted history and the signature from a reply body
+export const stripQuotedReply = (text = "") => {
+  const lines = text.replace(/\r\n/g, "\n").split("\n")
+  const kept = []
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index]
+    if (line === "-- " || line === "--") break
+    if (isQuoteHeader(line, lines.slice(index + 1))) break
+    kept.push(line)
+  }
+
+  const stripped = kept.join("\n").trim()
+  // A message that is nothing but a quote keeps its original text
+  return stripped || text.trim()
+}
+
+// Find the request a reply belongs to: our header, then the subject, then threading headers
+export const extractRequestId = (parsed) => {
+  const candidates = [
+    parsed.headers.get(REQUEST_ID_HEADER),
+    parsed.subject,
+    parsed.inReplyTo,
+    [].concat(parsed.references || []).join(" "),
+  ]
+
+  for (const candidate of candidates) {
+    const match = typeof candidate === "string" && candidate.match(REQUEST_ID_PATTERN)
+    if (match) return match[0]
+  }
+  return null
+}
+
+// Auto-replies and bounces would otherwise loop with our own notifications
+const isAutomatedMail = (parsed) => {
+  const autoSubmitted = parsed.headers.get("auto-submitted")
+  if (autoSubmitted && String(autoSubmitted).toLowerCase() !== "no") return true
+  const precedence = String(parsed.headers.get("precedence") || "").toLowerCase()
+  return ["bulk", "junk", "auto_reply"].includes(precedence)
+}
+
+const cleanSubject = (subject = "") => subject.replace(/^\s*((re|fwd?|aw|sv)\s*:\s*)+/i, "").trim()
+
+// Write allowed attachments to the sender's upload folder
+const storeAttachments = async (parsed, user, request, maxSize) => {
+  const stored = []
+  const skipped = []
+
+  for (const attachment of parsed.attachments || []) {
+    if (attachment.related) continue // inline images of an HTML body
+
+    const originalName = attachment.filename || `attachment-${stored.length + skipped.length + 1}`
+    if (!ALLOWED_ATTACHMENT_TYPES.includes(attachment.contentType)) {
+      skipped.push({ originalName, reason: `Type ${attachment.contentType} is not allowed` })
+      continue
+    }
+    if (attachment.size > maxSize) {
+      skipped.push({ originalName, reason: `Larger than ${maxSize} bytes` })
+      continue
+    }
+
+    const uploadPath = path.join(uploadsDir, user._id.toString())
+    await fs.promises.mkdir(uploadPath, { recursive: true })
+
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9)
+    const filename = "email-" + uniqueSuffix + path.extname(originalName)
+    const filePath = path.join(uploadPath, filename)
+    await fs.promises.writeFile(filePath, attachment.content)
+
+    const url = `/uploads/${user._id}/${filename}`
+    await FileUpload.create({
+      filename,
+      originalName,
+      mimetype: attachment.contentType,
+      size: attachment.size,
+      path: filePath,
+      url,
+      uploadedBy: user._id,
+      relatedTo: { resourceType: "support-request", resourceId: request._id },
+    })
+
+    stored.push({ filename, originalName, mimetype: attachment.contentType, size: attachment.size, url })
+  }
+
+  return { stored, skipped }
+}
+
+const createRequestFromEmail = async (parsed, user, body, settings) => {
+  if (user.role !== "customer") {
+    return rejected("NO_REQUEST_REFERENCE", "Staff replies must reference an existing request ID")
+  }
+
+  const requestId = `REQ-${nanoid(8).toUpperCase()}`
+  const title = (cleanSubject(parsed.subject) || `Email from ${user.email}`).slice(0, 200)
+  const request = new SupportRequest({
+    requestId,
+    title,
+    description: (body || title).slice(0, 2000),
+    category: settings.inbound_email_default_category,
+    priority: settings.inbound_email_default_priority,
+    isUrgent: settings.inbound_email_default_priority === "urgent",
+    customer: user._id,
+    source: "email",
+    emailMessageId: parsed.messageId,
+    statusHistory: [
+      buildStatusHistoryEntry({
+        from: null,
+        to: "open",
+        action: "create",
+        user: { userId: user._id, role: user.role },
+        reason: "Created from email",
+      }),
+    ],
+  })
+
+  const { stored, skipped } = await storeAttachments(
+    parsed,
+    user,
+    request,
+    settings.inbound_email_max_attachment_size,
+  )
+  request.attachments.push(...stored)
+
+  await applySLAPolicy(request)
+  await request.save()
+
+  await runAutomations("request-created", request, { user })
+  const assignment = await autoAssignRequest(request)
+  if (assignment?.technician) {
+    await notifyAssignment(request, assignment.technician)
+  }
+
+  console.log(`New support request created from email: ${requestId} by ${user.email}`)
+  return { status: "created", requestId, attachments: stored.length, skippedAttachments: skipped }
+}
+
+const appendEmailToRequest = async (parsed, user, body, request, settings) => {
+  // Replies to a merged duplicate belong on the surviving request
+  if (request.mergedInto) {
+    const target = await SupportRequest.findById(request.mergedInto)
+    if (target) request = target
+  }
+
+  if (user.role === "customer" && request.customer.toString() !== user._id.toString()) {
+    return rejected("ACCESS_DENIED", `${user.email} is not the customer of ${request.requestId}`)
+  }
+
+  const { stored, skipped } = await storeAttachments(
+    parsed,
+    user,
+    request,
+    settings.inbound_email_max_attachment_size,
+  )
+
+  if (!body && stored.length === 0) {
+    return rejected("EMPTY_MESSAGE", "The email has no reply text or usable attachments")
+  }
+
+  const message = new Message({
+    supportRequest: request._id,
+    sender: user._id,
+    content: (body || `Sent ${stored.length} attachment(s) by email`).slice(0, 2000),
+    messageType: stored.length > 0 ? "file" : "text",
+    attachments: stored,
+    source: "email",
+    emailMessageId: parsed.messageId,
+  })
+  await message.save()
+  await message.populate("sender", "username email role")
+
+  request.attachments.push(...stored)
+  request.lastActivity = new Date()
+  recordFirstResponse(request, user.role, message.createdAt)
+  const resumed = resumeOnCustomerReply(request, { userId: user._id, username: user.username, role: user.role })
+  await request.save()
+
+  await broadcastMessage(request, message)
+  await runAutomations("message-added", request, { message, user })
+  if (resumed) {
+    await runAutomations("status-changed", request, { from: resumed.from, user })
+  }
+
+  console.log(`Email reply added to ${request.requestId} by ${user.email}`)
+  return {
+    status: "appended",
+    requestId: request.requestId,
+    messageId: message._id,
+    attachments: stored.length,
+    skippedAttachments: skipped,
+  }
+}
+
+// Turn one raw RFC 822 message into a new request or a reply on an existing one
+export const processInboundEmail = async (raw) => {
+  const parsed = await simpleParser(raw)
+
+  const senderEmail = parsed.from?.value?.[0]?.address?.toLowerCase()
+  if (!senderEmail) {
+    return rejected("MISSING_SENDER", "The email has no From address")
+  }
+
+  if (isAutomatedMail(parsed)) {
+    return rejected("AUTOMATED_MAIL", `Ignoring automated mail from ${senderEmail}`)
+  }
+
+  const user = await User.findOne({ email: senderEmail, isActive: true }).select("username email role")
+  if (!user) {
+    return rejected("UNKNOWN_SENDER", `${senderEmail} is not a registered user`)
+  }
+
+  if (parsed.messageId) {
+    const [existingRequest, existingMessage] = await Promise.all([
+      SupportRequest.exists({ emailMessageId: parsed.messageId }),
+      Message.exists({ emailMessageId: parsed.messageId }),
+    ])
+    if (existingRequest || existingMessage) {
+      return { status: "duplicate", message: `${parsed.messageId} was already processed` }
+    }
+  }
+
+  const settings = await getSettingValues(INBOUND_SETTING_DEFAULTS)
+  const body = stripQuotedReply(parsed.text || "")
+  const requestId = extractRequestId(parsed)
+
+  if (!requestId) {
+    return createRequestFromEmail(parsed, user, body, settings)
+  }
+
+  const request = await SupportRequest.findOne({ requestId })
+  if (!request) {
+    return rejected("REQUEST_NOT_FOUND", `Support request ${requestId} not found`)
+  }
+
+  return appendEmailToRequest(parsed, user, body, request, settings)
+}
+
+// Maildir consumer: new/ is processed, accepted mail moves to cur/, rejected mail to the .Rejected folder
+
+let maildirTimer = null
+let maildirRunning = false
+
+const moveMail = async (from, toDir, name) => {
+  await fs.promises.mkdir(toDir, { recursive: true })
+  await fs.promises.rename(from, path.join(toDir, `${name.split(":")[0]}:2,S`))
+}
+
+export const processMaildir = async (maildir) => {
+  const summary = { processed: 0, created: 0, appended: 0, duplicate: 0, rejected: 0, failed: 0 }
+  const newDir = path.join(maildir, "new")
+
+  await Promise.all(["new", "cur", "tmp"].map((dir) => fs.promises.mkdir(path.join(maildir, dir), { recursive: true })))
+  const names = (await fs.promises.readdir(newDir)).filter((name) => !name.startsWith("."))
+
+  for (const name of names) {
+    const filePath = path.join(newDir, name)
+    try {
+      const result = await processInboundEmail(await fs.promises.readFile(filePath))
+      summary.processed++
+      summary[result.status]++
+
+      if (result.status === "rejected") {
+        console.log(`Inbound email ${name} rejected: ${result.message}`)
+        await moveMail(filePath, path.join(maildir, ".Rejected", "cur"), name)
+      } else {
+        await moveMail(filePath, path.join(maildir, "cur"), name)
+      }
+    } catch (err) {
+      // Left in new/ so the next run retries it
+      summary.failed++
+      console.error(`Inbound email ${name} error:`, err)
+    }
+  }
+
+  return summary
+}
+
+export const startMaildirPoller = (
+  maildir = process.env.INBOUND_MAILDIR,
+  intervalMs = Number.parseInt(process.env.INBOUND_MAILDIR_POLL_INTERVAL_MS) || 30 * 1000,
+) => {
+  if (maildirTimer || !maildir) {
+    return maildirTimer
+  }
+
+  maildirTimer = setInterval(async () => {
+    if (maildirRunning) return
+    maildirRunning = true
+    try {
+      const summary = await processMaildir(maildir)
+      if (summary.processed || summary.failed) {
+        console.log("Inbound maildir run:", summary)
+      }
+    } catch (err) {
+      console.error("Inbound maildir error:", err)
+    } finally {
+      maildirRunning = false
+    }
+  }, intervalMs)
+  maildirTimer.unref?.()
+
+  console.log(`Inbound maildir poller started on ${maildir} (every ${Math.round(intervalMs / 1000)}s)`)
+  return maildirTimer
+}
+
+export const stopMaildirPoller = () => {
+  if (maildirTimer) {
+    clearInterval(maildirTimer)
+    maildirTimer = null
+  }
+}
+
+// SMTP listener: answers each message with 250, 550 when rejected or 451 on errors
+
+let smtpServer = null
+
+const smtpError = (message, responseCode) => Object.assign(new Error(message), { responseCode })
+
+export const startSMTPListener = (
+  port = Number.parseInt(process.env.INBOUND_SMTP_PORT),
+  host = process.env.INBOUND_SMTP_HOST || "127.0.0.1",
+) => {
+  if (smtpServer || !port) {
+    return smtpServer
+  }
+
+  smtpServer = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ["AUTH"],
+    size: Number.parseInt(process.env.INBOUND_SMTP_MAX_SIZE) || 25 * 1024 * 1024,
+    banner: "Dern Support inbound mail",
+    onData(stream, session, callback) {
+      const chunks = []
+      stream.on("data", (chunk) => chunks.push(chunk))
+      stream.on("end", async () => {
+        if (stream.sizeExceeded) {
+          return callback(smtpError("Message exceeds the maximum size", 552))
+        }
+
+        try {
+          const result = await processInboundEmail(Buffer.concat(chunks))
+          if (result.status === "rejected") {
+            console.log(`Inbound email rejected: ${result.message}`)
+            return callback(smtpError(result.message, 550))
+          }
+          callback(null, result.requestId ? `Accepted for ${result.requestId}` : "Accepted")
+        } catch (err) {
+          console.error("Inbound SMTP error:", err)
+          callback(smtpError("Temporary processing error, try again later", 451))
+        }
+      })
+    },
+  })
+
+  smtpServer.on("error", (err) => console.error("Inbound SMTP server error:", err))
+  smtpServer.listen(port, host, () => console.log(`Inbound SMTP listener on ${host}:${port}`))
+  return smtpServer
+}
+
+export const stopSMTPListener = () => {
+  if (smtpServer) {
+    smtpServer.close()
+    smtpServer = null
+  }
+}
+
+// Start whichever inbound channels are configured
+export const startInboundEmailGateway = () => {
+  startMaildirPoller()
+  startSMTPListener()
+}
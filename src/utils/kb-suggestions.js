@@ -0,0 +1,247 @@
+import KnowledgeBase from "../models/knowledge-base.js"
+import ArticleSuggestion from "../models/article-suggestion.js"
+import { getSettingValues } from "./settings.js"
+
+const SUGGESTION_SETTING_DEFAULTS = {
+  kb_suggestion_limit: 5,
+  kb_deflection_window_hours: 24,
+}
+
+const MAX_CANDIDATES = 30
+const MIN_TEXT_SCORE = 0.75
+const CATEGORY_BOOST = 1.25
+
+// Support request category -> knowledge-base category
+const ARTICLE_CATEGORIES = {
+  "technical-support": "technical",
+  "bug-report": "technical",
+  billing: "billing",
+  "account-issues": "account",
+  "general-inquiry": "general",
+  "feature-request": "general",
+  "legal-consultation": "legal",
+  "business-consultation": "business",
+}
+
+const failure = (statusCode, code, message) => ({ ok: false, statusCode, code, message })
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+
+// Ranked published articles for a ticket draft, using the KnowledgeBase text index
+export const suggestArticles = async ({ title, description, category, limit }) => {
+  // Quotes and leading dashes are $text phrase/negation syntax; a draft is plain words
+  const search = [title, description].filter(Boolean).join(" ").replace(/["-]/g, " ").trim()
+  if (!search) {
+    return []
+  }
+
+  const settings = await getSettingValues(SUGGESTION_SETTING_DEFAULTS)
+  const candidates = await KnowledgeBase.find(
+    { isPublished: true, $text: { $search: search } },
+    { score: { $meta: "textScore" } },
+  )
+    .select("title excerpt category tags readTime views difficulty")
+    .sort({ score: { $meta: "textScore" } })
+    .limit(MAX_CANDIDATES)
+    .lean()
+
+  const articleCategory = ARTICLE_CATEGORIES[category]
+  return candidates
+    .filter((article) => article.score >= MIN_TEXT_SCORE)
+    .map((article) => ({
+      ...article,
+      // Same-category articles first among similar matches, popular ones slightly ahead
+      score: round(
+        article.score * (article.category === articleCategory ? CATEGORY_BOOST : 1) * (1 + Math.log10(1 + (article.views || 0)) / 10),
+        3,
+      ),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit || settings.kb_suggestion_limit)
+}
+
+// Record the suggestions shown for a draft; refreshes the customer's pending session when one is given
+export const recordSuggestions = async (user, draft, articles, suggestionId) => {
+  let session = suggestionId
+    ? await ArticleSuggestion.findOne({ _id: suggestionId, user: user.userId, outcome: "pending" })
+    : null
+  if (!session) {
+    session = new ArticleSuggestion({ user: user.userId })
+  }
+
+  session.draft = {
+    title: draft.title?.substring(0, 200),
+    description: draft.description?.substring(0, 2000),
+    category: draft.category,
+  }
+  session.suggestions = articles.map((article) => ({ article: article._id, score: article.score }))
+  await session.save()
+  return session
+}
+
+const wasSuggested = (session, articleId) =>
+  session.suggestions.some((suggestion) => suggestion.article.toString() === articleId.toString())
+
+// The customer opened a suggested article
+export const recordArticleView = async (session, articleId) => {
+  if (!wasSuggested(session, articleId)) {
+    return failure(400, "NOT_SUGGESTED", "Article was not suggested for this draft")
+  }
+
+  if (!session.views.some((view) => view.article.toString() === articleId.toString())) {
+    session.views.push({ article: articleId })
+    await session.save()
+  }
+  return { ok: true, session }
+}
+
+// The customer confirmed an article answered their question and did not file the ticket
+export const recordDeflection = async (session, articleId) => {
+  if (session.outcome !== "pending") {
+    return failure(409, "ALREADY_RESOLVED", `Suggestions already resolved as ${session.outcome}`)
+  }
+  if (!wasSuggested(session, articleId)) {
+    return failure(400, "NOT_SUGGESTED", "Article was not suggested for this draft")
+  }
+
+  if (!session.views.some((view) => view.article.toString() === articleId.toString())) {
+    session.views.push({ article: articleId })
+  }
+  session.outcome = "deflected"
+  session.deflectedBy = articleId
+  session.resolvedAt = new Date()
+  await session.save()
+  return { ok: true, session }
+}
+
+// A ticket was filed after seeing suggestions
+export const linkSuggestionToRequest = async (suggestionId, user, request) => {
+  await ArticleSuggestion.updateOne(
+    { _id: suggestionId, user: user.userId, outcome: "pending" },
+    { $set: { outcome: "ticket-created", supportRequest: request._id, resolvedAt: new Date() } },
+  )
+}
+
+/**
+ * Deflection since startDate. A session counts as deflected when the customer confirmed an
+ * article helped, or read one and then did not file a ticket within the deflection window.
+ */
+export const buildDeflectionReport = async ({ startDate }) => {
+  const settings = await getSettingValues(SUGGESTION_SETTING_DEFAULTS)
+  const cutoff = new Date(Date.now() - settings.kb_deflection_window_hours * 60 * 60 * 1000)
+
+  const isDeflected = { $eq: ["$effectiveOutcome", "deflected"] }
+  const count = (condition) => ({ $sum: { $cond: [condition, 1, 0] } })
+
+  const [result] = await ArticleSuggestion.aggregate([
+    { $match: { createdAt: { $gte: startDate } } },
+    {
+      $addFields: {
+        effectiveOutcome: {
+          $cond: [
+            {
+              $and: [
+                { $eq: ["$outcome", "pending"] },
+                { $gt: [{ $size: "$views" }, 0] },
+                { $lt: ["$updatedAt", cutoff] },
+              ],
+            },
+            "deflected",
+            "$outcome",
+          ],
+        },
+        deflectingArticle: { $ifNull: ["$deflectedBy", { $arrayElemAt: ["$views.article", -1] }] },
+        hasSuggestions: { $gt: [{ $size: "$suggestions" }, 0] },
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              sessions: { $sum: 1 },
+              withSuggestions: count("$hasSuggestions"),
+              withViews: count({ $gt: [{ $size: "$views" }, 0] }),
+              deflected: count(isDeflected),
+              confirmed: count({ $eq: ["$outcome", "deflected"] }),
+              ticketsCreated: count({ $eq: ["$effectiveOutcome", "ticket-created"] }),
+            },
+          },
+        ],
+        byCategory: [
+          { $match: { hasSuggestions: true } },
+          { $group: { _id: "$draft.category", sessions: { $sum: 1 }, deflected: count(isDeflected) } },
+          { $sort: { sessions: -1 } },
+        ],
+        byDay: [
+          { $match: { hasSuggestions: true } },
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+              sessions: { $sum: 1 },
+              deflected: count(isDeflected),
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        suggested: [{ $unwind: "$suggestions" }, { $group: { _id: "$suggestions.article", count: { $sum: 1 } } }],
+        viewed: [{ $unwind: "$views" }, { $group: { _id: "$views.article", count: { $sum: 1 } } }],
+        deflections: [{ $match: { effectiveOutcome: "deflected" } }, { $group: { _id: "$deflectingArticle", count: { $sum: 1 } } }],
+      },
+    },
+  ])
+
+  const { _id, ...totals } = result.totals[0] || {
+    sessions: 0,
+    withSuggestions: 0,
+    withViews: 0,
+    deflected: 0,
+    confirmed: 0,
+    ticketsCreated: 0,
+  }
+  const rate = (part, whole) => (whole ? round((part / whole) * 100, 1) : 0)
+
+  // Per-article funnel: suggested -> viewed -> deflected
+  const articles = new Map()
+  const tally = (rows, field) =>
+    rows.forEach((row) => {
+      const key = row._id.toString()
+      if (!articles.has(key)) articles.set(key, { article: row._id, suggested: 0, viewed: 0, deflected: 0 })
+      articles.get(key)[field] = row.count
+    })
+  tally(result.suggested, "suggested")
+  tally(result.viewed, "viewed")
+  tally(result.deflections, "deflected")
+
+  const topArticles = [...articles.values()]
+    .sort((a, b) => b.deflected - a.deflected || b.viewed - a.viewed)
+    .slice(0, 20)
+  const titles = await KnowledgeBase.find({ _id: { $in: topArticles.map((row) => row.article) } })
+    .select("title category")
+    .lean()
+  const titleById = new Map(titles.map((article) => [article._id.toString(), article]))
+
+  return {
+    windowHours: settings.kb_deflection_window_hours,
+    totals: {
+      ...totals,
+      abandonedAfterReading: totals.deflected - totals.confirmed,
+      withoutSuggestions: totals.sessions - totals.withSuggestions,
+      deflectionRate: rate(totals.deflected, totals.withSuggestions),
+      viewRate: rate(totals.withViews, totals.withSuggestions),
+    },
+    byCategory: result.byCategory.map(({ _id, ...row }) => ({
+      category: _id,
+      ...row,
+      deflectionRate: rate(row.deflected, row.sessions),
+    })),
+    byDay: result.byDay.map(({ _id, ...row }) => ({ date: _id, ...row, deflectionRate: rate(row.deflected, row.sessions) })),
+    byArticle: topArticles.map((row) => ({
+      ...row,
+      title: titleById.get(row.article.toString())?.title || null,
+      category: titleById.get(row.article.toString())?.category || null,
+      deflectionRate: rate(row.deflected, row.viewed),
+    })),
+  }
+}
@@ -0,0 +1,214 @@
+import Macro from "../models/macro.js"
+import MacroUsage from "../models/macro-usage.js"
+import Message from "../models/message.js"
+import User from "../models/user.js"
+import { recordFirstResponse } from "./sla.js"
+import { applyStatusChange, validateStatusTransition } from "./status-workflow.js"
+import { broadcastMessage, notifyAssignment, notifyResolved } from "./request-events.js"
+import { stopTimersOnClose } from "./worklogs.js"
+import { recordRevision, snapshotRevisedFields } from "./revisions.js"
+
+// Placeholders a macro template may use
+export const MACRO_PLACEHOLDERS = {
+  "customer.name": "Customer username",
+  "customer.email": "Customer email",
+  requestId: "Public request ID, e.g. REQ-AB12CD34",
+  "request.title": "Request title",
+  "request.category": "Request category",
+  "request.priority": "Request priority after the macro runs",
+  "request.status": "Request status after the macro runs",
+  "technician.name": "Assigned technician after the macro runs",
+  "technician.email": "Assigned technician email",
+  "agent.name": "Technician applying the macro",
+  "agent.email": "Email of the technician applying the macro",
+  date: "Today's date (YYYY-MM-DD)",
+}
+
+const PLACEHOLDER_PATTERN = /{{\s*([\w.]+)\s*}}/g
+
+// Placeholders in a template that we cannot fill
+export const findUnknownPlaceholders = (template = "") => {
+  const names = [...template.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1])
+  return [...new Set(names.filter((name) => !(name in MACRO_PLACEHOLDERS)))]
+}
+
+export const renderMacroTemplate = (template = "", context = {}) =>
+  template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (name in context ? context[name] ?? "" : placeholder))
+
+export const buildMacroContext = (request, user, technician, changes) => ({
+  "customer.name": request.customer?.username,
+  "customer.email": request.customer?.email,
+  requestId: request.requestId,
+  "request.title": request.title,
+  "request.category": request.category,
+  "request.priority": changes.priority?.to || request.priority,
+  "request.status": changes.status?.to || request.status,
+  "technician.name": technician?.username,
+  "technician.email": technician?.email,
+  "agent.name": user.username,
+  "agent.email": user.email,
+  date: new Date().toISOString().slice(0, 10),
+})
+
+// Personal macros are private to their owner; shared ones are visible to all staff
+export const canViewMacro = (macro, user) =>
+  macro.scope === "shared" || macro.owner.toString() === user.userId || macro.owner._id?.toString() === user.userId
+
+export const canEditMacro = (macro, user) =>
+  macro.owner.toString() === user.userId ||
+  macro.owner._id?.toString() === user.userId ||
+  (macro.scope === "shared" && user.role === "admin")
+
+const failure = (statusCode, code, message) => ({ ok: false, statusCode, code, message })
+
+// Resolve who the macro assigns the request to: a technician document, null to unassign, undefined for no change
+const resolveAssignee = async (actions, user) => {
+  if (actions.assignTo === "unassign") return { assignee: null }
+  if (!actions.assignTo) return { assignee: undefined }
+
+  const technicianId = actions.assignTo === "self" ? user.userId : actions.technician
+  const assignee = await User.findOne({ _id: technicianId, role: "technician", isActive: true }).select(
+    "username email specialization",
+  )
+  if (!assignee) {
+    return {
+      error: failure(
+        400,
+        "INVALID_ASSIGNEE",
+        actions.assignTo === "self"
+          ? "Only technicians can assign requests to themselves"
+          : "The macro's technician is no longer an active technician",
+      ),
+    }
+  }
+  return { assignee }
+}
+
+// Work out every change a macro would make to a request, without changing it
+const planMacro = async (macro, request, user) => {
+  const actions = macro.actions || {}
+  const changes = {}
+
+  const { assignee, error } = await resolveAssignee(actions, user)
+  if (error) return { error }
+
+  const currentTechnicianId = request.assignedTechnician?._id || request.assignedTechnician || null
+  if (assignee !== undefined && String(currentTechnicianId) !== String(assignee?._id || null)) {
+    changes.assignedTechnician = { from: currentTechnicianId, to: assignee?._id || null }
+  }
+
+  // An explicit status wins over the moves that come with (un)assignment
+  let targetStatus = actions.status
+  if (!targetStatus && changes.assignedTechnician) {
+    if (assignee && request.status !== "in-progress") {
+      targetStatus = "in-progress"
+    } else if (!assignee && request.status === "in-progress") {
+      targetStatus = "open"
+    }
+  }
+
+  if (targetStatus && targetStatus !== request.status) {
+    const transition = validateStatusTransition(request.status, targetStatus, user.role)
+    if (!transition.allowed) {
+      const { allowed, ...details } = transition
+      return { error: { ok: false, ...details } }
+    }
+    changes.status = { from: request.status, to: targetStatus, action: transition.action }
+  }
+
+  if (actions.priority && actions.priority !== request.priority) {
+    changes.priority = { from: request.priority, to: actions.priority }
+  }
+
+  const removeTags = actions.removeTags || []
+  const tags = [...new Set([...(request.tags || []).filter((tag) => !removeTags.includes(tag)), ...(actions.addTags || [])])]
+  if (JSON.stringify(tags) !== JSON.stringify(request.tags || [])) {
+    changes.tags = { from: [...(request.tags || [])], to: tags }
+  }
+
+  const technician = assignee === undefined ? request.assignedTechnician : assignee
+  const content = macro.content ? renderMacroTemplate(macro.content, buildMacroContext(request, user, technician, changes)) : null
+
+  return { changes, content, assignee }
+}
+
+// Apply a macro to a loaded request: post its message and make its changes in one go
+export const applyMacro = async (macro, request, user, { dryRun = false } = {}) => {
+  if (macro.category && macro.category !== request.category) {
+    return failure(409, "MACRO_CATEGORY_MISMATCH", `Macro '${macro.name}' only applies to ${macro.category} requests`)
+  }
+
+  await request.populate([
+    { path: "customer", select: "username email role" },
+    { path: "assignedTechnician", select: "username email role" },
+  ])
+
+  const { changes, content, assignee, error } = await planMacro(macro, request, user)
+  if (error) return error
+
+  if (dryRun) {
+    return { ok: true, dryRun: true, changes, content }
+  }
+
+  const before = snapshotRevisedFields(request)
+  if (changes.assignedTechnician) {
+    request.assignedTechnician = assignee?._id || null
+    request.assignmentDetails = assignee
+      ? { method: "manual", assignedAt: new Date(), assignedBy: user.userId, reason: `Macro: ${macro.name}` }
+      : undefined
+  }
+  if (changes.status) {
+    applyStatusChange(request, {
+      to: changes.status.to,
+      action: changes.status.action,
+      user,
+      reason: `Macro: ${macro.name}`,
+    })
+  }
+  if (changes.priority) {
+    request.priority = changes.priority.to
+    request.isUrgent = changes.priority.to === "urgent"
+  }
+  if (changes.tags) {
+    request.tags = changes.tags.to
+  }
+
+  let message = null
+  if (content) {
+    message = new Message({
+      supportRequest: request._id,
+      sender: user.userId,
+      content,
+      messageType: "text",
+      visibility: macro.visibility,
+    })
+    await message.save()
+    await message.populate("sender", "username email role")
+
+    request.lastActivity = new Date()
+    if (message.visibility === "public") {
+      recordFirstResponse(request, user.role, message.createdAt)
+    }
+  }
+
+  await request.save()
+  await stopTimersOnClose(request)
+  await recordRevision(request, before, user)
+
+  if (message) {
+    await broadcastMessage(request, message)
+  }
+  if (changes.assignedTechnician && assignee) {
+    await notifyAssignment(request, assignee)
+  }
+  if (changes.status?.to === "resolved") {
+    await notifyResolved(request)
+  }
+
+  await Promise.all([
+    MacroUsage.create({ macro: macro._id, user: user.userId, supportRequest: request._id, message: message?._id, changes }),
+    Macro.updateOne({ _id: macro._id }, { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }),
+  ])
+
+  return { ok: true, changes, message }
+}
@@ -1,11 +1,12 @@
 import nodemailer from "nodemailer"
 import Notification from "../models/notification.js"
 import { getEmailTemplate } from "./email-templates.js"
+import { appointmentEvent, buildCalendar, icsAttachment } from "./icalendar.js"
 import { emitToUser } from "./websocket.js"
 
 // Create email transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.GMAIL_HOST || "smtp.gmail.com",
     port: Number.parseInt(process.env.GMAIL_PORT) || 587,
     secure: process.env.GMAIL_SECURE === "true",
@@ -19,8 +20,8 @@ const createTransporter = () => {
   })
 }
 
-// Send email notification
-export const sendEmailNotification = async (to, templateType, data) => {
+// Send email notification; options.attachments are passed to nodemailer (e.g. .ics invites)
+export const sendEmailNotification = async (to, templateType, data, options = {}) => {
   try {
     const template = getEmailTemplate(templateType, data)
     if (!template) {
@@ -36,6 +37,20 @@ export const sendEmailNotification = async (to, templateType, data) => {
       html: template.html,
     }
 
+    if (options.attachments?.length > 0) {
+      mailOptions.attachments = options.attachments
+    }
+
+    // Let replies find their way back to the request through the inbound gateway
+    if (data?.requestId) {
+      const domain = process.env.INBOUND_EMAIL_DOMAIN || "dern-support.com"
+      mailOptions.messageId = `<${data.requestId}.${Date.now()}@${domain}>`
+      mailOptions.headers = { "X-Dern-Request-Id": data.requestId }
+      if (process.env.INBOUND_EMAIL_ADDRESS) {
+        mailOptions.replyTo = process.env.INBOUND_EMAIL_ADDRESS
+      }
+    }
+
     const info = await transporter.sendMail(mailOptions)
     console.log(`Email sent to ${to}: ${info.messageId}`)
     return info
@@ -69,13 +84,21 @@ export const createNotification = async (userId, type, content, relatedData = {}
 }
 
 // Send comprehensive notification (email + in-app + real-time)
-export const sendComprehensiveNotification = async (userId, userEmail, type, content, emailTemplateType, emailData) => {
+export const sendComprehensiveNotification = async (
+  userId,
+  userEmail,
+  type,
+  content,
+  emailTemplateType,
+  emailData,
+  emailOptions,
+) => {
   try {
     const results = await Promise.allSettled([
       // Create in-app notification
       createNotification(userId, type, content),
       // Send email notification
-      sendEmailNotification(userEmail, emailTemplateType, emailData),
+      sendEmailNotification(userEmail, emailTemplateType, emailData, emailOptions),
     ])
 
     const inAppResult = results[0]
@@ -159,17 +182,24 @@ export const notificationHandlers = {
     )
   },
 
+  // Recipients without an _id are CC addresses: email only, never internal notes
   newMessage: async (message, request, sender, recipient) => {
+    // Internal notes stay between staff
+    if (message.visibility === "internal" && (recipient.role === "customer" || !recipient._id)) {
+      return
+    }
+
     await Promise.all([
       // In-app notification
-      createNotification(
-        recipient._id,
-        "message",
-        `New message from ${sender.username} in request ${request.requestId}`,
-      ),
+      recipient._id &&
+        createNotification(
+          recipient._id,
+          "message",
+          `New message from ${sender.username} in request ${request.requestId}`,
+        ),
       // Email notification
       sendEmailNotification(recipient.email, "newMessage", {
-        recipientName: recipient.username,
+        recipientName: recipient.username || recipient.email,
         requestId: request.requestId,
         senderName: sender.username,
         messageContent: message.content.substring(0, 200) + (message.content.length > 200 ? "..." : ""),
@@ -178,7 +208,73 @@ export const notificationHandlers = {
     ])
   },
 
-  appointmentScheduled: async (appointment, client, technician) => {
+  // Watchers and CC addresses following a request
+  supportRequestUpdated: async (request, recipient, update) => {
+    const emailData = {
+      recipientName: recipient.username || recipient.email,
+      requestId: request.requestId,
+      title: request.title,
+      update,
+      requestUrl: recipient._id ? `${process.env.CLIENT_URL}/requests/${request.requestId}` : null,
+    }
+
+    if (!recipient._id) {
+      await sendEmailNotification(recipient.email, "supportRequestUpdated", emailData)
+      return
+    }
+
+    await sendComprehensiveNotification(
+      recipient._id,
+      recipient.email,
+      "support_request",
+      `Support request ${request.requestId}: ${update}`,
+      "supportRequestUpdated",
+      emailData,
+    )
+  },
+
+  pendingCustomerReminder: async (request, customer, { daysPending, autoCloseAt }) => {
+    await sendComprehensiveNotification(
+      customer._id,
+      customer.email,
+      "support_request",
+      `Support request ${request.requestId} is waiting for your reply`,
+      "pendingCustomerReminder",
+      {
+        customerName: customer.username,
+        requestId: request.requestId,
+        title: request.title,
+        daysPending,
+        autoCloseDate: autoCloseAt ? autoCloseAt.toDateString() : null,
+        requestUrl: `${process.env.CLIENT_URL}/requests/${request.requestId}`,
+      },
+    )
+  },
+
+  supportRequestAutoClosed: async (request, customer, reason) => {
+    await sendComprehensiveNotification(
+      customer._id,
+      customer.email,
+      "support_request",
+      `Your support request ${request.requestId} was closed automatically`,
+      "supportRequestAutoClosed",
+      {
+        customerName: customer.username,
+        requestId: request.requestId,
+        title: request.title,
+        reason,
+        requestUrl: `${process.env.CLIENT_URL}/requests/${request.requestId}`,
+      },
+    )
+  },
+
+  // occurrences: every booked occurrence when a recurring series is created; they share one invite
+  appointmentScheduled: async (appointment, client, technician, { occurrences = [appointment], organizer } = {}) => {
+    const invite = buildCalendar({
+      method: "REQUEST",
+      events: occurrences.map((occurrence) => appointmentEvent(occurrence, { organizer })),
+    })
+
     await Promise.all([
       // Notify client
       sendComprehensiveNotification(
@@ -193,25 +289,168 @@ export const notificationHandlers = {
           technicianName: technician.username,
           duration: Math.round((appointment.endTime - appointment.startTime) / (1000 * 60)) + " minutes",
           notes: appointment.notes,
+          occurrenceDates:
+            occurrences.length > 1 ? occurrences.map((occurrence) => occurrence.startTime.toLocaleString()) : null,
         },
+        { attachments: [icsAttachment(invite, "REQUEST")] },
       ),
       // Notify technician
       createNotification(technician._id, "appointment", `New appointment scheduled with ${client.username}`),
     ])
   },
 
-  appointmentReminder: async (appointment, client, technician) => {
+  // appointments: the canceled appointment, or every occurrence canceled together
+  appointmentCanceled: async (appointments, client, technician, { reason, organizer } = {}) => {
+    const [first] = appointments
+    const cancellation = buildCalendar({
+      method: "CANCEL",
+      events: appointments.map((appointment) => appointmentEvent(appointment, { organizer })),
+    })
+    const emailData = {
+      appointmentDate: first.startTime.toLocaleString(),
+      appointmentDates: appointments.length > 1 ? appointments.map((appointment) => appointment.startTime.toLocaleString()) : null,
+      reason,
+    }
+    const summary = appointments.length > 1 ? `${appointments.length} appointments` : "Appointment"
+
     await Promise.all([
-      createNotification(
+      sendComprehensiveNotification(
         client._id,
+        client.email,
         "appointment",
-        `Reminder: Your appointment with ${technician.username} is in 1 hour`,
+        `${summary} with ${technician.username} canceled`,
+        "appointmentCanceled",
+        { ...emailData, recipientName: client.username, otherPartyName: technician.username },
+        { attachments: [icsAttachment(cancellation, "CANCEL")] },
       ),
-      createNotification(
+      sendComprehensiveNotification(
         technician._id,
+        technician.email,
         "appointment",
-        `Reminder: Your appointment with ${client.username} is in 1 hour`,
+        `${summary} with ${client.username} canceled`,
+        "appointmentCanceled",
+        { ...emailData, recipientName: technician.username, otherPartyName: client.username },
+        { attachments: [icsAttachment(cancellation, "CANCEL")] },
+      ),
+    ])
+  },
+
+  // appointments: the moved appointment, or every occurrence moved together; both parties get an updated invite
+  appointmentMoved: async (appointments, client, technician, { previousStartTime, organizer } = {}) => {
+    const [first] = appointments
+    const invite = buildCalendar({
+      method: "REQUEST",
+      events: appointments.map((appointment) => appointmentEvent(appointment, { organizer })),
+    })
+    const content =
+      appointments.length > 1
+        ? `${appointments.length} appointments were moved; the next one starts ${first.startTime.toLocaleString()}`
+        : `Your appointment on ${previousStartTime.toLocaleString()} was moved to ${first.startTime.toLocaleString()}`
+
+    await Promise.allSettled(
+      [client, technician].map((recipient) =>
+        sendComprehensiveNotification(
+          recipient._id,
+          recipient.email,
+          "appointment",
+          content,
+          "appointmentMoved",
+          {
+            recipientName: recipient.username,
+            headline: content,
+            appointmentUrl: `${process.env.CLIENT_URL}/appointments/${first._id}`,
+          },
+          { attachments: [icsAttachment(invite, "REQUEST")] },
+        ),
       ),
+    )
+  },
+
+  // event: proposed | countered | accepted | declined | withdrawn | expired
+  appointmentReschedule: async (event, proposal, appointment, recipients, { actor, organizer } = {}) => {
+    const actorName = actor?.username || "Dern Support"
+    const date = (proposal.previousTime?.startTime || appointment.startTime).toLocaleString()
+    const content = {
+      proposed: `${actorName} proposed new times for your appointment on ${date}`,
+      countered: `${actorName} suggested other times for your appointment on ${date}`,
+      accepted: `Your appointment on ${date} was moved to ${appointment.startTime.toLocaleString()}`,
+      declined: `${actorName} declined moving your appointment on ${date}`,
+      withdrawn: `${actorName} withdrew the proposal to move your appointment on ${date}`,
+      expired: `The proposal to move your appointment on ${date} expired without an answer`,
+    }[event]
+
+    // Accepting moves the appointment, so calendars get an updated invite
+    let emailOptions
+    if (event === "accepted") {
+      const invite = buildCalendar({ method: "REQUEST", events: [appointmentEvent(appointment, { organizer })] })
+      emailOptions = { attachments: [icsAttachment(invite, "REQUEST")] }
+    }
+    const offersSlots = event === "proposed" || event === "countered"
+
+    await Promise.allSettled(
+      recipients.map((recipient) =>
+        sendComprehensiveNotification(
+          recipient._id,
+          recipient.email,
+          "appointment",
+          content,
+          "appointmentReschedule",
+          {
+            recipientName: recipient.username,
+            headline: content,
+            event,
+            slots: offersSlots ? proposal.slots.map((slot) => slot.startTime.toLocaleString()) : null,
+            message: event === "declined" || event === "accepted" ? proposal.responseMessage : proposal.message,
+            appointmentUrl: `${process.env.CLIENT_URL}/appointments/${appointment._id}`,
+          },
+          emailOptions,
+        ),
+      ),
+    )
+  },
+
+  // event: offered (the slot is held for the customer) | expired (the hold ran out)
+  waitlistUpdate: async (event, entry, customer, slot, { holdUrl, waitlistUrl } = {}) => {
+    const technicianName = slot.technician?.username || "your technician"
+    const date = slot.startTime.toLocaleString()
+    const content = {
+      offered: `A ${entry.serviceType} slot with ${technicianName} on ${date} opened up and is held for you`,
+      expired: `The slot with ${technicianName} on ${date} was not confirmed in time and was offered to someone else`,
+    }[event]
+
+    await sendComprehensiveNotification(customer._id, customer.email, "appointment", content, "waitlistUpdate", {
+      customerName: customer.username,
+      headline: content,
+      event,
+      technicianName,
+      appointmentDate: date,
+      duration: Math.round((slot.endTime - slot.startTime) / (1000 * 60)) + " minutes",
+      holdExpiresAt: event === "offered" ? slot.expiresAt.toLocaleString() : null,
+      holdUrl,
+      waitlistUrl,
+    })
+  },
+
+  // Sent to one party; channels are the ones the recipient's notification settings allow
+  appointmentReminder: async (appointment, recipient, otherParty, { leadTime, channels = ["inApp"] }) => {
+    const content = `Reminder: Your appointment with ${otherParty.username} is in ${leadTime}`
+
+    await Promise.all([
+      channels.includes("inApp") && createNotification(recipient._id, "appointment", content),
+      channels.includes("email") &&
+        sendEmailNotification(recipient.email, "appointmentReminder", {
+          recipientName: recipient.username,
+          otherPartyName: otherParty.username,
+          leadTime,
+          appointmentDate: appointment.startTime.toLocaleString(),
+          duration: Math.round((appointment.endTime - appointment.startTime) / (1000 * 60)) + " minutes",
+          serviceType: appointment.serviceType,
+          location: appointment.location?.address
+            ? [appointment.location.address, appointment.location.city].filter(Boolean).join(", ")
+            : null,
+          notes: appointment.notes,
+          appointmentUrl: `${process.env.CLIENT_URL}/appointments/${appointment._id}`,
+        }),
     ])
   },
 }
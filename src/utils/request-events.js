@@ -0,0 +1,165 @@
+import { emitToSupportRequest, emitToTechnicians, emitToUser } from "./websocket.js"
+import { sendSatisfactionSurvey } from "./satisfaction.js"
+import { getFollowers } from "./watchers.js"
+
+// Tell watchers and CC addresses about a change the participants were already told about
+export const notifyFollowers = async (request, update, excludeUserIds = []) => {
+  try {
+    const { watchers, ccEmails } = await getFollowers(request, excludeUserIds)
+    const { notificationHandlers } = await import("./notifications.js")
+    await Promise.allSettled([
+      ...watchers.map((watcher) => notificationHandlers.supportRequestUpdated(request, watcher, update)),
+      ...ccEmails.map((email) => notificationHandlers.supportRequestUpdated(request, { email }, update)),
+    ])
+  } catch (err) {
+    console.error("Follower notification error:", err)
+  }
+}
+
+// Tell the customer and technician about an assignment
+export const notifyAssignment = async (request, technician) => {
+  try {
+    await request.populate("customer", "username email")
+
+    emitToUser(technician._id.toString(), "request-assigned", { request })
+    emitToTechnicians("request-assigned-update", {
+      requestId: request.requestId,
+      technicianId: technician._id,
+      assignmentDetails: request.assignmentDetails,
+    })
+
+    const { notificationHandlers } = await import("./notifications.js")
+    await notificationHandlers.supportRequestAssigned(request, request.customer, technician)
+  } catch (err) {
+    console.error("Assignment notification error:", err)
+  }
+
+  await notifyFollowers(request, `assigned to ${technician.username}`, [request.customer?._id, technician._id])
+}
+
+// Tell the other participants that a request was edited, e.g. a customer rewriting the description
+export const notifyRevision = async (request, revision, editor) => {
+  try {
+    const fields = revision.changes.map((change) => change.field)
+    emitToSupportRequest(request.requestId, "request-revised", {
+      requestId: request.requestId,
+      revision: revision.revision,
+      fields,
+      editor: { userId: editor.userId, username: editor.username, role: editor.role },
+    })
+
+    const recipients = [request.customer, request.assignedTechnician]
+      .map((participant) => participant?._id || participant)
+      .filter((participantId) => participantId && participantId.toString() !== editor.userId.toString())
+
+    const { createNotification } = await import("./notifications.js")
+    await Promise.allSettled(
+      recipients.map((recipientId) =>
+        createNotification(
+          recipientId,
+          "support_request",
+          `${editor.username} edited the ${fields.join(", ")} of support request ${request.requestId}`,
+        ),
+      ),
+    )
+  } catch (err) {
+    console.error("Revision notification error:", err)
+  }
+}
+
+// Tell the other participants that a request was reopened, and the technicians when nobody owns it
+export const notifyReopened = async (request, user, reason) => {
+  const customerId = request.customer?._id || request.customer
+  const technicianId = request.assignedTechnician?._id || request.assignedTechnician
+
+  try {
+    const payload = {
+      requestId: request.requestId,
+      reopenCount: request.reopenCount,
+      reason,
+      reopenedBy: { userId: user.userId, username: user.username, role: user.role },
+    }
+    emitToSupportRequest(request.requestId, "request-reopened", payload)
+    if (!technicianId) {
+      emitToTechnicians("request-reopened", payload)
+    }
+
+    const recipients = [customerId, technicianId].filter(
+      (participantId) => participantId && participantId.toString() !== user.userId.toString(),
+    )
+
+    const { createNotification } = await import("./notifications.js")
+    await Promise.allSettled(
+      recipients.map((recipientId) =>
+        createNotification(
+          recipientId,
+          "support_request",
+          `${user.username} reopened support request ${request.requestId}: ${reason}`,
+        ),
+      ),
+    )
+  } catch (err) {
+    console.error("Reopen notification error:", err)
+  }
+
+  await notifyFollowers(request, `reopened: ${reason}`, [customerId, technicianId])
+}
+
+// Push a new ticket message to the right audience; internal notes never reach the customer
+export const broadcastMessage = async (request, message) => {
+  try {
+    if (message.visibility === "internal") {
+      emitToTechnicians("new-internal-note", { requestId: request.requestId, message })
+    } else {
+      emitToSupportRequest(request.requestId, "new-message", { requestId: request.requestId, message })
+    }
+
+    await request.populate([
+      { path: "customer", select: "username email role" },
+      { path: "assignedTechnician", select: "username email role" },
+    ])
+
+    // Automatic messages have no sender
+    const sender = message.sender || { username: "Dern Support" }
+    const senderId = sender._id?.toString()
+    const participants = [request.customer, request.assignedTechnician].filter(Boolean)
+    const { watchers, ccEmails } = await getFollowers(request, participants.map((participant) => participant._id))
+    const recipients = [...participants, ...watchers, ...ccEmails.map((email) => ({ email }))].filter(
+      (recipient) => !recipient._id || recipient._id.toString() !== senderId,
+    )
+
+    const { notificationHandlers } = await import("./notifications.js")
+    await Promise.allSettled(
+      recipients.map((recipient) => notificationHandlers.newMessage(message, request, sender, recipient)),
+    )
+  } catch (err) {
+    console.error("Message broadcast error:", err)
+  }
+}
+
+// Tell the customer their request was resolved and ask how we did
+export const notifyResolved = async (request) => {
+  try {
+    await request.populate([
+      { path: "customer", select: "username email" },
+      { path: "assignedTechnician", select: "username email" },
+    ])
+
+    const { notificationHandlers } = await import("./notifications.js")
+    await notificationHandlers.supportRequestResolved(
+      request,
+      request.customer,
+      request.assignedTechnician || { username: "Dern Support" },
+    )
+  } catch (err) {
+    console.error("Resolution notification error:", err)
+  }
+
+  await notifyFollowers(request, "resolved", [request.customer?._id, request.assignedTechnician?._id])
+
+  try {
+    await sendSatisfactionSurvey(request)
+  } catch (err) {
+    console.error("Satisfaction survey error:", err)
+  }
+}
@@ -0,0 +1,223 @@
+import PDFDocument from "pdfkit"
+import ExcelJS from "exceljs"
+
+// Columns of list exports; value() receives a populated, lean support request
+export const LIST_EXPORT_COLUMNS = [
+  { key: "requestId", header: "Request ID", width: 16, value: (request) => request.requestId },
+  { key: "title", header: "Title", width: 40, value: (request) => request.title },
+  { key: "status", header: "Status", width: 16, value: (request) => request.status },
+  { key: "priority", header: "Priority", width: 10, value: (request) => request.priority },
+  { key: "category", header: "Category", width: 22, value: (request) => request.category },
+  { key: "customer", header: "Customer", width: 20, value: (request) => request.customer?.username },
+  { key: "customerEmail", header: "Customer Email", width: 28, value: (request) => request.customer?.email },
+  { key: "company", header: "Company", width: 20, value: (request) => request.customer?.companyName },
+  { key: "technician", header: "Technician", width: 20, value: (request) => request.assignedTechnician?.username },
+  { key: "createdAt", header: "Created", width: 20, value: (request) => request.createdAt },
+  { key: "resolvedAt", header: "Resolved", width: 20, value: (request) => request.resolvedAt },
+  { key: "closedAt", header: "Closed", width: 20, value: (request) => request.closedAt },
+  { key: "slaStatus", header: "SLA Status", width: 12, value: (request) => request.sla?.status },
+  { key: "tags", header: "Tags", width: 20, value: (request) => (request.tags || []).join("; ") },
+  { key: "hoursLogged", header: "Hours Logged", width: 12, value: (request) => request.actualResolutionTime },
+  { key: "rating", header: "Rating", width: 8, value: (request) => request.customerSatisfaction?.rating },
+]
+
+// Extra columns for the custom fields of a category
+export const customFieldColumns = (definitions) =>
+  definitions.map((definition) => ({
+    key: `cf.${definition.key}`,
+    header: definition.label,
+    width: 20,
+    value: (request) => {
+      const value = request.customFields?.[definition.key]
+      return Array.isArray(value) ? value.join("; ") : value
+    },
+  }))
+
+const formatCell = (value) => {
+  if (value === undefined || value === null) return ""
+  if (value instanceof Date) return value.toISOString()
+  return String(value)
+}
+
+// Quote CSV fields and neutralise spreadsheet formulas
+const csvField = (value) => {
+  let text = formatCell(value)
+  if (/^[=+\-@]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const streamClosedError = () => new Error("Export stream closed before the export finished")
+
+// Wait for `event` on the stream; rejects if the stream errors or closes first (e.g. the client aborted)
+const waitForStream = (stream, event) =>
+  new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+      return reject(streamClosedError())
+    }
+
+    const settle = (err) => {
+      stream.off(event, onEvent)
+      stream.off("error", onError)
+      stream.off("close", onClose)
+      err ? reject(err) : resolve()
+    }
+    const onEvent = () => settle()
+    const onError = (err) => settle(err)
+    const onClose = () => settle(streamClosedError())
+
+    stream.once(event, onEvent)
+    stream.once("error", onError)
+    stream.once("close", onClose)
+  })
+
+const writeChunk = (stream, chunk) => (stream.write(chunk) ? Promise.resolve() : waitForStream(stream, "drain"))
+
+// Stop reading from the database as soon as the stream goes away
+const closeCursorWithStream = (cursor, stream) => {
+  stream.once("close", () => {
+    cursor.close().catch((err) => console.error("Export cursor close error:", err))
+  })
+}
+
+// Write rows from a cursor as CSV, one row at a time
+export const streamCsv = async (cursor, columns, stream) => {
+  closeCursorWithStream(cursor, stream)
+  await writeChunk(stream, "\uFEFF" + columns.map((column) => csvField(column.header)).join(",") + "\r\n")
+
+  let count = 0
+  for await (const request of cursor) {
+    await writeChunk(stream, columns.map((column) => csvField(column.value(request))).join(",") + "\r\n")
+    count++
+  }
+
+  // A cursor closed by an aborted download just runs out of rows
+  if (stream.destroyed) {
+    throw streamClosedError()
+  }
+
+  stream.end()
+  return count
+}
+
+// Write rows from a cursor to an XLSX workbook that is streamed as it is built
+export const streamXlsx = async (cursor, columns, stream) => {
+  closeCursorWithStream(cursor, stream)
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true })
+  const sheet = workbook.addWorksheet("Support Requests", { views: [{ state: "frozen", ySplit: 1 }] })
+  sheet.columns = columns.map((column) => ({ header: column.header, key: column.key, width: column.width }))
+  sheet.getRow(1).font = { bold: true }
+  sheet.getRow(1).commit()
+
+  let count = 0
+  for await (const request of cursor) {
+    sheet.addRow(Object.fromEntries(columns.map((column) => [column.key, column.value(request) ?? null]))).commit()
+    count++
+  }
+
+  if (stream.destroyed) {
+    throw streamClosedError()
+  }
+
+  sheet.commit()
+  // The workbook waits for the stream to finish, which never happens if the client aborts
+  await Promise.all([waitForStream(stream, "finish"), workbook.commit()])
+  return count
+}
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString("en-US", { timeZone: "UTC" }) + " UTC" : "-")
+
+// Render a single request, with its transcript, as a PDF written to the stream
+export const writeRequestPdf = (stream, { request, customFields = [], messages = [], exportedBy }) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50, bufferPages: true, info: { Title: request.requestId } })
+  doc.pipe(stream)
+
+  const heading = (text) => {
+    doc.moveDown(0.8).font("Helvetica-Bold").fontSize(13).fillColor("#1e40af").text(text)
+    doc.moveDown(0.3).font("Helvetica").fontSize(10).fillColor("#111827")
+  }
+  const field = (label, value) => {
+    doc.font("Helvetica-Bold").text(`${label}: `, { continued: true }).font("Helvetica").text(formatCell(value) || "-")
+  }
+
+  doc.font("Helvetica-Bold").fontSize(18).fillColor("#1e40af").text("Dern Support")
+  doc.font("Helvetica").fontSize(10).fillColor("#6b7280").text(`Support request ${request.requestId}`)
+  doc.moveDown(0.5).font("Helvetica-Bold").fontSize(15).fillColor("#111827").text(request.title)
+
+  heading("Details")
+  field("Status", request.status)
+  field("Priority", request.priority)
+  field("Category", request.category)
+  field("Created", formatDate(request.createdAt))
+  field("Resolved", formatDate(request.resolvedAt))
+  field("Closed", formatDate(request.closedAt))
+  if (request.actualResolutionTime) field("Hours logged", request.actualResolutionTime)
+  customFields.forEach((customField) => {
+    field(customField.label, Array.isArray(customField.value) ? customField.value.join(", ") : customField.value)
+  })
+
+  heading("Customer")
+  field("Name", request.customer?.username)
+  field("Email", request.customer?.email)
+  if (request.customer?.companyName) field("Company", request.customer.companyName)
+  if (request.customer?.phone) field("Phone", request.customer.phone)
+
+  heading("Technician")
+  if (request.assignedTechnician) {
+    field("Name", request.assignedTechnician.username)
+    field("Email", request.assignedTechnician.email)
+  } else {
+    doc.text("Not assigned")
+  }
+
+  heading("Description")
+  doc.text(request.description)
+
+  heading(`Conversation (${messages.length})`)
+  if (messages.length === 0) {
+    doc.text("No messages.")
+  }
+  messages.forEach((message) => {
+    const sender = message.sender ? `${message.sender.username} (${message.sender.role})` : "System"
+    const label = message.visibility === "internal" ? " - internal note" : ""
+    doc
+      .moveDown(0.4)
+      .font("Helvetica-Bold")
+      .fillColor("#374151")
+      .text(`${sender}${label}`, { continued: true })
+      .font("Helvetica")
+      .fillColor("#6b7280")
+      .text(`  ${formatDate(message.createdAt)}`)
+    doc.fillColor("#111827").text(message.content, { indent: 10 })
+  })
+
+  const satisfaction = request.customerSatisfaction
+  if (satisfaction?.rating || satisfaction?.npsScore != null) {
+    heading("Customer Satisfaction")
+    if (satisfaction.rating) field("Rating", `${satisfaction.rating} / 5`)
+    if (satisfaction.npsScore != null) field("NPS", satisfaction.npsScore)
+    if (satisfaction.feedback) field("Feedback", satisfaction.feedback)
+    if (satisfaction.submittedAt) field("Submitted", formatDate(satisfaction.submittedAt))
+  }
+
+  // Footer on every page
+  const range = doc.bufferedPageRange()
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index)
+    const bottom = doc.page.height - doc.page.margins.bottom + 15
+    doc.page.margins.bottom = 0
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("#9ca3af")
+      .text(
+        `${request.requestId} - exported ${formatDate(new Date())}${exportedBy ? ` by ${exportedBy}` : ""} - page ${
+          index + 1
+        } of ${range.count}`,
+        50,
+        bottom,
+        { align: "center", width: doc.page.width - 100 },
+      )
+  }
+
+  doc.end()
+}
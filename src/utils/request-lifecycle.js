@@ -0,0 +1,200 @@
+import SupportRequest from "../models/support-request.js"
+import Message from "../models/message.js"
+import { applyStatusChange, resumeOnCustomerReply, statusSince } from "./status-workflow.js"
+import { getSettingValues } from "./settings.js"
+import { notifyFollowers } from "./request-events.js"
+import { emitToSupportRequest } from "./websocket.js"
+import { runAutomations } from "./automation.js"
+import { stopTimersOnClose } from "./worklogs.js"
+
+const LIFECYCLE_SETTING_DEFAULTS = {
+  lifecycle_automation_enabled: true,
+  pending_customer_reminder_days: 3,
+  pending_customer_max_reminders: 2,
+  pending_customer_auto_close_days: 7,
+  resolved_auto_close_days: 5,
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const daysSince = (date, now) => Math.floor((now - date) / DAY_MS)
+
+// Record an automatic action in the conversation
+const postStatusUpdate = async (request, content) => {
+  const message = await Message.create({
+    supportRequest: request._id,
+    sender: null,
+    content,
+    messageType: "status-update",
+  })
+  emitToSupportRequest(request.requestId, "new-message", { requestId: request.requestId, message })
+  return message
+}
+
+const sendPendingReminder = async (request, settings, now) => {
+  const pendingSince = statusSince(request)
+  const daysPending = daysSince(pendingSince, now)
+  const autoCloseAt = settings.pending_customer_auto_close_days
+    ? new Date(pendingSince.getTime() + settings.pending_customer_auto_close_days * DAY_MS)
+    : null
+
+  request.lifecycle.statusChangedAt = pendingSince
+  request.lifecycle.remindersSent = (request.lifecycle.remindersSent || 0) + 1
+  request.lifecycle.lastReminderAt = now
+  await request.save()
+
+  await postStatusUpdate(
+    request,
+    `Reminder sent to the customer: waiting for a reply for ${daysPending} day(s).` +
+      (autoCloseAt ? ` The request will be closed automatically on ${autoCloseAt.toDateString()}.` : ""),
+  )
+
+  try {
+    await request.populate("customer", "username email")
+    const { notificationHandlers } = await import("./notifications.js")
+    await notificationHandlers.pendingCustomerReminder(request, request.customer, { daysPending, autoCloseAt })
+  } catch (err) {
+    console.error(`Pending reminder notification error for ${request.requestId}:`, err)
+  }
+}
+
+const autoCloseRequest = async (request, reason) => {
+  applyStatusChange(request, { to: "closed", action: "auto-close", user: null, reason })
+  await request.save()
+  await stopTimersOnClose(request)
+
+  await postStatusUpdate(request, `Request closed automatically: ${reason}.`)
+
+  try {
+    await request.populate("customer", "username email")
+    const { notificationHandlers } = await import("./notifications.js")
+    await notificationHandlers.supportRequestAutoClosed(request, request.customer, reason)
+  } catch (err) {
+    console.error(`Auto-close notification error for ${request.requestId}:`, err)
+  }
+
+  await notifyFollowers(request, "closed automatically", [request.customer?._id, request.assignedTechnician])
+  await runAutomations("status-changed", request, { from: request.statusHistory.at(-1).from, user: null })
+}
+
+// Remind or close requests waiting on the customer. A customer reply normally moves the request back
+// to in-progress when it is posted; replies that did not are caught up here.
+const processPendingCustomer = async (settings, now, summary) => {
+  const reminderDays = settings.pending_customer_reminder_days
+  const closeDays = settings.pending_customer_auto_close_days
+  if (!reminderDays && !closeDays) return
+
+  const earliest = Math.min(...[reminderDays, closeDays].filter((days) => days > 0))
+  const requests = SupportRequest.find({
+    status: "pending-customer",
+    $or: [
+      { "lifecycle.statusChangedAt": { $lte: new Date(now - earliest * DAY_MS) } },
+      { "lifecycle.statusChangedAt": null },
+    ],
+  }).cursor()
+
+  for await (const request of requests) {
+    summary.checked++
+    try {
+      const pendingSince = statusSince(request)
+      const customerReplied = await Message.exists({
+        supportRequest: request._id,
+        sender: request.customer,
+        createdAt: { $gt: pendingSince },
+      })
+      if (customerReplied) {
+        const resumed = resumeOnCustomerReply(request, { userId: request.customer, role: "customer" })
+        await request.save()
+        await runAutomations("status-changed", request, { from: resumed.from, user: null })
+        summary.resumed++
+        continue
+      }
+
+      if (closeDays && daysSince(pendingSince, now) >= closeDays) {
+        await autoCloseRequest(request, `no reply from the customer for ${closeDays} day(s)`)
+        summary.closedPending++
+        continue
+      }
+
+      const lastNudge = request.lifecycle?.lastReminderAt || pendingSince
+      if (
+        reminderDays &&
+        (request.lifecycle?.remindersSent || 0) < settings.pending_customer_max_reminders &&
+        daysSince(lastNudge, now) >= reminderDays
+      ) {
+        await sendPendingReminder(request, settings, now)
+        summary.reminded++
+      }
+    } catch (err) {
+      console.error(`Pending-customer policy error for ${request.requestId}:`, err)
+    }
+  }
+}
+
+const processResolved = async (settings, now, summary) => {
+  const graceDays = settings.resolved_auto_close_days
+  if (!graceDays) return
+
+  const requests = SupportRequest.find({
+    status: "resolved",
+    resolvedAt: { $lte: new Date(now - graceDays * DAY_MS) },
+  }).cursor()
+
+  for await (const request of requests) {
+    summary.checked++
+    try {
+      await autoCloseRequest(request, `resolved more than ${graceDays} day(s) ago`)
+      summary.closedResolved++
+    } catch (err) {
+      console.error(`Resolved policy error for ${request.requestId}:`, err)
+    }
+  }
+}
+
+// Apply the reminder and auto-close policies once
+export const runLifecyclePolicies = async (now = new Date()) => {
+  const settings = await getSettingValues(LIFECYCLE_SETTING_DEFAULTS)
+  const summary = { checked: 0, reminded: 0, resumed: 0, closedPending: 0, closedResolved: 0 }
+  if (!settings.lifecycle_automation_enabled) return summary
+
+  await processPendingCustomer(settings, now, summary)
+  await processResolved(settings, now, summary)
+  return summary
+}
+
+let lifecycleTimer = null
+let lifecycleRunning = false
+
+export const startLifecycleScheduler = (
+  intervalMs = Number.parseInt(process.env.LIFECYCLE_CHECK_INTERVAL_MS) || 15 * 60 * 1000,
+) => {
+  if (lifecycleTimer) {
+    return lifecycleTimer
+  }
+
+  lifecycleTimer = setInterval(async () => {
+    if (lifecycleRunning) return
+    lifecycleRunning = true
+    try {
+      const summary = await runLifecyclePolicies()
+      if (summary.reminded || summary.resumed || summary.closedPending || summary.closedResolved) {
+        console.log("Request lifecycle:", summary)
+      }
+    } catch (err) {
+      console.error("Request lifecycle run error:", err)
+    } finally {
+      lifecycleRunning = false
+    }
+  }, intervalMs)
+  lifecycleTimer.unref?.()
+
+  console.log(`Request lifecycle scheduler started (every ${Math.round(intervalMs / 1000)}s)`)
+  return lifecycleTimer
+}
+
+export const stopLifecycleScheduler = () => {
+  if (lifecycleTimer) {
+    clearInterval(lifecycleTimer)
+    lifecycleTimer = null
+  }
+}
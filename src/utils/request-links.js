@@ -0,0 +1,225 @@
+import SupportRequest from "../models/support-request.js"
+import Message from "../models/message.js"
+import Document from "../models/document.js"
+import { applyStatusChange } from "./status-workflow.js"
+import { stopTimersOnClose } from "./worklogs.js"
+import { recordRevision, snapshotRevisedFields } from "./revisions.js"
+
+export const LINK_TYPES = ["duplicate-of", "related-to", "parent-of", "child-of"]
+
+// The link recorded on the other request
+const INVERSE_LINK_TYPES = {
+  "duplicate-of": "has-duplicate",
+  "has-duplicate": "duplicate-of",
+  "related-to": "related-to",
+  "parent-of": "child-of",
+  "child-of": "parent-of",
+  "follow-up-of": "has-follow-up",
+}
+
+// Build an activity entry for a request timeline
+export const buildActivityEntry = ({ event, user, description, relatedRequest, details }) => ({
+  event,
+  actor: user?.userId || null,
+  description,
+  relatedRequest: relatedRequest?._id || relatedRequest,
+  details,
+  createdAt: new Date(),
+})
+
+const hasLink = (request, otherId) => request.links.some((link) => link.request.toString() === otherId.toString())
+
+// Link two loaded requests in both directions
+export const linkRequests = (request, other, linkType, user) => {
+  if (request._id.equals(other._id)) {
+    return { ok: false, statusCode: 400, code: "SELF_LINK", message: "A support request cannot be linked to itself" }
+  }
+
+  if (hasLink(request, other._id)) {
+    return {
+      ok: false,
+      statusCode: 409,
+      code: "LINK_EXISTS",
+      message: `${request.requestId} is already linked to ${other.requestId}`,
+    }
+  }
+
+  const inverseType = INVERSE_LINK_TYPES[linkType]
+  const createdAt = new Date()
+
+  request.links.push({ linkType, request: other._id, createdBy: user.userId, createdAt })
+  other.links.push({ linkType: inverseType, request: request._id, createdBy: user.userId, createdAt })
+
+  request.activity.push(
+    buildActivityEntry({
+      event: "linked",
+      user,
+      description: `Linked as ${linkType} ${other.requestId}`,
+      relatedRequest: other,
+      details: { linkType },
+    }),
+  )
+  other.activity.push(
+    buildActivityEntry({
+      event: "linked",
+      user,
+      description: `Linked as ${inverseType} ${request.requestId}`,
+      relatedRequest: request,
+      details: { linkType: inverseType },
+    }),
+  )
+
+  return { ok: true }
+}
+
+// Remove the link between two loaded requests in both directions
+export const unlinkRequests = (request, other, user) => {
+  if (!hasLink(request, other._id)) {
+    return {
+      ok: false,
+      statusCode: 404,
+      code: "LINK_NOT_FOUND",
+      message: `${request.requestId} is not linked to ${other.requestId}`,
+    }
+  }
+
+  request.links = request.links.filter((link) => !link.request.equals(other._id))
+  other.links = other.links.filter((link) => !link.request.equals(request._id))
+
+  request.activity.push(
+    buildActivityEntry({
+      event: "unlinked",
+      user,
+      description: `Unlinked from ${other.requestId}`,
+      relatedRequest: other,
+    }),
+  )
+  other.activity.push(
+    buildActivityEntry({
+      event: "unlinked",
+      user,
+      description: `Unlinked from ${request.requestId}`,
+      relatedRequest: request,
+    }),
+  )
+
+  return { ok: true }
+}
+
+// Merge `source` into `target`: move messages, documents and attachments, then close the source
+export const mergeRequests = async (source, target, user, reason) => {
+  if (source._id.equals(target._id)) {
+    return { ok: false, statusCode: 400, code: "SELF_MERGE", message: "A support request cannot be merged into itself" }
+  }
+
+  // Merging moves the conversation, so it would hand one customer's messages and files to another
+  if (!source.customer.equals(target.customer)) {
+    return {
+      ok: false,
+      statusCode: 400,
+      code: "CUSTOMER_MISMATCH",
+      message: "Only requests from the same customer can be merged",
+    }
+  }
+
+  if (source.mergedInto) {
+    return {
+      ok: false,
+      statusCode: 409,
+      code: "ALREADY_MERGED",
+      message: `${source.requestId} has already been merged`,
+    }
+  }
+
+  if (target.mergedInto || target.status === "closed") {
+    return {
+      ok: false,
+      statusCode: 409,
+      code: "INVALID_MERGE_TARGET",
+      message: `${target.requestId} is closed or merged and cannot receive a merge`,
+    }
+  }
+
+  const [messageResult, documentResult] = await Promise.all([
+    Message.updateMany({ supportRequest: source._id }, { $set: { supportRequest: target._id } }),
+    Document.updateMany({ supportRequest: source._id }, { $set: { supportRequest: target._id } }),
+  ])
+
+  const movedAttachments = source.attachments.map((attachment) => attachment.toObject())
+  target.attachments.push(...movedAttachments)
+  source.attachments = []
+
+  const targetBefore = snapshotRevisedFields(target)
+  target.tags = [...new Set([...(target.tags || []), ...(source.tags || [])])]
+
+  const details = {
+    messagesMoved: messageResult.modifiedCount,
+    documentsMoved: documentResult.modifiedCount,
+    attachmentsMoved: movedAttachments.length,
+    reason,
+  }
+
+  source.mergedInto = target._id
+  if (!hasLink(source, target._id)) {
+    linkRequests(source, target, "duplicate-of", user)
+  }
+
+  if (source.status !== "closed") {
+    applyStatusChange(source, {
+      to: "closed",
+      action: "merge",
+      user,
+      reason: reason || `Merged into ${target.requestId}`,
+    })
+  }
+
+  source.activity.push(
+    buildActivityEntry({
+      event: "merged-into",
+      user,
+      description: `Merged into ${target.requestId}`,
+      relatedRequest: target,
+      details,
+    }),
+  )
+  target.activity.push(
+    buildActivityEntry({
+      event: "merged-from",
+      user,
+      description: `${source.requestId} merged into this request`,
+      relatedRequest: source,
+      details,
+    }),
+  )
+
+  await Promise.all([source.save(), target.save()])
+  await stopTimersOnClose(source)
+  await recordRevision(target, targetBefore, user)
+
+  // System messages so the conversation itself shows the merge
+  await Message.insertMany([
+    {
+      supportRequest: source._id,
+      sender: user.userId,
+      content: `This request was merged into ${target.requestId}. Please continue the conversation there.`,
+      messageType: "system",
+    },
+    {
+      supportRequest: target._id,
+      sender: user.userId,
+      content: `Request ${source.requestId} ("${source.title}") was merged into this request.`,
+      messageType: "system",
+    },
+  ])
+
+  return { ok: true, details }
+}
+
+// Load the two requests involved in a link or merge by their public ids
+export const findRequestPair = async (requestId, otherRequestId) => {
+  const [request, other] = await Promise.all([
+    SupportRequest.findOne({ requestId }),
+    SupportRequest.findOne({ requestId: otherRequestId }),
+  ])
+  return { request, other }
+}
@@ -0,0 +1,90 @@
+import { nanoid } from "nanoid"
+import SupportRequest from "../models/support-request.js"
+import { getSettingValues } from "./settings.js"
+import { applySLAPolicy, restartSLA } from "./sla.js"
+import { buildActivityEntry, linkRequests } from "./request-links.js"
+import { applyStatusChange, buildStatusHistoryEntry, validateStatusTransition } from "./status-workflow.js"
+
+const REOPEN_SETTING_DEFAULTS = {
+  reopen_window_days: 14,
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const failure = (statusCode, code, message, extra = {}) => ({ ok: false, statusCode, code, message, ...extra })
+
+// Last moment a closed request can be reopened in place; null while it is only resolved
+export const getReopenDeadline = async (request) => {
+  if (request.status !== "closed") {
+    return null
+  }
+  const { reopen_window_days: windowDays } = await getSettingValues(REOPEN_SETTING_DEFAULTS)
+  return new Date((request.closedAt || request.updatedAt).getTime() + windowDays * DAY_MS)
+}
+
+// New request carrying the reopen reason, linked back to the closed one
+const createFollowUp = async (request, user, reason) => {
+  const followUp = new SupportRequest({
+    requestId: `REQ-${nanoid(8).toUpperCase()}`,
+    title: `Follow-up: ${request.title}`.substring(0, 200),
+    description: `${reason}\n\nFollow-up to ${request.requestId}, closed ${(request.closedAt || request.updatedAt)
+      .toISOString()
+      .slice(0, 10)}.`,
+    category: request.category,
+    priority: request.priority,
+    tags: request.tags,
+    customFields: request.customFields,
+    customer: request.customer._id || request.customer,
+    isUrgent: request.priority === "urgent",
+    statusHistory: [
+      buildStatusHistoryEntry({ from: null, to: "open", action: "create", user, reason: `Follow-up to ${request.requestId}` }),
+    ],
+  })
+
+  linkRequests(followUp, request, "follow-up-of", user)
+  await applySLAPolicy(followUp)
+  await followUp.save()
+  await request.save()
+
+  return followUp
+}
+
+/**
+ * Reopen a resolved or closed request. Closed requests past the reopen window stay closed and
+ * get a linked follow-up request instead, so metrics for the original work are not rewritten.
+ */
+export const reopenRequest = async (request, user, reason) => {
+  if (!["resolved", "closed"].includes(request.status)) {
+    return failure(409, "NOT_REOPENABLE", `Only resolved or closed requests can be reopened, this one is '${request.status}'`)
+  }
+  if (request.mergedInto) {
+    return failure(409, "REQUEST_MERGED", "Merged requests cannot be reopened; reopen the request it was merged into")
+  }
+
+  // Only roles that may reopen get a follow-up once the window has passed
+  const transition = validateStatusTransition(request.status, "open", user.role, "reopen")
+  if (!transition.allowed) {
+    const { allowed, ...details } = transition
+    return { ok: false, ...details }
+  }
+
+  const deadline = await getReopenDeadline(request)
+  if (deadline && Date.now() > deadline.getTime()) {
+    const followUp = await createFollowUp(request, user, reason)
+    return { ok: true, reopened: false, request: followUp, original: request, reopenDeadline: deadline }
+  }
+
+  const entry = applyStatusChange(request, { to: "open", action: "reopen", user, reason })
+  await restartSLA(request, entry.changedAt)
+  request.activity.push(
+    buildActivityEntry({
+      event: "reopened",
+      user,
+      description: `Reopened: ${reason}`.substring(0, 500),
+      details: { reopenCount: request.reopenCount },
+    }),
+  )
+  await request.save()
+
+  return { ok: true, reopened: true, request }
+}
@@ -0,0 +1,354 @@
+import mongoose from "mongoose"
+import SupportRequest from "../models/support-request.js"
+import Message from "../models/message.js"
+import { buildCustomFieldFilter } from "./custom-fields.js"
+
+export const SEARCH_SORTS = ["relevance", "newest", "oldest", "updated"]
+
+// Cumulative creation-date facets; "older" is everything past the last window
+export const DATE_BUCKETS = [
+  { key: "last-24-hours", label: "Last 24 hours", days: 1 },
+  { key: "last-7-days", label: "Last 7 days", days: 7 },
+  { key: "last-30-days", label: "Last 30 days", days: 30 },
+  { key: "last-90-days", label: "Last 90 days", days: 90 },
+  { key: "older", label: "Older than 90 days", days: null },
+]
+
+const MAX_CANDIDATES = 1000
+const MESSAGE_SCORE_WEIGHT = 0.5 // a hit in the conversation counts for less than one in the ticket itself
+const REQUEST_ID_BOOST = 100
+const SNIPPET_LENGTH = 160
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const SORT_ORDERS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  updated: { lastActivity: -1 },
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const escapeHtml = (value = "") =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+const toObjectId = (value) => new mongoose.Types.ObjectId(value.toString())
+
+const listParam = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+// Positive search terms, without negations or quotes, for highlighting
+const searchTerms = (query) =>
+  [...new Set(query.toLowerCase().replace(/"/g, " ").split(/\s+/))].filter(
+    (term) => term.length > 1 && !term.startsWith("-"),
+  )
+
+// Requests a user may find: staff see everything, customers their own and watched requests
+export const buildSearchScope = (user) => {
+  if (user.role !== "customer") return {}
+  const userId = toObjectId(user.userId)
+  return { $or: [{ customer: userId }, { "watchers.user": userId }] }
+}
+
+// Combinable filters from query parameters: { filter } or { error }
+export const buildSearchFilter = async (params, user) => {
+  const conditions = []
+
+  for (const field of ["status", "priority", "category"]) {
+    if (!params[field]) continue
+    const values = listParam(params[field])
+    const allowed = SupportRequest.schema.path(field).enumValues
+    const invalid = values.filter((value) => !allowed.includes(value))
+    if (invalid.length > 0) {
+      return { error: `Invalid ${field}: ${invalid.join(", ")}` }
+    }
+    conditions.push({ [field]: { $in: values } })
+  }
+
+  if (params.technician) {
+    const technicians = []
+    for (const value of listParam(params.technician)) {
+      if (value === "unassigned") {
+        technicians.push(null)
+      } else if (value === "me") {
+        technicians.push(toObjectId(user.userId))
+      } else if (mongoose.isValidObjectId(value)) {
+        technicians.push(toObjectId(value))
+      } else {
+        return { error: `Invalid technician: ${value}` }
+      }
+    }
+    conditions.push({ assignedTechnician: { $in: technicians } })
+  }
+
+  if (params.customer && user.role !== "customer") {
+    if (!mongoose.isValidObjectId(params.customer)) {
+      return { error: "Invalid customer" }
+    }
+    conditions.push({ customer: toObjectId(params.customer) })
+  }
+
+  if (params.tags) {
+    conditions.push({ tags: { $in: listParam(params.tags) } })
+  }
+
+  if (params.slaStatus) {
+    conditions.push({ "sla.status": { $in: listParam(params.slaStatus) } })
+  }
+
+  if (params.created) {
+    const bucket = DATE_BUCKETS.find((candidate) => candidate.key === params.created)
+    if (!bucket) {
+      return { error: `Invalid created range: ${params.created}` }
+    }
+    conditions.push(
+      bucket.days
+        ? { createdAt: { $gte: new Date(Date.now() - bucket.days * DAY_MS) } }
+        : { createdAt: { $lt: new Date(Date.now() - DATE_BUCKETS.at(-2).days * DAY_MS) } },
+    )
+  }
+
+  if (params.createdFrom || params.createdTo) {
+    const createdAt = {}
+    if (params.createdFrom) createdAt.$gte = new Date(params.createdFrom)
+    if (params.createdTo) createdAt.$lte = new Date(params.createdTo)
+    conditions.push({ createdAt })
+  }
+
+  const customFieldFilter = await buildCustomFieldFilter(params, params.category)
+  if (customFieldFilter.error) {
+    return { error: customFieldFilter.error }
+  }
+  if (Object.keys(customFieldFilter.filter).length > 0) {
+    conditions.push(customFieldFilter.filter)
+  }
+
+  return { filter: conditions.length > 0 ? { $and: conditions } : {} }
+}
+
+// Relevance of every request in scope matching the query, from the request text and its visible messages.
+// The scope and filters apply before the candidate limit, so broad terms cannot crowd out a user's own requests.
+const scoreCandidates = async (query, role, conditions) => {
+  const requestMatch = { $and: [{ $text: { $search: query } }, ...conditions] }
+  const [requestHits, messageHits, idHits] = await Promise.all([
+    SupportRequest.find(requestMatch, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" } })
+      .limit(MAX_CANDIDATES)
+      .lean(),
+    Message.aggregate([
+      { $match: { $text: { $search: query }, ...Message.visibilityFilter(role) } },
+      { $addFields: { score: { $meta: "textScore" } } },
+      { $sort: { score: -1 } },
+      {
+        $group: {
+          _id: "$supportRequest",
+          score: { $first: "$score" },
+          messageId: { $first: "$_id" },
+          content: { $first: "$content" },
+          matches: { $sum: 1 },
+        },
+      },
+      ...(conditions.length > 0
+        ? [
+            {
+              $lookup: {
+                from: SupportRequest.collection.name,
+                let: { requestId: "$_id" },
+                pipeline: [
+                  { $match: { $expr: { $eq: ["$_id", "$$requestId"] } } },
+                  { $match: { $and: conditions } },
+                  { $project: { _id: 1 } },
+                ],
+                as: "request",
+              },
+            },
+            { $match: { "request.0": { $exists: true } } },
+            { $project: { request: 0 } },
+          ]
+        : []),
+      { $sort: { score: -1 } },
+      { $limit: MAX_CANDIDATES },
+    ]),
+    /^req-/i.test(query.trim())
+      ? SupportRequest.find({
+          $and: [{ requestId: { $regex: `^${escapeRegex(query.trim())}`, $options: "i" } }, ...conditions],
+        })
+          .select("_id")
+          .limit(20)
+          .lean()
+      : [],
+  ])
+
+  const scores = new Map()
+  const addScore = (id, score) => scores.set(id.toString(), (scores.get(id.toString()) || 0) + score)
+
+  requestHits.forEach((hit) => addScore(hit._id, hit.score))
+  messageHits.forEach((hit) => addScore(hit._id, hit.score * MESSAGE_SCORE_WEIGHT))
+  idHits.forEach((hit) => addScore(hit._id, REQUEST_ID_BOOST))
+
+  return { scores, messageHits: new Map(messageHits.map((hit) => [hit._id.toString(), hit])) }
+}
+
+// Short excerpt around the first search term, HTML-escaped with <mark> around each term
+export const buildSnippet = (text, terms) => {
+  if (!text || terms.length === 0) return null
+
+  const lower = text.toLowerCase()
+  const positions = terms.map((term) => lower.indexOf(term)).filter((position) => position !== -1)
+  if (positions.length === 0) return null
+
+  const first = Math.min(...positions)
+  const start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3))
+  const end = Math.min(text.length, start + SNIPPET_LENGTH)
+  const excerpt = `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`
+
+  const pattern = new RegExp(`(${terms.map((term) => escapeRegex(escapeHtml(term))).join("|")})`, "gi")
+  return escapeHtml(excerpt).replace(pattern, "<mark>$1</mark>")
+}
+
+const buildHighlights = (request, messageHit, terms) => {
+  const highlights = {}
+  const title = buildSnippet(request.title, terms)
+  const description = buildSnippet(request.description, terms)
+  const tags = (request.tags || []).filter((tag) => terms.some((term) => tag.toLowerCase().includes(term)))
+
+  if (title) highlights.title = title
+  if (description) highlights.description = description
+  if (tags.length > 0) highlights.tags = tags
+  if (messageHit) {
+    highlights.message = {
+      messageId: messageHit.messageId,
+      matches: messageHit.matches,
+      snippet: buildSnippet(messageHit.content, terms) || escapeHtml(messageHit.content.slice(0, SNIPPET_LENGTH)),
+    }
+  }
+
+  return highlights
+}
+
+// Facet counts over every request matching the search
+export const buildSearchFacets = async (match) => {
+  const now = Date.now()
+  const countWhen = (condition) => ({ $sum: { $cond: [condition, 1, 0] } })
+  const dateCounts = Object.fromEntries(
+    DATE_BUCKETS.map((bucket) => [
+      bucket.key,
+      bucket.days
+        ? countWhen({ $gte: ["$createdAt", new Date(now - bucket.days * DAY_MS)] })
+        : countWhen({ $lt: ["$createdAt", new Date(now - DATE_BUCKETS.at(-2).days * DAY_MS)] }),
+    ]),
+  )
+  const countBy = (field) => [{ $group: { _id: `$${field}`, count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }]
+
+  const [facets] = await SupportRequest.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        status: countBy("status"),
+        priority: countBy("priority"),
+        category: countBy("category"),
+        technician: [
+          ...countBy("assignedTechnician"),
+          { $limit: 20 },
+          { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "technician" } },
+          { $project: { count: 1, username: { $arrayElemAt: ["$technician.username", 0] } } },
+        ],
+        created: [{ $group: { _id: null, ...dateCounts } }],
+      },
+    },
+  ])
+
+  const values = (buckets) => buckets.map((bucket) => ({ value: bucket._id, count: bucket.count }))
+  const created = facets.created[0] || {}
+
+  return {
+    status: values(facets.status),
+    priority: values(facets.priority),
+    category: values(facets.category),
+    technician: facets.technician.map((bucket) => ({
+      value: bucket._id || "unassigned",
+      label: bucket._id ? bucket.username || "Unknown technician" : "Unassigned",
+      count: bucket.count,
+    })),
+    created: DATE_BUCKETS.map((bucket) => ({ value: bucket.key, label: bucket.label, count: created[bucket.key] || 0 })),
+  }
+}
+
+const populateResults = (query) =>
+  query
+    .populate("customer", "username email accountType companyName")
+    .populate("assignedTechnician", "username email specialization")
+
+// Query filter for everything a search matches, with text scores when there is a query
+export const resolveSearchMatch = async ({ query, filter = {}, user }) => {
+  const conditions = [buildSearchScope(user), filter].filter((condition) => Object.keys(condition).length > 0)
+
+  if (!query) {
+    return { match: conditions.length > 0 ? { $and: conditions } : {} }
+  }
+
+  const { scores, messageHits } = await scoreCandidates(query, user.role, conditions)
+  return {
+    match: { $and: [...conditions, { _id: { $in: [...scores.keys()].map(toObjectId) } }] },
+    scores,
+    messageHits,
+  }
+}
+
+export const countSupportRequests = async (search) => {
+  const { match } = await resolveSearchMatch(search)
+  return SupportRequest.countDocuments(match)
+}
+
+// Ranked, faceted search; without a query it lists filtered requests newest first
+export const searchSupportRequests = async ({ query, filter = {}, user, sort, page = 1, limit = 10 }) => {
+  const { match, scores, messageHits } = await resolveSearchMatch({ query, filter, user })
+  const skip = (page - 1) * limit
+
+  if (!query) {
+    const order = SORT_ORDERS[sort] || SORT_ORDERS.newest
+    const [requests, total, facets] = await Promise.all([
+      populateResults(SupportRequest.find(match).sort(order).skip(skip).limit(limit)),
+      SupportRequest.countDocuments(match),
+      buildSearchFacets(match),
+    ])
+
+    return { requests: requests.map((request) => request.toJSON()), facets, total }
+  }
+
+  const [matches, facets] = await Promise.all([
+    SupportRequest.find(match).select("_id createdAt lastActivity").lean(),
+    buildSearchFacets(match),
+  ])
+
+  const scoreOf = (candidate) => scores.get(candidate._id.toString()) || 0
+  const comparators = {
+    relevance: (a, b) => scoreOf(b) - scoreOf(a) || b.createdAt - a.createdAt,
+    newest: (a, b) => b.createdAt - a.createdAt,
+    oldest: (a, b) => a.createdAt - b.createdAt,
+    updated: (a, b) => (b.lastActivity || 0) - (a.lastActivity || 0),
+  }
+  const pageIds = matches
+    .sort(comparators[sort] || comparators.relevance)
+    .slice(skip, skip + limit)
+    .map((candidate) => candidate._id.toString())
+
+  const loaded = await populateResults(SupportRequest.find({ _id: { $in: pageIds } }))
+  const byId = new Map(loaded.map((request) => [request._id.toString(), request]))
+  const terms = searchTerms(query)
+
+  const requests = pageIds
+    .filter((id) => byId.has(id))
+    .map((id) => {
+      const request = byId.get(id)
+      return {
+        ...request.toJSON(),
+        score: Math.round(scores.get(id) * 1000) / 1000,
+        highlights: buildHighlights(request, messageHits.get(id), terms),
+      }
+    })
+
+  return { requests, facets, total: matches.length }
+}
@@ -0,0 +1,320 @@
+import AppointmentSeries from "../models/appointment-series.js"
+import RescheduleProposal from "../models/reschedule-proposal.js"
+import { syncAppointmentReminders } from "./appointment-reminders.js"
+import { markException } from "./appointment-series.js"
+import { checkTechnicianAvailability } from "./appointments.js"
+import { calendarOrganizer } from "./calendar-feed.js"
+import { getSettingValues } from "./settings.js"
+import { offerReleasedTime } from "./waitlist.js"
+import { emitToUser } from "./websocket.js"
+
+const RESCHEDULE_SETTING_DEFAULTS = {
+  appointment_reschedule_proposal_ttl_hours: 48,
+}
+
+const MINUTE = 60 * 1000
+
+const failure = (statusCode, code, message, extra = {}) => ({ ok: false, statusCode, code, message, ...extra })
+
+const idOf = (ref) => (ref?._id || ref).toString()
+
+const populateAppointment = [
+  { path: "client", select: "username email" },
+  { path: "technician", select: "username email" },
+]
+
+// Which side of an appointment a user is on: "client", "technician", "admin" or null
+export const appointmentParty = (appointment, user) => {
+  if (idOf(appointment.client) === user.userId.toString()) return "client"
+  if (idOf(appointment.technician) === user.userId.toString()) return "technician"
+  return user.role === "admin" ? "admin" : null
+}
+
+// The recipient answers a proposal; admins may answer on either side's behalf
+const canRespond = (proposal, user) =>
+  idOf(proposal.recipient) === user.userId.toString() ||
+  (user.role === "admin" && idOf(proposal.proposedBy) !== user.userId.toString())
+
+const canWithdraw = (proposal, user) => idOf(proposal.proposedBy) === user.userId.toString() || user.role === "admin"
+
+// Tell both parties over the websocket, and the affected ones by notification and email
+const notifyRescheduleEvent = async (event, proposal, appointment, { actor = null, recipients = [] } = {}) => {
+  try {
+    await appointment.populate(populateAppointment)
+    const payload = { event, proposal, appointment }
+    emitToUser(idOf(appointment.client), "appointment-reschedule", payload)
+    emitToUser(idOf(appointment.technician), "appointment-reschedule", payload)
+
+    if (recipients.length === 0) return
+    const { notificationHandlers } = await import("./notifications.js")
+    await notificationHandlers.appointmentReschedule(event, proposal, appointment, recipients, {
+      actor,
+      organizer: event === "accepted" ? await calendarOrganizer() : null,
+    })
+  } catch (err) {
+    console.error(`Reschedule ${event} notification error:`, err)
+  }
+}
+
+// Populated user of the appointment matching an id
+const partyUser = (appointment, userId) =>
+  [appointment.client, appointment.technician].find((user) => user?._id && idOf(user) === idOf(userId)) || null
+
+// Propose one or more new slots; proposing while the other side's proposal is pending counters it
+export const proposeReschedule = async (appointment, user, { slots, message }) => {
+  if (appointment.status !== "scheduled") {
+    return failure(409, "APPOINTMENT_NOT_SCHEDULED", "Only scheduled appointments can be rescheduled")
+  }
+
+  const unavailable = []
+  for (const slot of slots) {
+    const startTime = new Date(slot.startTime)
+    const endTime = new Date(slot.endTime)
+    const minutes = (endTime - startTime) / MINUTE
+    if (minutes < 15 || minutes > 480) {
+      unavailable.push({ startTime, endTime, reason: "Slots must last between 15 minutes and 8 hours" })
+      continue
+    }
+    try {
+      await checkTechnicianAvailability(idOf(appointment.technician), startTime, endTime, appointment._id)
+    } catch (err) {
+      unavailable.push({ startTime, endTime, reason: err.message })
+    }
+  }
+  if (unavailable.length > 0) {
+    return failure(409, "SLOTS_UNAVAILABLE", "Some of the proposed slots cannot be booked", { unavailable })
+  }
+
+  const pending = await RescheduleProposal.find({ appointment: appointment._id, status: "pending" })
+  const answered = pending.find((proposal) => canRespond(proposal, user))
+  const now = new Date()
+
+  let recipient
+  if (answered) {
+    recipient = answered.proposedBy
+  } else {
+    recipient = appointmentParty(appointment, user) === "client" ? appointment.technician : appointment.client
+  }
+
+  const settings = await getSettingValues(RESCHEDULE_SETTING_DEFAULTS)
+  const lastSlotStart = Math.max(...slots.map((slot) => new Date(slot.startTime).getTime()))
+  const proposal = new RescheduleProposal({
+    appointment: appointment._id,
+    proposedBy: user.userId,
+    proposedByRole: user.role,
+    recipient: idOf(recipient),
+    slots: slots.map((slot) => ({ startTime: new Date(slot.startTime), endTime: new Date(slot.endTime) })),
+    message,
+    counterOf: answered?._id,
+    // A proposal cannot outlive its last slot
+    expiresAt: new Date(
+      Math.min(now.getTime() + settings.appointment_reschedule_proposal_ttl_hours * 60 * MINUTE, lastSlotStart),
+    ),
+  })
+
+  for (const previous of pending) {
+    if (previous === answered) {
+      Object.assign(previous, { status: "countered", respondedBy: user.userId, respondedAt: now })
+    } else if (idOf(previous.proposedBy) === user.userId.toString()) {
+      previous.status = "superseded"
+    } else {
+      continue
+    }
+    await previous.save()
+  }
+  await proposal.save()
+
+  await appointment.populate(populateAppointment)
+  await notifyRescheduleEvent(answered ? "countered" : "proposed", proposal, appointment, {
+    actor: partyUser(appointment, user.userId) || { username: user.username },
+    recipients: [partyUser(appointment, proposal.recipient)].filter(Boolean),
+  })
+
+  return { ok: true, proposal, countered: answered || null }
+}
+
+const ensurePending = async (proposal) => {
+  if (proposal.status === "pending" && proposal.expiresAt <= new Date()) {
+    proposal.status = "expired"
+    await proposal.save()
+  }
+  if (proposal.status !== "pending") {
+    return failure(409, "PROPOSAL_CLOSED", `This proposal is already ${proposal.status}`)
+  }
+  return null
+}
+
+// Close the pending proposals of appointments moved or canceled some other way; their slots no longer apply
+export const supersedeProposals = (appointmentIds) =>
+  RescheduleProposal.updateMany({ appointment: { $in: appointmentIds }, status: "pending" }, { status: "superseded" })
+
+// Accept one slot of a proposal and move the appointment there
+export const acceptProposal = async (proposal, appointment, user, { slotIndex, message }) => {
+  if (!canRespond(proposal, user)) {
+    return failure(403, "NOT_RECIPIENT", "Only the other party can accept this proposal")
+  }
+  const closed = await ensurePending(proposal)
+  if (closed) return closed
+
+  if (appointment.status !== "scheduled") {
+    return failure(409, "APPOINTMENT_NOT_SCHEDULED", "Only scheduled appointments can be rescheduled")
+  }
+  if (slotIndex === undefined && proposal.slots.length > 1) {
+    return failure(400, "SLOT_REQUIRED", "Choose one of the proposed slots with slotIndex")
+  }
+
+  const slot = proposal.slots[slotIndex ?? 0]
+  if (!slot) {
+    return failure(400, "INVALID_SLOT", `slotIndex must be between 0 and ${proposal.slots.length - 1}`)
+  }
+  if (slot.startTime <= new Date()) {
+    return failure(409, "SLOT_PASSED", "This slot has already started")
+  }
+
+  // The technician's schedule may have filled up since the proposal was made
+  try {
+    await checkTechnicianAvailability(idOf(appointment.technician), slot.startTime, slot.endTime, appointment._id)
+  } catch (err) {
+    return failure(409, "SLOT_UNAVAILABLE", err.message)
+  }
+
+  proposal.previousTime = { startTime: appointment.startTime, endTime: appointment.endTime }
+  appointment.startTime = slot.startTime
+  appointment.endTime = slot.endTime
+
+  // Moving one occurrence of a recurring series makes it an exception
+  if (appointment.series) {
+    const series = await AppointmentSeries.findById(appointment.series)
+    if (series) {
+      markException(series, appointment, "modified", user, "Rescheduled by proposal")
+      await series.save()
+    }
+  }
+  await appointment.save()
+
+  Object.assign(proposal, {
+    status: "accepted",
+    acceptedSlot: { startTime: slot.startTime, endTime: slot.endTime },
+    respondedBy: user.userId,
+    respondedAt: new Date(),
+    responseMessage: message,
+  })
+  await proposal.save()
+  await RescheduleProposal.updateMany(
+    { appointment: appointment._id, status: "pending", _id: { $ne: proposal._id } },
+    { status: "superseded" },
+  )
+
+  await appointment.populate(populateAppointment)
+  await notifyRescheduleEvent("accepted", proposal, appointment, {
+    actor: partyUser(appointment, user.userId) || { username: user.username },
+    recipients: [appointment.client, appointment.technician],
+  })
+  await syncAppointmentReminders(appointment)
+  await offerReleasedTime(appointment, proposal.previousTime)
+
+  return { ok: true, proposal, appointment }
+}
+
+export const declineProposal = async (proposal, appointment, user, { message }) => {
+  if (!canRespond(proposal, user)) {
+    return failure(403, "NOT_RECIPIENT", "Only the other party can decline this proposal")
+  }
+  const closed = await ensurePending(proposal)
+  if (closed) return closed
+
+  Object.assign(proposal, {
+    status: "declined",
+    respondedBy: user.userId,
+    respondedAt: new Date(),
+    responseMessage: message,
+  })
+  await proposal.save()
+
+  await appointment.populate(populateAppointment)
+  await notifyRescheduleEvent("declined", proposal, appointment, {
+    actor: partyUser(appointment, user.userId) || { username: user.username },
+    recipients: [partyUser(appointment, proposal.proposedBy)].filter(Boolean),
+  })
+
+  return { ok: true, proposal }
+}
+
+export const withdrawProposal = async (proposal, appointment, user) => {
+  if (!canWithdraw(proposal, user)) {
+    return failure(403, "NOT_PROPOSER", "Only the party who proposed can withdraw this proposal")
+  }
+  const closed = await ensurePending(proposal)
+  if (closed) return closed
+
+  Object.assign(proposal, { status: "withdrawn", respondedBy: user.userId, respondedAt: new Date() })
+  await proposal.save()
+
+  await appointment.populate(populateAppointment)
+  await notifyRescheduleEvent("withdrawn", proposal, appointment, {
+    actor: partyUser(appointment, user.userId) || { username: user.username },
+    recipients: [partyUser(appointment, proposal.recipient)].filter(Boolean),
+  })
+
+  return { ok: true, proposal }
+}
+
+// Expire pending proposals past their deadline
+export const expireRescheduleProposals = async (now = new Date()) => {
+  const due = await RescheduleProposal.find({ status: "pending", expiresAt: { $lte: now } }).populate({
+    path: "appointment",
+    populate: populateAppointment,
+  })
+
+  let expired = 0
+  for (const proposal of due) {
+    proposal.status = "expired"
+    await proposal.save()
+    expired++
+
+    if (proposal.appointment) {
+      await notifyRescheduleEvent("expired", proposal, proposal.appointment, {
+        recipients: [proposal.appointment.client, proposal.appointment.technician],
+      })
+    }
+  }
+
+  return { expired }
+}
+
+let expiryTimer = null
+let expiryRunning = false
+
+export const startRescheduleProposalExpiry = (
+  intervalMs = Number.parseInt(process.env.RESCHEDULE_EXPIRY_INTERVAL_MS) || 5 * 60 * 1000,
+) => {
+  if (expiryTimer) {
+    return expiryTimer
+  }
+
+  expiryTimer = setInterval(async () => {
+    if (expiryRunning) return
+    expiryRunning = true
+    try {
+      const summary = await expireRescheduleProposals()
+      if (summary.expired) {
+        console.log("Reschedule proposals:", summary)
+      }
+    } catch (err) {
+      console.error("Reschedule proposal expiry error:", err)
+    } finally {
+      expiryRunning = false
+    }
+  }, intervalMs)
+  expiryTimer.unref?.()
+
+  console.log(`Reschedule proposal expiry started (every ${Math.round(intervalMs / 1000)}s)`)
+  return expiryTimer
+}
+
+export const stopRescheduleProposalExpiry = () => {
+  if (expiryTimer) {
+    clearInterval(expiryTimer)
+    expiryTimer = null
+  }
+}
@@ -0,0 +1,115 @@
+import RequestRevision from "../models/request-revision.js"
+import SupportRequest from "../models/support-request.js"
+import { buildActivityEntry } from "./request-links.js"
+
+export const REVISED_FIELDS = ["title", "description", "category", "priority", "tags", "customFields"]
+
+const TEXT_FIELDS = ["title", "description"]
+
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)))
+
+// Current values of the revised fields, detached from the document
+export const snapshotRevisedFields = (request) =>
+  Object.fromEntries(REVISED_FIELDS.map((field) => [field, clone(request.get(field))]))
+
+// Word-level diff (longest common subsequence); whitespace is kept with the word before it
+export const diffWords = (before = "", after = "") => {
+  const a = (before || "").match(/\S+\s*/g) || []
+  const b = (after || "").match(/\S+\s*/g) || []
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const ops = []
+  const push = (op, text) => {
+    const last = ops.at(-1)
+    if (last?.op === op) last.text += text
+    else ops.push({ op, text })
+  }
+
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i++])
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("delete", a[i++])
+    } else {
+      push("insert", b[j++])
+    }
+  }
+  while (i < a.length) push("delete", a[i++])
+  while (j < b.length) push("insert", b[j++])
+
+  return ops
+}
+
+// Record the revision for a saved change to a request; null when nothing changed. Covers edits and the
+// priority and tag changes of macros, automations and SLA escalation; user is null for system changes.
+// The number is taken atomically, so concurrent changes never share one.
+export const recordRevision = async (request, before, user) => {
+  const after = snapshotRevisedFields(request)
+  const changes = REVISED_FIELDS.filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])).map(
+    (field) => ({
+      field,
+      from: before[field],
+      to: after[field],
+      ...(TEXT_FIELDS.includes(field) && { diff: diffWords(before[field], after[field]) }),
+    }),
+  )
+
+  if (changes.length === 0) {
+    return null
+  }
+
+  const fields = changes.map((change) => change.field)
+  const { revisionCount } = await SupportRequest.findOneAndUpdate(
+    { _id: request._id },
+    { $inc: { revisionCount: 1 }, ...(user && { $set: { lastEditedAt: new Date(), lastEditedBy: user.userId } }) },
+    { new: true, projection: { revisionCount: 1 } },
+  ).lean()
+
+  // The activity entry names the revision, so it goes in once the number is known
+  await SupportRequest.updateOne(
+    { _id: request._id },
+    {
+      $push: {
+        activity: buildActivityEntry({
+          event: "edited",
+          user,
+          description: `Edited ${fields.join(", ")}`,
+          details: { revision: revisionCount, fields },
+        }),
+      },
+    },
+  )
+
+  return RequestRevision.create({
+    supportRequest: request._id,
+    revision: revisionCount,
+    editor: user?.userId || null,
+    editorRole: user?.role || "system",
+    changes,
+  })
+}
+
+// The revised fields as they were right after a given revision (0 = as created)
+export const reconstructVersion = async (request, revision) => {
+  const version = snapshotRevisedFields(request)
+  const later = await RequestRevision.find({ supportRequest: request._id, revision: { $gt: revision } })
+    .sort({ revision: -1 })
+    .lean()
+
+  for (const entry of later) {
+    for (const change of entry.changes) {
+      version[change.field] = change.from
+    }
+  }
+
+  return version
+}
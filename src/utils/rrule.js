@@ -0,0 +1,184 @@
+import { getZonedParts, zonedTimeToUtc } from "./business-hours.js"
+
+// RFC 5545 recurrence rules, the subset appointments need:
+// FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, COUNT or UNTIL, BYDAY (ordinals for MONTHLY) and BYMONTHDAY.
+// Occurrences keep the wall-clock time of DTSTART in the series' time zone.
+
+export const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"]
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"]
+const SUPPORTED_PARTS = ["FREQ", "INTERVAL", "COUNT", "UNTIL", "BYDAY", "BYMONTHDAY", "WKST"]
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// Upper bound on periods walked, so a rule that never matches cannot loop forever
+const MAX_PERIODS = 5000
+
+const dayNumber = (year, month, day) => Date.UTC(year, month - 1, day) / DAY_MS
+
+const fromDayNumber = (number) => {
+  const date = new Date(number * DAY_MS)
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+}
+
+// 0 = Monday
+const weekdayOf = (number) => (new Date(number * DAY_MS).getUTCDay() + 6) % 7
+
+const parseUntil = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/)
+  if (!match) return null
+  const [, year, month, day, hour = "23", minute = "59", second = "59"] = match
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+}
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")
+
+// Parse an RRULE string (with or without the "RRULE:" prefix): { rule } or { error }
+export const parseRRule = (text = "") => {
+  const parts = {}
+  for (const part of text.trim().replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+    const [key, value] = part.split("=")
+    if (!key || !value) return { error: `Invalid RRULE part '${part}'` }
+    parts[key.toUpperCase()] = value.toUpperCase()
+  }
+
+  const unsupported = Object.keys(parts).filter((key) => !SUPPORTED_PARTS.includes(key))
+  if (unsupported.length > 0) return { error: `Unsupported RRULE part(s): ${unsupported.join(", ")}` }
+  if (!FREQUENCIES.includes(parts.FREQ)) return { error: `FREQ must be one of ${FREQUENCIES.join(", ")}` }
+  if (parts.COUNT && parts.UNTIL) return { error: "COUNT and UNTIL cannot be combined" }
+
+  const rule = { freq: parts.FREQ, interval: 1 }
+
+  if (parts.INTERVAL) {
+    rule.interval = Number(parts.INTERVAL)
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 99) {
+      return { error: "INTERVAL must be a whole number from 1 to 99" }
+    }
+  }
+  if (parts.COUNT) {
+    rule.count = Number(parts.COUNT)
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 730) {
+      return { error: "COUNT must be a whole number from 1 to 730" }
+    }
+  }
+  if (parts.UNTIL) {
+    rule.until = parseUntil(parts.UNTIL)
+    if (!rule.until) return { error: "UNTIL must be a date (YYYYMMDD) or UTC date-time (YYYYMMDDTHHMMSSZ)" }
+  }
+
+  if (parts.BYDAY) {
+    rule.byDay = []
+    for (const value of parts.BYDAY.split(",")) {
+      const match = value.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/)
+      if (!match) return { error: `Invalid BYDAY value '${value}'` }
+      const ordinal = match[1] ? Number(match[1]) : null
+      if (ordinal !== null && (rule.freq !== "MONTHLY" || ordinal === 0 || Math.abs(ordinal) > 5)) {
+        return { error: `BYDAY ordinals such as '${value}' are only valid from -5 to 5 with FREQ=MONTHLY` }
+      }
+      rule.byDay.push({ weekday: WEEKDAYS.indexOf(match[2]), ordinal })
+    }
+  }
+
+  if (parts.BYMONTHDAY) {
+    if (rule.freq !== "MONTHLY") return { error: "BYMONTHDAY requires FREQ=MONTHLY" }
+    rule.byMonthDay = parts.BYMONTHDAY.split(",").map(Number)
+    if (rule.byMonthDay.some((day) => !Number.isInteger(day) || day === 0 || Math.abs(day) > 31)) {
+      return { error: "BYMONTHDAY values must be from 1 to 31 or -31 to -1" }
+    }
+  }
+
+  return { rule }
+}
+
+// Canonical RRULE text for a parsed rule
+export const formatRRule = (rule) =>
+  [
+    `FREQ=${rule.freq}`,
+    rule.interval > 1 && `INTERVAL=${rule.interval}`,
+    rule.byDay?.length && `BYDAY=${rule.byDay.map(({ weekday, ordinal }) => `${ordinal ?? ""}${WEEKDAYS[weekday]}`).join(",")}`,
+    rule.byMonthDay?.length && `BYMONTHDAY=${rule.byMonthDay.join(",")}`,
+    rule.count && `COUNT=${rule.count}`,
+    rule.until && `UNTIL=${formatUntil(rule.until)}`,
+  ]
+    .filter(Boolean)
+    .join(";")
+
+// Candidate local days (day numbers, ascending) of the n-th period after the start
+const periodDays = (rule, start, startDay, offset) => {
+  if (rule.freq === "DAILY") {
+    const day = startDay + offset
+    return !rule.byDay || rule.byDay.some(({ weekday }) => weekday === weekdayOf(day)) ? [day] : []
+  }
+
+  if (rule.freq === "WEEKLY") {
+    const weekStart = startDay - weekdayOf(startDay) + offset * 7
+    const weekdays = rule.byDay ? rule.byDay.map(({ weekday }) => weekday) : [weekdayOf(startDay)]
+    return [...new Set(weekdays)].sort((a, b) => a - b).map((weekday) => weekStart + weekday)
+  }
+
+  const monthIndex = start.year * 12 + (start.month - 1) + offset
+  const year = Math.floor(monthIndex / 12)
+  const month = (monthIndex % 12) + 1
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate()
+  const firstDay = dayNumber(year, month, 1)
+
+  let days
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay
+      .map((day) => (day > 0 ? day : daysInMonth + day + 1))
+      .filter((day) => day >= 1 && day <= daysInMonth)
+      .map((day) => firstDay + day - 1)
+    if (rule.byDay) {
+      days = days.filter((day) => rule.byDay.some(({ weekday }) => weekday === weekdayOf(day)))
+    }
+  } else if (rule.byDay) {
+    days = rule.byDay.flatMap(({ weekday, ordinal }) => {
+      const matching = []
+      for (let day = firstDay; day < firstDay + daysInMonth; day++) {
+        if (weekdayOf(day) === weekday) matching.push(day)
+      }
+      if (ordinal === null) return matching
+      const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal]
+      return picked === undefined ? [] : [picked]
+    })
+  } else {
+    days = start.day <= daysInMonth ? [firstDay + start.day - 1] : []
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b)
+}
+
+/**
+ * Occurrence start times of a rule from DTSTART, as UTC Dates. Stops at the rule's own end
+ * (COUNT/UNTIL), at `to` or after `limit` occurrences; `complete` tells whether the rule ran out.
+ * Occurrences before `from` still count towards COUNT but are not returned.
+ */
+export const expandRRule = (rule, dtstart, { timezone = "UTC", from = dtstart, to = null, limit = 730 } = {}) => {
+  const start = getZonedParts(dtstart, timezone)
+  const minutesOfDay = start.hour * 60 + start.minute + start.second / 60
+  const startDay = dayNumber(start.year, start.month, start.day)
+
+  const occurrences = []
+  let produced = 0
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const day of periodDays(rule, start, startDay, period * rule.interval)) {
+      if (day < startDay) continue
+
+      const { year, month, day: dayOfMonth } = fromDayNumber(day)
+      const at = zonedTimeToUtc(year, month, dayOfMonth, minutesOfDay, timezone)
+      if (rule.until && at > rule.until) return { occurrences, complete: true }
+      if (to && at > to) return { occurrences, complete: false }
+
+      produced++
+      if (at >= from) occurrences.push(at)
+      if (rule.count && produced >= rule.count) return { occurrences, complete: true }
+      if (occurrences.length >= limit) return { occurrences, complete: false }
+    }
+  }
+
+  return { occurrences, complete: false }
+}
+
+// Whether DTSTART itself is an occurrence of the rule (RFC 5545 expects it to be)
+export const startsOnRule = (rule, dtstart, timezone = "UTC") => {
+  const [first] = expandRRule(rule, dtstart, { timezone, limit: 1 }).occurrences
+  return Boolean(first) && Math.abs(first - dtstart) < 60 * 1000
+}
@@ -0,0 +1,220 @@
+import jwt from "jsonwebtoken"
+import { nanoid } from "nanoid"
+import SatisfactionSurvey from "../models/satisfaction-survey.js"
+import SupportRequest from "../models/support-request.js"
+import User from "../models/user.js"
+import { getSettingValues } from "./settings.js"
+
+const SURVEY_SETTING_DEFAULTS = {
+  csat_survey_enabled: true,
+  csat_survey_link_ttl_days: 14,
+  csat_survey_reminder_hours: 72,
+  csat_survey_max_sends: 2,
+}
+
+const TOKEN_PURPOSE = "csat-survey"
+
+const surveySecret = () => process.env.SURVEY_TOKEN_SECRET || process.env.JWT_SECRET
+
+const failure = (statusCode, code, message) => ({ ok: false, statusCode, code, message })
+
+// Signed token for one survey send; links from earlier sends keep working until they expire
+export const signSurveyToken = (survey) =>
+  jwt.sign({ sid: survey._id.toString(), purpose: TOKEN_PURPOSE }, surveySecret(), {
+    jwtid: survey.tokenId,
+    expiresIn: Math.max(60, Math.floor((survey.expiresAt - Date.now()) / 1000)),
+  })
+
+// Resolve a survey from a token in a survey link
+export const verifySurveyToken = async (token) => {
+  let payload
+  try {
+    payload = jwt.verify(token, surveySecret())
+  } catch (err) {
+    return err.name === "TokenExpiredError"
+      ? failure(410, "SURVEY_LINK_EXPIRED", "This survey link has expired")
+      : failure(401, "INVALID_SURVEY_LINK", "Invalid survey link")
+  }
+
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    return failure(401, "INVALID_SURVEY_LINK", "Invalid survey link")
+  }
+
+  const survey = await SatisfactionSurvey.findById(payload.sid)
+  if (!survey || survey.tokenId !== payload.jti) {
+    return failure(410, "SURVEY_LINK_REPLACED", "This survey link is no longer valid")
+  }
+
+  return { ok: true, survey }
+}
+
+// The answer links open the survey page with the answer preselected; the page records it with a POST
+const surveyUrls = (token) => {
+  const surveyUrl = `${process.env.CLIENT_URL}/surveys/${token}`
+  return {
+    surveyUrl,
+    ratingLinks: [1, 2, 3, 4, 5].map((rating) => ({ rating, url: `${surveyUrl}?rating=${rating}` })),
+    npsLinks: Array.from({ length: 11 }, (_, score) => ({ score, url: `${surveyUrl}?nps=${score}` })),
+  }
+}
+
+export const getOrCreateSurvey = async (request, ttlDays = SURVEY_SETTING_DEFAULTS.csat_survey_link_ttl_days) => {
+  const existing = await SatisfactionSurvey.findOne({ supportRequest: request._id })
+  if (existing) return existing
+
+  return new SatisfactionSurvey({
+    supportRequest: request._id,
+    customer: request.customer?._id || request.customer,
+    technician: request.assignedTechnician?._id || request.assignedTechnician || null,
+    tokenId: nanoid(),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+  })
+}
+
+// Email the survey for a resolved request, unless it was answered or sent too often already
+export const sendSatisfactionSurvey = async (request) => {
+  const settings = await getSettingValues(SURVEY_SETTING_DEFAULTS)
+  if (!settings.csat_survey_enabled) {
+    return { sent: false, reason: "Surveys are disabled" }
+  }
+
+  const survey = await getOrCreateSurvey(request, settings.csat_survey_link_ttl_days)
+  if (survey.respondedAt) {
+    return { sent: false, reason: "Survey already answered" }
+  }
+  if (survey.sentCount >= settings.csat_survey_max_sends) {
+    return { sent: false, reason: "Survey send limit reached" }
+  }
+
+  await request.populate([
+    { path: "customer", select: "username email" },
+    { path: "assignedTechnician", select: "username email" },
+  ])
+
+  survey.technician = request.assignedTechnician?._id || survey.technician
+  survey.expiresAt = new Date(Date.now() + settings.csat_survey_link_ttl_days * 24 * 60 * 60 * 1000)
+  survey.sentCount += 1
+  survey.lastSentAt = new Date()
+  await survey.save()
+
+  const token = signSurveyToken(survey)
+  const { sendEmailNotification } = await import("./notifications.js")
+  await sendEmailNotification(request.customer.email, "satisfactionSurvey", {
+    customerName: request.customer.username,
+    requestId: request.requestId,
+    title: request.title,
+    technicianName: request.assignedTechnician?.username || "our support team",
+    expiresAt: survey.expiresAt.toDateString(),
+    ...surveyUrls(token),
+  })
+
+  console.log(`Satisfaction survey sent for ${request.requestId} (send ${survey.sentCount})`)
+  return { sent: true, survey }
+}
+
+// Keep the technician's average rating in step with a new or changed rating
+export const applyTechnicianRating = async (technicianId, rating, previousRating = null) => {
+  const technician = await User.findById(technicianId)
+  if (!technician) return
+
+  const totalReviews = technician.totalReviews || 0
+  const sum = (technician.rating || 0) * totalReviews
+  if (previousRating && totalReviews > 0) {
+    technician.rating = Math.round(((sum - previousRating + rating) / totalReviews) * 10) / 10
+  } else {
+    technician.totalReviews = totalReviews + 1
+    technician.rating = Math.round(((sum + rating) / technician.totalReviews) * 10) / 10
+  }
+  await technician.save()
+}
+
+// Store survey answers; partial answers (one click) can be completed later
+export const recordSurveyResponse = async (survey, answers, channel) => {
+  const previousRating = survey.rating
+
+  if (answers.rating !== undefined) survey.rating = answers.rating
+  if (answers.npsScore !== undefined) survey.npsScore = answers.npsScore
+  if (answers.feedback !== undefined) survey.feedback = answers.feedback
+  if (!survey.respondedAt) {
+    survey.respondedAt = new Date()
+    survey.channel = channel
+  }
+  await survey.save()
+
+  const customerSatisfaction = { submittedAt: survey.respondedAt }
+  if (survey.rating !== undefined) customerSatisfaction.rating = survey.rating
+  if (survey.npsScore !== undefined) customerSatisfaction.npsScore = survey.npsScore
+  if (survey.feedback !== undefined) customerSatisfaction.feedback = survey.feedback
+  await SupportRequest.updateOne({ _id: survey.supportRequest }, { $set: { customerSatisfaction } })
+
+  if (survey.technician && survey.rating && survey.rating !== previousRating) {
+    await applyTechnicianRating(survey.technician, survey.rating, previousRating)
+  }
+
+  return { ok: true, survey }
+}
+
+// Re-send unanswered surveys once the reminder delay has passed
+export const sendSurveyReminders = async () => {
+  const settings = await getSettingValues(SURVEY_SETTING_DEFAULTS)
+  const summary = { checked: 0, sent: 0 }
+  if (!settings.csat_survey_enabled) return summary
+
+  const due = await SatisfactionSurvey.find({
+    respondedAt: null,
+    sentCount: { $gte: 1, $lt: settings.csat_survey_max_sends },
+    lastSentAt: { $lte: new Date(Date.now() - settings.csat_survey_reminder_hours * 60 * 60 * 1000) },
+  }).limit(100)
+
+  for (const survey of due) {
+    summary.checked++
+    try {
+      const request = await SupportRequest.findById(survey.supportRequest)
+      if (!request || !["resolved", "closed"].includes(request.status)) continue
+
+      const result = await sendSatisfactionSurvey(request)
+      if (result.sent) summary.sent++
+    } catch (err) {
+      console.error(`Survey reminder error for ${survey._id}:`, err)
+    }
+  }
+
+  return summary
+}
+
+let surveyTimer = null
+let surveyRunning = false
+
+export const startSurveyScheduler = (
+  intervalMs = Number.parseInt(process.env.SURVEY_REMINDER_INTERVAL_MS) || 60 * 60 * 1000,
+) => {
+  if (surveyTimer) {
+    return surveyTimer
+  }
+
+  surveyTimer = setInterval(async () => {
+    if (surveyRunning) return
+    surveyRunning = true
+    try {
+      const summary = await sendSurveyReminders()
+      if (summary.sent) {
+        console.log("Survey reminders:", summary)
+      }
+    } catch (err) {
+      console.error("Survey reminder run error:", err)
+    } finally {
+      surveyRunning = false
+    }
+  }, intervalMs)
+  surveyTimer.unref?.()
+
+  console.log(`Survey scheduler started (every ${Math.round(intervalMs / 1000)}s)`)
+  return surveyTimer
+}
+
+export const stopSurveyScheduler = () => {
+  if (surveyTimer) {
+    clearInterval(surveyTimer)
+    surveyTimer = null
+  }
+}
@@ -0,0 +1,180 @@
+import SavedView from "../models/saved-view.js"
+import SupportRequest from "../models/support-request.js"
+import User from "../models/user.js"
+import { buildSearchFilter, countSupportRequests, resolveSearchMatch } from "./request-search.js"
+import { emitToUser } from "./websocket.js"
+
+export const VIEW_COLUMNS = [
+  "requestId",
+  "title",
+  "status",
+  "priority",
+  "category",
+  "customer",
+  "assignedTechnician",
+  "tags",
+  "createdAt",
+  "lastActivity",
+  "sla.status",
+  "sla.resolutionDueAt",
+]
+
+export const DEFAULT_VIEW_COLUMNS = ["requestId", "title", "status", "priority", "assignedTechnician", "createdAt"]
+
+const MAX_SNAPSHOT = 2000
+const MAX_LISTED_MATCHES = 5
+
+const isStaff = (user) => ["technician", "admin"].includes(user.role)
+
+const ownerId = (view) => (view.owner._id || view.owner).toString()
+
+export const canViewSavedView = (view, user) =>
+  ownerId(view) === user.userId.toString() || (view.scope === "shared" && isStaff(user))
+
+export const canEditSavedView = (view, user) =>
+  ownerId(view) === user.userId.toString() || (view.scope === "shared" && user.role === "admin")
+
+// Columns are fixed fields or custom fields as cf.<key>
+export const findUnknownColumns = (columns = []) =>
+  columns.filter((column) => !VIEW_COLUMNS.includes(column) && !/^cf\.[a-z][a-z0-9_]{0,49}$/.test(column))
+
+// Search parameters for running a view as a user; filters such as technician=me resolve per user
+export const buildViewSearch = async (view, user) => {
+  const { query, ...params } = view.filters || {}
+  const { filter, error } = await buildSearchFilter(params, user)
+  if (error) {
+    return { error }
+  }
+  return { search: { query, filter, user } }
+}
+
+export const countViewMatches = async (view, user) => {
+  const { search, error } = await buildViewSearch(view, user)
+  return error ? null : countSupportRequests(search)
+}
+
+const matchingRequestIds = async (view, user) => {
+  const { search, error } = await buildViewSearch(view, user)
+  if (error) return null
+
+  const { match } = await resolveSearchMatch(search)
+  const matches = await SupportRequest.find(match).select("_id").sort({ createdAt: -1 }).limit(MAX_SNAPSHOT).lean()
+  return matches.map((request) => request._id)
+}
+
+// Subscribe a user; current matches are recorded so only later ones notify
+export const subscribeToView = async (view, user) => {
+  if (view.subscribers.some((subscriber) => subscriber.user.toString() === user.userId.toString())) {
+    return { ok: false, statusCode: 409, code: "ALREADY_SUBSCRIBED", message: "You are already subscribed to this view" }
+  }
+
+  view.subscribers.push({
+    user: user.userId,
+    subscribedAt: new Date(),
+    matchSnapshot: (await matchingRequestIds(view, user)) || [],
+    snapshotAt: new Date(),
+  })
+  return { ok: true }
+}
+
+const notifyNewMatches = async (view, userId, requestIds) => {
+  const requests = await SupportRequest.find({ _id: { $in: requestIds.slice(0, MAX_LISTED_MATCHES) } })
+    .select("requestId title status priority")
+    .lean()
+
+  const content =
+    requestIds.length === 1 && requests[0]
+      ? `New ticket ${requests[0].requestId} "${requests[0].title}" matches your view "${view.name}"`
+      : `${requestIds.length} new tickets match your view "${view.name}"`
+
+  const { createNotification } = await import("./notifications.js")
+  await createNotification(userId, "support_request", content.substring(0, 500))
+  emitToUser(userId.toString(), "saved-view-matches", {
+    viewId: view._id,
+    name: view.name,
+    count: requestIds.length,
+    requests,
+  })
+}
+
+// Compare each subscriber's current matches with the last snapshot and notify about new ones
+export const checkViewSubscriptions = async () => {
+  const summary = { views: 0, notified: 0 }
+  const views = await SavedView.find({ "subscribers.0": { $exists: true } })
+
+  const userIds = [...new Set(views.flatMap((view) => view.subscribers.map((subscriber) => subscriber.user.toString())))]
+  const users = new Map(
+    (await User.find({ _id: { $in: userIds }, isActive: true }).select("role").lean()).map((user) => [
+      user._id.toString(),
+      user,
+    ]),
+  )
+
+  for (const view of views) {
+    summary.views++
+    try {
+      for (const subscriber of view.subscribers) {
+        const account = users.get(subscriber.user.toString())
+        const user = account && { userId: account._id.toString(), role: account.role }
+        if (!user || !canViewSavedView(view, user)) continue
+
+        const current = await matchingRequestIds(view, user)
+        if (!current) continue
+
+        const previous = new Set(subscriber.matchSnapshot.map((id) => id.toString()))
+        const added = current.filter((id) => !previous.has(id.toString()))
+
+        if (subscriber.snapshotAt && added.length > 0) {
+          await notifyNewMatches(view, subscriber.user, added)
+          subscriber.lastNotifiedAt = new Date()
+          summary.notified++
+        }
+
+        subscriber.matchSnapshot = current
+        subscriber.snapshotAt = new Date()
+      }
+      await view.save()
+    } catch (err) {
+      console.error(`Saved view subscription error for ${view._id}:`, err)
+    }
+  }
+
+  return summary
+}
+
+let viewTimer = null
+let viewRunning = false
+
+export const startViewSubscriptionMonitor = (
+  intervalMs = Number.parseInt(process.env.VIEW_SUBSCRIPTION_INTERVAL_MS) || 5 * 60 * 1000,
+) => {
+  if (viewTimer) {
+    return viewTimer
+  }
+
+  viewTimer = setInterval(async () => {
+    if (viewRunning) return
+    viewRunning = true
+    try {
+      const summary = await checkViewSubscriptions()
+      if (summary.notified) {
+        console.log("Saved view subscriptions:", summary)
+      }
+    } catch (err) {
+      console.error("Saved view subscription run error:", err)
+    } finally {
+      viewRunning = false
+    }
+  }, intervalMs)
+  viewTimer.unref?.()
+
+  console.log(`Saved view subscription monitor started (every ${Math.round(intervalMs / 1000)}s)`)
+  return viewTimer
+}
+
+export const stopViewSubscriptionMonitor = () => {
+  if (viewTimer) {
+    clearInterval(viewTimer)
+    viewTimer = null
+  }
+}
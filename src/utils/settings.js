@@ -0,0 +1,32 @@
+import SystemSettings from "../models/system-settings.js"
+
+// Read a single system setting value, falling back when it is missing
+export const getSettingValue = async (key, defaultValue = null) => {
+  try {
+    const setting = await SystemSettings.findOne({ key }).select("value").lean()
+    return setting && setting.value !== undefined && setting.value !== null ? setting.value : defaultValue
+  } catch (err) {
+    console.error(`Error reading setting '${key}':`, err)
+    return defaultValue
+  }
+}
+
+// Read several settings at once, keyed by setting key
+export const getSettingValues = async (defaults = {}) => {
+  try {
+    const settings = await SystemSettings.find({ key: { $in: Object.keys(defaults) } })
+      .select("key value")
+      .lean()
+
+    const values = { ...defaults }
+    settings.forEach((setting) => {
+      if (setting.value !== undefined && setting.value !== null) {
+        values[setting.key] = setting.value
+      }
+    })
+    return values
+  } catch (err) {
+    console.error("Error reading settings:", err)
+    return { ...defaults }
+  }
+}
@@ -0,0 +1,326 @@
+import SLAPolicy from "../models/sla-policy.js"
+import SupportRequest from "../models/support-request.js"
+import { getSettingValues } from "./settings.js"
+import { addBusinessMinutes, businessMinutesBetween, resolveCalendar } from "./business-hours.js"
+import { emitToAdmins, emitToTechnicians, emitToUser } from "./websocket.js"
+import { recordRevision, snapshotRevisedFields } from "./revisions.js"
+
+const PRIORITY_LADDER = ["low", "medium", "high", "urgent"]
+
+// Statuses the SLA monitor checks. Requests waiting on the customer are skipped, but their due dates
+// are not extended: the clocks keep running while they wait, so a request that waited past a due date
+// is flagged and escalated on the first check after it becomes active again.
+const ACTIVE_STATUSES = ["open", "in-progress"]
+
+const SLA_SETTING_DEFAULTS = {
+  default_sla_response_time: 240,
+  default_sla_resolution_time: 1440,
+  default_sla_escalation_time: 480,
+  sla_at_risk_threshold: 0.8,
+  sla_business_hours_only: false,
+}
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000)
+
+// Find the active policy for a category/priority pair
+export const findSLAPolicy = async (category, priority) => {
+  return SLAPolicy.findOne({ category, priority, isActive: true }).sort({ updatedAt: -1 })
+}
+
+// Resolve the SLA targets (in minutes) for a request, falling back to the default settings
+const resolveSLATargets = async (policy) => {
+  if (policy) {
+    return {
+      responseTime: policy.responseTime,
+      resolutionTime: policy.resolutionTime,
+      escalationTime: policy.escalationTime,
+      businessHoursOnly: policy.businessHoursOnly,
+      calendarId: policy.calendar,
+    }
+  }
+
+  const settings = await getSettingValues(SLA_SETTING_DEFAULTS)
+  return {
+    responseTime: settings.default_sla_response_time,
+    resolutionTime: settings.default_sla_resolution_time,
+    escalationTime: settings.default_sla_escalation_time,
+    businessHoursOnly: Boolean(settings.sla_business_hours_only),
+    calendarId: null,
+  }
+}
+
+// Advance a timestamp by SLA minutes, on the business clock when a calendar is given
+const addSLAMinutes = (date, minutes, calendar = null) =>
+  calendar ? addBusinessMinutes(date, minutes, calendar) : addMinutes(date, minutes)
+
+// Compute due timestamps from SLA targets and a start time
+export const computeSLADueDates = (targets, startAt = new Date(), calendar = null) => {
+  return {
+    firstResponseDueAt: addSLAMinutes(startAt, targets.responseTime, calendar),
+    resolutionDueAt: addSLAMinutes(startAt, targets.resolutionTime, calendar),
+    escalationDueAt: addSLAMinutes(startAt, targets.escalationTime, calendar),
+  }
+}
+
+// Attach the matching policy and due dates to a (not yet saved) support request
+export const applySLAPolicy = async (request) => {
+  const policy = await findSLAPolicy(request.category, request.priority)
+  const targets = await resolveSLATargets(policy)
+  const startAt = request.createdAt || new Date()
+  const calendar = targets.businessHoursOnly ? await resolveCalendar(targets.calendarId) : null
+
+  request.slaPolicy = policy ? policy._id : null
+  request.sla = {
+    ...computeSLADueDates(targets, startAt, calendar),
+    status: "on-track",
+    responseBreached: false,
+    resolutionBreached: false,
+    escalationLevel: 0,
+    businessHoursOnly: Boolean(calendar),
+    calendar: calendar ? calendar._id : null,
+  }
+
+  return request
+}
+
+// Start a new resolution clock for a reopened request; the first response and its outcome stand
+export const restartSLA = async (request, startAt = new Date()) => {
+  if (!request.sla?.resolutionDueAt) {
+    return request
+  }
+
+  const policy = await findSLAPolicy(request.category, request.priority)
+  const targets = await resolveSLATargets(policy)
+  const calendar = targets.businessHoursOnly ? await resolveCalendar(targets.calendarId) : null
+  const { resolutionDueAt, escalationDueAt } = computeSLADueDates(targets, startAt, calendar)
+
+  request.slaPolicy = policy ? policy._id : null
+  Object.assign(request.sla, {
+    resolutionDueAt,
+    escalationDueAt,
+    resolutionStartedAt: startAt,
+    status: request.sla.responseBreached ? "breached" : "on-track",
+    resolutionBreached: false,
+    escalationLevel: 0,
+    escalatedAt: undefined,
+    businessHoursOnly: Boolean(calendar),
+    calendar: calendar ? calendar._id : null,
+  })
+
+  return request
+}
+
+// Record the first staff response on a request
+export const recordFirstResponse = (request, role, respondedAt = new Date()) => {
+  if (role === "customer" || !request.sla || request.sla.firstRespondedAt) {
+    return false
+  }
+
+  request.sla.firstRespondedAt = respondedAt
+  if (request.sla.firstResponseDueAt && respondedAt > request.sla.firstResponseDueAt) {
+    request.sla.responseBreached = true
+  }
+  return true
+}
+
+// Close out the SLA once a request is resolved or closed
+export const finalizeSLA = (request, resolvedAt = new Date()) => {
+  if (!request.sla || !request.sla.resolutionDueAt) {
+    return
+  }
+
+  if (resolvedAt > request.sla.resolutionDueAt) {
+    request.sla.resolutionBreached = true
+  }
+
+  request.sla.status = request.sla.responseBreached || request.sla.resolutionBreached ? "breached" : "met"
+}
+
+// Work out the current SLA state of an active request
+export const evaluateSLA = (
+  request,
+  atRiskThreshold = SLA_SETTING_DEFAULTS.sla_at_risk_threshold,
+  now = new Date(),
+  calendar = null,
+) => {
+  const { sla } = request
+  const startAt = request.createdAt
+  const resolutionStartAt = sla.resolutionStartedAt || startAt
+  const elapsed = (from, to) => (calendar ? businessMinutesBetween(from, to, calendar) : (to - from) / (60 * 1000))
+
+  const responseBreached =
+    sla.responseBreached || (!sla.firstRespondedAt && sla.firstResponseDueAt && now > sla.firstResponseDueAt)
+  const resolutionBreached = sla.resolutionBreached || (sla.resolutionDueAt && now > sla.resolutionDueAt)
+
+  const elapsedRatio = (dueAt, from = startAt) => {
+    if (!dueAt) return 0
+    const total = elapsed(from, dueAt)
+    return total > 0 ? elapsed(from, now) / total : 1
+  }
+
+  let status = "on-track"
+  if (responseBreached || resolutionBreached) {
+    status = "breached"
+  } else if (
+    (!sla.firstRespondedAt && elapsedRatio(sla.firstResponseDueAt) >= atRiskThreshold) ||
+    elapsedRatio(sla.resolutionDueAt, resolutionStartAt) >= atRiskThreshold
+  ) {
+    status = "at-risk"
+  }
+
+  return { status, responseBreached: Boolean(responseBreached), resolutionBreached: Boolean(resolutionBreached) }
+}
+
+const slaEventPayload = (request) => ({
+  requestId: request.requestId,
+  title: request.title,
+  priority: request.priority,
+  status: request.status,
+  assignedTechnician: request.assignedTechnician,
+  sla: request.sla,
+})
+
+// Bump priority one level, or hand over to admins once the ticket is already urgent
+const escalateRequest = async (request, escalationTime, now, calendar = null) => {
+  const currentIndex = PRIORITY_LADDER.indexOf(request.priority)
+  const previousPriority = request.priority
+
+  if (currentIndex < PRIORITY_LADDER.length - 1) {
+    request.priority = PRIORITY_LADDER[currentIndex + 1]
+    request.isUrgent = request.priority === "urgent"
+  }
+
+  request.sla.escalationLevel += 1
+  request.sla.escalatedAt = now
+  request.sla.escalationDueAt = addSLAMinutes(now, escalationTime, calendar)
+
+  const payload = {
+    ...slaEventPayload(request),
+    previousPriority,
+    escalationLevel: request.sla.escalationLevel,
+  }
+
+  emitToAdmins("sla-escalated", payload)
+
+  if (request.assignedTechnician) {
+    emitToUser(request.assignedTechnician.toString(), "sla-escalated", payload)
+    const { createNotification } = await import("./notifications.js")
+    await createNotification(
+      request.assignedTechnician.toString(),
+      "support_request",
+      `Support request ${request.requestId} has been escalated (level ${request.sla.escalationLevel})`,
+    ).catch((err) => console.error("SLA escalation notification error:", err))
+  }
+}
+
+// Scan active requests, flag at-risk/breached ones and escalate overdue ones
+export const checkSLACompliance = async () => {
+  const now = new Date()
+  const summary = { checked: 0, atRisk: 0, breached: 0, escalated: 0 }
+
+  try {
+    const settings = await getSettingValues(SLA_SETTING_DEFAULTS)
+    const requests = await SupportRequest.find({
+      status: { $in: ACTIVE_STATUSES },
+      "sla.resolutionDueAt": { $exists: true },
+    }).populate("slaPolicy", "escalationTime")
+
+    // Calendars are shared by many requests, so load each one once per run
+    const calendars = new Map()
+    const calendarFor = async (request) => {
+      if (!request.sla.businessHoursOnly) return null
+      const key = request.sla.calendar ? request.sla.calendar.toString() : "default"
+      if (!calendars.has(key)) {
+        calendars.set(key, await resolveCalendar(request.sla.calendar))
+      }
+      return calendars.get(key)
+    }
+
+    for (const request of requests) {
+      summary.checked += 1
+      try {
+        const calendar = await calendarFor(request)
+        const previousStatus = request.sla.status
+        const evaluation = evaluateSLA(request, settings.sla_at_risk_threshold, now, calendar)
+        let changed = false
+        let before = null
+
+        if (evaluation.status !== previousStatus) {
+          request.sla.status = evaluation.status
+          request.sla.responseBreached = evaluation.responseBreached
+          request.sla.resolutionBreached = evaluation.resolutionBreached
+          changed = true
+
+          const event = evaluation.status === "breached" ? "sla-breached" : "sla-at-risk"
+          if (evaluation.status !== "on-track") {
+            // The technicians room also contains every admin
+            emitToTechnicians(event, slaEventPayload(request))
+            if (request.assignedTechnician) {
+              emitToUser(request.assignedTechnician.toString(), event, slaEventPayload(request))
+            }
+            summary[evaluation.status === "breached" ? "breached" : "atRisk"] += 1
+          }
+        }
+
+        if (request.sla.escalationDueAt && now >= request.sla.escalationDueAt) {
+          const escalationTime = request.slaPolicy?.escalationTime || settings.default_sla_escalation_time
+          before = snapshotRevisedFields(request)
+          await escalateRequest(request, escalationTime, now, calendar)
+          summary.escalated += 1
+          changed = true
+        }
+
+        if (changed) {
+          // Keep lastActivity untouched: SLA bookkeeping is not ticket activity
+          await SupportRequest.updateOne(
+            { _id: request._id },
+            { $set: { sla: request.sla, priority: request.priority, isUrgent: request.isUrgent } },
+          )
+        }
+        if (before) {
+          await recordRevision(request, before, null)
+        }
+      } catch (err) {
+        console.error(`SLA check error for ${request.requestId}:`, err)
+      }
+    }
+  } catch (err) {
+    console.error("SLA compliance check error:", err)
+  }
+
+  return summary
+}
+
+let slaMonitorTimer = null
+let slaCheckRunning = false
+
+// Start the background SLA checker
+export const startSLAMonitor = (intervalMs = Number.parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 60 * 1000) => {
+  if (slaMonitorTimer) {
+    return slaMonitorTimer
+  }
+
+  slaMonitorTimer = setInterval(async () => {
+    if (slaCheckRunning) return
+    slaCheckRunning = true
+    try {
+      const summary = await checkSLACompliance()
+      if (summary.atRisk || summary.breached || summary.escalated) {
+        console.log("SLA check:", summary)
+      }
+    } finally {
+      slaCheckRunning = false
+    }
+  }, intervalMs)
+  slaMonitorTimer.unref?.()
+
+  console.log(`SLA monitor started (every ${Math.round(intervalMs / 1000)}s)`)
+  return slaMonitorTimer
+}
+
+export const stopSLAMonitor = () => {
+  if (slaMonitorTimer) {
+    clearInterval(slaMonitorTimer)
+    slaMonitorTimer = null
+  }
+}
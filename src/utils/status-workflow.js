@@ -0,0 +1,176 @@
+import { finalizeSLA } from "./sla.js"
+
+export const REQUEST_STATUSES = ["open", "in-progress", "pending-customer", "resolved", "closed"]
+
+const STAFF = ["technician", "admin"]
+const EVERYONE = ["customer", "technician", "admin"]
+
+// Allowed transitions: from -> to -> { action, roles }.
+// Anything not listed here is rejected.
+export const STATUS_TRANSITIONS = {
+  open: {
+    "in-progress": { action: "start", roles: STAFF },
+    "pending-customer": { action: "request-info", roles: STAFF },
+    resolved: { action: "resolve", roles: STAFF },
+    closed: { action: "close", roles: EVERYONE },
+  },
+  "in-progress": {
+    open: { action: "unassign", roles: STAFF },
+    "pending-customer": { action: "request-info", roles: STAFF },
+    resolved: { action: "resolve", roles: STAFF },
+    closed: { action: "close", roles: ["admin"] },
+  },
+  "pending-customer": {
+    "in-progress": { action: "customer-replied", roles: EVERYONE },
+    resolved: { action: "resolve", roles: STAFF },
+    closed: { action: "close", roles: STAFF },
+  },
+  resolved: {
+    open: { action: "reopen", roles: EVERYONE },
+    closed: { action: "close", roles: EVERYONE },
+  },
+  closed: {
+    open: { action: "reopen", roles: ["customer", "admin"] },
+  },
+}
+
+// Transitions a given role may take from a status
+export const getAvailableTransitions = (from, role) => {
+  return Object.entries(STATUS_TRANSITIONS[from] || {})
+    .filter(([, rule]) => rule.roles.includes(role))
+    .map(([to, rule]) => ({ to, action: rule.action }))
+}
+
+// Check a transition against the graph and role guards
+export const validateStatusTransition = (from, to, role, action = null) => {
+  if (!REQUEST_STATUSES.includes(to)) {
+    return {
+      allowed: false,
+      statusCode: 400,
+      code: "INVALID_STATUS",
+      message: `Invalid status '${to}'`,
+    }
+  }
+
+  if (from === to) {
+    return {
+      allowed: false,
+      statusCode: 409,
+      code: "STATUS_UNCHANGED",
+      message: `Support request is already '${to}'`,
+    }
+  }
+
+  const rule = STATUS_TRANSITIONS[from]?.[to]
+  if (!rule) {
+    return {
+      allowed: false,
+      statusCode: 409,
+      code: "INVALID_STATUS_TRANSITION",
+      message: `Cannot change status from '${from}' to '${to}'`,
+      allowedTransitions: Object.keys(STATUS_TRANSITIONS[from] || {}),
+    }
+  }
+
+  // Reopening has its own workflow (reason, reopen window, follow-up requests); see reopenRequest
+  if (rule.action === "reopen" && action !== "reopen") {
+    return {
+      allowed: false,
+      statusCode: 409,
+      code: "REOPEN_REQUIRED",
+      message: `A '${from}' support request is reopened with POST /support-requests/:requestId/reopen and a reason`,
+      requiredAction: "reopen",
+    }
+  }
+
+  if (action && action !== rule.action) {
+    return {
+      allowed: false,
+      statusCode: 409,
+      code: "INVALID_STATUS_TRANSITION",
+      message: `Changing status from '${from}' to '${to}' requires the '${rule.action}' action`,
+      requiredAction: rule.action,
+    }
+  }
+
+  if (!rule.roles.includes(role)) {
+    return {
+      allowed: false,
+      statusCode: 403,
+      code: "STATUS_TRANSITION_FORBIDDEN",
+      message: `Role '${role}' cannot ${rule.action} a support request`,
+      requiredRoles: rule.roles,
+    }
+  }
+
+  return { allowed: true, action: rule.action }
+}
+
+// Build a status-history entry
+export const buildStatusHistoryEntry = ({ from, to, action, user, reason }) => ({
+  from,
+  to,
+  action,
+  changedBy: user?.userId || null,
+  changedByRole: user?.role || "system",
+  reason,
+  changedAt: new Date(),
+})
+
+// Move a loaded support request to a new status, stamping dates and history
+export const applyStatusChange = (request, { to, action, user, reason }) => {
+  const from = request.status
+  const entry = buildStatusHistoryEntry({ from, to, action, user, reason })
+
+  request.status = to
+  request.statusHistory.push(entry)
+  request.lifecycle = { statusChangedAt: entry.changedAt, remindersSent: 0, lastReminderAt: null }
+
+  if (to === "resolved") {
+    request.resolvedAt = entry.changedAt
+    finalizeSLA(request, request.resolvedAt)
+  } else if (to === "closed") {
+    request.closedAt = entry.changedAt
+    finalizeSLA(request, request.resolvedAt || request.closedAt)
+  } else if (to === "open" && action === "reopen") {
+    request.resolvedAt = undefined
+    request.closedAt = undefined
+    request.reopenCount = (request.reopenCount || 0) + 1
+    request.lastReopenedAt = entry.changedAt
+  }
+
+  return entry
+}
+
+// When the request entered its current status; older requests predate lifecycle bookkeeping
+export const statusSince = (request) => {
+  if (request.lifecycle?.statusChangedAt) return request.lifecycle.statusChangedAt
+  const entry = [...request.statusHistory].reverse().find((history) => history.to === request.status)
+  return entry?.changedAt || request.updatedAt
+}
+
+// Move a request to in-progress on assignment, if the workflow allows it
+export const moveToInProgressOnAssign = (request, user) => {
+  if (request.status === "in-progress") {
+    return { allowed: true }
+  }
+
+  const transition = validateStatusTransition(request.status, "in-progress", user.role)
+  if (!transition.allowed) {
+    return transition
+  }
+
+  applyStatusChange(request, { to: "in-progress", action: transition.action, user })
+  return transition
+}
+
+// Put a request waiting on the customer back to work when the customer replies.
+// Returns the status-history entry, or null when the request did not move.
+export const resumeOnCustomerReply = (request, user) => {
+  const customerId = (request.customer?._id || request.customer).toString()
+  if (request.status !== "pending-customer" || customerId !== user.userId.toString()) {
+    return null
+  }
+
+  return applyStatusChange(request, { to: "in-progress", action: "customer-replied", user, reason: "Customer replied" })
+}
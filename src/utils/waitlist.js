@@ -0,0 +1,372 @@
+import crypto from "crypto"
+import Appointment from "../models/appointment.js"
+import User from "../models/user.js"
+import WaitlistEntry from "../models/waitlist-entry.js"
+import { syncAppointmentReminders } from "./appointment-reminders.js"
+import { checkTechnicianAvailability, notifyAppointmentScheduled } from "./appointments.js"
+import { getSettingValues } from "./settings.js"
+import { emitToUser } from "./websocket.js"
+
+const WAITLIST_SETTING_DEFAULTS = {
+  appointment_waitlist_hold_minutes: 30,
+  appointment_waitlist_max_entries: 5,
+}
+
+export const ACTIVE_WAITLIST_STATUSES = ["waiting", "offered"]
+
+const MINUTE = 60 * 1000
+// Freed time shorter than this is not offered
+const MIN_SLOT_MINUTES = 15
+// Entries considered for one freed slot, oldest first
+const CANDIDATE_LIMIT = 50
+
+const failure = (statusCode, code, message, extra = {}) => ({ ok: false, statusCode, code, message, ...extra })
+
+const idOf = (ref) => (ref?._id || ref).toString()
+
+// The hold page shows the slot and books or releases it with a POST; emailed links must never act on GET
+const holdUrl = (token) => `${process.env.CLIENT_URL}/waitlist/holds/${token}`
+
+// Tell the customer about an offered slot (with its link) or about a hold that ran out
+const notifyWaitlistEvent = async (event, entry, token = null) => {
+  try {
+    await entry.populate([
+      { path: "customer", select: "username email" },
+      { path: "offer.technician", select: "username email" },
+      { path: "offerHistory.technician", select: "username email" },
+    ])
+    emitToUser(idOf(entry.customer), "waitlist-update", { event, entry })
+
+    // An expired hold is already in the history
+    const slot = event === "offered" ? entry.offer : entry.offerHistory.at(-1)
+    const { notificationHandlers } = await import("./notifications.js")
+    await notificationHandlers.waitlistUpdate(event, entry, entry.customer, slot, {
+      holdUrl: token ? holdUrl(token) : undefined,
+      waitlistUrl: `${process.env.CLIENT_URL}/waitlist`,
+    })
+  } catch (err) {
+    console.error(`Waitlist ${event} notification error:`, err)
+  }
+}
+
+export const joinWaitlist = async (user, { technicianId, serviceType, earliestStart, latestEnd, ...details }) => {
+  const durationMinutes = details.durationMinutes || 60
+  if (new Date(latestEnd) - new Date(earliestStart) < durationMinutes * MINUTE) {
+    return failure(400, "RANGE_TOO_SHORT", "The date range must be at least as long as the appointment")
+  }
+
+  if (technicianId) {
+    const technician = await User.findOne({ _id: technicianId, role: "technician", isActive: true })
+    if (!technician) {
+      return failure(404, "TECHNICIAN_NOT_FOUND", "Technician not found or not active")
+    }
+  }
+
+  const active = await WaitlistEntry.find({ customer: user.userId, status: { $in: ACTIVE_WAITLIST_STATUSES } })
+  const settings = await getSettingValues(WAITLIST_SETTING_DEFAULTS)
+  if (active.length >= settings.appointment_waitlist_max_entries) {
+    return failure(
+      409,
+      "WAITLIST_LIMIT",
+      `You can wait for at most ${settings.appointment_waitlist_max_entries} slots at a time`,
+    )
+  }
+
+  const duplicate = active.find(
+    (entry) =>
+      (entry.technician ? idOf(entry.technician) : null) === (technicianId || null) &&
+      entry.serviceType === serviceType &&
+      entry.earliestStart < new Date(latestEnd) &&
+      entry.latestEnd > new Date(earliestStart),
+  )
+  if (duplicate) {
+    return failure(409, "ALREADY_WAITLISTED", "You are already on the waitlist for these dates", {
+      entryId: duplicate._id,
+    })
+  }
+
+  const entry = new WaitlistEntry({
+    customer: user.userId,
+    technician: technicianId || null,
+    serviceType,
+    earliestStart: new Date(earliestStart),
+    latestEnd: new Date(latestEnd),
+    ...details,
+  })
+  await entry.save()
+
+  return { ok: true, entry }
+}
+
+// Offer the start of a free slot to the oldest matching entry that fits; null when nobody takes it
+const offerSlotToNextEntry = async (slot, settings) => {
+  const slotMinutes = (slot.endTime - slot.startTime) / MINUTE
+  const candidates = await WaitlistEntry.find({
+    status: "waiting",
+    $or: [{ technician: slot.technician }, { technician: null, serviceType: slot.serviceType }],
+    earliestStart: { $lte: slot.startTime },
+    latestEnd: { $gt: slot.startTime },
+    durationMinutes: { $lte: slotMinutes },
+    // An entry that let this slot go is not asked again
+    offerHistory: { $not: { $elemMatch: { technician: slot.technician, startTime: slot.startTime } } },
+  })
+    .sort({ createdAt: 1 })
+    .limit(CANDIDATE_LIMIT)
+
+  for (const candidate of candidates) {
+    const endTime = new Date(slot.startTime.getTime() + candidate.durationMinutes * MINUTE)
+    if (endTime > candidate.latestEnd) continue
+
+    try {
+      await checkTechnicianAvailability(slot.technician, slot.startTime, endTime)
+    } catch {
+      continue
+    }
+
+    const now = new Date()
+    const token = crypto.randomBytes(24).toString("hex")
+    // Claim the entry atomically so two freed slots never hold it at once
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: candidate._id, status: "waiting" },
+      {
+        status: "offered",
+        offer: {
+          technician: slot.technician,
+          startTime: slot.startTime,
+          endTime,
+          serviceType: slot.serviceType,
+          holdToken: token,
+          offeredAt: now,
+          // A hold cannot outlive the start of its slot
+          expiresAt: new Date(
+            Math.min(now.getTime() + settings.appointment_waitlist_hold_minutes * MINUTE, slot.startTime.getTime()),
+          ),
+          sourceAppointment: slot.sourceAppointment,
+        },
+      },
+      { new: true },
+    )
+    if (!entry) continue
+
+    await notifyWaitlistEvent("offered", entry, token)
+    return entry
+  }
+
+  return null
+}
+
+// Offer a freed slot to waitlisted customers in the order they joined; what one booking leaves over
+// goes to the next entry
+export const offerFreedSlot = async ({ technician, startTime, endTime, serviceType, sourceAppointment = null }) => {
+  const offered = []
+  if (new Date(startTime) <= new Date()) {
+    return { offered }
+  }
+
+  const settings = await getSettingValues(WAITLIST_SETTING_DEFAULTS)
+  let cursor = new Date(startTime)
+  while (new Date(endTime) - cursor >= MIN_SLOT_MINUTES * MINUTE) {
+    const entry = await offerSlotToNextEntry(
+      { technician: idOf(technician), startTime: cursor, endTime: new Date(endTime), serviceType, sourceAppointment },
+      settings,
+    )
+    if (!entry) break
+    offered.push(entry)
+    cursor = entry.offer.endTime
+  }
+
+  return { offered }
+}
+
+// Time covered by the appointment before a change but not after it
+const releasedRanges = (previous, appointment) => {
+  if (appointment.status === "canceled") {
+    return [{ startTime: previous.startTime, endTime: previous.endTime }]
+  }
+  return [
+    { startTime: previous.startTime, endTime: new Date(Math.min(previous.endTime, appointment.startTime)) },
+    { startTime: new Date(Math.max(previous.startTime, appointment.endTime)), endTime: previous.endTime },
+  ].filter((range) => range.endTime > range.startTime)
+}
+
+// Offer the time an appointment gave up, by being canceled, shortened or moved, to the waitlist
+export const offerReleasedTime = async (appointment, previous = appointment) => {
+  try {
+    for (const range of releasedRanges(previous, appointment)) {
+      await offerFreedSlot({
+        ...range,
+        technician: appointment.technician,
+        serviceType: appointment.serviceType,
+        sourceAppointment: appointment._id,
+      })
+    }
+  } catch (err) {
+    console.error("Waitlist offer error:", err)
+  }
+}
+
+// End the current offer: the customer keeps waiting (unless told otherwise) and the slot moves on
+const closeOffer = async (entry, outcome, { status } = {}) => {
+  const { technician, startTime, endTime, serviceType, offeredAt, sourceAppointment } = entry.offer
+  entry.offerHistory.push({ technician, startTime, endTime, offeredAt, outcome, closedAt: new Date() })
+  entry.offer = undefined
+  entry.status = status || (entry.latestEnd > new Date() ? "waiting" : "expired")
+  await entry.save()
+
+  await offerFreedSlot({ technician, startTime, endTime, serviceType, sourceAppointment })
+  return entry
+}
+
+// The open offer behind a hold link
+export const findHold = async (token) => {
+  const entry = await WaitlistEntry.findOne({ "offer.holdToken": token, status: "offered" }).populate(
+    "offer.technician",
+    "username",
+  )
+  if (!entry) {
+    return failure(404, "HOLD_NOT_FOUND", "This waitlist offer does not exist or was already answered")
+  }
+
+  if (entry.offer.expiresAt <= new Date()) {
+    await closeOffer(entry, "expired")
+    await notifyWaitlistEvent("expired", entry)
+    return failure(410, "HOLD_EXPIRED", "This waitlist offer has expired")
+  }
+
+  return { ok: true, entry }
+}
+
+// Book the held slot
+export const confirmHold = async (token) => {
+  const result = await findHold(token)
+  if (!result.ok) return result
+
+  // Claim first so a double click cannot book twice; the booked entry no longer reserves the slot
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    { _id: result.entry._id, status: "offered" },
+    { status: "booked", bookedAt: new Date(), $unset: { "offer.holdToken": 1 } },
+    { new: true },
+  )
+  if (!entry) {
+    return failure(404, "HOLD_NOT_FOUND", "This waitlist offer does not exist or was already answered")
+  }
+
+  const { technician, startTime, endTime } = entry.offer
+  try {
+    await checkTechnicianAvailability(technician, startTime, endTime)
+  } catch (err) {
+    await closeOffer(entry, "released")
+    return failure(409, "SLOT_UNAVAILABLE", err.message)
+  }
+
+  const appointment = new Appointment({
+    client: entry.customer,
+    technician,
+    startTime,
+    endTime,
+    notes: entry.notes,
+    serviceType: entry.serviceType,
+    priority: entry.priority,
+    estimatedDuration: entry.durationMinutes,
+    location: entry.location,
+  })
+  try {
+    await appointment.save()
+  } catch (err) {
+    // Hand the hold back so the customer can try again
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: "booked", appointment: null },
+      { status: "offered", "offer.holdToken": result.entry.offer.holdToken, $unset: { bookedAt: 1 } },
+    )
+    throw err
+  }
+
+  entry.appointment = appointment._id
+  await entry.save()
+
+  await appointment.populate([
+    { path: "client", select: "username email phone" },
+    { path: "technician", select: "username email phone specialization" },
+  ])
+  await notifyAppointmentScheduled([appointment])
+  await syncAppointmentReminders(appointment)
+
+  return { ok: true, entry, appointment }
+}
+
+// Let the held slot go; the customer stays on the waitlist for other slots
+export const declineHold = async (token) => {
+  const result = await findHold(token)
+  if (!result.ok) return result
+
+  return { ok: true, entry: await closeOffer(result.entry, "declined") }
+}
+
+export const leaveWaitlist = async (entry) => {
+  if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+    return failure(409, "ENTRY_CLOSED", `This waitlist entry is already ${entry.status}`)
+  }
+
+  entry.canceledAt = new Date()
+  if (entry.status === "offered") {
+    return { ok: true, entry: await closeOffer(entry, "released", { status: "canceled" }) }
+  }
+
+  entry.status = "canceled"
+  await entry.save()
+  return { ok: true, entry }
+}
+
+// Pass on holds that ran out and close entries whose date range has passed
+export const processWaitlist = async (now = new Date()) => {
+  const lapsed = await WaitlistEntry.find({ status: "offered", "offer.expiresAt": { $lte: now } })
+
+  let holdsExpired = 0
+  for (const entry of lapsed) {
+    await closeOffer(entry, "expired")
+    await notifyWaitlistEvent("expired", entry)
+    holdsExpired++
+  }
+
+  const { modifiedCount } = await WaitlistEntry.updateMany(
+    { status: "waiting", latestEnd: { $lte: now } },
+    { status: "expired" },
+  )
+
+  return { holdsExpired, entriesExpired: modifiedCount }
+}
+
+let waitlistTimer = null
+let waitlistRunning = false
+
+export const startWaitlistMonitor = (intervalMs = Number.parseInt(process.env.WAITLIST_INTERVAL_MS) || 60 * 1000) => {
+  if (waitlistTimer) {
+    return waitlistTimer
+  }
+
+  waitlistTimer = setInterval(async () => {
+    if (waitlistRunning) return
+    waitlistRunning = true
+    try {
+      const summary = await processWaitlist()
+      if (summary.holdsExpired || summary.entriesExpired) {
+        console.log("Waitlist:", summary)
+      }
+    } catch (err) {
+      console.error("Waitlist monitor error:", err)
+    } finally {
+      waitlistRunning = false
+    }
+  }, intervalMs)
+  waitlistTimer.unref?.()
+
+  console.log(`Waitlist monitor started (every ${Math.round(intervalMs / 1000)}s)`)
+  return waitlistTimer
+}
+
+export const stopWaitlistMonitor = () => {
+  if (waitlistTimer) {
+    clearInterval(waitlistTimer)
+    waitlistTimer = null
+  }
+}
@@ -0,0 +1,148 @@
+import { buildActivityEntry } from "./request-links.js"
+import { joinSupportRequestRoom, leaveSupportRequestRoom } from "./websocket.js"
+
+export const MAX_WATCHERS = 20
+export const MAX_CC_EMAILS = 10
+
+const failure = (statusCode, code, message) => ({ ok: false, statusCode, code, message })
+
+const isStaff = (user) => ["technician", "admin"].includes(user.role)
+
+const idOf = (value) => (value?._id || value).toString()
+
+const isOwner = (request, user) => idOf(request.customer) === user.userId.toString()
+
+// Staff and the requesting customer manage who follows a request
+export const canManageFollowers = (request, user) => isStaff(user) || isOwner(request, user)
+
+// Add a watcher. Watchers can read and reply to the request, so customers are only added by the
+// requester or staff; staff members may also subscribe themselves.
+export const addWatcher = (request, watcher, user) => {
+  const watcherId = watcher._id.toString()
+
+  if (!watcher.isActive) {
+    return failure(400, "INACTIVE_USER", "Inactive users cannot watch support requests")
+  }
+
+  if (watcherId === idOf(request.customer)) {
+    return failure(400, "ALREADY_PARTICIPANT", "The requester already follows this support request")
+  }
+
+  if (request.isWatchedBy(watcherId)) {
+    return failure(409, "ALREADY_WATCHING", `${watcher.username} already watches ${request.requestId}`)
+  }
+
+  if (watcher.role === "customer") {
+    if (!canManageFollowers(request, user)) {
+      return failure(403, "ACCESS_DENIED", "Only staff or the requester can add customer watchers")
+    }
+  } else if (!isStaff(user)) {
+    return failure(403, "WATCHER_NOT_ALLOWED", "Staff members subscribe to requests themselves")
+  }
+
+  if (request.watchers.length >= MAX_WATCHERS) {
+    return failure(400, "WATCHER_LIMIT", `A support request can have at most ${MAX_WATCHERS} watchers`)
+  }
+
+  request.watchers.push({ user: watcher._id, addedBy: user.userId, addedAt: new Date() })
+  request.activity.push(
+    buildActivityEntry({
+      event: "watcher-added",
+      user,
+      description:
+        watcherId === user.userId.toString()
+          ? `${watcher.username} started watching`
+          : `Added ${watcher.username} as a watcher`,
+      details: { watcher: watcher._id },
+    }),
+  )
+
+  joinSupportRequestRoom(watcherId, request.requestId)
+  return { ok: true }
+}
+
+// Remove a watcher; watchers may always unsubscribe themselves
+export const removeWatcher = (request, watcherId, user) => {
+  const index = request.watchers.findIndex((watcher) => idOf(watcher.user) === watcherId.toString())
+  if (index === -1) {
+    return failure(404, "WATCHER_NOT_FOUND", "User is not watching this support request")
+  }
+
+  const self = watcherId.toString() === user.userId.toString()
+  if (!self && !canManageFollowers(request, user)) {
+    return failure(403, "ACCESS_DENIED", "Only staff or the requester can remove watchers")
+  }
+
+  const [removed] = request.watchers.splice(index, 1)
+  request.activity.push(
+    buildActivityEntry({
+      event: "watcher-removed",
+      user,
+      description: self ? `${user.username} stopped watching` : "Removed a watcher",
+      details: { watcher: removed.user?._id || removed.user },
+    }),
+  )
+
+  leaveSupportRequestRoom(watcherId.toString(), request.requestId)
+  return { ok: true }
+}
+
+// Copy an external address on public updates; expects request.customer populated with email
+export const addCcEmail = (request, email, user) => {
+  const address = email.trim().toLowerCase()
+
+  if (!canManageFollowers(request, user)) {
+    return failure(403, "ACCESS_DENIED", "Only staff or the requester can change CC addresses")
+  }
+
+  if (address === request.customer?.email?.toLowerCase()) {
+    return failure(400, "ALREADY_PARTICIPANT", "The requester already receives updates for this support request")
+  }
+
+  if (request.ccEmails.some((cc) => cc.email === address)) {
+    return failure(409, "CC_EXISTS", `${address} is already copied on ${request.requestId}`)
+  }
+
+  if (request.ccEmails.length >= MAX_CC_EMAILS) {
+    return failure(400, "CC_LIMIT", `A support request can have at most ${MAX_CC_EMAILS} CC addresses`)
+  }
+
+  request.ccEmails.push({ email: address, addedBy: user.userId, addedAt: new Date() })
+  request.activity.push(
+    buildActivityEntry({ event: "cc-added", user, description: `Copied ${address}`, details: { email: address } }),
+  )
+
+  return { ok: true }
+}
+
+export const removeCcEmail = (request, email, user) => {
+  const address = email.trim().toLowerCase()
+
+  if (!canManageFollowers(request, user)) {
+    return failure(403, "ACCESS_DENIED", "Only staff or the requester can change CC addresses")
+  }
+
+  const index = request.ccEmails.findIndex((cc) => cc.email === address)
+  if (index === -1) {
+    return failure(404, "CC_NOT_FOUND", `${address} is not copied on this support request`)
+  }
+
+  request.ccEmails.splice(index, 1)
+  request.activity.push(
+    buildActivityEntry({ event: "cc-removed", user, description: `Stopped copying ${address}`, details: { email: address } }),
+  )
+
+  return { ok: true }
+}
+
+// Active watchers (populated) and CC addresses to notify, minus users already told
+export const getFollowers = async (request, excludeUserIds = []) => {
+  await request.populate("watchers.user", "username email role isActive")
+
+  const excluded = new Set(excludeUserIds.filter(Boolean).map((id) => idOf(id)))
+  const watchers = request.watchers
+    .map((watcher) => watcher.user)
+    .filter((watcher) => watcher?._id && watcher.isActive !== false && !excluded.has(watcher._id.toString()))
+
+  return { watchers, ccEmails: request.ccEmails.map((cc) => cc.email) }
+}
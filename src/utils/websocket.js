@@ -1,6 +1,7 @@
 import { Server } from "socket.io"
 import jwt from "jsonwebtoken"
 import User from "../models/user.js"
+import SupportRequest from "../models/support-request.js"
 
 let io
 
@@ -35,12 +36,22 @@ export const initializeWebSocket = (server) => {
     }
   })
 
-  io.on("connection", (socket) => {
+  io.on("connection", async (socket) => {
     console.log(`User connected: ${socket.username} (${socket.userId})`)
 
     // Join user to their personal room
     socket.join(`user:${socket.userId}`)
 
+    // Watchers follow their requests without joining each room by hand
+    try {
+      const watched = await SupportRequest.find({ "watchers.user": socket.userId, status: { $ne: "closed" } }).distinct(
+        "requestId",
+      )
+      watched.forEach((requestId) => socket.join(`support-request:${requestId}`))
+    } catch (err) {
+      console.error("Error joining watched support requests:", err)
+    }
+
     // Join technicians to technician room
     if (socket.userRole === "technician" || socket.userRole === "admin") {
       socket.join("technicians")
@@ -53,9 +64,21 @@ export const initializeWebSocket = (server) => {
     }
 
     // Handle joining support request rooms
-    socket.on("join-support-request", (requestId) => {
-      socket.join(`support-request:${requestId}`)
-      console.log(`User ${socket.username} joined support request: ${requestId}`)
+    socket.on("join-support-request", async (requestId) => {
+      try {
+        // Customers may only listen to their own or watched requests
+        if (socket.userRole === "customer") {
+          const request = await SupportRequest.findOne({ requestId }).select("customer watchers")
+          if (!request || !request.isVisibleTo(socket.userId, socket.userRole)) {
+            return
+          }
+        }
+
+        socket.join(`support-request:${requestId}`)
+        console.log(`User ${socket.username} joined support request: ${requestId}`)
+      } catch (err) {
+        console.error("Error joining support request room:", err)
+      }
     })
 
     // Handle leaving support request rooms
@@ -170,6 +193,19 @@ export const emitToAll = (event, data) => {
   }
 }
 
+// Add or remove every open socket of a user to a support request room
+export const joinSupportRequestRoom = (userId, requestId) => {
+  if (io) {
+    io.in(`user:${userId}`).socketsJoin(`support-request:${requestId}`)
+  }
+}
+
+export const leaveSupportRequestRoom = (userId, requestId) => {
+  if (io) {
+    io.in(`user:${userId}`).socketsLeave(`support-request:${requestId}`)
+  }
+}
+
 // Add a new utility function for emitting to technician dashboard
 export const emitToTechnicianDashboard = (technicianId, event, data) => {
   if (io) {
@@ -0,0 +1,254 @@
+import mongoose from "mongoose"
+import { nanoid } from "nanoid"
+import Worklog from "../models/worklog.js"
+import Payment from "../models/payment.js"
+import SupportRequest from "../models/support-request.js"
+import User from "../models/user.js"
+import { getSettingValues } from "./settings.js"
+
+const WORKLOG_SETTING_DEFAULTS = {
+  worklog_default_hourly_rate: 75,
+  worklog_billing_increment_minutes: 15,
+}
+
+// Longest single entry, for manual entries and for timers left running
+export const MAX_WORKLOG_MINUTES = 24 * 60
+
+const failure = (statusCode, code, message, extra = {}) => ({ ok: false, statusCode, code, message, ...extra })
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+export const canEditWorklog = (worklog, user) =>
+  user.role === "admin" || (worklog.technician._id || worklog.technician).toString() === user.userId.toString()
+
+// Rate snapshot for new worklogs
+const resolveHourlyRate = async (technicianId) => {
+  const [technician, settings] = await Promise.all([
+    User.findById(technicianId).select("hourlyRate").lean(),
+    getSettingValues(WORKLOG_SETTING_DEFAULTS),
+  ])
+  return technician?.hourlyRate ?? settings.worklog_default_hourly_rate
+}
+
+// Keep SupportRequest.actualResolutionTime (hours) equal to the logged time
+export const refreshActualResolutionTime = async (supportRequestId) => {
+  const [totals] = await Worklog.aggregate([
+    { $match: { supportRequest: new mongoose.Types.ObjectId(supportRequestId.toString()), isRunning: false } },
+    { $group: { _id: null, minutes: { $sum: "$durationMinutes" } } },
+  ])
+
+  const hours = totals ? Math.round((totals.minutes / 60) * 100) / 100 : null
+  await SupportRequest.updateOne({ _id: supportRequestId }, { $set: { actualResolutionTime: hours } })
+  return hours
+}
+
+export const startTimer = async (request, user, { billable = true, note } = {}) => {
+  if (request.status === "closed") {
+    return failure(409, "REQUEST_CLOSED", "Cannot start a timer on a closed support request")
+  }
+
+  const running = await Worklog.findOne({ technician: user.userId, isRunning: true }).populate(
+    "supportRequest",
+    "requestId",
+  )
+  if (running) {
+    return failure(409, "TIMER_RUNNING", `A timer is already running on ${running.supportRequest?.requestId}`, {
+      worklogId: running._id,
+    })
+  }
+
+  const worklog = new Worklog({
+    supportRequest: request._id,
+    technician: user.userId,
+    source: "timer",
+    startedAt: new Date(),
+    isRunning: true,
+    billable,
+    note,
+    hourlyRate: await resolveHourlyRate(user.userId),
+  })
+  await worklog.save()
+
+  return { ok: true, worklog }
+}
+
+// A timer left running longer than MAX_WORKLOG_MINUTES is capped; capped tells the caller to have it checked
+export const stopTimer = async (worklog, { note, stoppedAt = new Date() } = {}) => {
+  const elapsedMinutes = Math.max(1, Math.round((stoppedAt - worklog.startedAt) / (60 * 1000)))
+  worklog.durationMinutes = Math.min(elapsedMinutes, MAX_WORKLOG_MINUTES)
+  worklog.endedAt = new Date(worklog.startedAt.getTime() + worklog.durationMinutes * 60 * 1000)
+  worklog.isRunning = false
+  if (note !== undefined) worklog.note = note
+  await worklog.save()
+
+  await refreshActualResolutionTime(worklog.supportRequest._id || worklog.supportRequest)
+  return { ok: true, worklog, capped: elapsedMinutes > MAX_WORKLOG_MINUTES }
+}
+
+// Stop the timers still running on a request once it is closed (including by a merge)
+export const stopTimersOnClose = async (request) => {
+  if (request.status !== "closed") return []
+
+  const running = await Worklog.find({ supportRequest: request._id, isRunning: true })
+  const stopped = []
+  for (const worklog of running) {
+    try {
+      const result = await stopTimer(worklog, { stoppedAt: request.closedAt || new Date() })
+      stopped.push(result.worklog)
+    } catch (err) {
+      console.error(`Stop timer error for ${request.requestId}:`, err)
+    }
+  }
+  return stopped
+}
+
+export const logManualTime = async (request, user, { durationMinutes, startedAt, billable = true, note }) => {
+  const start = startedAt ? new Date(startedAt) : new Date(Date.now() - durationMinutes * 60 * 1000)
+
+  const worklog = new Worklog({
+    supportRequest: request._id,
+    technician: user.userId,
+    source: "manual",
+    startedAt: start,
+    endedAt: new Date(start.getTime() + durationMinutes * 60 * 1000),
+    durationMinutes,
+    billable,
+    note,
+    hourlyRate: await resolveHourlyRate(user.userId),
+  })
+  await worklog.save()
+
+  await refreshActualResolutionTime(request._id)
+  return { ok: true, worklog }
+}
+
+// Time per day and per request for one technician, or every technician when technicianId is null
+export const buildTimesheet = async ({ technicianId, from, to }) => {
+  const match = { isRunning: false, startedAt: { $gte: from, $lt: to } }
+  if (technicianId) {
+    match.technician = new mongoose.Types.ObjectId(technicianId.toString())
+  }
+
+  const minutes = { $sum: "$durationMinutes" }
+  const billableMinutes = { $sum: { $cond: ["$billable", "$durationMinutes", 0] } }
+  const billableAmount = {
+    $sum: { $cond: ["$billable", { $multiply: [{ $divide: ["$durationMinutes", 60] }, "$hourlyRate"] }, 0] },
+  }
+
+  const [result] = await Worklog.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, minutes, billableMinutes, billableAmount, entries: { $sum: 1 } } }],
+        byDay: [
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m-%d", date: "$startedAt" } },
+              minutes,
+              billableMinutes,
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        byRequest: [
+          { $group: { _id: "$supportRequest", minutes, billableMinutes, billableAmount } },
+          { $sort: { minutes: -1 } },
+          { $lookup: { from: "supportrequests", localField: "_id", foreignField: "_id", as: "request" } },
+          {
+            $project: {
+              minutes: 1,
+              billableMinutes: 1,
+              billableAmount: 1,
+              requestId: { $arrayElemAt: ["$request.requestId", 0] },
+              title: { $arrayElemAt: ["$request.title", 0] },
+            },
+          },
+        ],
+        byTechnician: [
+          { $group: { _id: "$technician", minutes, billableMinutes, billableAmount } },
+          { $sort: { minutes: -1 } },
+          { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "technician" } },
+          {
+            $project: {
+              minutes: 1,
+              billableMinutes: 1,
+              billableAmount: 1,
+              username: { $arrayElemAt: ["$technician.username", 0] },
+            },
+          },
+        ],
+      },
+    },
+  ])
+
+  const { _id, ...totals } = result.totals[0] || { minutes: 0, billableMinutes: 0, billableAmount: 0, entries: 0 }
+  const withHours = (row) => ({
+    ...row,
+    hours: Math.round((row.minutes / 60) * 100) / 100,
+    billableHours: Math.round((row.billableMinutes / 60) * 100) / 100,
+    ...(row.billableAmount !== undefined && { billableAmount: roundMoney(row.billableAmount) }),
+  })
+
+  return {
+    from,
+    to,
+    totals: withHours(totals),
+    byDay: result.byDay.map(({ _id, ...row }) => withHours({ date: _id, ...row })),
+    byRequest: result.byRequest.map(withHours),
+    ...(!technicianId && { byTechnician: result.byTechnician.map(withHours) }),
+  }
+}
+
+// Turn unbilled billable worklogs of a request into a pending Payment for the customer
+export const billWorklogs = async (request, user, { worklogIds, paymentMethod = "invoice" } = {}) => {
+  const settings = await getSettingValues(WORKLOG_SETTING_DEFAULTS)
+  const increment = settings.worklog_billing_increment_minutes
+  const payment = new Payment({
+    user: request.customer._id || request.customer,
+    supportRequest: request._id,
+    paymentMethod,
+    transactionId: `INV-${nanoid(10)}`,
+    status: "pending",
+    amount: 0,
+  })
+
+  const filter = { supportRequest: request._id, billable: true, isRunning: false, payment: null }
+  if (worklogIds?.length > 0) {
+    filter._id = { $in: worklogIds }
+  }
+
+  // Claim the worklogs first so two concurrent bills cannot include the same time
+  const billedAt = new Date()
+  await Worklog.updateMany(filter, { $set: { payment: payment._id, billedAt } })
+  const worklogs = await Worklog.find({ payment: payment._id }).populate("technician", "username").sort({ startedAt: 1 })
+
+  if (worklogs.length === 0) {
+    return failure(400, "NOTHING_TO_BILL", "No unbilled billable worklogs found for this support request")
+  }
+
+  payment.lineItems = worklogs.map((worklog) => {
+    const minutes = increment > 0 ? Math.ceil(worklog.durationMinutes / increment) * increment : worklog.durationMinutes
+    const quantity = Math.round((minutes / 60) * 100) / 100
+    return {
+      description: `${worklog.startedAt.toISOString().slice(0, 10)} ${worklog.technician?.username || "Technician"}${
+        worklog.note ? `: ${worklog.note}` : ""
+      }`.substring(0, 200),
+      quantity,
+      unitPrice: worklog.hourlyRate,
+      amount: roundMoney(quantity * worklog.hourlyRate),
+      worklog: worklog._id,
+    }
+  })
+  payment.amount = roundMoney(payment.lineItems.reduce((sum, item) => sum + item.amount, 0))
+  payment.description = `Billable work on ${request.requestId}`
+
+  try {
+    await payment.save()
+  } catch (err) {
+    await Worklog.updateMany({ payment: payment._id }, { $set: { payment: null }, $unset: { billedAt: 1 } })
+    throw err
+  }
+
+  console.log(`Worklogs billed: ${request.requestId} ${payment.transactionId} (${payment.amount}) by ${user.email}`)
+  return { ok: true, payment, worklogs }
+}